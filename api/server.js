@@ -53,11 +53,27 @@ import payrollRoutes from '../backend/routes/payroll.js';
 import performanceRoutes from '../backend/routes/performance.js';
 import requestRoutes from '../backend/routes/requests.js';
 import notificationRoutes from '../backend/routes/notifications.js';
+import periodLockRoutes from '../backend/routes/periodLocks.js';
+import taxYearRoutes from '../backend/routes/taxYears.js';
+import earningComponentRoutes from '../backend/routes/earningComponents.js';
+import loanRoutes from '../backend/routes/loans.js';
+import latePenaltyRuleRoutes from '../backend/routes/latePenaltyRules.js';
+import settlementRoutes from '../backend/routes/settlements.js';
+import settingsRoutes from '../backend/routes/settings.js';
+import holidayRoutes from '../backend/routes/holidays.js';
+import rosterRoutes from '../backend/routes/roster.js';
+import importBatchRoutes from '../backend/routes/importBatches.js';
+import importProfileRoutes from '../backend/routes/importProfiles.js';
+import deviceMappingRoutes from '../backend/routes/deviceMappings.js';
 
 // ─── Import Middleware ────────────────────────────────────────────────────────
 import errorHandler from '../backend/middleware/errorHandler.js';
+import companySettings from '../backend/middleware/companySettings.js';
 
 // ─── Register Routes ──────────────────────────────────────────────────────────
+// Refresh the cached CompanySettings before any route reads them
+app.use('/api', companySettings);
+
 app.use('/api/auth', authRoutes);
 app.use('/api/employees', employeeRoutes);
 app.use('/api/attendance', attendanceRoutes);
@@ -65,6 +81,18 @@ app.use('/api/payroll', payrollRoutes);
 app.use('/api/performance', performanceRoutes);
 app.use('/api/requests', requestRoutes);
 app.use('/api/notifications', notificationRoutes);
+app.use('/api/period-locks', periodLockRoutes);
+app.use('/api/tax-years', taxYearRoutes);
+app.use('/api/earning-components', earningComponentRoutes);
+app.use('/api/loans', loanRoutes);
+app.use('/api/late-penalty-rules', latePenaltyRuleRoutes);
+app.use('/api/settlements', settlementRoutes);
+app.use('/api/settings', settingsRoutes);
+app.use('/api/holidays', holidayRoutes);
+app.use('/api/roster', rosterRoutes);
+app.use('/api/import-batches', importBatchRoutes);
+app.use('/api/import-profiles', importProfileRoutes);
+app.use('/api/device-mappings', deviceMappingRoutes);
 
 // ─── Health Check ─────────────────────────────────────────────────────────────
 app.get('/api/health', (_req, res) => {
@@ -95,6 +95,29 @@ async function adminAuth(req, res, next) {
   }
 }
 
+/**
+ * superadminAuth — authenticated AND role === 'superadmin'.
+ * Used for irreversible or audit-sensitive actions (e.g. reopening a locked pay period).
+ */
+async function superadminAuth(req, res, next) {
+  try {
+    const user = await resolveUser(req, res);
+    if (!user) return;
+
+    if (user.role !== "superadmin") {
+      return res
+        .status(403)
+        .json({ success: false, message: "Superadmin access required" });
+    }
+
+    next();
+  } catch (err) {
+    res
+      .status(500)
+      .json({ success: false, message: "Auth error", error: err.message });
+  }
+}
+
 /**
  * employeeAuth — authenticated AND (role === 'employee' with Active status).
  * Admins are intentionally blocked here; use `auth` if both should be allowed.
@@ -124,5 +147,5 @@ async function employeeAuth(req, res, next) {
   }
 }
 
-export { auth, adminAuth, employeeAuth };
+export { auth, adminAuth, superadminAuth, employeeAuth };
 export default auth;
@@ -0,0 +1,19 @@
+// middleware/companySettings.js
+//
+// Keeps the in-memory CompanySettings and holiday calendar caches fresh before
+// any route runs, so calculators that read them synchronously see the saved
+// policies. A failed refresh keeps the last known data rather than failing the request.
+
+import { loadSettings } from '../utils/companySettings.js';
+import { loadHolidays } from '../utils/holidays.js';
+
+const companySettings = async (req, res, next) => {
+  try {
+    await Promise.all([loadSettings(), loadHolidays()]);
+  } catch (err) {
+    console.warn('⚠ Company settings refresh failed:', err.message);
+  }
+  next();
+};
+
+export default companySettings;
@@ -1,4 +1,9 @@
 // middleware/csvValidator.js
+//
+// Checks the attendance import upload. Besides CSV, the importer reads ZKTeco
+// attlog.dat and XLSX files (utils/importAdapters.js).
+
+import { ACCEPTED_EXTENSIONS } from '../utils/importAdapters.js';
 
 const MAX_SIZE_BYTES = 5 * 1024 * 1024; // 5 MB
 
@@ -8,6 +13,7 @@ const VALID_MIME_TYPES = new Set([
   'text/plain',
   'application/csv',
   'application/vnd.ms-excel',       // Windows Excel sometimes sends this for .csv
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',   // .xlsx
   'application/octet-stream'        // fallback when MIME detection fails
 ]);
 
@@ -23,15 +29,15 @@ export function validateCSVFile(req, res, next) {
 
     const { mimetype, originalname, size } = req.file;
 
-    // Accept if MIME is known-valid OR filename ends in .csv
+    // Accept if MIME is known-valid OR the extension is one the importer reads
     const mimeOk = VALID_MIME_TYPES.has(mimetype);
-    const nameOk = originalname?.toLowerCase().endsWith('.csv');
+    const nameOk = ACCEPTED_EXTENSIONS.some(ext => originalname?.toLowerCase().endsWith(ext));
 
     if (!mimeOk && !nameOk) {
       return res.status(400).json({
         success: false,
         error:   'INVALID_FILE_TYPE',
-        message: 'Invalid file type. Please upload a .csv file.'
+        message: `Invalid file type. Please upload one of: ${ACCEPTED_EXTENSIONS.join(', ')}`
       });
     }
 
@@ -39,7 +45,7 @@ export function validateCSVFile(req, res, next) {
       return res.status(400).json({
         success: false,
         error:   'FILE_EMPTY',
-        message: 'The uploaded CSV file is empty.'
+        message: 'The uploaded file is empty.'
       });
     }
 
@@ -70,8 +70,8 @@ export const validateEmployeeCreation = [
 
 export const validateAttendanceUpdate = [
   body('status')
-    .isIn(['Present', 'Late', 'Leave', 'Absent'])
-    .withMessage('status must be Present | Late | Leave | Absent'),
+    .isIn(['Present', 'Late', 'Early Leave', 'Half Day', 'Pending Regularization', 'Leave', 'Absent'])
+    .withMessage('status must be Present | Late | Early Leave | Half Day | Pending Regularization | Leave | Absent'),
 
   body('inTime')
     .optional({ nullable: true })
@@ -17,6 +17,15 @@ const otDetailSchema = new mongoose.Schema({
   createdAt: { type: Date, default: Date.now }
 }, { _id: false });
 
+// One IN/OUT pair from the device. The *NextDay flags place a punch on the
+// calendar day after `date` (night shifts, or a break after midnight).
+const punchPairSchema = new mongoose.Schema({
+  in:         { type: String, default: null },   // HH:mm, null if the IN punch is missing
+  out:        { type: String, default: null },   // HH:mm, null if the OUT punch is missing
+  inNextDay:  { type: Boolean, default: false },
+  outNextDay: { type: Boolean, default: false }
+}, { _id: false });
+
 const attendanceLogSchema = new mongoose.Schema({
   /**
    * For normal shifts: this is the calendar date of check-in.
@@ -50,7 +59,10 @@ const attendanceLogSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['Present', 'Late', 'Leave', 'Absent'],
+    // Holiday: public holiday (models/Holiday.js). Half Day / Early Leave follow
+    // the CompanySettings thresholds, Pending Regularization the missing-punch
+    // policy — see utils/timeCalculator.js dayStatus
+    enum: ['Present', 'Late', 'Early Leave', 'Half Day', 'Pending Regularization', 'Leave', 'Absent', 'Holiday'],
     default: 'Absent',
     index: true
   },
@@ -87,6 +99,16 @@ const attendanceLogSchema = new mongoose.Schema({
     }
   },
 
+  /**
+   * Every IN/OUT pair of the day in time order (lunch, prayer breaks …).
+   * inOut keeps the first IN and the last OUT; the gaps between pairs are
+   * reported as financials.breakHours.
+   */
+  punches: {
+    type: [punchPairSchema],
+    default: []
+  },
+
   shift: {
     start: { type: String, required: true },   // e.g. "22:00"
     end:   { type: String, required: true },   // e.g. "06:00" — can be next-day
@@ -94,7 +116,10 @@ const attendanceLogSchema = new mongoose.Schema({
      * isNightShift: true when shift.end < shift.start (crosses midnight).
      * Computed and stored on save so queries can filter efficiently.
      */
-    isNightShift: { type: Boolean, default: false }
+    isNightShift: { type: Boolean, default: false },
+    // Roster template the day was worked on (models/ShiftTemplate.js);
+    // unset when the employee's default shift applied.
+    name: String
   },
 
   hourlyRate: {
@@ -115,6 +140,13 @@ const attendanceLogSchema = new mongoose.Schema({
       default: 0,
       min: 0
     },
+    // Time between punch pairs; paid up to the company break allowance when
+    // breaks are paid (CompanySettings.breakPaid)
+    breakHours: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
     basePay: {
       type: Number,
       default: 0,
@@ -164,6 +196,18 @@ const attendanceLogSchema = new mongoose.Schema({
     default: false
   },
 
+  /**
+   * Set by the absence sweep (utils/absenceSweep.js) once the day's pairing
+   * window has closed with only one punch: 'out' = checked in but never out,
+   * 'in' = the reverse. Listed for follow-up until both punches exist.
+   */
+  missingPunch: {
+    type: String,
+    enum: ['in', 'out', null],
+    default: null,
+    index: true
+  },
+
   metadata: {
     source: {
       type: String,
@@ -205,7 +249,12 @@ attendanceLogSchema.pre('save', function (next) {
     );
   }
 
-  // 3. Touch lastModifiedAt
+  // 3. A missing punch that has been filled in is no longer missing
+  if (this.missingPunch && this.inOut?.in && this.inOut?.out) {
+    this.missingPunch = null;
+  }
+
+  // 4. Touch lastModifiedAt
   if (this.isModified() && this.metadata) {
     this.metadata.lastModifiedAt = new Date();
   }
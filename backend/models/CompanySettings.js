@@ -0,0 +1,93 @@
+// models/CompanySettings.js
+//
+// Company-wide payroll and attendance policies. A single document (_id
+// 'company'); a missing document or field falls back to the defaults below,
+// which match the rules the system shipped with.
+//
+// Read through utils/companySettings.js, which caches the document in memory
+// so synchronous calculators (working days, pay periods) can use it.
+
+import mongoose from 'mongoose';
+
+const companySettingsSchema = new mongoose.Schema({
+
+  _id: { type: String, default: 'company' },
+
+  // ── Pay cycle ─────────────────────────────────────────────────────────────
+  // A period starts on this day of the month and ends the day before it in the
+  // next month (18 → 18th – 17th). 1 gives calendar months.
+  payCycleStartDay: { type: Number, default: 18, min: 1, max: 28 },
+
+  // ── Currency ──────────────────────────────────────────────────────────────
+  currency: { type: String, default: 'PKR', trim: true, uppercase: true },
+  locale:   { type: String, default: 'en-PK', trim: true },   // number formatting
+
+  // ── Working time ──────────────────────────────────────────────────────────
+  // Day numbers as Date#getDay(): 0 = Sunday … 6 = Saturday
+  weekendDays: { type: [Number], default: [0, 6] },
+
+  // Monthly salary → hourly rate: monthlySalary / (workingDaysPerMonth × hoursPerDay)
+  workingDaysPerMonth: { type: Number, default: 26, min: 1, max: 31 },
+  hoursPerDay:         { type: Number, default: 8,  min: 1, max: 24 },
+
+  // Daily break allowance. Paid: punched break up to this many minutes is paid.
+  // Unpaid: this many minutes are unpaid every day, whether punched or not.
+  breakAllowanceMinutes: { type: Number, default: 0, min: 0, max: 240 },
+  breakPaid:             { type: Boolean, default: false },
+
+  // ── Attendance status ─────────────────────────────────────────────────────
+  // Late: check-in more than lateGraceMinutes after shift start.
+  // Early Leave: check-out more than earlyLeaveMinutes before shift end (0 = off).
+  // Half Day: fewer than halfDayMinHours worked (0 = off).
+  lateGraceMinutes:  { type: Number, default: 0, min: 0, max: 240 },
+  earlyLeaveMinutes: { type: Number, default: 0, min: 0, max: 720 },
+  halfDayMinHours:   { type: Number, default: 0, min: 0, max: 24 },
+
+  // ── Missing punch ─────────────────────────────────────────────────────────
+  // Pay for a day with only a check-in or only a check-out:
+  //   unpaid · half (50 % of the shift) · full · deduct (full shift less
+  //   missingPunchDeduction) · pending (unpaid, status "Pending Regularization"
+  //   until a correction request supplies the missing punch)
+  missingPunchPolicy: {
+    type: String,
+    enum: ['unpaid', 'half', 'full', 'deduct', 'pending'],
+    default: 'half'
+  },
+  missingPunchDeduction: { type: Number, default: 0, min: 0 },
+
+  // ── Automatic overtime ────────────────────────────────────────────────────
+  // Hours worked beyond the shift, once they exceed otThresholdMinutes, are
+  // paid as overtime at the multiplier for the kind of day (on a weekly off
+  // or public holiday every hour worked counts). Caps: 0 = none. Days with a
+  // manual OT entry keep it instead (utils/payrollCalculator.js calcAutoOvertime).
+  autoOtEnabled:         { type: Boolean, default: false },
+  otThresholdMinutes:    { type: Number, default: 30,  min: 0, max: 240 },
+  otMultiplierWeekday:   { type: Number, default: 1.5, min: 1, max: 5 },
+  otMultiplierWeeklyOff: { type: Number, default: 2,   min: 1, max: 5 },
+  otMultiplierHoliday:   { type: Number, default: 2,   min: 1, max: 5 },
+  otDailyCapHours:       { type: Number, default: 0,   min: 0, max: 24 },
+  otMonthlyCapHours:     { type: Number, default: 0,   min: 0, max: 400 },
+
+  // ── Night differential ────────────────────────────────────────────────────
+  // Extra pay for every hour worked inside the night window (which may cross
+  // midnight): percent → nightDiffValue % of the hourly rate, fixed →
+  // nightDiffValue per hour (utils/payrollCalculator.js calcNightDifferential).
+  nightDiffType: {
+    type: String,
+    enum: ['off', 'percent', 'fixed'],
+    default: 'off'
+  },
+  nightDiffValue:   { type: Number, default: 0, min: 0 },
+  nightWindowStart: { type: String, default: '22:00' },   // HH:mm
+  nightWindowEnd:   { type: String, default: '06:00' },
+
+  // ── Leave ─────────────────────────────────────────────────────────────────
+  leaveEligibilityDays: { type: Number, default: 90, min: 0 },   // service before leave may be requested
+  annualLeaveDays:      { type: Number, default: 14, min: 0 },   // paid leave per calendar year
+
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee' }
+
+}, { timestamps: true, versionKey: false });
+
+const CompanySettings = mongoose.model('CompanySettings', companySettingsSchema);
+export default CompanySettings;
@@ -0,0 +1,24 @@
+// models/Counter.js
+//
+// Named monotonic sequences (e.g. 'payslip'). Incremented atomically with
+// findOneAndUpdate + $inc so concurrent requests never receive the same value.
+
+import mongoose from 'mongoose';
+
+const counterSchema = new mongoose.Schema({
+  _id: { type: String, required: true },   // sequence name
+  seq: { type: Number, default: 0 }
+}, { versionKey: false });
+
+/** Atomically bump `name` and return the new value (starts at 1) */
+counterSchema.statics.next = async function (name) {
+  const doc = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  ).lean();
+  return doc.seq;
+};
+
+const Counter = mongoose.model('Counter', counterSchema);
+export default Counter;
@@ -0,0 +1,32 @@
+// models/DeviceMapping.js
+//
+// One document = one biometric enrollment ID linked to an employee.
+// Devices number people with their own IDs ("17"), which rarely match
+// Employee.employeeNumber; attendance imports look here first
+// (utils/deviceMapping.js) and fall back to the employee number.
+//
+// `deviceSerial` narrows the mapping to one device — the same enrollment ID
+// can be a different person on another branch's terminal. Blank means the
+// mapping applies to every device.
+
+import mongoose from 'mongoose';
+
+const deviceMappingSchema = new mongoose.Schema({
+
+  deviceId:     { type: String, required: true, trim: true, uppercase: true },
+  deviceSerial: { type: String, trim: true, uppercase: true, default: '' },
+
+  employee: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee', required: true },
+  notes:    String,
+
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee' },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee' }
+
+}, { timestamps: true });
+
+// One employee per enrollment ID per device
+deviceMappingSchema.index({ deviceSerial: 1, deviceId: 1 }, { unique: true });
+deviceMappingSchema.index({ employee: 1 });
+
+const DeviceMapping = mongoose.model('DeviceMapping', deviceMappingSchema);
+export default DeviceMapping;
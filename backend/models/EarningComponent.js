@@ -0,0 +1,33 @@
+// models/EarningComponent.js
+//
+// Catalogue of recurring earnings (house rent, conveyance, medical, fuel …).
+// Employees reference these through Employee.earnings, optionally overriding
+// the default value and always with their own effective dates.
+//
+//   fixed          → defaultValue is an amount per month (company currency)
+//   percentOfBasic → defaultValue is a % of the period's basic salary
+
+import mongoose from 'mongoose';
+
+const earningComponentSchema = new mongoose.Schema({
+
+  name: { type: String, required: true, trim: true },
+  code: { type: String, required: true, unique: true, uppercase: true, trim: true },  // e.g. "HRA"
+
+  calcType: {
+    type: String,
+    enum: ['fixed', 'percentOfBasic'],
+    default: 'fixed'
+  },
+  defaultValue: { type: Number, default: 0, min: 0 },
+
+  // Non-taxable components are paid in full but left out of taxableIncome
+  taxable:  { type: Boolean, default: true },
+  isActive: { type: Boolean, default: true, index: true },
+
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee' }
+
+}, { timestamps: true });
+
+const EarningComponent = mongoose.model('EarningComponent', earningComponentSchema);
+export default EarningComponent;
@@ -2,6 +2,7 @@
 
 import mongoose from 'mongoose';
 import bcryptjs from 'bcryptjs';
+import { getSettings } from '../utils/companySettings.js';
 
 // Only superadmin is a login-only system account.
 // admin is a regular payroll employee (shift + salary required).
@@ -59,6 +60,12 @@ const employeeSchema = new mongoose.Schema({
     }
   },
 
+  // ── Workweek ──────────────────────────────────────────────────────────────
+  // Weekly days off as Date#getDay() numbers (0 = Sunday … 6 = Saturday).
+  // Unset / null → the company weekend (CompanySettings.weekendDays).
+  // e.g. support staff off on Friday: [5]; a six-day week off Sunday: [0].
+  weeklyOff: { type: [Number], default: undefined },
+
   // ── Salary ────────────────────────────────────────────────────────────────
   // Required for admin + employee. Cleared to null for superadmin only.
   //
@@ -97,6 +104,22 @@ const employeeSchema = new mongoose.Schema({
   },
   isArchived: { type: Boolean, default: false },
 
+  // ── Exit ──────────────────────────────────────────────────────────────────
+  // Recorded through the final-settlement workflow (routes/settlements.js).
+  // Payroll runs for periods ending on or after lastWorkingDay skip the
+  // employee; that last partial period is paid by the settlement instead.
+  exit: {
+    lastWorkingDay: { type: Date, default: null },
+    reason: {
+      type: String,
+      enum: ['resignation', 'termination', 'retirement', 'contract-end', 'other', null],
+      default: null
+    },
+    notes:      String,
+    recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee' },
+    recordedAt: Date
+  },
+
   password:           String,
   tempPassword:       String,
   inviteToken:        String,
@@ -108,6 +131,17 @@ const employeeSchema = new mongoose.Schema({
     accountNumber: String
   },
 
+  // ── Recurring earnings ────────────────────────────────────────────────────
+  // Components from the EarningComponent catalogue. `value` overrides the
+  // component's defaultValue (null = use default). effectiveTo null = ongoing.
+  earnings: [{
+    component:     { type: mongoose.Schema.Types.ObjectId, ref: 'EarningComponent', required: true },
+    value:         { type: Number, min: 0, default: null },
+    effectiveFrom: { type: Date, required: true },
+    effectiveTo:   { type: Date, default: null },
+    _id: false
+  }],
+
   isDeleted: { type: Boolean, default: false }
 }, { timestamps: true });
 
@@ -180,14 +214,15 @@ employeeSchema.methods.comparePassword = async function (entered) {
   return bcryptjs.compare(entered, this.password);
 };
 
+// Service required before leave: CompanySettings.leaveEligibilityDays
 employeeSchema.methods.isLeaveEligible = function () {
   const days = Math.floor((Date.now() - new Date(this.joiningDate)) / 86_400_000);
-  return days >= 90;
+  return days >= getSettings().leaveEligibilityDays;
 };
 
 employeeSchema.methods.getDaysUntilLeaveEligible = function () {
   const days = Math.floor((Date.now() - new Date(this.joiningDate)) / 86_400_000);
-  return Math.max(0, 90 - days);
+  return Math.max(0, getSettings().leaveEligibilityDays - days);
 };
 
 /**
@@ -195,12 +230,12 @@ employeeSchema.methods.getDaysUntilLeaveEligible = function () {
  * Returns null for superadmin only — they are not on payroll.
  * admin is on payroll and returns a real rate.
  *
- * @param {number} workingDaysInPeriod  – actual working days in the payroll period
- * @param {number} scheduledHoursPerDay – hours per scheduled shift (default 8)
+ * @param {number} workingDaysInPeriod  – working days in the period (default CompanySettings.workingDaysPerMonth)
+ * @param {number} scheduledHoursPerDay – hours per scheduled shift (default CompanySettings.hoursPerDay)
  */
 employeeSchema.methods.getEffectiveHourlyRate = function (
-  workingDaysInPeriod = 26,
-  scheduledHoursPerDay = 8
+  workingDaysInPeriod = getSettings().workingDaysPerMonth,
+  scheduledHoursPerDay = getSettings().hoursPerDay
 ) {
   if (SYSTEM_ROLES.includes(this.role)) return null;   // superadmin only
 
@@ -0,0 +1,121 @@
+// models/FinalSettlement.js
+//
+// One document = the final settlement of an exiting employee: pay for the
+// days after their last signed-off payroll record up to the last working day,
+// leave encashment, and recovery of every outstanding loan / advance.
+//
+// A draft is recalculated each time it is saved. Finalising freezes the
+// figures, assigns a statement number and closes the employee's loans.
+
+import mongoose from 'mongoose';
+
+// Itemised lines, same shape as on PayrollRecord
+const earningLineSchema = new mongoose.Schema({
+  componentId: { type: mongoose.Schema.Types.ObjectId, ref: 'EarningComponent' },
+  code:        String,
+  name:        String,
+  calcType:    { type: String, enum: ['fixed', 'percentOfBasic'] },
+  taxable:     { type: Boolean, default: true },
+  amount:      { type: Number, default: 0 }
+}, { _id: false });
+
+const loanLineSchema = new mongoose.Schema({
+  loan:         { type: mongoose.Schema.Types.ObjectId, ref: 'Loan' },
+  type:         { type: String, enum: ['loan', 'advance'] },
+  label:        String,
+  amount:       { type: Number, default: 0 },
+  balanceAfter: { type: Number, default: 0 }
+}, { _id: false });
+
+const finalSettlementSchema = new mongoose.Schema({
+
+  // ── Identity ──────────────────────────────────────────────────────────────
+  empId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee',
+    required: true,
+    unique: true          // one settlement per employee
+  },
+  empNumber:  { type: String, required: true },
+  empName:    { type: String, required: true },
+  department: { type: String, required: true },
+  salaryType: { type: String, enum: ['hourly', 'monthly'], default: 'hourly' },
+  joiningDate: Date,
+
+  // ── Exit ──────────────────────────────────────────────────────────────────
+  lastWorkingDay: { type: Date, required: true },
+  exitReason:     String,
+  notes:          String,
+
+  // ── Unpaid salary ─────────────────────────────────────────────────────────
+  // From the day after the last approved / paid PayrollRecord (never earlier
+  // than the start of the company period holding the last working day) up to
+  // the last working day. Null when approved payroll already covers it.
+  periodStart: Date,
+  periodEnd:   Date,
+  periodLabel: String,
+  totalWorkingDays: { type: Number, default: 0 },   // in the full company period
+  presentDays:      { type: Number, default: 0 },
+  lateDays:         { type: Number, default: 0 },
+  absentDays:       { type: Number, default: 0 },
+  leaveDays:        { type: Number, default: 0 },
+  totalHoursWorked: { type: Number, default: 0 },
+
+  baseSalary:      { type: Number, default: 0, min: 0 },
+  earnings:        { type: [earningLineSchema], default: [] },
+  totalAllowances: { type: Number, default: 0, min: 0 },
+  totalOtHours:    { type: Number, default: 0, min: 0 },
+  totalOtAmount:   { type: Number, default: 0, min: 0 },
+  totalNightHours:        { type: Number, default: 0, min: 0 },
+  totalNightDifferential: { type: Number, default: 0, min: 0 },
+  totalDeduction:  { type: Number, default: 0, min: 0 },
+  incomeTax:       { type: Number, default: 0, min: 0 },
+
+  // ── Leave encashment (see utils/settlementCalculator.js) ─────────────────
+  leave: {
+    entitledDays: { type: Number, default: 0 },
+    takenDays:    { type: Number, default: 0 },
+    balanceDays:  { type: Number, default: 0 },
+    dailyRate:    { type: Number, default: 0 },
+    amount:       { type: Number, default: 0 },
+    overridden:   { type: Boolean, default: false }   // balanceDays entered by admin
+  },
+
+  // ── Loan / advance recovery ───────────────────────────────────────────────
+  // Capped at what the settlement can pay; balanceAfter stays on the loan
+  loanRecoveries:    { type: [loanLineSchema], default: [] },
+  totalLoanRecovery: { type: Number, default: 0, min: 0 },
+
+  /**
+   * grossSettlement = baseSalary + totalAllowances + totalOtAmount
+   *                   + totalNightDifferential + leave.amount
+   * netSettlement   = grossSettlement − totalDeduction − incomeTax − totalLoanRecovery
+   * Loan recovery never takes it below zero; only attendance deductions and
+   * tax larger than the gross can (the employee then owes the difference).
+   */
+  grossSettlement: { type: Number, default: 0 },
+  netSettlement:   { type: Number, default: 0 },
+
+  // ── Status / workflow ─────────────────────────────────────────────────────
+  /**
+   * draft     → recalculated on every save; the employee is still on record
+   * finalized → figures frozen, loans closed, employee deactivated and archived
+   */
+  status: {
+    type: String,
+    enum: ['draft', 'finalized'],
+    default: 'draft',
+    index: true
+  },
+
+  // Assigned from the 'settlement' Counter on finalisation
+  statementNumber: { type: String, unique: true, sparse: true },
+
+  createdBy:   { type: mongoose.Schema.Types.ObjectId, ref: 'Employee' },
+  finalizedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee' },
+  finalizedAt: Date
+
+}, { timestamps: true });
+
+const FinalSettlement = mongoose.model('FinalSettlement', finalSettlementSchema);
+export default FinalSettlement;
@@ -0,0 +1,34 @@
+// models/Holiday.js
+//
+// One document = one holiday on the company calendar (Eid, 14 August, …).
+//
+//   public   → a day off for everyone: not a working day in payroll, shown as
+//              "Holiday" on the attendance worksheet and skipped by leave
+//   optional → listed on the calendar for employees to take as leave; still a
+//              working day for everyone else
+//
+// `recurring` holidays fall on the same date every year and are copied when
+// the next year's calendar is started (POST /api/holidays/copy-year).
+// Read through utils/holidays.js, which caches the calendar in memory.
+
+import mongoose from 'mongoose';
+
+const holidaySchema = new mongoose.Schema({
+
+  name: { type: String, required: true, trim: true },
+  date: { type: Date,   required: true },   // local midnight
+  type: { type: String, enum: ['public', 'optional'], default: 'public' },
+
+  recurring: { type: Boolean, default: false },
+  notes:     String,
+
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee' },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee' }
+
+}, { timestamps: true });
+
+// One holiday per calendar day
+holidaySchema.index({ date: 1 }, { unique: true });
+
+const Holiday = mongoose.model('Holiday', holidaySchema);
+export default Holiday;
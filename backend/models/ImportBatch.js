@@ -0,0 +1,61 @@
+// models/ImportBatch.js
+//
+// One document = one confirmed attendance import (POST /api/attendance/import-csv).
+// Records what the file did to every AttendanceLog it touched so the whole
+// batch can be undone (POST /api/import-batches/:id/rollback):
+//
+//   created → the log did not exist before; rollback deletes it
+//   updated → `before` holds the complete prior document; rollback puts it back
+//
+// `fileHash` is the sha256 of the file contents. Uploading a file whose hash
+// matches an applied batch is allowed but warned about.
+
+import mongoose from 'mongoose';
+
+const changeSchema = new mongoose.Schema({
+  log:    { type: mongoose.Schema.Types.ObjectId, ref: 'AttendanceLog', required: true },
+  action: { type: String, enum: ['created', 'updated'], required: true },
+
+  empNumber: String,
+  date:      Date,
+
+  before:         mongoose.Schema.Types.Mixed,   // full prior AttendanceLog (updated only)
+  afterUpdatedAt: Date                           // log.updatedAt right after the import
+}, { _id: false });
+
+const importBatchSchema = new mongoose.Schema({
+
+  fileName: { type: String, required: true },
+  fileHash: { type: String, required: true },
+  fileSize: Number,
+  source:   { type: String, default: 'csv' },                           // adapter key (utils/importAdapters.js) or 'reprocess'
+  profile:  { type: mongoose.Schema.Types.ObjectId, ref: 'ImportProfile' },   // column layout, if one was picked
+
+  uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee' },
+
+  // Date range covered by the rows in the file
+  fromDate: Date,
+  toDate:   Date,
+
+  counts: {
+    rows:    { type: Number, default: 0 },
+    created: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    skipped: { type: Number, default: 0 },
+    failed:  { type: Number, default: 0 }
+  },
+
+  changes: [changeSchema],
+
+  status: { type: String, enum: ['applied', 'rolledBack'], default: 'applied' },
+
+  rolledBackAt: Date,
+  rolledBackBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee' }
+
+}, { timestamps: true });
+
+importBatchSchema.index({ fileHash: 1 });
+importBatchSchema.index({ createdAt: -1 });
+
+const ImportBatch = mongoose.model('ImportBatch', importBatchSchema);
+export default ImportBatch;
@@ -0,0 +1,55 @@
+// models/ImportProfile.js
+//
+// One document = one saved layout for delimited attendance files, usually one
+// per branch or device software. Picked in the import modal and applied by
+// parseCSV (utils/csvParser.js) instead of the fixed six-column layout.
+//
+//   columns     — where each field is: a 1-based position ("3") or, when the
+//                 file has a header row, the header text ("Punch Time")
+//   dateFormat  — e.g. mm/dd/yyyy, yyyy-mm-dd, dd-MMM-yy; blank = dd/mm/yyyy
+//   timeFormat  — e.g. HH:mm:ss, hh:mm a; blank = the flexible time parser
+//   statusMap   — file values meaning check-in / check-out ("C/In", "I", …);
+//                 with no status column the punches are typed from the shift
+
+import mongoose from 'mongoose';
+
+const columnsSchema = new mongoose.Schema({
+  empId:     { type: String, required: true, trim: true },
+  firstName: { type: String, trim: true },
+  lastName:  { type: String, trim: true },
+  name:      { type: String, trim: true },   // one full-name column instead of first/last
+  date:      { type: String, trim: true },
+  time:      { type: String, trim: true },
+  dateTime:  { type: String, trim: true },   // one column holding "date time"
+  status:    { type: String, trim: true },
+  deviceSerial: { type: String, trim: true }   // terminal serial, for device ID mappings
+}, { _id: false });
+
+const importProfileSchema = new mongoose.Schema({
+
+  name:        { type: String, required: true, trim: true, unique: true },
+  description: { type: String, trim: true },
+
+  delimiter: { type: String, enum: ['auto', ',', '|', ';', '\t'], default: 'auto' },
+  hasHeader: { type: Boolean, default: true },
+  skipRows:  { type: Number, min: 0, max: 50, default: 0 },   // lines before the header / data
+
+  columns: { type: columnsSchema, required: true },
+
+  dateFormat: { type: String, trim: true, default: '' },
+  timeFormat: { type: String, trim: true, default: '' },
+
+  statusMap: {
+    in:  { type: [String], default: [] },
+    out: { type: [String], default: [] }
+  },
+
+  isActive: { type: Boolean, default: true },
+
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee' },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee' }
+
+}, { timestamps: true });
+
+const ImportProfile = mongoose.model('ImportProfile', importProfileSchema);
+export default ImportProfile;
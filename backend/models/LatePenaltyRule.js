@@ -0,0 +1,40 @@
+// models/LatePenaltyRule.js
+//
+// Automatic deductions for late arrivals, applied when payroll is calculated
+// (calcLatePenalties in utils/payrollCalculator.js). A day counts as late when
+// its check-in is past shift start plus CompanySettings.lateGraceMinutes.
+//
+//   occurrences → every `everyLates` late days in the pay period deduct
+//                 `penaltyDays` days' pay (7 lates, every 3 → 2 penalties)
+//   minutes     → minutes late beyond the grace period are deducted at the
+//                 employee's per-minute rate × `rateMultiplier`
+//
+// Every active rule applies; an employee can be charged by several.
+
+import mongoose from 'mongoose';
+
+const latePenaltyRuleSchema = new mongoose.Schema({
+
+  name: { type: String, required: true, trim: true },   // shown on the payslip
+
+  basis: {
+    type: String,
+    enum: ['occurrences', 'minutes'],
+    default: 'occurrences'
+  },
+
+  // occurrences
+  everyLates:  { type: Number, default: 3, min: 1 },
+  penaltyDays: { type: Number, default: 0.5, min: 0 },
+
+  // minutes
+  rateMultiplier: { type: Number, default: 1, min: 0 },
+
+  isActive: { type: Boolean, default: true, index: true },
+
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee' }
+
+}, { timestamps: true });
+
+const LatePenaltyRule = mongoose.model('LatePenaltyRule', latePenaltyRuleSchema);
+export default LatePenaltyRule;
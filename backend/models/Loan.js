@@ -0,0 +1,59 @@
+// models/Loan.js
+//
+// An employee loan or salary advance recovered through payroll.
+//
+// Recoveries are not stored here: each PayrollRecord carries its own
+// loanDeductions lines, and only approved / paid records count towards the
+// amount recovered (see utils/loanCalculator.js). Reopening a period and
+// regenerating its drafts therefore never leaves this document out of step.
+// The one exception is settlementRecovery: the balance cleared by an exiting
+// employee's final settlement, which is not a payroll record.
+
+import mongoose from 'mongoose';
+
+const loanSchema = new mongoose.Schema({
+
+  empId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee',
+    required: true,
+    index: true
+  },
+
+  // advance → normally recovered in one installment (installmentAmount = principal)
+  type: { type: String, enum: ['loan', 'advance'], default: 'loan' },
+
+  principal:         { type: Number, required: true, min: 0.01 },
+  installmentAmount: { type: Number, required: true, min: 0.01 },
+
+  // First pay period that recovers an installment: any period ending on or after this date
+  startDate: { type: Date, required: true },
+
+  reason: { type: String, trim: true },
+
+  /**
+   * active    → deducted each payroll run until fully recovered
+   * closed    → fully recovered (set when the final installment is approved,
+   *             reverted to active if that period is reopened)
+   * cancelled → written off / stopped by an admin; no further deductions
+   */
+  status: {
+    type: String,
+    enum: ['active', 'closed', 'cancelled'],
+    default: 'active',
+    index: true
+  },
+  closedAt:     Date,
+  cancelledBy:  { type: mongoose.Schema.Types.ObjectId, ref: 'Employee' },
+  cancelReason: String,
+
+  // Balance recovered in one go by a finalised FinalSettlement on exit
+  settlement:         { type: mongoose.Schema.Types.ObjectId, ref: 'FinalSettlement' },
+  settlementRecovery: { type: Number, default: 0, min: 0 },
+
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee' }
+
+}, { timestamps: true });
+
+const Loan = mongoose.model('Loan', loanSchema);
+export default Loan;
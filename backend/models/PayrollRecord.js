@@ -5,6 +5,67 @@
 
 import mongoose from 'mongoose';
 
+// Itemised lines copied from AttendanceLog.financials so a payslip can be
+// rebuilt from the record alone, even after the source log is edited.
+const deductionLineSchema = new mongoose.Schema({
+  amount: { type: Number, default: 0 },
+  reason: String
+}, { _id: false });
+
+const otLineSchema = new mongoose.Schema({
+  type:   { type: String, enum: ['manual', 'calc'] },
+  amount: { type: Number, default: 0 },
+  hours:  { type: Number, default: 0 },
+  rate:   { type: Number, default: 1 },
+  reason: String
+}, { _id: false });
+
+// Recurring earnings resolved for the period (see calcEarnings)
+const earningLineSchema = new mongoose.Schema({
+  componentId: { type: mongoose.Schema.Types.ObjectId, ref: 'EarningComponent' },
+  code:        String,
+  name:        String,
+  calcType:    { type: String, enum: ['fixed', 'percentOfBasic'] },
+  taxable:     { type: Boolean, default: true },
+  amount:      { type: Number, default: 0 }
+}, { _id: false });
+
+// Deduction generated by a LatePenaltyRule (see calcLatePenalties)
+const latePenaltyLineSchema = new mongoose.Schema({
+  ruleId: { type: mongoose.Schema.Types.ObjectId, ref: 'LatePenaltyRule' },
+  name:   String,
+  basis:  { type: String, enum: ['occurrences', 'minutes'] },
+  count:  { type: Number, default: 0 },   // late days, or minutes beyond grace
+  label:  String,
+  amount: { type: Number, default: 0 }
+}, { _id: false });
+
+// Overtime generated from hours beyond the schedule (see calcAutoOvertime)
+const autoOtLineSchema = new mongoose.Schema({
+  date:        String,   // dd/mm/yyyy
+  dayType:     { type: String, enum: ['weekday', 'weeklyOff', 'holiday'] },
+  hours:       { type: Number, default: 0 },
+  multiplier:  { type: Number, default: 1 },
+  premiumOnly: { type: Boolean, default: false },   // hourly: base pay already paid the hours once
+  amount:      { type: Number, default: 0 }
+}, { _id: false });
+
+// Night differential for one day (see calcNightDifferential)
+const nightLineSchema = new mongoose.Schema({
+  date:   String,   // dd/mm/yyyy
+  hours:  { type: Number, default: 0 },
+  amount: { type: Number, default: 0 }
+}, { _id: false });
+
+// Loan / advance installment recovered this period (see utils/loanCalculator.js)
+const loanLineSchema = new mongoose.Schema({
+  loan:         { type: mongoose.Schema.Types.ObjectId, ref: 'Loan' },
+  type:         { type: String, enum: ['loan', 'advance'] },
+  label:        String,
+  amount:       { type: Number, default: 0 },
+  balanceAfter: { type: Number, default: 0 }
+}, { _id: false });
+
 /**
  * A lightweight daily snapshot stored inside the PayrollRecord.
  * Mirrors the key fields from AttendanceLog.financials so the admin
@@ -13,15 +74,18 @@ import mongoose from 'mongoose';
  */
 const dailyBreakdownSchema = new mongoose.Schema({
   date:           { type: Date,   required: true },
-  status:         { type: String, enum: ['Present', 'Late', 'Leave', 'Absent'] },
+  status:         { type: String, enum: ['Present', 'Late', 'Early Leave', 'Half Day', 'Pending Regularization', 'Leave', 'Absent', 'Holiday'] },
   inTime:         String,   // HH:mm
   outTime:        String,   // HH:mm
+  outNextDay:     { type: Boolean, default: false },
   hoursWorked:    { type: Number, default: 0 },
   basePay:        { type: Number, default: 0 },
   deduction:      { type: Number, default: 0 },
   otHours:        { type: Number, default: 0 },
   otAmount:       { type: Number, default: 0 },
-  finalDayEarning:{ type: Number, default: 0 }
+  finalDayEarning:{ type: Number, default: 0 },
+  deductionDetails: { type: [deductionLineSchema], default: [] },
+  otDetails:        { type: [otLineSchema],        default: [] }
 }, { _id: false });
 
 const payrollRecordSchema = new mongoose.Schema({
@@ -36,6 +100,7 @@ const payrollRecordSchema = new mongoose.Schema({
   empNumber:  { type: String, required: true },
   empName:    { type: String, required: true },
   department: { type: String, required: true },
+  salaryType: { type: String, enum: ['hourly', 'monthly'], default: 'hourly' },
 
   // ── Pay period ────────────────────────────────────────────────────────────
   periodStart: { type: Date, required: true, index: true },
@@ -49,8 +114,11 @@ const payrollRecordSchema = new mongoose.Schema({
 
   // ── Attendance summary ────────────────────────────────────────────────────
   totalWorkingDays:  { type: Number, default: 0 },  // scheduled days in period
-  presentDays:       { type: Number, default: 0 },
+  presentDays:       { type: Number, default: 0 },  // every day worked, incl. late / early leave / half day
   lateDays:          { type: Number, default: 0 },
+  earlyLeaveDays:    { type: Number, default: 0 },
+  halfDays:          { type: Number, default: 0 },
+  pendingDays:       { type: Number, default: 0 },  // Pending Regularization — unpaid until corrected
   absentDays:        { type: Number, default: 0 },
   leaveDays:         { type: Number, default: 0 },
   totalHoursWorked:  { type: Number, default: 0 },
@@ -61,13 +129,34 @@ const payrollRecordSchema = new mongoose.Schema({
    * For hourly employees  → sum of daily basePay.
    * For monthly employees → monthlySalary (pro-rated if partial month).
    */
-  baseSalary:     { type: Number, default: 0, min: 0 },
-  totalDeduction: { type: Number, default: 0, min: 0 },
-  totalOtHours:   { type: Number, default: 0, min: 0 },
-  totalOtAmount:  { type: Number, default: 0, min: 0 },
+  baseSalary:      { type: Number, default: 0, min: 0 },
+  earnings:        { type: [earningLineSchema], default: [] },   // allowances
+  totalAllowances: { type: Number, default: 0, min: 0 },
+  totalDeduction:  { type: Number, default: 0, min: 0 },   // daily deductions + totalLatePenalty
+  latePenalties:    { type: [latePenaltyLineSchema], default: [] },
+  totalLatePenalty: { type: Number, default: 0, min: 0 },
+  totalOtHours:    { type: Number, default: 0, min: 0 },   // manual OT + totalAutoOtHours
+  totalOtAmount:   { type: Number, default: 0, min: 0 },   // manual OT + totalAutoOtAmount
+  autoOvertime:      { type: [autoOtLineSchema], default: [] },
+  totalAutoOtHours:  { type: Number, default: 0, min: 0 },
+  totalAutoOtAmount: { type: Number, default: 0, min: 0 },
+  nightDifferential:      { type: [nightLineSchema], default: [] },
+  totalNightHours:        { type: Number, default: 0, min: 0 },
+  totalNightDifferential: { type: Number, default: 0, min: 0 },
+
+  // ── Income tax (utils/taxCalculator.js) ──────────────────────────────────
+  taxableIncome:  { type: Number, default: 0, min: 0 },  // gross − non-taxable allowances − totalDeduction
+  incomeTax:      { type: Number, default: 0, min: 0 },  // withheld this period
+  ytdTax:         { type: Number, default: 0, min: 0 },  // fiscal year to date, including this period
+  taxYear:        { type: String, default: null },       // TaxYear.fiscalYear used
+
+  // ── Loan / advance recovery (after tax) ──────────────────────────────────
+  loanDeductions:     { type: [loanLineSchema], default: [] },
+  totalLoanDeduction: { type: Number, default: 0, min: 0 },
 
   /**
-   * netSalary = baseSalary - totalDeduction + totalOtAmount
+   * netSalary = baseSalary + totalAllowances - totalDeduction + totalOtAmount
+   *             + totalNightDifferential - incomeTax - totalLoanDeduction
    * Always recomputed on save.
    */
   netSalary: { type: Number, default: 0, min: 0 },
@@ -93,9 +182,17 @@ const payrollRecordSchema = new mongoose.Schema({
 
   approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee' },
   approvedAt: Date,
+  paidBy:     { type: mongoose.Schema.Types.ObjectId, ref: 'Employee' },
   paidAt:     Date,
   notes:      String,
 
+  // ── Payslip ───────────────────────────────────────────────────────────────
+  // Assigned from the 'payslip' Counter the first time the PDF is issued, so a
+  // printed payslip always maps back to one record and one set of figures.
+  // Reopening the period clears it; the regenerated record gets a new number.
+  payslipNumber:   { type: String, unique: true, sparse: true },
+  payslipIssuedAt: Date,
+
   // ── Audit ─────────────────────────────────────────────────────────────────
   generatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee' },
   isDeleted:   { type: Boolean, default: false, index: true }
@@ -109,9 +206,13 @@ payrollRecordSchema.index({ empId: 1, periodStart: 1, periodEnd: 1 }, { unique:
 payrollRecordSchema.pre('save', function (next) {
   this.netSalary = Math.max(
     0,
-    (this.baseSalary || 0)
-    - (this.totalDeduction || 0)
-    + (this.totalOtAmount  || 0)
+    (this.baseSalary        || 0)
+    + (this.totalAllowances || 0)
+    - (this.totalDeduction  || 0)
+    + (this.totalOtAmount   || 0)
+    + (this.totalNightDifferential || 0)
+    - (this.incomeTax       || 0)
+    - (this.totalLoanDeduction || 0)
   );
   next();
 });
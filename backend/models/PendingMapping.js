@@ -0,0 +1,47 @@
+// models/PendingMapping.js
+//
+// One document = one device enrollment ID that an attendance import could not
+// match to an employee, with the punches it carried. Admins link the ID to an
+// employee (creating a DeviceMapping) and reprocess the stored punches
+// (POST /api/attendance/reprocess-pending) without re-uploading the file.
+//
+//   pending   → waiting for a mapping
+//   processed → punches imported; `batch` is the ImportBatch that wrote them
+//   ignored   → not a person we pay (test enrolment, visitor card …)
+
+import mongoose from 'mongoose';
+
+const pendingPunchSchema = new mongoose.Schema({
+  date:      { type: Date, required: true },   // local midnight
+  time:      { type: String, required: true }, // HH:mm
+  status:    { type: Number, default: null },  // 0 in, 1 out, null untyped
+  firstName: String,
+  lastName:  String,
+  rawLine:   String,
+  clockDate: { type: Boolean, default: false },  // date is the punch's calendar day (device clock)
+  batch:     { type: mongoose.Schema.Types.ObjectId, ref: 'ImportBatch' }   // import that found it
+}, { _id: false });
+
+const pendingMappingSchema = new mongoose.Schema({
+
+  deviceId:     { type: String, required: true, uppercase: true },
+  deviceSerial: { type: String, uppercase: true, default: '' },
+
+  punches: [pendingPunchSchema],
+
+  status: { type: String, enum: ['pending', 'processed', 'ignored'], default: 'pending' },
+
+  batch:        { type: mongoose.Schema.Types.ObjectId, ref: 'ImportBatch' },   // set when processed
+  resolvedBy:   { type: mongoose.Schema.Types.ObjectId, ref: 'Employee' },
+  resolvedAt:   Date
+
+}, { timestamps: true });
+
+// One open queue entry per device ID; processed / ignored ones are history
+pendingMappingSchema.index(
+  { deviceSerial: 1, deviceId: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+const PendingMapping = mongoose.model('PendingMapping', pendingMappingSchema);
+export default PendingMapping;
@@ -25,21 +25,23 @@ const performanceRecordSchema = new mongoose.Schema({
 
   // ── Attendance-based metrics ──────────────────────────────────────────────
   totalWorkingDays: { type: Number, default: 0 },
-  presentDays:      { type: Number, default: 0 },
+  presentDays:      { type: Number, default: 0 },   // incl. late / early leave / half day
   lateDays:         { type: Number, default: 0 },
+  earlyLeaveDays:   { type: Number, default: 0 },
+  halfDays:         { type: Number, default: 0 },
   absentDays:       { type: Number, default: 0 },
   leaveDays:        { type: Number, default: 0 },
   totalHoursWorked: { type: Number, default: 0 },
   totalOtHours:     { type: Number, default: 0 },
 
   /**
-   * attendanceRate: (presentDays + leaveDays) / totalWorkingDays × 100
+   * attendanceRate: (presentDays − halfDays / 2 + leaveDays) / totalWorkingDays × 100
    * Recomputed on save.
    */
   attendanceRate: { type: Number, default: 0, min: 0, max: 100 },
 
   /**
-   * punctualityRate: presentDays that were NOT late / presentDays × 100
+   * punctualityRate: presentDays that were neither late nor left early / presentDays × 100
    * Recomputed on save.
    */
   punctualityRate: { type: Number, default: 0, min: 0, max: 100 },
@@ -87,11 +89,11 @@ performanceRecordSchema.pre('save', function (next) {
     // attendanceRate
     this.attendanceRate = Math.min(
       100,
-      ((this.presentDays + this.leaveDays) / total) * 100
+      ((this.presentDays - (this.halfDays || 0) / 2 + this.leaveDays) / total) * 100
     );
 
     // punctualityRate
-    const onTimeDays = Math.max(0, this.presentDays - this.lateDays);
+    const onTimeDays = Math.max(0, this.presentDays - this.lateDays - (this.earlyLeaveDays || 0));
     this.punctualityRate = this.presentDays > 0
       ? (onTimeDays / this.presentDays) * 100
       : 100;
@@ -0,0 +1,52 @@
+// models/PeriodLock.js
+//
+// One document = one locked pay period. While status is 'locked', every
+// attendance write path (save-row, CSV import, leave + correction approval)
+// refuses to touch dates inside [periodStart, periodEnd].
+//
+// Locks are created automatically when payroll for the period is approved,
+// and can only be reopened by a superadmin with a recorded reason.
+
+import mongoose from 'mongoose';
+
+const lockEventSchema = new mongoose.Schema({
+  action: { type: String, enum: ['locked', 'reopened'], required: true },
+  by:     { type: mongoose.Schema.Types.ObjectId, ref: 'Employee' },
+  at:     { type: Date, default: Date.now },
+  reason: { type: String, trim: true }
+}, { _id: false });
+
+const periodLockSchema = new mongoose.Schema({
+
+  periodStart: { type: Date, required: true, index: true },
+  periodEnd:   { type: Date, required: true, index: true },
+  periodLabel: String,
+
+  /**
+   * locked   → attendance inside the period is read-only
+   * reopened → a superadmin reopened it; writes are allowed again until
+   *            payroll for the period is approved once more
+   */
+  status: {
+    type: String,
+    enum: ['locked', 'reopened'],
+    default: 'locked',
+    index: true
+  },
+
+  lockedBy:     { type: mongoose.Schema.Types.ObjectId, ref: 'Employee' },
+  lockedAt:     Date,
+  reopenedBy:   { type: mongoose.Schema.Types.ObjectId, ref: 'Employee' },
+  reopenedAt:   Date,
+  reopenReason: String,
+
+  // Full audit trail — every lock / reopen is appended, never rewritten
+  history: { type: [lockEventSchema], default: [] }
+
+}, { timestamps: true });
+
+// ─── One lock document per exact period ──────────────────────────────────────
+periodLockSchema.index({ periodStart: 1, periodEnd: 1 }, { unique: true });
+
+const PeriodLock = mongoose.model('PeriodLock', periodLockSchema);
+export default PeriodLock;
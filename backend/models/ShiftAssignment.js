@@ -0,0 +1,28 @@
+// models/ShiftAssignment.js
+//
+// One document = one employee rostered on one shift template for one day.
+// Written by the roster screen: single cells, bulk ranges and rotations
+// (see routes/roster.js). Days with no document use Employee.shift.
+//
+// Read through utils/roster.js, which resolves the shift for a day.
+
+import mongoose from 'mongoose';
+
+const shiftAssignmentSchema = new mongoose.Schema({
+
+  empId: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee',      required: true },
+  date:  { type: Date, required: true },   // local midnight
+  shift: { type: mongoose.Schema.Types.ObjectId, ref: 'ShiftTemplate', required: true },
+
+  source: { type: String, enum: ['manual', 'bulk', 'rotation'], default: 'manual' },
+
+  assignedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee' }
+
+}, { timestamps: true });
+
+// One shift per employee per day
+shiftAssignmentSchema.index({ empId: 1, date: 1 }, { unique: true });
+shiftAssignmentSchema.index({ shift: 1 });
+
+const ShiftAssignment = mongoose.model('ShiftAssignment', shiftAssignmentSchema);
+export default ShiftAssignment;
@@ -0,0 +1,26 @@
+// models/ShiftTemplate.js
+//
+// Named shift used by the roster (Morning 06:00–15:00, Night 22:00–07:00, …).
+// Employees are put on a template for a given day through ShiftAssignment;
+// days without an assignment fall back to Employee.shift.
+//
+// Templates that are still rostered are deactivated rather than deleted.
+
+import mongoose from 'mongoose';
+
+const shiftTemplateSchema = new mongoose.Schema({
+
+  name:  { type: String, required: true, trim: true },
+  code:  { type: String, required: true, unique: true, uppercase: true, trim: true },  // e.g. "NIGHT"
+  start: { type: String, required: true },   // HH:mm
+  end:   { type: String, required: true },   // HH:mm — earlier than start for a night shift
+
+  color:    { type: String, enum: ['amber', 'indigo', 'green', 'red', 'blue', 'purple'], default: 'blue' },
+  isActive: { type: Boolean, default: true, index: true },
+
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee' }
+
+}, { timestamps: true });
+
+const ShiftTemplate = mongoose.model('ShiftTemplate', shiftTemplateSchema);
+export default ShiftTemplate;
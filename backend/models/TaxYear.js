@@ -0,0 +1,40 @@
+// models/TaxYear.js
+//
+// One document = the income-tax schedule for one fiscal year (e.g. Jul–Jun).
+// Each slab taxes annual income above `from` as:
+//
+//   tax = fixed + (income − from) × rate / 100      for from < income ≤ to
+//
+// `to: null` marks the open-ended top slab. Slabs are kept sorted by `from`.
+
+import mongoose from 'mongoose';
+
+const slabSchema = new mongoose.Schema({
+  from:  { type: Number, required: true, min: 0 },   // annual income, exclusive lower bound
+  to:    { type: Number, default: null, min: 0 },    // inclusive upper bound; null = no limit
+  fixed: { type: Number, default: 0,    min: 0 },    // fixed annual tax at the slab start
+  rate:  { type: Number, default: 0,    min: 0, max: 100 }  // % on income above `from`
+}, { _id: false });
+
+const taxYearSchema = new mongoose.Schema({
+
+  fiscalYear: { type: String, required: true, unique: true, trim: true },  // e.g. "2025-26"
+  startDate:  { type: Date,   required: true, index: true },
+  endDate:    { type: Date,   required: true, index: true },
+
+  slabs: { type: [slabSchema], default: [] },
+  notes: String,
+
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee' },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Employee' }
+
+}, { timestamps: true });
+
+// ─── Keep slabs ordered so the engine can scan them in sequence ──────────────
+taxYearSchema.pre('save', function (next) {
+  this.slabs.sort((a, b) => a.from - b.from);
+  next();
+});
+
+const TaxYear = mongoose.model('TaxYear', taxYearSchema);
+export default TaxYear;
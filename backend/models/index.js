@@ -6,6 +6,20 @@ import LeaveRequest      from './LeaveRequest.js';
 import CorrectionRequest from './CorrectionRequest.js';
 import PayrollRecord     from './PayrollRecord.js';
 import PerformanceRecord from './PerformanceRecord.js';
+import PeriodLock        from './PeriodLock.js';
+import Counter           from './Counter.js';
+import TaxYear           from './TaxYear.js';
+import EarningComponent  from './EarningComponent.js';
+import Loan              from './Loan.js';
+import FinalSettlement   from './FinalSettlement.js';
+import CompanySettings   from './CompanySettings.js';
+import Holiday           from './Holiday.js';
+import ShiftTemplate     from './ShiftTemplate.js';
+import ShiftAssignment   from './ShiftAssignment.js';
+import ImportBatch       from './ImportBatch.js';
+import ImportProfile     from './ImportProfile.js';
+import DeviceMapping     from './DeviceMapping.js';
+import PendingMapping    from './PendingMapping.js';
 
 export {
   Employee,
@@ -13,7 +27,21 @@ export {
   LeaveRequest,
   CorrectionRequest,
   PayrollRecord,
-  PerformanceRecord
+  PerformanceRecord,
+  PeriodLock,
+  Counter,
+  TaxYear,
+  EarningComponent,
+  Loan,
+  FinalSettlement,
+  CompanySettings,
+  Holiday,
+  ShiftTemplate,
+  ShiftAssignment,
+  ImportBatch,
+  ImportProfile,
+  DeviceMapping,
+  PendingMapping
 };
 
 export default {
@@ -22,5 +50,19 @@ export default {
   LeaveRequest,
   CorrectionRequest,
   PayrollRecord,
-  PerformanceRecord
+  PerformanceRecord,
+  PeriodLock,
+  Counter,
+  TaxYear,
+  EarningComponent,
+  Loan,
+  FinalSettlement,
+  CompanySettings,
+  Holiday,
+  ShiftTemplate,
+  ShiftAssignment,
+  ImportBatch,
+  ImportProfile,
+  DeviceMapping,
+  PendingMapping
 };
\ No newline at end of file
@@ -2,12 +2,28 @@
 
 import express from 'express';
 import multer from 'multer';
+import { createHash } from 'crypto';
 import AttendanceLog from '../models/AttendanceLog.js';
 import Employee from '../models/Employee.js';
+import ImportBatch from '../models/ImportBatch.js';
+import ImportProfile from '../models/ImportProfile.js';
+import PendingMapping from '../models/PendingMapping.js';
 import { adminAuth } from '../middleware/auth.js';
 import validateCSVFile from '../middleware/csvValidator.js';
-import { parseCSV, groupByEmployeeAndDate, mergeTimes } from '../utils/csvParser.js';
-import { formatDate, formatDateTimeForDisplay, parseDDMMYYYY } from '../utils/dateUtils.js';
+import { groupByEmployeeAndDate, mergeTimes } from '../utils/csvParser.js';
+import { ACCEPTED_EXTENSIONS, parseImportFile, inferPunchTypes, assignOvernightPunches } from '../utils/importAdapters.js';
+import { resolveDeviceRows, summariseUnmapped, queueUnmapped } from '../utils/deviceMapping.js';
+import { runAbsenceSweep } from '../utils/absenceSweep.js';
+import { formatDate, formatDateTimeForDisplay, parseDDMMYYYY, endOfDay } from '../utils/dateUtils.js';
+import { getHoliday, isPublicHoliday } from '../utils/holidays.js';
+import { isWeekend } from '../utils/companySettings.js';
+import {
+  workedDayHours, dayStatus, missingPunchPay, WORKED_STATUSES, PENDING_REGULARIZATION
+} from '../utils/timeCalculator.js';
+import { loadRoster, shiftFor, getShiftForDate } from '../utils/roster.js';
+import {
+  findLockForRange, loadLocksForRange, findCoveringLock, lockedMessage, lockedResponse
+} from '../utils/periodLock.js';
 
 const router = express.Router();
 
@@ -30,9 +46,10 @@ const upload = multer({
   storage: multer.memoryStorage(),
   limits: { fileSize: 5 * 1024 * 1024 },
   fileFilter: (_req, file, cb) => {
+    const name = file.originalname.toLowerCase();
     const ok = file.mimetype.includes('csv') ||
                file.mimetype.includes('text') ||
-               file.originalname.endsWith('.csv');
+               ACCEPTED_EXTENSIONS.some(ext => name.endsWith(ext));
     cb(ok ? null : new Error('Invalid file type'), ok);
   }
 });
@@ -62,10 +79,25 @@ function shiftHours(shift) {
   return calcHours(shift.start, shift.end, toMin(shift.end) < toMin(shift.start));
 }
 
-/** Returns true if inTime is strictly after shiftStart */
-function isLate(inTime, shiftStart) {
-  if (!inTime || !shiftStart) return false;
-  return toMin(inTime) > toMin(shiftStart);
+/** AttendanceLog.shift snapshot of a shift resolved by utils/roster.js */
+function shiftSnapshot(shift) {
+  return {
+    start:        shift.start,
+    end:          shift.end,
+    isNightShift: toMin(shift.end) < toMin(shift.start),
+    name:         shift.name || undefined
+  };
+}
+
+/**
+ * Status for a day from its punches (utils/timeCalculator.js dayStatus) —
+ * Half Day is judged on the same worked hours buildFinancials pays.
+ */
+function punchStatus({ inTime, outTime, outNextDay = false, punches = [], shift }) {
+  const { hoursWorked } = inTime && outTime
+    ? workedDayHours({ inTime, outTime, outNextDay, punches })
+    : { hoursWorked: 0 };
+  return dayStatus({ inTime, outTime, outNextDay, hoursWorked, shift });
 }
 
 /**
@@ -117,31 +149,30 @@ function applyNightShiftPairing(shiftStart, punchTimes) {
 /**
  * Build the financials sub-document consistently.
  * Used by both CSV import and save-row so the logic is never duplicated.
+ * Worked days use utils/timeCalculator.js workedDayHours (punch pairs and
+ * the company break allowance); days with one punch follow the company
+ * missing-punch policy (missingPunchPay).
  */
 function buildFinancials({
-  status, inTime, outTime, outNextDay = false,
+  status, inTime, outTime, outNextDay = false, punches = [],
   shift, hourlyRate,
   otHours = 0, otMultiplier = 1, otDetails = [],
   deduction = 0, deductionDetails = []
 }) {
   let hoursWorked  = 0;
+  let breakHours   = 0;
   let scheduledHrs = shiftHours(shift);
   let basePay      = 0;
 
   if (status === 'Leave') {
     hoursWorked = scheduledHrs;
     basePay     = hoursWorked * hourlyRate;
-  } else if ((status === 'Present' || status === 'Late') && inTime && outTime) {
-    hoursWorked = calcHours(inTime, outTime, outNextDay);
-    basePay     = hoursWorked * hourlyRate;
-  } else if (inTime && !outTime) {
-    // Only check-in: 50 % of scheduled pay
-    hoursWorked = scheduledHrs;
-    basePay     = hoursWorked * hourlyRate * 0.5;
-  } else if (!inTime && outTime) {
-    // Only check-out: 50 % of scheduled pay
-    hoursWorked = scheduledHrs;
-    basePay     = hoursWorked * hourlyRate * 0.5;
+  } else if (WORKED_STATUSES.includes(status) && inTime && outTime) {
+    ({ hoursWorked, breakHours } = workedDayHours({ inTime, outTime, outNextDay, punches }));
+    basePay = hoursWorked * hourlyRate;
+  } else if (inTime || outTime) {
+    // Only check-in or only check-out
+    ({ hoursWorked, basePay } = missingPunchPay(scheduledHrs, hourlyRate));
   }
   // Absent: basePay stays 0
 
@@ -161,6 +192,7 @@ function buildFinancials({
   return {
     hoursWorked,
     scheduledHours: scheduledHrs,
+    breakHours,
     basePay,
     deduction:        totalDeduction,
     deductionDetails,
@@ -174,7 +206,295 @@ function buildFinancials({
   };
 }
 
+// ─── import plan ──────────────────────────────────────────────────────────────
+// Parses the file (CSV, ZKTeco attlog or XLSX — utils/importAdapters.js) and
+// works out, per employee-day, what the import would do —
+// create, update or skip — without writing anything. POST /import-csv either
+// returns the plan as a preview (dryRun) or applies it.
+
+/** The fields of a day shown side by side in the preview */
+const diffFields = (r) => (r ? {
+  status:          r.status,
+  in:              r.inOut?.in  || null,
+  out:             r.inOut?.out || null,
+  outNextDay:      Boolean(r.inOut?.outNextDay),
+  hoursWorked:     r.financials?.hoursWorked     || 0,
+  finalDayEarning: r.financials?.finalDayEarning || 0
+} : null);
+
+/**
+ * Build the import plan for an uploaded file (multer `req.file`). `format`
+ * forces an adapter and `profile` (an ImportProfile) a delimited layout;
+ * otherwise the format is detected. `deviceSerial` is the terminal the file
+ * came from, for rows that do not name one. Appends to `log` as it goes.
+ * Returns { format, parsed, errors, items, unmapped, fileHash, batchHash, duplicateOf }
+ * (items and unmapped as planRows).
+ * fileHash is the sha256 of the file alone (matched against earlier ImportBatches);
+ * batchHash also fingerprints every existing record and device mapping it touches, so a confirmed
+ * import can prove it is applying exactly what was previewed.
+ */
+async function planImport(file, { format, profile, deviceSerial }, userId, log) {
+  const { format: detected, label, parsed, errors } = await parseImportFile(file, format, profile);
+  if (label) log.push({ type: 'INFO', message: `📄 Format: ${label}` });
+  errors.forEach(e => log.push({ type: 'ERROR', message: `Row ${e.rowNumber}: ${e.error}` }));
+  if (deviceSerial) parsed.forEach(r => { r.deviceSerial ||= deviceSerial.trim().toUpperCase(); });
+
+  const untyped = parsed.filter(r => r.status == null).length;
+  if (untyped) {
+    log.push({ type: 'INFO', message: `ℹ️ ${untyped} punch(es) carry no IN/OUT state — typed from each day's shift` });
+  }
+
+  const fileHash = createHash('sha256').update(file.buffer).digest('hex');
+  if (parsed.length === 0) {
+    return { format: detected, parsed, errors, items: [], unmapped: [], fileHash, batchHash: null, duplicateOf: null };
+  }
+
+  // The same file imported before (and not rolled back) is usually a mistake
+  const duplicate = await ImportBatch.findOne({ fileHash, status: 'applied' })
+    .sort({ createdAt: -1 })
+    .populate('uploadedBy', 'firstName lastName')
+    .select('fileName createdAt uploadedBy')
+    .lean();
+  const duplicateOf = duplicate && {
+    _id:        duplicate._id,
+    fileName:   duplicate.fileName,
+    importedAt: duplicate.createdAt,
+    importedBy: duplicate.uploadedBy ? `${duplicate.uploadedBy.firstName} ${duplicate.uploadedBy.lastName}` : null
+  };
+  if (duplicateOf) {
+    log.push({
+      type: 'WARN',
+      message: `⚠️ This exact file was already imported as "${duplicateOf.fileName}" on ${formatDateTimeForDisplay(duplicateOf.importedAt)}${duplicateOf.importedBy ? ` by ${duplicateOf.importedBy}` : ''}`
+    });
+  }
+
+  log.push({ type: 'INFO', message: `✓ Parsed ${parsed.length} valid row(s)` });
+
+  const { items, unmapped, existingLogs, mappings, firstDate, lastDate } = await planRows(parsed, userId, log);
+
+  const state = [...existingLogs, ...mappings]
+    .map(l => `${l._id}:${new Date(l.updatedAt).getTime()}`)
+    .sort();
+  // The profile changes how the same bytes are read, so it is part of the batch
+  if (profile) state.push(`profile:${profile._id}:${new Date(profile.updatedAt).getTime()}`);
+  if (deviceSerial) state.push(`serial:${deviceSerial.trim().toUpperCase()}`);
+  const batchHash = createHash('sha256').update(file.buffer).update(state.join('|')).digest('hex');
+
+  return { format: detected, parsed, errors, items, unmapped, fileHash, batchHash, duplicateOf, firstDate, lastDate };
+}
+
+/**
+ * Plan parsed punch rows (from a file or the pending-mapping queue).
+ * Returns { items, unmapped, existingLogs, mappings, firstDate, lastDate } where each item is
+ *   { empNumber, empName, dateStr, date, rowCount, action, reason, existing, employee, payload }
+ * and unmapped holds the rows whose ID matched no employee (utils/deviceMapping.js).
+ */
+async function planRows(parsed, userId, log) {
+  // Device IDs and employee numbers → employees, in one pass to avoid N+1.
+  // Only superadmin is excluded — admin is a valid payroll participant.
+  const { employees, unmapped, mappings } = await resolveDeviceRows(parsed);
+  const empMap = Object.fromEntries(employees.map(e => [e.employeeNumber, e]));
+
+  const unknownIds = summariseUnmapped(unmapped);
+  if (unknownIds.length) {
+    log.push({
+      type: 'WARN',
+      message: `🕓 ${unknownIds.length} unknown device ID(s) (${unknownIds.map(u => u.deviceId).join(', ')}) — their punches wait in the pending mapping queue`
+    });
+  }
+
+  // Rostered shifts for the whole file — pairing, lateness and pay use the day's shift.
+  // From the day before: a device-dated punch after midnight can belong to that night's shift.
+  const fileStart = parsed.reduce((m, r) => (r.date < m ? r.date : m), parsed[0].date);
+  const fileEnd   = parsed.reduce((m, r) => (r.date > m ? r.date : m), parsed[0].date);
+  const dayBefore = new Date(fileStart.getFullYear(), fileStart.getMonth(), fileStart.getDate() - 1);
+  const roster    = await loadRoster(employees.map(e => e._id), dayBefore, fileEnd);
+
+  const moved = assignOvernightPunches(parsed, (empId, date) => empMap[empId] && shiftFor(empMap[empId], date, roster));
+  if (moved) log.push({ type: 'INFO', message: `🌙 ${moved} after-midnight punch(es) moved to their night shift's start date` });
+
+  const grouped = groupByEmployeeAndDate(parsed);
+  log.push({ type: 'INFO', message: `📦 ${Object.keys(grouped).length} employee-date group(s)` });
+
+  // Locked pay periods are read-only — load them once for the whole file
+  const firstDate = parsed.reduce((m, r) => (r.date < m ? r.date : m), parsed[0].date);
+  const lastDate  = parsed.reduce((m, r) => (r.date > m ? r.date : m), parsed[0].date);
+  const locks     = await loadLocksForRange(firstDate, lastDate);
+
+  // Existing attendance for the whole file, keyed "empId|dd/mm/yyyy"
+  const existingLogs = await AttendanceLog.find({
+    empId: { $in: employees.map(e => e._id) },
+    date:  { $gte: firstDate, $lte: endOfDay(lastDate) }
+  }).lean();
+  const existingMap = Object.fromEntries(existingLogs.map(l => [`${l.empId}|${formatDate(l.date)}`, l]));
+
+  const items = [];
+
+  for (const [, groupData] of Object.entries(grouped)) {
+    const { empId, firstName, lastName, dateStr, date, rows } = groupData;
+    const nameInFile = `${firstName} ${lastName}`.trim();   // device exports carry no names
+    const item = {
+      empNumber: empId,
+      empName:   nameInFile,
+      dateStr, date,
+      rowCount:  rows.length,
+      action:    'skip',
+      reason:    null,
+      existing:  null,
+      employee:  null,
+      payload:   null
+    };
+    items.push(item);
+
+    log.push({ type: 'INFO', message: `\n👤 ${empId}${nameInFile ? ` (${nameInFile})` : ''} — ${dateStr}` });
+
+    const employee = empMap[empId];
+    if (!employee) {
+      item.reason = `Device / employee ID ${empId} is not mapped to an employee — queued for mapping`;
+      log.push({ type: 'WARN', message: `  ⚠️ ${item.reason}. Skipped.` });
+      continue;
+    }
+    item.employee = employee;
+    item.empName  = `${employee.firstName} ${employee.lastName}`;
+    item.existing = existingMap[`${employee._id}|${dateStr}`] || null;
+
+    const lock = findCoveringLock(locks, date);
+    if (lock) {
+      item.reason = lockedMessage(lock);
+      log.push({ type: 'WARN', message: `  🔒 Skipped — ${item.reason}` });
+      continue;
+    }
+
+    const shift = shiftFor(employee, date, roster);
+    if (shift.name) log.push({ type: 'INFO', message: `  🗓️ Rostered: ${shift.name} (${shift.start}–${shift.end})` });
+
+    // ── apply 14-hour pairing rule (req #4) ──────────────────────────────────
+    const punchTimes = rows.map(r => r.time).filter(Boolean);
+    const merged     = mergeTimes(inferPunchTypes(rows, shift.start), shift.start);
+
+    let inTime, outTime, outNextDay, punches;
+
+    if (merged.inTime || merged.outTime) {
+      inTime     = merged.inTime;
+      outTime    = merged.outTime;
+      outNextDay = merged.outNextDay || false;
+      punches    = merged.punches;
+    } else {
+      ({ inTime, outTime, outNextDay } = applyNightShiftPairing(shift.start, punchTimes));
+      punches = [{ in: inTime, out: outTime, inNextDay: false, outNextDay }];
+    }
+
+    if (inTime)  log.push({ type: 'INFO', message: `  ✓ In:  ${inTime}` });
+    if (outTime) log.push({ type: 'INFO', message: `  ✓ Out: ${outTime}${outNextDay ? ' (next day)' : ''}` });
+    if (punches.length > 1) {
+      log.push({ type: 'INFO', message: `  ✓ ${punches.length} punch pairs: ${punches.map(p => `${p.in || '--'}–${p.out || '--'}`).join(', ')}` });
+    }
+
+    // ── determine status ──────────────────────────────────────────────────────
+    const status = punchStatus({ inTime, outTime, outNextDay, punches, shift });
+
+    // ── build financials ──────────────────────────────────────────────────────
+    const financials = buildFinancials({
+      status, inTime, outTime, outNextDay, punches,
+      shift, hourlyRate: employee.hourlyRate
+    });
+
+    log.push({ type: 'INFO', message: `  💰 ${hoursLabel(financials)} | Status: ${status}` });
+
+    if (item.existing?.manualOverride) {
+      item.reason = 'Record has a manual override — use save-row to update it';
+      log.push({ type: 'WARN', message: `  ⚠️ Skipped — record has manual override. Use save-row to update.` });
+      continue;
+    }
+
+    item.action  = item.existing ? 'update' : 'create';
+    item.payload = {
+      empNumber:     employee.employeeNumber,
+      empName:       `${employee.firstName} ${employee.lastName}`,
+      department:    employee.department,
+      status,
+      inOut:         { in: inTime || null, out: outTime || null, outNextDay: outNextDay || false },
+      punches,
+      shift:         shiftSnapshot(shift),
+      hourlyRate:    employee.hourlyRate,
+      financials,
+      manualOverride: false,
+      metadata: {
+        source:         'csv',
+        lastUpdatedBy:  userId,
+        lastModifiedAt: new Date()
+      }
+    };
+  }
+
+  return { items, unmapped, existingLogs, mappings, firstDate, lastDate };
+}
+
+/**
+ * Write the create/update items of a plan. Every write is recorded with the
+ * prior state so the batch can be rolled back (models/ImportBatch.js).
+ * Returns { changes, rowsSuccess, recordsCreated, recordsUpdated }.
+ */
+async function applyPlan(items, log) {
+  let rowsSuccess = 0, recordsCreated = 0, recordsUpdated = 0;
+  const changes = [];
+
+  for (const item of items.filter(i => i.action !== 'skip')) {
+    const label = `${item.empNumber} — ${item.dateStr}`;
+    try {
+      if (item.action === 'update') {
+        // save() rather than an update query, so the pre-save hook clears a
+        // filled-in missingPunch and recomputes the derived fields
+        const doc = await AttendanceLog.findById(item.existing._id);
+        if (!doc) throw new Error('record no longer exists');
+        doc.set(item.payload);
+        const updated = await doc.save();
+        changes.push({
+          log: item.existing._id, action: 'updated', empNumber: item.empNumber, date: item.date,
+          before: item.existing, afterUpdatedAt: updated.updatedAt
+        });
+        recordsUpdated++;
+        log.push({ type: 'SUCCESS', message: `✓ Updated ${label} (${item.payload.status})` });
+      } else {
+        const created = await AttendanceLog.create({ date: item.date, empId: item.employee._id, ...item.payload });
+        changes.push({
+          log: created._id, action: 'created', empNumber: item.empNumber, date: item.date,
+          afterUpdatedAt: created.updatedAt
+        });
+        recordsCreated++;
+        log.push({ type: 'SUCCESS', message: `✓ Created ${label} (${item.payload.status})` });
+      }
+      rowsSuccess += item.rowCount;
+    } catch (dbErr) {
+      log.push({ type: 'ERROR', message: `✗ ${label} — DB error: ${dbErr.message}` });
+    }
+  }
+
+  return { changes, rowsSuccess, recordsCreated, recordsUpdated };
+}
+
+/** Processing summary in the shape the import modal shows */
+const planSummary = ({ parsed, errors, items }) => ({
+  total:          parsed.length,
+  success:        items.filter(i => i.action !== 'skip').reduce((n, i) => n + i.rowCount, 0),
+  failed:         errors.length,
+  skipped:        items.filter(i => i.action === 'skip').reduce((n, i) => n + i.rowCount, 0),
+  recordsCreated: items.filter(i => i.action === 'create').length,
+  recordsUpdated: items.filter(i => i.action === 'update').length
+});
+
 // ─── POST /api/attendance/import-csv ─────────────────────────────────────────
+// Form fields (multipart, alongside csvFile — a .csv, ZKTeco .dat or .xlsx):
+//   format=csv|zkteco|xlsx → force the file format (default: detected)
+//   profileId    → read a delimited file with a saved ImportProfile layout
+//   deviceSerial → the terminal the file came from, for device ID mappings
+//   dryRun=true  → return the per-day preview and batchHash; nothing is saved
+//   batchHash    → optional on the real import: refuse (409) unless the file and
+//                  the attendance it touches are unchanged since that preview
+// A real import is recorded as an ImportBatch (prior state of every record it
+// writes) — see routes/importBatches.js for history and rollback. Rows whose ID
+// matches no employee or device mapping are queued as PendingMapping entries
+// (routes/deviceMappings.js) and imported by POST /reprocess-pending once mapped.
 
 router.post(
   '/import-csv',
@@ -182,142 +502,117 @@ router.post(
   upload.single('csvFile'),
   validateCSVFile,
   async (req, res) => {
-    const log = [];
-    let rowsProcessed = 0, rowsSuccess = 0, rowsSkipped = 0;
-    let recordsCreated = 0, recordsUpdated = 0;
+    const log    = [];
+    const dryRun = String(req.body?.dryRun ?? req.query.dryRun) === 'true';
+    let summary  = { total: 0, success: 0, failed: 0, skipped: 0, recordsCreated: 0, recordsUpdated: 0 };
 
     try {
-      const csvContent = req.file.buffer.toString('utf-8');
       log.push({ type: 'INFO', message: `📁 File: ${req.file.originalname} (${req.file.size} bytes)` });
 
-      const { parsed, errors } = parseCSV(csvContent);
-      errors.forEach(e => log.push({ type: 'ERROR', message: `Row ${e.rowNumber}: ${e.error}` }));
+      let profile = null;
+      if (req.body?.profileId) {
+        profile = await ImportProfile.findOne({ _id: req.body.profileId, isActive: true }).lean();
+        if (!profile) {
+          return res.status(404).json({ success: false, message: 'Import profile not found or inactive', processingLog: log });
+        }
+      }
 
-      rowsProcessed = parsed.length;
+      const plan = await planImport(
+        req.file,
+        { format: req.body?.format, profile, deviceSerial: req.body?.deviceSerial },
+        req.userId,
+        log
+      );
+      summary = planSummary(plan);
 
-      if (parsed.length === 0) {
+      if (plan.parsed.length === 0) {
         return res.status(400).json({
           success: false,
-          message: 'No valid rows found in CSV file',
+          message: 'No valid rows found in the file',
           processingLog: log,
-          summary: { total: 0, success: 0, failed: errors.length, skipped: 0, recordsCreated: 0, recordsUpdated: 0 }
+          summary
         });
       }
 
-      log.push({ type: 'INFO', message: `✓ Parsed ${parsed.length} valid row(s)` });
-
-      // Pre-load all referenced employees in one query to avoid N+1.
-      // Only superadmin is excluded — admin is a valid payroll participant.
-      const empNumbers = [...new Set(parsed.map(r => r.empId))];
-      const employees  = await Employee.find({
-        employeeNumber: { $in: empNumbers },
-        role: { $nin: SYSTEM_ROLES },   // excludes superadmin only
-        isDeleted: false
-      }).lean();
-      const empMap = Object.fromEntries(employees.map(e => [e.employeeNumber, e]));
-
-      const grouped = groupByEmployeeAndDate(parsed);
-      log.push({ type: 'INFO', message: `📦 ${Object.keys(grouped).length} employee-date group(s)` });
-
-      for (const [, groupData] of Object.entries(grouped)) {
-        const { empId, firstName, lastName, dateStr, date, rows } = groupData;
-
-        log.push({ type: 'INFO', message: `\n👤 ${empId} (${firstName} ${lastName}) — ${dateStr}` });
-
-        const employee = empMap[empId];
-        if (!employee) {
-          log.push({ type: 'WARN', message: `  ⚠️ Employee #${empId} not found or is a superadmin account. Skipped.` });
-          rowsSkipped += rows.length;
-          continue;
-        }
-
-        // ── apply 14-hour pairing rule (req #4) ──────────────────────────────
-        const punchTimes = rows.map(r => r.time).filter(Boolean);
-        const merged     = mergeTimes(rows);
-
-        let inTime, outTime, outNextDay;
-
-        if (merged.inTime || merged.outTime) {
-          inTime     = merged.inTime;
-          outTime    = merged.outTime;
-          outNextDay = merged.outNextDay || false;
-        } else {
-          ({ inTime, outTime, outNextDay } = applyNightShiftPairing(employee.shift.start, punchTimes));
-        }
-
-        if (inTime)  log.push({ type: 'INFO', message: `  ✓ In:  ${inTime}` });
-        if (outTime) log.push({ type: 'INFO', message: `  ✓ Out: ${outTime}${outNextDay ? ' (next day)' : ''}` });
-
-        // ── determine status ──────────────────────────────────────────────────
-        let status = 'Absent';
-        if (inTime || outTime) {
-          status = (inTime && isLate(inTime, employee.shift.start)) ? 'Late' : 'Present';
-        }
+      // ── preview ─────────────────────────────────────────────────────────────
+      if (dryRun) {
+        log.push({
+          type: 'SUMMARY',
+          message: `🔍 PREVIEW — Create: ${summary.recordsCreated} | Update: ${summary.recordsUpdated} | Skipped rows: ${summary.skipped} | Errors: ${summary.failed}. Nothing has been saved.`
+        });
+        return res.json({
+          success:   true,
+          dryRun:    true,
+          message:   'Preview only — nothing was saved',
+          batchHash: plan.batchHash,
+          duplicateOf: plan.duplicateOf,
+          unmapped:  summariseUnmapped(plan.unmapped),
+          processingLog: log,
+          summary,
+          preview: plan.items.map(i => ({
+            empNumber: i.empNumber,
+            empName:   i.empName,
+            date:      i.dateStr,
+            rows:      i.rowCount,
+            action:    i.action,
+            reason:    i.reason,
+            before:    diffFields(i.existing),
+            after:     diffFields(i.payload)
+          }))
+        });
+      }
 
-        // ── build financials ──────────────────────────────────────────────────
-        const financials = buildFinancials({
-          status, inTime, outTime, outNextDay,
-          shift: employee.shift, hourlyRate: employee.hourlyRate
+      if (req.body?.batchHash && req.body.batchHash !== plan.batchHash) {
+        return res.status(409).json({
+          success: false,
+          error:   'PREVIEW_STALE',
+          message: 'The file or the attendance it touches has changed since the preview. Preview it again before importing.',
+          processingLog: log
         });
+      }
 
-        log.push({ type: 'INFO', message: `  💰 ${hoursLabel(financials)} | Status: ${status}` });
-
-        // ── upsert attendance log ─────────────────────────────────────────────
-        try {
-          const existing = await AttendanceLog.findOne({ empId: employee._id, date });
-
-          const payload = {
-            empNumber:     employee.employeeNumber,
-            empName:       `${employee.firstName} ${employee.lastName}`,
-            department:    employee.department,
-            status,
-            inOut:         { in: inTime || null, out: outTime || null, outNextDay: outNextDay || false },
-            shift: {
-              start:        employee.shift.start,
-              end:          employee.shift.end,
-              isNightShift: toMin(employee.shift.end) < toMin(employee.shift.start)
-            },
-            hourlyRate:    employee.hourlyRate,
-            financials,
-            manualOverride: false,
-            metadata: {
-              source:         'csv',
-              lastUpdatedBy:  req.userId,
-              lastModifiedAt: new Date()
-            }
-          };
-
-          if (existing) {
-            if (existing.manualOverride) {
-              log.push({ type: 'WARN', message: `  ⚠️ Skipped — record has manual override. Use save-row to update.` });
-              rowsSkipped += rows.length;
-              continue;
-            }
-            await AttendanceLog.updateOne({ _id: existing._id }, { $set: payload });
-            recordsUpdated++;
-            log.push({ type: 'SUCCESS', message: `  ✓ Updated (${status})` });
-          } else {
-            await AttendanceLog.create({ date, empId: employee._id, ...payload });
-            recordsCreated++;
-            log.push({ type: 'SUCCESS', message: `  ✓ Created (${status})` });
-          }
-
-          rowsSuccess += rows.length;
-        } catch (dbErr) {
-          log.push({ type: 'ERROR', message: `  ✗ DB error: ${dbErr.message}` });
-        }
+      // ── apply ───────────────────────────────────────────────────────────────
+      const { changes, rowsSuccess, recordsCreated, recordsUpdated } = await applyPlan(plan.items, log);
+      summary = { ...summary, success: rowsSuccess, recordsCreated, recordsUpdated };
+
+      const batch = await ImportBatch.create({
+        fileName:   req.file.originalname,
+        fileHash:   plan.fileHash,
+        fileSize:   req.file.size,
+        source:     plan.format,
+        profile:    profile?._id,
+        uploadedBy: req.userId,
+        fromDate:   plan.firstDate,
+        toDate:     plan.lastDate,
+        counts: {
+          rows:    summary.total,
+          created: recordsCreated,
+          updated: recordsUpdated,
+          skipped: summary.skipped,
+          failed:  summary.failed
+        },
+        changes
+      });
+      log.push({ type: 'INFO', message: `🗂️ Recorded as import batch ${batch._id} — it can be rolled back from Import History` });
+
+      const queued = await queueUnmapped(plan.unmapped, batch._id);
+      if (queued) {
+        log.push({ type: 'WARN', message: `🕓 ${queued} unknown device ID(s) added to the pending mapping queue` });
       }
 
       log.push({
         type: 'SUMMARY',
-        message: `✅ DONE — Rows: ${rowsProcessed} | OK: ${rowsSuccess} | Skipped: ${rowsSkipped} | Errors: ${errors.length} | Created: ${recordsCreated} | Updated: ${recordsUpdated}`
+        message: `✅ DONE — Rows: ${summary.total} | OK: ${rowsSuccess} | Skipped: ${summary.skipped} | Errors: ${summary.failed} | Created: ${recordsCreated} | Updated: ${recordsUpdated}`
       });
 
       return res.json({
         success: true,
         message: 'CSV import complete',
+        importBatchId: batch._id,
+        duplicateOf:   plan.duplicateOf,
+        unmappedIds:   queued,
         processingLog: log,
-        summary: { total: rowsProcessed, success: rowsSuccess, failed: errors.length, skipped: rowsSkipped, recordsCreated, recordsUpdated }
+        summary
       });
 
     } catch (err) {
@@ -327,12 +622,113 @@ router.post(
         message: 'Error processing CSV file',
         error: err.message,
         processingLog: log,
-        summary: { total: rowsProcessed, success: rowsSuccess, failed: 0, skipped: rowsSkipped, recordsCreated, recordsUpdated }
+        summary
       });
     }
   }
 );
 
+// ─── POST /api/attendance/reprocess-pending ──────────────────────────────────
+// Body: { ids: [PendingMapping _id] }
+// Imports the punches queued for device IDs that have since been mapped
+// (routes/deviceMappings.js), exactly as if their file were uploaded again.
+// Recorded as an ImportBatch with source 'reprocess', so it rolls back the same way.
+// Entries whose ID is still unmapped stay pending.
+
+router.post('/reprocess-pending', adminAuth, async (req, res) => {
+  const log = [];
+  try {
+    const ids = Array.isArray(req.body?.ids) ? req.body.ids : [];
+    if (ids.length === 0) {
+      return res.status(400).json({ success: false, message: 'ids must be a non-empty array' });
+    }
+
+    const queued = await PendingMapping.find({ _id: { $in: ids }, status: 'pending' });
+    if (queued.length === 0) {
+      return res.status(404).json({ success: false, message: 'No pending device IDs to reprocess' });
+    }
+
+    const parsed = queued.flatMap(q => q.punches.map((p, i) => ({
+      rowNumber:    i + 1,
+      empId:        q.deviceId,
+      deviceSerial: q.deviceSerial,
+      firstName:    p.firstName || '',
+      lastName:     p.lastName  || '',
+      date:         p.date,
+      dateStr:      formatDate(p.date),
+      time:         p.time,
+      status:       p.status,
+      isCheckIn:    p.status === 0,
+      isCheckOut:   p.status === 1,
+      rawLine:      p.rawLine,
+      clockDate:    p.clockDate
+    })));
+    log.push({ type: 'INFO', message: `🕓 ${queued.length} queued device ID(s), ${parsed.length} punch(es)` });
+
+    const plan = await planRows(parsed, req.userId, log);
+
+    const stillUnmapped = new Set(plan.unmapped.map(r => `${r.deviceSerial}|${r.empId}`));
+    const resolved      = queued.filter(q => !stillUnmapped.has(`${q.deviceSerial}|${q.deviceId}`));
+    if (resolved.length === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'None of these device IDs is mapped to an employee yet',
+        processingLog: log
+      });
+    }
+
+    const { changes, rowsSuccess, recordsCreated, recordsUpdated } = await applyPlan(plan.items, log);
+    const summary = { ...planSummary({ parsed, errors: [], items: plan.items }), success: rowsSuccess, recordsCreated, recordsUpdated };
+
+    const fileHash = createHash('sha256')
+      .update(resolved.map(q => String(q._id)).sort().join('|'))
+      .digest('hex');
+
+    const batch = await ImportBatch.create({
+      fileName:   `Pending device IDs: ${resolved.map(q => q.deviceId).join(', ')}`,
+      fileHash,
+      source:     'reprocess',
+      uploadedBy: req.userId,
+      fromDate:   plan.firstDate,
+      toDate:     plan.lastDate,
+      counts: {
+        rows:    summary.total,
+        created: recordsCreated,
+        updated: recordsUpdated,
+        skipped: summary.skipped,
+        failed:  0
+      },
+      changes
+    });
+
+    const now = new Date();
+    for (const q of resolved) {
+      q.status     = 'processed';
+      q.batch      = batch._id;
+      q.resolvedBy = req.userId;
+      q.resolvedAt = now;
+      await q.save();
+    }
+
+    log.push({
+      type: 'SUMMARY',
+      message: `✅ DONE — Device IDs: ${resolved.length} | Created: ${recordsCreated} | Updated: ${recordsUpdated} | Skipped rows: ${summary.skipped}`
+    });
+
+    return res.json({
+      success: true,
+      message: `Reprocessed ${resolved.length} device ID(s)`,
+      importBatchId: batch._id,
+      stillPending:  queued.length - resolved.length,
+      processingLog: log,
+      summary
+    });
+  } catch (err) {
+    log.push({ type: 'ERROR', message: `Fatal: ${err.message}` });
+    res.status(500).json({ success: false, message: err.message, processingLog: log });
+  }
+});
+
 // ─── GET /api/attendance/range ────────────────────────────────────────────────
 
 router.get('/range', adminAuth, async (req, res) => {
@@ -396,10 +792,96 @@ router.get('/range', adminAuth, async (req, res) => {
   }
 });
 
+// ─── POST /api/attendance/absence-sweep ──────────────────────────────────────
+// Body: { fromDate?, toDate?, dryRun? } (dd/mm/yyyy; default the last week)
+// Runs the absence sweep now (utils/absenceSweep.js): Absent logs for closed
+// working days with no punches, missing-punch flags for single-punch days.
+
+router.post('/absence-sweep', adminAuth, async (req, res) => {
+  try {
+    const { fromDate, toDate, dryRun = false } = req.body || {};
+    const from = fromDate ? parseDDMMYYYY(fromDate) : undefined;
+    const to   = toDate   ? parseDDMMYYYY(toDate)   : undefined;
+    if (from === null || to === null) {
+      return res.status(400).json({ success: false, message: 'Invalid date format. Use dd/mm/yyyy' });
+    }
+    if (from && to && from > to) {
+      return res.status(400).json({ success: false, message: 'fromDate cannot be after toDate' });
+    }
+
+    const result = await runAbsenceSweep({ from, to, dryRun: Boolean(dryRun), userId: req.userId });
+    const counts = `${result.absent.length} day(s) absent, ${result.flagged.length} missing punch(es), ${result.cleared} flag(s) cleared`;
+    return res.json({
+      success: true,
+      dryRun:  Boolean(dryRun),
+      message: dryRun ? `Preview only — ${counts}` : `Absence check done — ${counts}`,
+      ...result
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ─── GET /api/attendance/absence-sweep/cron ──────────────────────────────────
+// For the Vercel cron (vercel.json), which cannot log in: authorised by the
+// CRON_SECRET env var, sent as "Authorization: Bearer <secret>".
+
+router.get('/absence-sweep/cron', async (req, res) => {
+  try {
+    const secret = process.env.CRON_SECRET;
+    if (!secret || req.headers.authorization !== `Bearer ${secret}`) {
+      return res.status(401).json({ success: false, message: 'Unauthorized' });
+    }
+    const result = await runAbsenceSweep();
+    return res.json({ success: true, absent: result.absent.length, flagged: result.flagged.length, cleared: result.cleared });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ─── GET /api/attendance/missing-punches ─────────────────────────────────────
+// ?fromDate=&toDate= (dd/mm/yyyy, optional) — days flagged by the absence sweep
+// with only a check-in or only a check-out, oldest first, for follow-up.
+
+router.get('/missing-punches', adminAuth, async (req, res) => {
+  try {
+    const filter = { missingPunch: { $ne: null }, isDeleted: false };
+    const { fromDate, toDate } = req.query;
+    if (fromDate || toDate) {
+      const from = fromDate ? parseDDMMYYYY(fromDate) : null;
+      const to   = toDate   ? parseDDMMYYYY(toDate)   : null;
+      if ((fromDate && !from) || (toDate && !to)) {
+        return res.status(400).json({ success: false, message: 'Invalid date format. Use dd/mm/yyyy' });
+      }
+      filter.date = {};
+      if (from) filter.date.$gte = from;
+      if (to)   filter.date.$lte = endOfDay(to);
+    }
+
+    const records = await AttendanceLog.find(filter)
+      .select('date empId empNumber empName department status inOut shift missingPunch')
+      .sort({ date: 1, empNumber: 1 })
+      .lean();
+
+    return res.json({
+      success: true,
+      total:   records.length,
+      records: records.map(r => ({ ...r, dateFormatted: formatDate(r.date) }))
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
 // ─── POST /api/attendance/worksheet ──────────────────────────────────────────
 // Generates a full grid: every PAYROLL employee × every working day in range.
 // Only superadmin is excluded. admin appears alongside regular employees.
-// Virtual rows (no DB record yet) are marked isVirtual: true.
+// Working days follow each employee's workweek (Employee.weeklyOff): a day off
+// only appears if a record exists for it.
+// Virtual rows (no DB record yet) are marked isVirtual: true; on a public
+// holiday they are "Holiday" instead of "Absent". Every row on a holiday
+// (public or optional) carries holiday: { name, type }. `shift` is the one the
+// record was saved with, or for virtual rows the rostered shift for the day.
 
 router.post('/worksheet', adminAuth, async (req, res) => {
   try {
@@ -443,12 +925,15 @@ router.post('/worksheet', adminAuth, async (req, res) => {
       logMap[key] = log;
     }
 
+    const roster = await loadRoster(empIds, start, end);
+
     // ── build worksheet grid ──────────────────────────────────────────────────
     const worksheet = [];
 
     for (let d = new Date(start); d <= end; d.setDate(d.getDate() + 1)) {
       const iso  = d.toISOString().slice(0, 10);
-      const disp = formatDate(new Date(d));
+      const disp    = formatDate(new Date(d));
+      const holiday = getHoliday(d);
 
       for (const emp of employees) {
         const key      = `${emp._id}_${iso}`;
@@ -463,10 +948,11 @@ router.post('/worksheet', adminAuth, async (req, res) => {
             empNumber:     emp.employeeNumber,
             empName:       `${emp.firstName} ${emp.lastName}`,
             department:    emp.department,
-            shift:         emp.shift,
+            shift:         existing.shift || shiftFor(emp, d, roster),
             hourlyRate:    emp.hourlyRate,
             status:        existing.status,
             inOut:         existing.inOut,
+            punches:       existing.punches || [],
             financials: {
               ...existing.financials,
               deductionDetails: existing.financials?.deductionDetails || [],
@@ -477,10 +963,12 @@ router.post('/worksheet', adminAuth, async (req, res) => {
                                ? formatDateTimeForDisplay(existing.metadata.lastModifiedAt)
                                : '--',
             lastModifiedRaw: existing.metadata?.lastModifiedAt || null,
+            holiday,
             isVirtual:  false,
             isModified: false
           });
-        } else {
+        } else if (!isWeekend(d, emp)) {
+          const shift = shiftFor(emp, d, roster);
           worksheet.push({
             date:       disp,
             dateRaw:    new Date(d),
@@ -488,12 +976,13 @@ router.post('/worksheet', adminAuth, async (req, res) => {
             empNumber:  emp.employeeNumber,
             empName:    `${emp.firstName} ${emp.lastName}`,
             department: emp.department,
-            shift:      emp.shift,
+            shift,
             hourlyRate: emp.hourlyRate,
-            status:     'Absent',
+            status:     holiday?.type === 'public' ? 'Holiday' : 'Absent',
             inOut:      { in: null, out: null, outNextDay: false },
+            punches:    [],
             financials: {
-              hoursWorked: 0, scheduledHours: shiftHours(emp.shift),
+              hoursWorked: 0, scheduledHours: shiftHours(shift), breakHours: 0,
               basePay: 0, deduction: 0, deductionDetails: [],
               otMultiplier: 1, otHours: 0, otAmount: 0, otDetails: [],
               finalDayEarning: 0
@@ -501,6 +990,7 @@ router.post('/worksheet', adminAuth, async (req, res) => {
             manualOverride:  false,
             lastModified:    '--',
             lastModifiedRaw: null,
+            holiday,
             isVirtual:  true,
             isModified: false
           });
@@ -524,12 +1014,13 @@ router.post('/worksheet', adminAuth, async (req, res) => {
 // Admin edits a single attendance row.
 // Only superadmin cannot be targeted — admin can have attendance records saved.
 // Always recomputes finalDayEarning so the table stays consistent (req #3).
+// Optional punches[] ({ in, out, inNextDay, outNextDay }) replaces the day's punch pairs.
 
 router.post('/save-row', adminAuth, async (req, res) => {
   try {
     const {
       empId, date, status,
-      inTime, outTime, outNextDay,
+      inTime, outTime, outNextDay, punches,
       otHours, otMultiplier, otDetails,
       deduction, deductionDetails
     } = req.body;
@@ -555,6 +1046,13 @@ router.post('/save-row', adminAuth, async (req, res) => {
       return res.status(400).json({ success: false, message: 'Invalid date (dd/mm/yyyy required)' });
     }
 
+    if (status === 'Holiday' && !isPublicHoliday(dateObj)) {
+      return res.status(400).json({ success: false, message: `${date} is not a public holiday` });
+    }
+
+    const lock = await findLockForRange(dateObj, dateObj);
+    if (lock) return res.status(423).json(lockedResponse(lock));
+
     // ── sanitise arrays ───────────────────────────────────────────────────────
     const cleanDeductionDetails = (Array.isArray(deductionDetails) ? deductionDetails : [])
       .map(e => ({ amount: Number(e?.amount) || 0, reason: String(e?.reason || '').trim() }))
@@ -570,13 +1068,52 @@ router.post('/save-row', adminAuth, async (req, res) => {
       }))
       .filter(e => e.reason && (e.type === 'manual' ? e.amount >= 0 : e.hours > 0));
 
+    let record = await AttendanceLog.findOne({ empId: employee._id, date: dateObj });
+
+    // ── punch pairs ───────────────────────────────────────────────────────────
+    // Sent when the admin edits the pairs; otherwise the stored pairs are kept
+    // while they still start at inTime and end at outTime, and collapse to a
+    // single pair once the admin moves either end.
+    const isTime = (t) => /^([0-1][0-9]|2[0-3]):[0-5][0-9]$/.test(t || '');
+    let cleanPunches = (Array.isArray(punches) ? punches : [])
+      .map(p => ({
+        in:         isTime(p?.in)  ? p.in  : null,
+        out:        isTime(p?.out) ? p.out : null,
+        inNextDay:  Boolean(p?.inNextDay),
+        outNextDay: Boolean(p?.outNextDay)
+      }))
+      .filter(p => p.in || p.out);
+
+    if (!Array.isArray(punches)) {
+      const stored = record?.punches || [];
+      const keep   = stored.length > 1 &&
+                     stored[0].in === (inTime || null) &&
+                     stored[stored.length - 1].out === (outTime || null);
+      cleanPunches = keep
+        ? stored.map(p => ({ in: p.in, out: p.out, inNextDay: p.inNextDay, outNextDay: p.outNextDay }))
+        : (inTime || outTime ? [{ in: inTime || null, out: outTime || null, inNextDay: false, outNextDay: Boolean(outNextDay) }] : []);
+    }
+
+    // The rostered shift for the day, else the employee's default
+    const shift = await getShiftForDate(employee, dateObj);
+
+    // ── status ────────────────────────────────────────────────────────────────
+    // A worked day with punches is re-judged against the company thresholds
+    // (late grace, early leave, half day); Leave / Absent / Holiday and days
+    // without punches keep the status the admin picked.
+    const rejudge     = [...WORKED_STATUSES, PENDING_REGULARIZATION].includes(status || 'Present');
+    const finalStatus = rejudge && (inTime || outTime)
+      ? punchStatus({ inTime, outTime, outNextDay: Boolean(outNextDay), punches: cleanPunches, shift })
+      : (status || 'Present');
+
     // ── build financials (centralised helper) ────────────────────────────────
     const financials = buildFinancials({
-      status:           status || 'Present',
+      status:           finalStatus,
       inTime:           inTime  || null,
       outTime:          outTime || null,
       outNextDay:       Boolean(outNextDay),
-      shift:            employee.shift,
+      punches:          cleanPunches,
+      shift,
       hourlyRate:       employee.hourlyRate,
       otHours:          Number(otHours)      || 0,
       otMultiplier:     Number(otMultiplier) || 1,
@@ -586,8 +1123,6 @@ router.post('/save-row', adminAuth, async (req, res) => {
     });
 
     // ── upsert ────────────────────────────────────────────────────────────────
-    let record = await AttendanceLog.findOne({ empId: employee._id, date: dateObj });
-
     if (!record) {
       record = new AttendanceLog({ empId: employee._id, date: dateObj });
     }
@@ -595,13 +1130,10 @@ router.post('/save-row', adminAuth, async (req, res) => {
     record.empNumber      = employee.employeeNumber;
     record.empName        = `${employee.firstName} ${employee.lastName}`;
     record.department     = employee.department;
-    record.status         = status || 'Present';
+    record.status         = finalStatus;
     record.inOut          = { in: inTime || null, out: outTime || null, outNextDay: Boolean(outNextDay) };
-    record.shift          = {
-      start:        employee.shift.start,
-      end:          employee.shift.end,
-      isNightShift: toMin(employee.shift.end) < toMin(employee.shift.start)
-    };
+    record.punches        = cleanPunches;
+    record.shift          = shiftSnapshot(shift);
     record.hourlyRate     = employee.hourlyRate;
     record.financials     = financials;
     record.manualOverride = true;
@@ -627,6 +1159,6 @@ router.post('/save-row', adminAuth, async (req, res) => {
 
 // ─── tiny label helper (only used for log messages) ──────────────────────────
 const hoursLabel = (f) =>
-  `Hours: ${(f.hoursWorked || 0).toFixed(2)} | Base: ${(f.basePay || 0).toFixed(2)} | OT: ${(f.otAmount || 0).toFixed(2)} | Final: ${(f.finalDayEarning || 0).toFixed(2)}`;
+  `Hours: ${(f.hoursWorked || 0).toFixed(2)}${f.breakHours ? ` | Break: ${f.breakHours.toFixed(2)}` : ''} | Base: ${(f.basePay || 0).toFixed(2)} | OT: ${(f.otAmount || 0).toFixed(2)} | Final: ${(f.finalDayEarning || 0).toFixed(2)}`;
 
 export default router;
\ No newline at end of file
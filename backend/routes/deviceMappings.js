@@ -0,0 +1,200 @@
+// routes/deviceMappings.js
+//
+// Covers:
+//   GET    /api/device-mappings                     — admin: device enrollment ID → employee links
+//   POST   /api/device-mappings                     — admin: add a mapping
+//   PUT    /api/device-mappings/:id                 — admin: update a mapping
+//   DELETE /api/device-mappings/:id                 — admin: remove a mapping
+//   GET    /api/device-mappings/pending             — admin: unknown IDs found by imports (?status=pending|processed|ignored)
+//   POST   /api/device-mappings/pending/:id/resolve — admin: map a queued ID to an employee
+//   POST   /api/device-mappings/pending/:id/ignore  — admin: drop a queued ID (test enrolment, visitor card …)
+//
+// Resolving only creates the mapping; the queued punches are imported by
+// POST /api/attendance/reprocess-pending so the write is recorded as an
+// ImportBatch like any other import.
+
+import express from 'express';
+import DeviceMapping from '../models/DeviceMapping.js';
+import PendingMapping from '../models/PendingMapping.js';
+import Employee from '../models/Employee.js';
+import { adminAuth } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const EMPLOYEE_FIELDS = 'firstName lastName employeeNumber department';
+
+// ─── helpers ──────────────────────────────────────────────────────────────────
+
+const clashMessage = (m) =>
+  `Device ID ${m.deviceId}${m.deviceSerial ? ` on ${m.deviceSerial}` : ''} is already mapped`;
+
+/** Validate a create/update body. Returns { error } or { data }. */
+async function validateBody({ deviceId, deviceSerial = '', employeeId, notes }) {
+  const id = String(deviceId ?? '').trim().toUpperCase();
+  if (!id) return { error: 'deviceId is required' };
+  if (!employeeId) return { error: 'employeeId is required' };
+
+  // superadmin is login-only and never has attendance
+  const employee = await Employee.findOne({ _id: employeeId, isDeleted: false, role: { $ne: 'superadmin' } })
+    .select('_id')
+    .lean();
+  if (!employee) return { error: 'Employee not found' };
+
+  return {
+    data: {
+      deviceId:     id,
+      deviceSerial: String(deviceSerial ?? '').trim().toUpperCase(),
+      employee:     employee._id,
+      notes:        notes?.trim() || undefined
+    }
+  };
+}
+
+// ─── GET /api/device-mappings ─────────────────────────────────────────────────
+
+router.get('/', adminAuth, async (req, res) => {
+  try {
+    const mappings = await DeviceMapping.find()
+      .populate('employee', EMPLOYEE_FIELDS)
+      .sort({ deviceSerial: 1, deviceId: 1 })
+      .lean();
+    return res.json({ success: true, mappings });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ─── POST /api/device-mappings ────────────────────────────────────────────────
+// Body: { deviceId, deviceSerial?, employeeId, notes? } — blank serial = any device
+
+router.post('/', adminAuth, async (req, res) => {
+  try {
+    const { error, data } = await validateBody(req.body);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    const clash = await DeviceMapping.findOne({ deviceSerial: data.deviceSerial, deviceId: data.deviceId }).lean();
+    if (clash) return res.status(409).json({ success: false, message: clashMessage(data) });
+
+    const mapping = await DeviceMapping.create({ ...data, createdBy: req.userId });
+    return res.status(201).json({ success: true, message: 'Device mapping added', mapping });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ─── PUT /api/device-mappings/:id ─────────────────────────────────────────────
+
+router.put('/:id', adminAuth, async (req, res) => {
+  try {
+    const mapping = await DeviceMapping.findById(req.params.id);
+    if (!mapping) return res.status(404).json({ success: false, message: 'Device mapping not found' });
+
+    const { error, data } = await validateBody(req.body);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    const clash = await DeviceMapping.findOne({
+      _id: { $ne: mapping._id }, deviceSerial: data.deviceSerial, deviceId: data.deviceId
+    }).lean();
+    if (clash) return res.status(409).json({ success: false, message: clashMessage(data) });
+
+    Object.assign(mapping, data, { updatedBy: req.userId });
+    await mapping.save();
+    return res.json({ success: true, message: 'Device mapping updated', mapping });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ─── DELETE /api/device-mappings/:id ──────────────────────────────────────────
+// Attendance already imported through the mapping is kept.
+
+router.delete('/:id', adminAuth, async (req, res) => {
+  try {
+    const mapping = await DeviceMapping.findByIdAndDelete(req.params.id).lean();
+    if (!mapping) return res.status(404).json({ success: false, message: 'Device mapping not found' });
+    return res.json({ success: true, message: `Device ID ${mapping.deviceId} unmapped` });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ─── GET /api/device-mappings/pending ─────────────────────────────────────────
+// Punches are summarised (count, first/last date, name seen in the file) —
+// the raw lines stay on the server.
+
+router.get('/pending', adminAuth, async (req, res) => {
+  try {
+    const status = ['pending', 'processed', 'ignored'].includes(req.query.status) ? req.query.status : 'pending';
+    const queue  = await PendingMapping.find({ status })
+      .populate('resolvedBy', 'firstName lastName')
+      .sort({ updatedAt: -1 })
+      .lean();
+
+    const pending = queue.map(({ punches, ...q }) => {
+      const dates = punches.map(p => new Date(p.date).getTime());
+      const named = punches.find(p => p.firstName || p.lastName);
+      return {
+        ...q,
+        punchCount: punches.length,
+        fromDate:   dates.length ? new Date(Math.min(...dates)) : null,
+        toDate:     dates.length ? new Date(Math.max(...dates)) : null,
+        nameInFile: named ? `${named.firstName || ''} ${named.lastName || ''}`.trim() : null
+      };
+    });
+
+    return res.json({ success: true, pending });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ─── POST /api/device-mappings/pending/:id/resolve ────────────────────────────
+// Body: { employeeId, anyDevice? } — creates the mapping for the queued ID, or
+// repoints an existing one. anyDevice=true maps the ID on every device.
+
+router.post('/pending/:id/resolve', adminAuth, async (req, res) => {
+  try {
+    const entry = await PendingMapping.findOne({ _id: req.params.id, status: 'pending' }).lean();
+    if (!entry) return res.status(404).json({ success: false, message: 'Pending device ID not found' });
+
+    const { error, data } = await validateBody({
+      deviceId:     entry.deviceId,
+      deviceSerial: req.body?.anyDevice ? '' : entry.deviceSerial,
+      employeeId:   req.body?.employeeId,
+      notes:        req.body?.notes
+    });
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    const mapping = await DeviceMapping.findOneAndUpdate(
+      { deviceSerial: data.deviceSerial, deviceId: data.deviceId },
+      { $set: { employee: data.employee, notes: data.notes, updatedBy: req.userId }, $setOnInsert: { createdBy: req.userId } },
+      { new: true, upsert: true }
+    ).populate('employee', EMPLOYEE_FIELDS);
+
+    return res.json({
+      success: true,
+      message: `Device ID ${mapping.deviceId} mapped to ${mapping.employee.firstName} ${mapping.employee.lastName} — reprocess to import its punches`,
+      mapping
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ─── POST /api/device-mappings/pending/:id/ignore ─────────────────────────────
+
+router.post('/pending/:id/ignore', adminAuth, async (req, res) => {
+  try {
+    const entry = await PendingMapping.findOneAndUpdate(
+      { _id: req.params.id, status: 'pending' },
+      { status: 'ignored', resolvedBy: req.userId, resolvedAt: new Date() },
+      { new: true }
+    ).lean();
+    if (!entry) return res.status(404).json({ success: false, message: 'Pending device ID not found' });
+    return res.json({ success: true, message: `Device ID ${entry.deviceId} ignored` });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+export default router;
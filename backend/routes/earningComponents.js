@@ -0,0 +1,152 @@
+// routes/earningComponents.js
+//
+// Covers:
+//   GET    /api/earning-components      — admin: catalogue (active + inactive)
+//   POST   /api/earning-components      — admin: add a component
+//   PUT    /api/earning-components/:id  — admin: update name / type / value / flags
+//   DELETE /api/earning-components/:id  — admin: delete if unassigned
+//
+// Assignment to employees happens through PUT /api/employees/:id (earnings[]).
+
+import express from 'express';
+import EarningComponent from '../models/EarningComponent.js';
+import Employee         from '../models/Employee.js';
+import { adminAuth } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// ─── helpers ──────────────────────────────────────────────────────────────────
+
+const CALC_TYPES = ['fixed', 'percentOfBasic'];
+
+/** Validate + normalise a create/update body. Returns { error } or { data }. */
+function parseBody(body, partial = false) {
+  const data = {};
+
+  if (body.name !== undefined || !partial) {
+    if (!String(body.name || '').trim()) return { error: 'name is required' };
+    data.name = String(body.name).trim();
+  }
+  if (body.code !== undefined || !partial) {
+    const code = String(body.code || '').trim().toUpperCase();
+    if (!/^[A-Z0-9_]{2,12}$/.test(code)) return { error: 'code must be 2–12 letters, digits or _' };
+    data.code = code;
+  }
+  if (body.calcType !== undefined) {
+    if (!CALC_TYPES.includes(body.calcType)) return { error: "calcType must be 'fixed' or 'percentOfBasic'" };
+    data.calcType = body.calcType;
+  }
+  if (body.defaultValue !== undefined) {
+    const v = Number(body.defaultValue);
+    if (!isFinite(v) || v < 0) return { error: 'defaultValue must be a non-negative number' };
+    data.defaultValue = v;
+  }
+  if (body.taxable  !== undefined) data.taxable  = Boolean(body.taxable);
+  if (body.isActive !== undefined) data.isActive = Boolean(body.isActive);
+
+  return { data };
+}
+
+/**
+ * A percentage component cannot exceed 100% of basic. Checked on the whole
+ * component — on update that is the stored document with the patch applied,
+ * so switching calcType alone cannot turn an amount into a percentage.
+ */
+function percentError({ calcType, defaultValue }) {
+  if (calcType === 'percentOfBasic' && defaultValue > 100) {
+    return 'A percentage component cannot exceed 100%';
+  }
+  return null;
+}
+
+// ─── GET /api/earning-components ─────────────────────────────────────────────
+
+router.get('/', adminAuth, async (req, res) => {
+  try {
+    const components = await EarningComponent.find().sort({ isActive: -1, name: 1 }).lean();
+    return res.json({ success: true, components });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ─── POST /api/earning-components ────────────────────────────────────────────
+
+router.post('/', adminAuth, async (req, res) => {
+  try {
+    const { error, data } = parseBody(req.body);
+    const invalid = error || percentError(data);
+    if (invalid) return res.status(400).json({ success: false, message: invalid });
+
+    if (await EarningComponent.exists({ code: data.code })) {
+      return res.status(409).json({ success: false, message: `Code ${data.code} already exists` });
+    }
+
+    const component = await EarningComponent.create({ ...data, createdBy: req.userId });
+    return res.status(201).json({ success: true, message: 'Earnings component created', component });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ─── PUT /api/earning-components/:id ─────────────────────────────────────────
+// Takes effect for payroll generated from now on; approved records keep
+// their frozen earnings lines.
+
+router.put('/:id', adminAuth, async (req, res) => {
+  try {
+    const component = await EarningComponent.findById(req.params.id);
+    if (!component) return res.status(404).json({ success: false, message: 'Earnings component not found' });
+
+    const { error, data } = parseBody(req.body, true);
+    const merged  = { calcType: component.calcType, defaultValue: component.defaultValue, ...data };
+    const invalid = error || percentError(merged);
+    if (invalid) return res.status(400).json({ success: false, message: invalid });
+
+    // Per-employee overrides become percentages too when the type switches
+    if (merged.calcType === 'percentOfBasic') {
+      const overLimit = await Employee.countDocuments({
+        earnings:  { $elemMatch: { component: component._id, value: { $gt: 100 } } },
+        isDeleted: false
+      });
+      if (overLimit) {
+        return res.status(409).json({
+          success: false,
+          message: `${overLimit} employee(s) override this component with more than 100 — change their values first`
+        });
+      }
+    }
+
+    if (data.code && data.code !== component.code && await EarningComponent.exists({ code: data.code })) {
+      return res.status(409).json({ success: false, message: `Code ${data.code} already exists` });
+    }
+
+    Object.assign(component, data);
+    await component.save();
+    return res.json({ success: true, message: 'Earnings component updated', component });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ─── DELETE /api/earning-components/:id ──────────────────────────────────────
+
+router.delete('/:id', adminAuth, async (req, res) => {
+  try {
+    const assigned = await Employee.countDocuments({ 'earnings.component': req.params.id, isDeleted: false });
+    if (assigned) {
+      return res.status(409).json({
+        success: false,
+        message: `Assigned to ${assigned} employee(s) — deactivate it instead, or remove the assignments first`
+      });
+    }
+
+    const component = await EarningComponent.findByIdAndDelete(req.params.id);
+    if (!component) return res.status(404).json({ success: false, message: 'Earnings component not found' });
+    return res.json({ success: true, message: `${component.name} deleted` });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+export default router;
@@ -3,8 +3,10 @@
 import express from 'express';
 import { v4 as uuidv4 } from 'uuid';
 import Employee from '../models/Employee.js';
+import EarningComponent from '../models/EarningComponent.js';
 import { adminAuth } from '../middleware/auth.js';
-import { parseDDMMYYYY } from '../utils/dateUtils.js';
+import { parseDDMMYYYY, endOfDay } from '../utils/dateUtils.js';
+import { parseWeekDays } from '../utils/companySettings.js';
 
 const router = express.Router();
 
@@ -55,6 +57,56 @@ const resolveNewRole = (creatorRole, requestedRole) => {
   return 'employee';
 };
 
+/**
+ * Validate an earnings[] assignment list from the edit form.
+ * Returns { error } or { earnings } ready to store on the Employee.
+ */
+const parseEarnings = async (list) => {
+  if (!Array.isArray(list)) return { error: 'earnings must be an array' };
+
+  const ids   = [...new Set(list.map(e => String(e.component)))];
+  const found = await EarningComponent.find({ _id: { $in: ids } }).select('name calcType').lean();
+  if (found.length !== ids.length) return { error: 'Unknown earnings component' };
+  const byId = new Map(found.map(c => [String(c._id), c]));
+
+  const earnings = [];
+  for (const e of list) {
+    const effectiveFrom = parseDDMMYYYY(e.effectiveFrom);
+    const effectiveTo   = e.effectiveTo ? parseDDMMYYYY(e.effectiveTo) : null;
+    if (!effectiveFrom || (e.effectiveTo && !effectiveTo)) {
+      return { error: 'Earnings effective dates must be dd/mm/yyyy' };
+    }
+    if (effectiveTo && effectiveTo < effectiveFrom) {
+      return { error: 'Earnings effectiveTo must be on or after effectiveFrom' };
+    }
+    const value = e.value === '' || e.value == null ? null : Number(e.value);
+    if (value !== null && (!isFinite(value) || value < 0)) {
+      return { error: 'Earnings value must be a non-negative number' };
+    }
+    const component = byId.get(String(e.component));
+    if (component.calcType === 'percentOfBasic' && value > 100) {
+      return { error: `${component.name} is a percentage of basic and cannot exceed 100%` };
+    }
+    earnings.push({
+      component:   e.component,
+      value,
+      effectiveFrom,
+      effectiveTo: effectiveTo ? endOfDay(effectiveTo) : null
+    });
+  }
+  return { earnings };
+};
+
+/**
+ * Validate a weeklyOff workweek from the employee forms.
+ * null / '' → company weekend. Returns { error } or { weeklyOff }.
+ */
+const parseWeeklyOff = (list) => {
+  if (list === null || list === '') return { weeklyOff: null };
+  const { error, days } = parseWeekDays(list);
+  return error ? { error } : { weeklyOff: days };
+};
+
 // ─── GET /api/employees ───────────────────────────────────────────────────────
 
 router.get('/', adminAuth, async (req, res) => {
@@ -134,7 +186,7 @@ router.post('/', adminAuth, async (req, res) => {
       email, employeeNumber, firstName, lastName,
       department, joiningDate, shift,
       salaryType, hourlyRate, monthlySalary,
-      bank,
+      bank, weeklyOff,
       role: requestedRole    // ← read role from payload
     } = req.body;
 
@@ -175,6 +227,9 @@ router.post('/', adminAuth, async (req, res) => {
       return res.status(400).json({ success: false, message: 'monthlySalary is required when salaryType is monthly' });
     }
 
+    const workweek = parseWeeklyOff(weeklyOff ?? null);
+    if (workweek.error) return res.status(400).json({ success: false, message: workweek.error });
+
     const inviteToken = generateInviteToken();
 
     const employee = new Employee({
@@ -192,7 +247,8 @@ router.post('/', adminAuth, async (req, res) => {
       status:             'Inactive',
       inviteToken,
       inviteTokenExpires: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
-      bank:               bank || {}
+      bank:               bank || {},
+      weeklyOff:          workweek.weeklyOff
     });
 
     await employee.save();
@@ -255,6 +311,18 @@ router.put('/:id', adminAuth, async (req, res) => {
       return res.status(400).json({ success: false, message: 'monthlySalary is required when salaryType is monthly' });
     }
 
+    if (req.body.weeklyOff !== undefined) {
+      const { error, weeklyOff } = parseWeeklyOff(req.body.weeklyOff);
+      if (error) return res.status(400).json({ success: false, message: error });
+      employee.weeklyOff = weeklyOff;
+    }
+
+    if (req.body.earnings !== undefined) {
+      const { error, earnings } = await parseEarnings(req.body.earnings);
+      if (error) return res.status(400).json({ success: false, message: error });
+      employee.earnings = earnings;
+    }
+
     if (req.body.joiningDate) {
       const parsed = parseDDMMYYYY(req.body.joiningDate) || new Date(req.body.joiningDate);
       if (!parsed || isNaN(parsed)) {
@@ -0,0 +1,210 @@
+// routes/holidays.js
+//
+// Covers:
+//   GET    /api/holidays            — any signed-in user: the calendar for ?year= (default this year)
+//   POST   /api/holidays            — admin: add a holiday
+//   PUT    /api/holidays/:id        — admin: update name / date / type / notes
+//   DELETE /api/holidays/:id        — admin: remove a holiday
+//   POST   /api/holidays/copy-year  — admin: copy recurring holidays into another year
+//
+// Public holidays are not working days (utils/holidays.js), so a change inside
+// a locked pay period is refused like any other attendance write.
+
+import express from 'express';
+import Holiday from '../models/Holiday.js';
+import { auth, adminAuth } from '../middleware/auth.js';
+import { parseDDMMYYYY, formatDate, endOfDay } from '../utils/dateUtils.js';
+import { findLockForRange, lockedResponse } from '../utils/periodLock.js';
+import { loadHolidays } from '../utils/holidays.js';
+
+const router = express.Router();
+
+const TYPES = ['public', 'optional'];
+
+// ─── helpers ──────────────────────────────────────────────────────────────────
+
+const fmtHoliday = (h) => ({
+  ...h,
+  dateFormatted: formatDate(h.date),
+  weekday:       new Date(h.date).toLocaleDateString('en-GB', { weekday: 'long' })
+});
+
+/** Validate a create/update body. Returns { error } or { data }. */
+function validateBody(body) {
+  const { name, date, type = 'public', recurring, notes } = body;
+
+  if (!name?.trim()) return { error: 'name is required' };
+
+  const parsed = parseDDMMYYYY(date);
+  if (!parsed) return { error: 'date must be dd/mm/yyyy' };
+
+  if (!TYPES.includes(type)) return { error: `type must be one of: ${TYPES.join(', ')}` };
+
+  return {
+    data: {
+      name:      name.trim(),
+      date:      parsed,
+      type,
+      recurring: !!recurring,
+      notes:     notes?.trim() || undefined
+    }
+  };
+}
+
+/** A public holiday on a locked day would change frozen payroll */
+async function lockFor(...holidays) {
+  for (const h of holidays) {
+    if (h?.type !== 'public') continue;
+    const lock = await findLockForRange(h.date, endOfDay(h.date));
+    if (lock) return lock;
+  }
+  return null;
+}
+
+// ─── GET /api/holidays?year= ──────────────────────────────────────────────────
+
+router.get('/', auth, async (req, res) => {
+  try {
+    const year = Number(req.query.year) || new Date().getFullYear();
+
+    const holidays = await Holiday.find({
+      date: { $gte: new Date(year, 0, 1), $lt: new Date(year + 1, 0, 1) }
+    }).sort({ date: 1 }).lean();
+
+    return res.json({
+      success: true,
+      year,
+      holidays: holidays.map(fmtHoliday),
+      counts: {
+        public:   holidays.filter(h => h.type === 'public').length,
+        optional: holidays.filter(h => h.type === 'optional').length
+      }
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ─── POST /api/holidays ───────────────────────────────────────────────────────
+// Body: { name, date: dd/mm/yyyy, type?: public|optional, recurring?, notes? }
+
+router.post('/', adminAuth, async (req, res) => {
+  try {
+    const { error, data } = validateBody(req.body);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    const clash = await Holiday.findOne({ date: data.date }).lean();
+    if (clash) {
+      return res.status(409).json({ success: false, message: `${formatDate(data.date)} is already ${clash.name}` });
+    }
+
+    const lock = await lockFor(data);
+    if (lock) return res.status(423).json(lockedResponse(lock));
+
+    const holiday = await Holiday.create({ ...data, createdBy: req.userId });
+    await loadHolidays({ force: true });
+    return res.status(201).json({ success: true, message: 'Holiday added', holiday: fmtHoliday(holiday.toObject()) });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ─── PUT /api/holidays/:id ────────────────────────────────────────────────────
+
+router.put('/:id', adminAuth, async (req, res) => {
+  try {
+    const holiday = await Holiday.findById(req.params.id);
+    if (!holiday) return res.status(404).json({ success: false, message: 'Holiday not found' });
+
+    const { error, data } = validateBody(req.body);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    const clash = await Holiday.findOne({ _id: { $ne: holiday._id }, date: data.date }).lean();
+    if (clash) {
+      return res.status(409).json({ success: false, message: `${formatDate(data.date)} is already ${clash.name}` });
+    }
+
+    // Both the old and the new day change if either is a public holiday
+    const dayChanged = holiday.date.getTime() !== data.date.getTime() || holiday.type !== data.type;
+    const lock = dayChanged && await lockFor(holiday, data);
+    if (lock) return res.status(423).json(lockedResponse(lock));
+
+    Object.assign(holiday, data, { updatedBy: req.userId });
+    await holiday.save();
+    await loadHolidays({ force: true });
+    return res.json({ success: true, message: 'Holiday updated', holiday: fmtHoliday(holiday.toObject()) });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ─── DELETE /api/holidays/:id ─────────────────────────────────────────────────
+
+router.delete('/:id', adminAuth, async (req, res) => {
+  try {
+    const holiday = await Holiday.findById(req.params.id).lean();
+    if (!holiday) return res.status(404).json({ success: false, message: 'Holiday not found' });
+
+    const lock = await lockFor(holiday);
+    if (lock) return res.status(423).json(lockedResponse(lock));
+
+    await Holiday.deleteOne({ _id: holiday._id });
+    await loadHolidays({ force: true });
+    return res.json({ success: true, message: `${holiday.name} removed` });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ─── POST /api/holidays/copy-year ─────────────────────────────────────────────
+// Body: { fromYear, toYear }
+// Copies `recurring` holidays to the same day and month of toYear. Days that
+// already hold a holiday are skipped; moveable holidays (Eid) are added by hand.
+
+router.post('/copy-year', adminAuth, async (req, res) => {
+  try {
+    const fromYear = Number(req.body.fromYear);
+    const toYear   = Number(req.body.toYear);
+    if (!Number.isInteger(fromYear) || !Number.isInteger(toYear) || fromYear === toYear) {
+      return res.status(400).json({ success: false, message: 'fromYear and toYear must be two different years' });
+    }
+
+    const [source, existing] = await Promise.all([
+      Holiday.find({
+        recurring: true,
+        date: { $gte: new Date(fromYear, 0, 1), $lt: new Date(fromYear + 1, 0, 1) }
+      }).lean(),
+      Holiday.find({
+        date: { $gte: new Date(toYear, 0, 1), $lt: new Date(toYear + 1, 0, 1) }
+      }).select('date').lean()
+    ]);
+
+    const taken  = new Set(existing.map(h => formatDate(h.date)));
+    const copies = [];
+    for (const h of source) {
+      const d    = new Date(h.date);
+      const date = new Date(toYear, d.getMonth(), d.getDate());
+      if (date.getMonth() !== d.getMonth() || taken.has(formatDate(date))) continue;   // 29 Feb, clashes
+      copies.push({
+        name: h.name, date, type: h.type, recurring: true, notes: h.notes, createdBy: req.userId
+      });
+    }
+
+    const lock = await lockFor(...copies);
+    if (lock) return res.status(423).json(lockedResponse(lock));
+
+    if (copies.length) await Holiday.insertMany(copies);
+    await loadHolidays({ force: true });
+
+    return res.json({
+      success: true,
+      message: `${copies.length} holiday(s) copied to ${toYear}`,
+      copied:  copies.length,
+      skipped: source.length - copies.length
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,186 @@
+// routes/importBatches.js
+//
+// Covers:
+//   GET  /api/import-batches               — admin: import history, newest first (?page=&limit=)
+//   GET  /api/import-batches/:id           — admin: one batch with every record it touched
+//   POST /api/import-batches/:id/rollback  — admin: undo a batch, restoring the prior records
+//
+// Batches are written by POST /api/attendance/import-csv (models/ImportBatch.js).
+// Rolling back deletes the logs the batch created and puts back the exact
+// documents it overwrote. A record edited after the import (by hand or by a
+// later import) would lose that edit, so the rollback stops with 409 and lists
+// them unless the body says { force: true }. Locked pay periods are refused.
+
+import express from 'express';
+import ImportBatch from '../models/ImportBatch.js';
+import AttendanceLog from '../models/AttendanceLog.js';
+import { adminAuth } from '../middleware/auth.js';
+import { formatDate, formatDateTimeForDisplay, endOfDay } from '../utils/dateUtils.js';
+import { findLockForRange, lockedResponse } from '../utils/periodLock.js';
+
+const router = express.Router();
+
+// ─── helpers ──────────────────────────────────────────────────────────────────
+
+const personName = (p) => (p ? `${p.firstName} ${p.lastName}` : null);
+
+/** List/detail shape shared by both GETs (without the change list) */
+const fmtBatch = (b) => ({
+  _id:          b._id,
+  fileName:     b.fileName,
+  fileHash:     b.fileHash,
+  fileSize:     b.fileSize,
+  source:       b.source,
+  status:       b.status,
+  counts:       b.counts,
+  fromDate:     b.fromDate ? formatDate(b.fromDate) : null,
+  toDate:       b.toDate   ? formatDate(b.toDate)   : null,
+  uploadedBy:   personName(b.uploadedBy),
+  importedAt:   formatDateTimeForDisplay(b.createdAt),
+  rolledBackBy: personName(b.rolledBackBy),
+  rolledBackAt: b.rolledBackAt ? formatDateTimeForDisplay(b.rolledBackAt) : null
+});
+
+/** Day fields of a log as shown in the change list */
+const daySnapshot = (r) => (r ? {
+  status: r.status,
+  in:     r.inOut?.in  || null,
+  out:    r.inOut?.out || null
+} : null);
+
+// ─── GET /api/import-batches ──────────────────────────────────────────────────
+
+router.get('/', adminAuth, async (req, res) => {
+  try {
+    const page  = Math.max(1, Number(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, Number(req.query.limit) || 20));
+
+    const [batches, total] = await Promise.all([
+      ImportBatch.find()
+        .select('-changes')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('uploadedBy rolledBackBy', 'firstName lastName')
+        .lean(),
+      ImportBatch.countDocuments()
+    ]);
+
+    // Flag files that were imported more than once while still applied
+    const hashes = [...new Set(batches.map(b => b.fileHash))];
+    const repeats = await ImportBatch.aggregate([
+      { $match: { fileHash: { $in: hashes }, status: 'applied' } },
+      { $group: { _id: '$fileHash', count: { $sum: 1 } } },
+      { $match: { count: { $gt: 1 } } }
+    ]);
+    const repeated = new Set(repeats.map(r => r._id));
+
+    return res.json({
+      success: true,
+      page, limit, total,
+      batches: batches.map(b => ({ ...fmtBatch(b), duplicate: b.status === 'applied' && repeated.has(b.fileHash) }))
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ─── GET /api/import-batches/:id ──────────────────────────────────────────────
+
+router.get('/:id', adminAuth, async (req, res) => {
+  try {
+    const batch = await ImportBatch.findById(req.params.id)
+      .populate('uploadedBy rolledBackBy', 'firstName lastName')
+      .lean();
+    if (!batch) return res.status(404).json({ success: false, message: 'Import batch not found' });
+
+    const current = await AttendanceLog.find({ _id: { $in: batch.changes.map(c => c.log) } })
+      .select('status inOut updatedAt')
+      .lean();
+    const byId = Object.fromEntries(current.map(l => [String(l._id), l]));
+
+    return res.json({
+      success: true,
+      batch: {
+        ...fmtBatch(batch),
+        changes: batch.changes.map(c => {
+          const now = byId[String(c.log)];
+          return {
+            log:       c.log,
+            action:    c.action,
+            empNumber: c.empNumber,
+            date:      c.date ? formatDate(c.date) : null,
+            before:    daySnapshot(c.before),
+            current:   daySnapshot(now),
+            editedSince: Boolean(now && c.afterUpdatedAt && now.updatedAt > c.afterUpdatedAt)
+          };
+        })
+      }
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ─── POST /api/import-batches/:id/rollback ────────────────────────────────────
+// Body: { force?: boolean }
+
+router.post('/:id/rollback', adminAuth, async (req, res) => {
+  try {
+    const batch = await ImportBatch.findById(req.params.id);
+    if (!batch) return res.status(404).json({ success: false, message: 'Import batch not found' });
+    if (batch.status === 'rolledBack') {
+      return res.status(409).json({ success: false, message: 'This import has already been rolled back' });
+    }
+
+    if (batch.fromDate && batch.toDate) {
+      const lock = await findLockForRange(batch.fromDate, endOfDay(batch.toDate));
+      if (lock) return res.status(423).json(lockedResponse(lock));
+    }
+
+    // Records changed after the import would lose those edits
+    const current = await AttendanceLog.find({ _id: { $in: batch.changes.map(c => c.log) } })
+      .select('updatedAt')
+      .lean();
+    const byId = Object.fromEntries(current.map(l => [String(l._id), l]));
+    const conflicts = batch.changes
+      .filter(c => {
+        const now = byId[String(c.log)];
+        return now && c.afterUpdatedAt && now.updatedAt > c.afterUpdatedAt;
+      })
+      .map(c => ({ empNumber: c.empNumber, date: c.date ? formatDate(c.date) : null }));
+
+    if (conflicts.length && !req.body?.force) {
+      return res.status(409).json({
+        success: false,
+        error:   'EDITED_SINCE_IMPORT',
+        message: `${conflicts.length} record(s) were changed after this import. Rolling back would discard those changes.`,
+        conflicts
+      });
+    }
+
+    // Deleted logs restore from `before`, so upsert; timestamps stay as they were
+    const ops = batch.changes.map(c => (c.action === 'created'
+      ? { deleteOne: { filter: { _id: c.log } } }
+      : { replaceOne: { filter: { _id: c.log }, replacement: c.before, upsert: true } }
+    ));
+    if (ops.length) await AttendanceLog.bulkWrite(ops, { ordered: false, timestamps: false });
+
+    batch.status       = 'rolledBack';
+    batch.rolledBackAt = new Date();
+    batch.rolledBackBy = req.userId;
+    await batch.save();
+
+    const deleted  = batch.changes.filter(c => c.action === 'created').length;
+    const restored = batch.changes.length - deleted;
+    return res.json({
+      success: true,
+      message: `Rolled back ${batch.fileName}: ${restored} record(s) restored, ${deleted} removed`,
+      restored, deleted
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,149 @@
+// routes/importProfiles.js
+//
+// Covers:
+//   GET    /api/import-profiles      — admin: saved column layouts (?active=true for the import modal)
+//   POST   /api/import-profiles      — admin: add a profile
+//   PUT    /api/import-profiles/:id  — admin: update a profile (or toggle isActive)
+//   DELETE /api/import-profiles/:id  — admin: remove a profile
+//
+// A profile tells parseCSV (utils/csvParser.js) how one branch's device
+// software writes its export; see models/ImportProfile.js for the fields.
+
+import express from 'express';
+import ImportProfile from '../models/ImportProfile.js';
+import { adminAuth } from '../middleware/auth.js';
+
+const router = express.Router();
+
+const DELIMITERS = ['auto', ',', '|', ';', '\t'];
+const COLUMNS    = ['empId', 'firstName', 'lastName', 'name', 'date', 'time', 'dateTime', 'status', 'deviceSerial'];
+
+// ─── helpers ──────────────────────────────────────────────────────────────────
+
+/** "C/In, I" or ["C/In", "I"] → ["C/In", "I"] */
+const toValues = (v) => (Array.isArray(v) ? v : String(v ?? '').split(','))
+  .map(s => String(s).trim())
+  .filter(Boolean);
+
+/** Validate a create/update body. Returns { error } or { data }. */
+function validateBody(body) {
+  const {
+    name, description, delimiter = 'auto', hasHeader = true, skipRows = 0,
+    columns = {}, dateFormat = '', timeFormat = '', statusMap = {}, isActive = true
+  } = body;
+
+  if (!name?.trim()) return { error: 'name is required' };
+  if (!DELIMITERS.includes(delimiter)) return { error: 'delimiter must be auto, comma, pipe, semicolon or tab' };
+
+  const skip = Number(skipRows);
+  if (!Number.isInteger(skip) || skip < 0 || skip > 50) return { error: 'skipRows must be a whole number from 0 to 50' };
+
+  const cols = {};
+  for (const field of COLUMNS) {
+    const ref = String(columns[field] ?? '').trim();
+    if (!ref) continue;
+    if (!hasHeader && !/^[1-9]\d*$/.test(ref)) {
+      return { error: `${field}: without a header row, columns must be positions (1, 2, 3 …)` };
+    }
+    cols[field] = ref;
+  }
+  if (!cols.empId) return { error: 'The employee ID column is required' };
+  if (!cols.dateTime && !cols.date) return { error: 'Map a date column or a combined date-time column' };
+  if (!cols.dateTime && !cols.time) return { error: 'Map a time column or a combined date-time column' };
+
+  const map = { in: toValues(statusMap.in), out: toValues(statusMap.out) };
+  const clash = map.in.find(v => map.out.some(o => o.toLowerCase() === v.toLowerCase()));
+  if (clash) return { error: `"${clash}" cannot mean both check-in and check-out` };
+  if (cols.status && (!map.in.length || !map.out.length)) {
+    return { error: 'With a status column, list the values meaning check-in and check-out' };
+  }
+
+  return {
+    data: {
+      name:        name.trim(),
+      description: description?.trim() || undefined,
+      delimiter,
+      hasHeader:   Boolean(hasHeader),
+      skipRows:    skip,
+      columns:     cols,
+      dateFormat:  dateFormat.trim(),
+      timeFormat:  timeFormat.trim(),
+      statusMap:   map,
+      isActive:    Boolean(isActive)
+    }
+  };
+}
+
+// ─── GET /api/import-profiles ─────────────────────────────────────────────────
+
+router.get('/', adminAuth, async (req, res) => {
+  try {
+    const filter   = req.query.active === 'true' ? { isActive: true } : {};
+    const profiles = await ImportProfile.find(filter).sort({ name: 1 }).lean();
+    return res.json({ success: true, profiles });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ─── POST /api/import-profiles ────────────────────────────────────────────────
+// Body: { name, description?, delimiter?, hasHeader?, skipRows?, columns: { empId, … },
+//         dateFormat?, timeFormat?, statusMap?: { in: [], out: [] } }
+
+router.post('/', adminAuth, async (req, res) => {
+  try {
+    const { error, data } = validateBody(req.body);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    const clash = await ImportProfile.findOne({ name: data.name }).lean();
+    if (clash) return res.status(409).json({ success: false, message: `A profile named ${data.name} already exists` });
+
+    const profile = await ImportProfile.create({ ...data, createdBy: req.userId });
+    return res.status(201).json({ success: true, message: 'Import profile added', profile });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ─── PUT /api/import-profiles/:id ─────────────────────────────────────────────
+// A body with only { isActive } toggles the profile without re-validating it.
+
+router.put('/:id', adminAuth, async (req, res) => {
+  try {
+    const profile = await ImportProfile.findById(req.params.id);
+    if (!profile) return res.status(404).json({ success: false, message: 'Import profile not found' });
+
+    if (Object.keys(req.body).length === 1 && 'isActive' in req.body) {
+      profile.isActive  = Boolean(req.body.isActive);
+      profile.updatedBy = req.userId;
+      await profile.save();
+      return res.json({ success: true, message: `${profile.name} ${profile.isActive ? 'activated' : 'deactivated'}`, profile });
+    }
+
+    const { error, data } = validateBody(req.body);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    const clash = await ImportProfile.findOne({ _id: { $ne: profile._id }, name: data.name }).lean();
+    if (clash) return res.status(409).json({ success: false, message: `A profile named ${data.name} already exists` });
+
+    Object.assign(profile, data, { updatedBy: req.userId });
+    await profile.save();
+    return res.json({ success: true, message: 'Import profile updated', profile });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ─── DELETE /api/import-profiles/:id ──────────────────────────────────────────
+
+router.delete('/:id', adminAuth, async (req, res) => {
+  try {
+    const profile = await ImportProfile.findByIdAndDelete(req.params.id).lean();
+    if (!profile) return res.status(404).json({ success: false, message: 'Import profile not found' });
+    return res.json({ success: true, message: `${profile.name} removed` });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+export default router;
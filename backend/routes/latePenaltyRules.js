@@ -0,0 +1,110 @@
+// routes/latePenaltyRules.js
+//
+// Covers:
+//   GET    /api/late-penalty-rules      — admin: all rules (active + inactive)
+//   POST   /api/late-penalty-rules      — admin: add a rule
+//   PUT    /api/late-penalty-rules/:id  — admin: update a rule / toggle isActive
+//   DELETE /api/late-penalty-rules/:id  — admin: delete a rule
+//
+// Rules are applied by payroll (calcLatePenalties in utils/payrollCalculator.js);
+// approved records keep the penalty lines they were generated with.
+
+import express from 'express';
+import LatePenaltyRule from '../models/LatePenaltyRule.js';
+import { adminAuth } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// ─── helpers ──────────────────────────────────────────────────────────────────
+
+const BASES = ['occurrences', 'minutes'];
+
+/** Validate + normalise a create/update body. Returns { error } or { data }. */
+function parseBody(body, partial = false) {
+  const data = {};
+
+  if (body.name !== undefined || !partial) {
+    if (!String(body.name || '').trim()) return { error: 'name is required' };
+    data.name = String(body.name).trim();
+  }
+  if (body.basis !== undefined) {
+    if (!BASES.includes(body.basis)) return { error: "basis must be 'occurrences' or 'minutes'" };
+    data.basis = body.basis;
+  }
+  if (body.everyLates !== undefined) {
+    const v = Number(body.everyLates);
+    if (!Number.isInteger(v) || v < 1) return { error: 'everyLates must be a whole number ≥ 1' };
+    data.everyLates = v;
+  }
+  if (body.penaltyDays !== undefined) {
+    const v = Number(body.penaltyDays);
+    if (!isFinite(v) || v <= 0 || v > 31) return { error: 'penaltyDays must be more than 0 and at most 31' };
+    data.penaltyDays = v;
+  }
+  if (body.rateMultiplier !== undefined) {
+    const v = Number(body.rateMultiplier);
+    if (!isFinite(v) || v <= 0 || v > 10) return { error: 'rateMultiplier must be more than 0 and at most 10' };
+    data.rateMultiplier = v;
+  }
+  if (body.isActive !== undefined) data.isActive = Boolean(body.isActive);
+
+  return { data };
+}
+
+// ─── GET /api/late-penalty-rules ─────────────────────────────────────────────
+
+router.get('/', adminAuth, async (req, res) => {
+  try {
+    const rules = await LatePenaltyRule.find().sort({ isActive: -1, name: 1 }).lean();
+    return res.json({ success: true, rules });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ─── POST /api/late-penalty-rules ────────────────────────────────────────────
+
+router.post('/', adminAuth, async (req, res) => {
+  try {
+    const { error, data } = parseBody(req.body);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    const rule = await LatePenaltyRule.create({ ...data, createdBy: req.userId });
+    return res.status(201).json({ success: true, message: 'Late penalty rule created', rule });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ─── PUT /api/late-penalty-rules/:id ─────────────────────────────────────────
+// Takes effect for payroll generated from now on.
+
+router.put('/:id', adminAuth, async (req, res) => {
+  try {
+    const rule = await LatePenaltyRule.findById(req.params.id);
+    if (!rule) return res.status(404).json({ success: false, message: 'Late penalty rule not found' });
+
+    const { error, data } = parseBody(req.body, true);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    Object.assign(rule, data);
+    await rule.save();
+    return res.json({ success: true, message: 'Late penalty rule updated', rule });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ─── DELETE /api/late-penalty-rules/:id ──────────────────────────────────────
+
+router.delete('/:id', adminAuth, async (req, res) => {
+  try {
+    const rule = await LatePenaltyRule.findByIdAndDelete(req.params.id);
+    if (!rule) return res.status(404).json({ success: false, message: 'Late penalty rule not found' });
+    return res.json({ success: true, message: `${rule.name} deleted` });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,270 @@
+// routes/loans.js
+//
+// Covers:
+//   GET    /api/loans/my           — employee: own loans with outstanding balance
+//   GET    /api/loans              — admin: list (?empId=&status=)
+//   GET    /api/loans/:id          — admin: one loan + recovery history
+//   POST   /api/loans              — admin: grant a loan / salary advance
+//   PUT    /api/loans/:id          — admin: change installment / start / reason
+//   POST   /api/loans/:id/cancel   — admin: stop further recovery (write-off)
+//
+// Installments are deducted by payroll (utils/loanCalculator.js); a loan
+// closes itself once approved payroll has recovered the full principal.
+
+import express from 'express';
+import Loan          from '../models/Loan.js';
+import Employee      from '../models/Employee.js';
+import PayrollRecord from '../models/PayrollRecord.js';
+import FinalSettlement from '../models/FinalSettlement.js';
+import { adminAuth, employeeAuth } from '../middleware/auth.js';
+import { parseDDMMYYYY, formatDate } from '../utils/dateUtils.js';
+import { withBalances, loadRecoveries } from '../utils/loanCalculator.js';
+
+const router = express.Router();
+
+// ─── helpers ──────────────────────────────────────────────────────────────────
+
+const LOAN_TYPES    = ['loan', 'advance'];
+const LOAN_STATUSES = ['active', 'closed', 'cancelled'];
+
+/** Employees whose loans the caller may manage — same scope as payroll */
+const visibleEmpFilter = (callerRole) => ({
+  role:      callerRole === 'superadmin' ? { $nin: ['superadmin'] } : 'employee',
+  isDeleted: false
+});
+
+const fmtLoan = (l) => ({
+  ...l,
+  startDateFormatted: formatDate(l.startDate),
+  closedAtFormatted:  l.closedAt ? formatDate(l.closedAt) : null
+});
+
+const positive = (v) => { const x = Number(v); return isFinite(x) && x > 0 ? x : null; };
+
+// ─── GET /api/loans/my ────────────────────────────────────────────────────────
+
+router.get('/my', employeeAuth, async (req, res) => {
+  try {
+    const loans = await Loan.find({ empId: req.userId, status: { $ne: 'cancelled' } })
+      .select('-createdBy -cancelledBy')
+      .sort({ startDate: -1 })
+      .lean();
+
+    const withBal = await withBalances(loans);
+    return res.json({
+      success: true,
+      loans: withBal.map(fmtLoan),
+      totalOutstanding: withBal.reduce((s, l) => s + l.outstanding, 0)
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ─── GET /api/loans ───────────────────────────────────────────────────────────
+
+router.get('/', adminAuth, async (req, res) => {
+  try {
+    const { empId, status } = req.query;
+
+    if (status && !LOAN_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, message: `status must be one of ${LOAN_STATUSES.join(', ')}` });
+    }
+
+    const empIds = await Employee.find(visibleEmpFilter(req.role)).distinct('_id');
+    const query  = { empId: { $in: empIds } };
+    if (empId)  query.empId  = empIds.some(id => String(id) === empId) ? empId : null;
+    if (status) query.status = status;
+
+    const loans = await Loan.find(query)
+      .populate('empId', 'firstName lastName employeeNumber department')
+      .sort({ status: 1, startDate: -1 })
+      .lean();
+
+    const withBal = await withBalances(loans);
+    return res.json({
+      success: true,
+      loans: withBal.map(l => ({
+        ...fmtLoan(l),
+        empId:     l.empId?._id,
+        empName:   l.empId ? `${l.empId.firstName} ${l.empId.lastName}` : 'Unknown',
+        empNumber: l.empId?.employeeNumber
+      }))
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ─── GET /api/loans/:id ───────────────────────────────────────────────────────
+
+router.get('/:id', adminAuth, async (req, res) => {
+  try {
+    const loan = await Loan.findById(req.params.id)
+      .populate('empId', 'firstName lastName employeeNumber role isDeleted')
+      .lean();
+    if (!loan || !loan.empId || loan.empId.isDeleted ||
+        (req.role !== 'superadmin' && loan.empId.role !== 'employee')) {
+      return res.status(404).json({ success: false, message: 'Loan not found' });
+    }
+
+    const [withBal] = await withBalances([loan]);
+    const records   = await PayrollRecord.find({ 'loanDeductions.loan': loan._id, isDeleted: false })
+      .select('periodStart periodEnd periodLabel status loanDeductions')
+      .sort({ periodStart: 1 })
+      .lean();
+
+    const history = records.map(r => {
+      const line = r.loanDeductions.find(l => String(l.loan) === String(loan._id));
+      return {
+        recordId:     r._id,
+        period:       `${formatDate(r.periodStart)} – ${formatDate(r.periodEnd)}`,
+        periodLabel:  r.periodLabel,
+        status:       r.status,
+        amount:       line.amount,
+        balanceAfter: line.balanceAfter
+      };
+    });
+    if (loan.settlementRecovery) {
+      // A settlement that could not cover the whole balance leaves the loan active
+      const settlement = await FinalSettlement.findById(loan.settlement).select('finalizedAt').lean();
+      history.push({
+        recordId:     loan.settlement,
+        period:       formatDate(settlement?.finalizedAt || loan.closedAt),
+        periodLabel:  'Final settlement',
+        status:       'settled',
+        amount:       loan.settlementRecovery,
+        balanceAfter: withBal.outstanding
+      });
+    }
+
+    return res.json({ success: true, loan: fmtLoan(withBal), history });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ─── POST /api/loans ──────────────────────────────────────────────────────────
+// Body: { empId, type, principal, installmentAmount?, startDate (dd/mm/yyyy), reason? }
+// An advance without installmentAmount is recovered in full from one period.
+
+router.post('/', adminAuth, async (req, res) => {
+  try {
+    const { empId, type = 'loan', startDate, reason } = req.body;
+
+    if (!LOAN_TYPES.includes(type)) {
+      return res.status(400).json({ success: false, message: "type must be 'loan' or 'advance'" });
+    }
+    const principal = positive(req.body.principal);
+    if (!principal) return res.status(400).json({ success: false, message: 'principal must be a positive number' });
+
+    const installmentAmount = req.body.installmentAmount == null || req.body.installmentAmount === ''
+      ? (type === 'advance' ? principal : null)
+      : positive(req.body.installmentAmount);
+    if (!installmentAmount) {
+      return res.status(400).json({ success: false, message: 'installmentAmount must be a positive number' });
+    }
+    if (installmentAmount > principal) {
+      return res.status(400).json({ success: false, message: 'installmentAmount cannot exceed principal' });
+    }
+
+    const start = parseDDMMYYYY(startDate);
+    if (!start) return res.status(400).json({ success: false, message: 'startDate must be dd/mm/yyyy' });
+
+    const employee = await Employee.findOne({ _id: empId, ...visibleEmpFilter(req.role) }).select('_id').lean();
+    if (!employee) return res.status(404).json({ success: false, message: 'Employee not found' });
+
+    const loan = await Loan.create({
+      empId,
+      type,
+      principal,
+      installmentAmount,
+      startDate: start,
+      reason:    reason?.trim() || undefined,
+      createdBy: req.userId
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: `${type === 'advance' ? 'Salary advance' : 'Loan'} recorded`,
+      loan: fmtLoan(loan.toObject())
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ─── PUT /api/loans/:id ───────────────────────────────────────────────────────
+// Only active loans. Principal may change but never below what is already recovered.
+
+router.put('/:id', adminAuth, async (req, res) => {
+  try {
+    const loan = await Loan.findById(req.params.id);
+    if (!loan) return res.status(404).json({ success: false, message: 'Loan not found' });
+    if (loan.status !== 'active') {
+      return res.status(400).json({ success: false, message: `Loan is ${loan.status} and can no longer be changed` });
+    }
+
+    const owner = await Employee.exists({ _id: loan.empId, ...visibleEmpFilter(req.role) });
+    if (!owner) return res.status(404).json({ success: false, message: 'Loan not found' });
+
+    if (req.body.principal !== undefined) {
+      const principal = positive(req.body.principal);
+      if (!principal) return res.status(400).json({ success: false, message: 'principal must be a positive number' });
+      const recovered = (await loadRecoveries([loan._id])).get(String(loan._id)) || 0;
+      if (principal < recovered) {
+        return res.status(400).json({ success: false, message: `principal cannot be below the ${recovered} already recovered` });
+      }
+      loan.principal = principal;
+    }
+    if (req.body.installmentAmount !== undefined) {
+      const installmentAmount = positive(req.body.installmentAmount);
+      if (!installmentAmount) {
+        return res.status(400).json({ success: false, message: 'installmentAmount must be a positive number' });
+      }
+      loan.installmentAmount = installmentAmount;
+    }
+    if (loan.installmentAmount > loan.principal) {
+      return res.status(400).json({ success: false, message: 'installmentAmount cannot exceed principal' });
+    }
+    if (req.body.startDate !== undefined) {
+      const start = parseDDMMYYYY(req.body.startDate);
+      if (!start) return res.status(400).json({ success: false, message: 'startDate must be dd/mm/yyyy' });
+      loan.startDate = start;
+    }
+    if (req.body.reason !== undefined) loan.reason = req.body.reason?.trim() || undefined;
+
+    await loan.save();
+    return res.json({ success: true, message: 'Loan updated', loan: fmtLoan(loan.toObject()) });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ─── POST /api/loans/:id/cancel ───────────────────────────────────────────────
+// Stops future installments. Installments already approved stay on their records.
+
+router.post('/:id/cancel', adminAuth, async (req, res) => {
+  try {
+    const loan = await Loan.findById(req.params.id);
+    if (!loan) return res.status(404).json({ success: false, message: 'Loan not found' });
+    if (loan.status !== 'active') {
+      return res.status(400).json({ success: false, message: `Loan is already ${loan.status}` });
+    }
+
+    const owner = await Employee.exists({ _id: loan.empId, ...visibleEmpFilter(req.role) });
+    if (!owner) return res.status(404).json({ success: false, message: 'Loan not found' });
+
+    loan.status       = 'cancelled';
+    loan.closedAt     = new Date();
+    loan.cancelledBy  = req.userId;
+    loan.cancelReason = req.body.reason?.trim() || undefined;
+    await loan.save();
+
+    return res.json({ success: true, message: 'Loan cancelled — no further installments will be deducted' });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+export default router;
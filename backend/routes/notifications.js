@@ -13,7 +13,11 @@ import AttendanceLog     from '../models/AttendanceLog.js';
 import LeaveRequest      from '../models/LeaveRequest.js';
 import CorrectionRequest from '../models/CorrectionRequest.js';
 import { auth, adminAuth } from '../middleware/auth.js';
-import { formatDate, formatDateTimeForDisplay } from '../utils/dateUtils.js';
+import { formatDate, formatDateTimeForDisplay, endOfDay } from '../utils/dateUtils.js';
+import { findLockForRange, lockedResponse } from '../utils/periodLock.js';
+import { isNonWorkingDay } from '../utils/holidays.js';
+import { loadRoster, shiftFor } from '../utils/roster.js';
+import { workedDayHours, shiftDurationHours, dayStatus, missingPunchPay } from '../utils/timeCalculator.js';
 
 const router = express.Router();
 
@@ -98,6 +102,9 @@ router.post('/leave/:id/approve', adminAuth, async (req, res) => {
       return res.status(400).json({ success: false, message: `Request already ${leave.status.toLowerCase()}` });
     }
 
+    const lock = await findLockForRange(leave.fromDate, endOfDay(leave.toDate));
+    if (lock) return res.status(423).json(lockedResponse(lock));
+
     leave.status     = 'Approved';
     leave.approvedBy = req.userId;
     leave.approvedAt = new Date();
@@ -150,6 +157,9 @@ router.post('/correction/:id/approve', adminAuth, async (req, res) => {
       return res.status(400).json({ success: false, message: `Request already ${correction.status.toLowerCase()}` });
     }
 
+    const lock = await findLockForRange(correction.date, endOfDay(correction.date));
+    if (lock) return res.status(423).json(lockedResponse(lock));
+
     correction.status     = 'Approved';
     correction.approvedBy = req.userId;
     correction.approvedAt = new Date();
@@ -203,27 +213,31 @@ router.post('/correction/:id/reject', adminAuth, async (req, res) => {
 /**
  * When a leave request is approved, upsert one AttendanceLog per leave day.
  * Existing records for those dates are only overwritten if they are 'Absent'
- * (don't clobber a Present/Late record with Leave).
+ * (don't clobber a Present/Late record with Leave). The employee's days off
+ * and public holidays are skipped. Each day is paid at the hours of the shift
+ * rostered for it (utils/roster.js).
  */
 async function applyLeaveToAttendance(leave, adminId) {
   const Employee = (await import('../models/Employee.js')).default;
   const employee = await Employee.findById(leave.empId).lean();
   if (!employee) return;
 
-  const shiftStart = employee.shift.start;
-  const shiftEnd   = employee.shift.end;
+  const roster = await loadRoster([employee._id], leave.fromDate, leave.toDate);
 
   // Scheduled hours for pay calculation
   const toMin = (t) => { const [h, m] = t.split(':').map(Number); return h * 60 + m; };
-  let shiftDiff = toMin(shiftEnd) - toMin(shiftStart);
-  if (shiftDiff <= 0) shiftDiff += 1440;
-  const scheduledHours = shiftDiff / 60;
-  const basePay        = scheduledHours * employee.hourlyRate;
 
   const ops = [];
   for (let d = new Date(leave.fromDate); d <= new Date(leave.toDate); d.setDate(d.getDate() + 1)) {
     const day = new Date(d);
     day.setHours(0, 0, 0, 0);
+    if (isNonWorkingDay(day, employee)) continue;
+
+    const shift = shiftFor(employee, day, roster);
+    let shiftDiff = toMin(shift.end) - toMin(shift.start);
+    if (shiftDiff <= 0) shiftDiff += 1440;
+    const scheduledHours = shiftDiff / 60;
+    const basePay        = scheduledHours * employee.hourlyRate;
 
     ops.push(
       AttendanceLog.findOneAndUpdate(
@@ -239,7 +253,7 @@ async function applyLeaveToAttendance(leave, adminId) {
           $set: {
             status:     'Leave',
             inOut:      { in: null, out: null, outNextDay: false },
-            shift:      employee.shift,
+            shift,
             hourlyRate: employee.hourlyRate,
             financials: {
               hoursWorked:      scheduledHours,
@@ -296,23 +310,36 @@ async function applyCorrectionToAttendance(correction, adminId) {
   const inTime  = record.inOut.in;
   const outTime = record.inOut.out;
 
-  if (inTime && outTime) {
-    const toMin  = (t) => { const [h, m] = t.split(':').map(Number); return h * 60 + m; };
-    let diff     = toMin(outTime) - toMin(inTime);
-    if (diff < 0) diff += 1440;
-    const hours  = diff / 60;
-    const base   = hours * record.hourlyRate;
+  if (inTime || outTime) {
+    let hours = 0, breakHours = 0, base = 0;
+    if (inTime && outTime) {
+      // The correction moves the first IN / last OUT of the day's punch pairs
+      if (record.punches?.length) {
+        record.punches[0].in = inTime;
+        record.punches[record.punches.length - 1].out = outTime;
+      }
+      ({ hoursWorked: hours, breakHours } = workedDayHours({
+        inTime, outTime, outNextDay: record.inOut.outNextDay, punches: record.punches
+      }));
+      base = hours * record.hourlyRate;
+    } else {
+      // Still one punch short — the company missing-punch policy decides the pay
+      ({ hoursWorked: hours, basePay: base } = missingPunchPay(shiftDurationHours(record.shift), record.hourlyRate));
+    }
 
     record.financials.hoursWorked = hours;
+    record.financials.breakHours  = breakHours;
     record.financials.basePay     = base;
     // Preserve existing deduction + OT, just update base and final
     record.financials.finalDayEarning = Math.max(
       0,
       base - (record.financials.deduction || 0) + (record.financials.otAmount || 0)
     );
-    // Status: re-evaluate lateness
-    const shiftStartMin = toMin(record.shift.start);
-    record.status = toMin(inTime) > shiftStartMin ? 'Late' : 'Present';
+    // Status: re-evaluate against the late / early-leave / half-day thresholds
+    // and the missing-punch policy
+    record.status = dayStatus({
+      inTime, outTime, outNextDay: record.inOut.outNextDay, hoursWorked: hours, shift: record.shift
+    });
   }
 
   record.manualOverride          = false;
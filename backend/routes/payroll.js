@@ -3,9 +3,24 @@
 import express from 'express';
 import AttendanceLog from '../models/AttendanceLog.js';
 import Employee      from '../models/Employee.js';
+import PayrollRecord from '../models/PayrollRecord.js';
 import { adminAuth, employeeAuth } from '../middleware/auth.js';
-import { buildDateRange, formatDate } from '../utils/dateUtils.js';
-import { isLate, getCompanyMonthDates, getRecentPayPeriods } from '../utils/timeCalculator.js';
+import { buildDateRange, formatDate, parseDDMMYYYY } from '../utils/dateUtils.js';
+import { lockPeriod } from '../utils/periodLock.js';
+import { ensurePayslipNumber, renderPayslipPdf } from '../utils/payslipPdf.js';
+import { getFormat, listFormats, prepareDisbursement, buildDisbursementFile } from '../utils/bankExport.js';
+import { closeRepaidLoans } from '../utils/loanCalculator.js';
+import { VARIANCE_METRICS, compareTotals, alignDays } from '../utils/payrollVariance.js';
+import {
+  isLate, calculateDelayMinutes, countAttendance, getCompanyMonthDates, getRecentPayPeriods,
+  PENDING_REGULARIZATION
+} from '../utils/timeCalculator.js';
+import { getHoliday } from '../utils/holidays.js';
+import { isWeekend } from '../utils/companySettings.js';
+import {
+  n, round2, workingDaysBetween, calcEmployeeTotals, buildDailyBreakdown,
+  buildPayrollRecordData, loadPayrollInputs
+} from '../utils/payrollCalculator.js';
 
 const router = express.Router();
 
@@ -39,73 +54,18 @@ function parseDateRange(fromDate, toDate) {
   return { start: range.$gte, end: range.$lte };
 }
 
-const n      = (v) => { const x = Number(v); return isFinite(x) ? x : 0; };
-const round2 = (v) => parseFloat(n(v).toFixed(2));
+/** Payslips exist only once a record has been signed off */
+const PAYSLIP_STATUSES = ['approved', 'paid'];
 
-function workingDaysBetween(start, end) {
-  let count = 0;
-  for (let d = new Date(start); d <= end; d.setDate(d.getDate() + 1)) {
-    const day = d.getDay();
-    if (day !== 0 && day !== 6) count++;
-  }
-  return count;
-}
-
-function calcEmployeeTotals(emp, records, workingDays) {
-  const presentDays = records.filter(r => r.status === 'Present' || r.status === 'Late').length;
-  const leaveDays   = records.filter(r => r.status === 'Leave').length;
-  const absentDays  = records.filter(r => r.status === 'Absent').length;
-  const lateDays    = records.filter(r => r.status === 'Late').length;
-
-  const totalDeduction = records.reduce((s, r) => s + n(r.financials?.deduction), 0);
-  const totalOt        = records.reduce((s, r) => s + n(r.financials?.otAmount),   0);
-  const totalOtHours   = records.reduce((s, r) => s + n(r.financials?.otHours),    0);
-
-  let baseSalary;
-  if (emp.salaryType === 'monthly' && emp.monthlySalary) {
-    baseSalary = (emp.monthlySalary / (workingDays || 1)) * (presentDays + leaveDays);
-  } else {
-    baseSalary = records.reduce((s, r) => s + n(r.financials?.basePay), 0);
-  }
-
-  const netPayable = Math.max(0, baseSalary - totalDeduction + totalOt);
-
-  return {
-    empId:          emp._id,
-    empNumber:      emp.employeeNumber,
-    name:           `${emp.firstName} ${emp.lastName}`,
-    department:     emp.department,
-    salaryType:     emp.salaryType   || 'hourly',
-    hourlyRate:     emp.hourlyRate,
-    monthlySalary:  emp.monthlySalary || null,
-    presentDays, leaveDays, absentDays, lateDays,
-    workingDays,
-    baseSalary:     round2(baseSalary),
-    totalDeduction: round2(totalDeduction),
-    totalOt:        round2(totalOt),
-    totalOtHours:   round2(totalOtHours),
-    netPayable:     round2(netPayable),
-    recordCount:    records.length
-  };
-}
+/** Assign the payslip number if needed, render the PDF and stream it back */
+async function sendPayslip(res, record) {
+  await ensurePayslipNumber(record);
+  const employee = await Employee.findById(record.empId).select('bank').lean();
+  const pdf      = await renderPayslipPdf(record, employee);
 
-function buildDailyBreakdown(records) {
-  return records.map(r => ({
-    date:             formatDate(r.date),
-    dateRaw:          r.date,
-    status:           r.status,
-    inTime:           r.inOut?.in          || '--',
-    outTime:          r.inOut?.out         || '--',
-    outNextDay:       r.inOut?.outNextDay  || false,
-    hoursWorked:      round2(n(r.financials?.hoursWorked)),
-    basePay:          round2(n(r.financials?.basePay)),
-    deduction:        round2(n(r.financials?.deduction)),
-    otHours:          round2(n(r.financials?.otHours)),
-    otAmount:         round2(n(r.financials?.otAmount)),
-    finalDayEarning:  round2(n(r.financials?.finalDayEarning)),
-    deductionDetails: r.financials?.deductionDetails || [],
-    otDetails:        r.financials?.otDetails        || []
-  }));
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${record.payslipNumber}_${record.empNumber}.pdf"`);
+  return res.send(pdf);
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -147,8 +107,9 @@ router.get('/my/summary', employeeAuth, async (req, res) => {
       return res.status(404).json({ success: false, message: 'Employee not found' });
     }
 
-    const workingDays    = workingDaysBetween(start, end);
-    const totals         = calcEmployeeTotals(emp, records, workingDays);
+    const inputsFor      = await loadPayrollInputs([emp._id], start, end);
+    const workingDays    = workingDaysBetween(start, end, emp);
+    const totals         = calcEmployeeTotals(emp, records, workingDays, inputsFor(emp._id));
     const dailyBreakdown = buildDailyBreakdown(records);
 
     return res.json({
@@ -163,12 +124,32 @@ router.get('/my/summary', employeeAuth, async (req, res) => {
         totalWorkingDays: workingDays,
         presentDays:      totals.presentDays,
         lateDays:         totals.lateDays,
+        earlyLeaveDays:   totals.earlyLeaveDays,
+        halfDays:         totals.halfDays,
+        pendingDays:      totals.pendingDays,
         absentDays:       totals.absentDays,
         leaveDays:        totals.leaveDays,
         baseSalary:       totals.baseSalary,
+        earnings:         totals.earnings,
+        totalAllowances:  totals.totalAllowances,
+        grossPay:         totals.grossPay,
         totalDeduction:   totals.totalDeduction,
+        latePenalties:    totals.latePenalties,
+        totalLatePenalty: totals.totalLatePenalty,
         totalOtHours:     totals.totalOtHours,
         totalOtAmount:    totals.totalOt,
+        autoOvertime:     totals.autoOvertime,
+        totalAutoOtHours: totals.totalAutoOtHours,
+        totalAutoOtAmount: totals.totalAutoOtAmount,
+        nightDifferential: totals.nightDifferential,
+        totalNightHours:  totals.totalNightHours,
+        totalNightDifferential: totals.totalNightDifferential,
+        taxableIncome:    totals.taxableIncome,
+        incomeTax:        totals.incomeTax,
+        ytdTax:           totals.ytdTax,
+        loanDeductions:   totals.loanDeductions,
+        totalLoanDeduction: totals.totalLoanDeduction,
+        loanBalance:      totals.loanBalance,
         netSalary:        totals.netPayable
       },
       dailyBreakdown
@@ -178,6 +159,52 @@ router.get('/my/summary', employeeAuth, async (req, res) => {
   }
 });
 
+// ─── GET /api/payroll/my/payslips ─────────────────────────────────────────────
+// The caller's approved / paid payroll records — each one has a payslip.
+
+router.get('/my/payslips', employeeAuth, async (req, res) => {
+  try {
+    const records = await PayrollRecord.find({
+      empId:     req.userId,
+      status:    { $in: PAYSLIP_STATUSES },
+      isDeleted: false
+    })
+      .select('periodStart periodEnd periodLabel status netSalary payslipNumber paidAt')
+      .sort({ periodStart: -1 })
+      .lean();
+
+    return res.json({
+      success: true,
+      payslips: records.map(r => ({
+        ...r,
+        periodStartFormatted: formatDate(r.periodStart),
+        periodEndFormatted:   formatDate(r.periodEnd)
+      }))
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ─── GET /api/payroll/my/payslips/:id/pdf ─────────────────────────────────────
+
+router.get('/my/payslips/:id/pdf', employeeAuth, async (req, res) => {
+  try {
+    const record = await PayrollRecord.findOne({
+      _id:       req.params.id,
+      empId:     req.userId,
+      status:    { $in: PAYSLIP_STATUSES },
+      isDeleted: false
+    }).lean();
+
+    if (!record) return res.status(404).json({ success: false, message: 'Payslip not found' });
+
+    return await sendPayslip(res, record);
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // ADMIN ROUTES
 // All admin endpoints use payrollFilter(req.userRole) so:
@@ -204,27 +231,40 @@ router.post('/attendance-overview', adminAuth, async (req, res) => {
       logMap[`${log.empId}_${log.date.toISOString().slice(0, 10)}`] = log;
     }
 
-    const statusCount  = { 'On-time': 0, Late: 0, Leave: 0, Absent: 0 };
+    const statusCount  = {
+      'On-time': 0, Late: 0, Leave: 0, Absent: 0, Holiday: 0,
+      'Early Leave': 0, 'Half Day': 0, [PENDING_REGULARIZATION]: 0
+    };
     const detailedList = [];
 
     for (let d = new Date(start); d <= end; d.setDate(d.getDate() + 1)) {
       const iso  = d.toISOString().slice(0, 10);
-      const disp = formatDate(new Date(d));
+      const disp    = formatDate(new Date(d));
+      const holiday = getHoliday(d);
 
       for (const emp of employees) {
         const record = logMap[`${emp._id}_${iso}`];
+        if (!record && isWeekend(d, emp)) continue;   // their weekly day off
+
         let status = 'Absent', delayMinutes = 0, note = 'No record found';
+        if (holiday?.type === 'public') { status = 'Holiday'; note = holiday.name; }
 
         if (record) {
           if (record.status === 'Leave') {
             status = 'Leave'; note = 'Approved leave';
           } else if (record.status === 'Absent') {
             status = 'Absent'; note = record.metadata?.notes || 'Absent';
+          } else if (record.status === 'Holiday') {
+            status = 'Holiday'; note = holiday?.name || 'Public holiday';
+          } else if (record.status === PENDING_REGULARIZATION) {
+            status = PENDING_REGULARIZATION; note = `Missing check-${record.inOut?.in ? 'out' : 'in'} — awaiting correction`;
+          } else if (record.status === 'Half Day') {
+            status = 'Half Day'; note = `${round2(n(record.financials?.hoursWorked))} h worked`;
+          } else if (record.status === 'Early Leave') {
+            status = 'Early Leave'; note = `Left at ${record.inOut?.out} (shift ends ${record.shift.end})`;
           } else if (record.inOut?.in) {
             if (isLate(record.inOut.in, record.shift.start)) {
-              const [ih, im] = record.inOut.in.split(':').map(Number);
-              const [sh, sm] = record.shift.start.split(':').map(Number);
-              delayMinutes   = ih * 60 + im - (sh * 60 + sm);
+              delayMinutes = calculateDelayMinutes(record.inOut.in, record.shift.start);
               status = 'Late'; note = `Late by ${delayMinutes} min`;
             } else {
               status = 'On-time'; note = 'On time';
@@ -270,7 +310,7 @@ router.post('/performance-overview', adminAuth, async (req, res) => {
       AttendanceLog.find({ date: { $gte: start, $lte: end }, isDeleted: false }).lean()
     ]);
 
-    const workingDays = workingDaysBetween(start, end);
+    const workingDays = workingDaysBetween(start, end);   // company workweek, for the header
     const logsByEmp   = {};
     for (const log of allLogs) {
       const key = String(log.empId);
@@ -278,17 +318,18 @@ router.post('/performance-overview', adminAuth, async (req, res) => {
     }
 
     const performance = employees.map(emp => {
+      const workingDays  = workingDaysBetween(start, end, emp);   // their own workweek
       const records      = logsByEmp[String(emp._id)] || [];
-      const presentDays  = records.filter(r => r.status === 'Present' || r.status === 'Late').length;
-      const leaveDays    = records.filter(r => r.status === 'Leave').length;
-      const absentDays   = records.filter(r => r.status === 'Absent').length;
-      const lateDays     = records.filter(r => r.status === 'Late').length;
+      const {
+        presentDays, lateDays, earlyLeaveDays, halfDays, leaveDays, absentDays
+      } = countAttendance(records);
       const totalOtHours = records.reduce((s, r) => s + n(r.financials?.otHours), 0);
 
+      // A half day counts as half attended; late and early leave both miss punctuality
       const attendanceRate  = workingDays > 0
-        ? ((presentDays + leaveDays) / workingDays) * 100 : 0;
+        ? ((presentDays - halfDays / 2 + leaveDays) / workingDays) * 100 : 0;
       const punctualityRate = presentDays > 0
-        ? ((presentDays - lateDays) / presentDays) * 100 : 100;
+        ? ((presentDays - lateDays - earlyLeaveDays) / presentDays) * 100 : 100;
       const otScore = Math.min(100, (totalOtHours / Math.max(1, workingDays)) * 100);
 
       const score = Math.round(
@@ -303,7 +344,7 @@ router.post('/performance-overview', adminAuth, async (req, res) => {
         performanceScore: score,
         attendanceRate:   round2(attendanceRate),
         punctualityRate:  round2(punctualityRate),
-        presentDays, leaveDays, absentDays, lateDays,
+        presentDays, leaveDays, absentDays, lateDays, earlyLeaveDays, halfDays,
         totalOtHours:     round2(totalOtHours),
         workingDays,
         rating: score >= 90 ? 'Excellent'
@@ -343,6 +384,7 @@ router.post('/salary-summary', adminAuth, async (req, res) => {
     ]);
 
     const workingDays = workingDaysBetween(start, end);
+    const inputsFor   = await loadPayrollInputs(employees.map(e => e._id), start, end);
     const logsByEmp   = {};
     for (const log of allLogs) {
       const key = String(log.empId);
@@ -350,13 +392,17 @@ router.post('/salary-summary', adminAuth, async (req, res) => {
     }
 
     const summary = employees
-      .map(emp => calcEmployeeTotals(emp, logsByEmp[String(emp._id)] || [], workingDays))
+      .map(emp => calcEmployeeTotals(emp, logsByEmp[String(emp._id)] || [], workingDaysBetween(start, end, emp), inputsFor(emp._id)))
       .sort((a, b) => a.name.localeCompare(b.name));
 
     const totals = {
       totalBaseSalary: round2(summary.reduce((s, e) => s + e.baseSalary,     0)),
+      totalAllowances: round2(summary.reduce((s, e) => s + e.totalAllowances, 0)),
       totalOT:         round2(summary.reduce((s, e) => s + e.totalOt,        0)),
+      totalNightDifferential: round2(summary.reduce((s, e) => s + e.totalNightDifferential, 0)),
       totalDeductions: round2(summary.reduce((s, e) => s + e.totalDeduction, 0)),
+      totalIncomeTax:  round2(summary.reduce((s, e) => s + e.incomeTax,      0)),
+      totalLoanRecovery: round2(summary.reduce((s, e) => s + e.totalLoanDeduction, 0)),
       totalNetPayable: round2(summary.reduce((s, e) => s + e.netPayable,     0))
     };
 
@@ -383,6 +429,7 @@ router.post('/report', adminAuth, async (req, res) => {
     ]);
 
     const workingDays = workingDaysBetween(start, end);
+    const inputsFor   = await loadPayrollInputs(employees.map(e => e._id), start, end);
     const term        = search.trim().toLowerCase();
     const logsByEmp   = {};
     for (const log of allLogs) {
@@ -399,15 +446,19 @@ router.post('/report', adminAuth, async (req, res) => {
       .map(emp => {
         const records = logsByEmp[String(emp._id)] || [];
         return {
-          ...calcEmployeeTotals(emp, records, workingDays),
+          ...calcEmployeeTotals(emp, records, workingDaysBetween(start, end, emp), inputsFor(emp._id)),
           dailyAttendance: buildDailyBreakdown(records)
         };
       });
 
     const grandTotals = {
       totalBaseSalary: round2(report.reduce((s, e) => s + e.baseSalary,     0)),
+      totalAllowances: round2(report.reduce((s, e) => s + e.totalAllowances, 0)),
       totalOT:         round2(report.reduce((s, e) => s + e.totalOt,        0)),
+      totalNightDifferential: round2(report.reduce((s, e) => s + e.totalNightDifferential, 0)),
       totalDeductions: round2(report.reduce((s, e) => s + e.totalDeduction, 0)),
+      totalIncomeTax:  round2(report.reduce((s, e) => s + e.incomeTax,      0)),
+      totalLoanRecovery: round2(report.reduce((s, e) => s + e.totalLoanDeduction, 0)),
       totalNetPayable: round2(report.reduce((s, e) => s + e.netPayable,     0))
     };
 
@@ -444,8 +495,9 @@ router.get('/employee-breakdown/:empId', adminAuth, async (req, res) => {
       });
     }
 
-    const workingDays    = workingDaysBetween(start, end);
-    const empTotals      = calcEmployeeTotals(emp, records, workingDays);
+    const inputsFor      = await loadPayrollInputs([emp._id], start, end);
+    const workingDays    = workingDaysBetween(start, end, emp);
+    const empTotals      = calcEmployeeTotals(emp, records, workingDays, inputsFor(emp._id));
     const dailyBreakdown = buildDailyBreakdown(records);
 
     return res.json({
@@ -463,14 +515,33 @@ router.get('/employee-breakdown/:empId', adminAuth, async (req, res) => {
       dailyBreakdown,
       totals: {
         baseSalary:     empTotals.baseSalary,
+        earnings:       empTotals.earnings,
+        totalAllowances: empTotals.totalAllowances,
+        grossPay:       empTotals.grossPay,
         totalDeduction: empTotals.totalDeduction,
+        latePenalties:  empTotals.latePenalties,
+        totalLatePenalty: empTotals.totalLatePenalty,
         totalOt:        empTotals.totalOt,
         totalOtHours:   empTotals.totalOtHours,
+        autoOvertime:   empTotals.autoOvertime,
+        totalAutoOtHours: empTotals.totalAutoOtHours,
+        totalAutoOtAmount: empTotals.totalAutoOtAmount,
+        nightDifferential: empTotals.nightDifferential,
+        totalNightHours:  empTotals.totalNightHours,
+        totalNightDifferential: empTotals.totalNightDifferential,
+        taxableIncome:  empTotals.taxableIncome,
+        incomeTax:      empTotals.incomeTax,
+        ytdTax:         empTotals.ytdTax,
+        loanDeductions: empTotals.loanDeductions,
+        totalLoanDeduction: empTotals.totalLoanDeduction,
+        loanBalance:    empTotals.loanBalance,
         netPayable:     empTotals.netPayable,
         presentDays:    empTotals.presentDays,
         leaveDays:      empTotals.leaveDays,
         absentDays:     empTotals.absentDays,
         lateDays:       empTotals.lateDays,
+        earlyLeaveDays: empTotals.earlyLeaveDays,
+        halfDays:       empTotals.halfDays,
         workingDays
       }
     });
@@ -532,21 +603,22 @@ router.post('/export', adminAuth, async (req, res) => {
       (logsByEmp[key] ??= []).push(log);
     }
 
-    const rows = employees
-      .map(emp => calcEmployeeTotals(emp, logsByEmp[String(emp._id)] || [], workingDays))
+    const inputsFor = await loadPayrollInputs(employees.map(e => e._id), start, end);
+    const rows      = employees
+      .map(emp => calcEmployeeTotals(emp, logsByEmp[String(emp._id)] || [], workingDaysBetween(start, end, emp), inputsFor(emp._id)))
       .sort((a, b) => a.name.localeCompare(b.name));
 
     if (format === 'csv') {
       const headers = [
         'Employee Number', 'Name', 'Department', 'Salary Type',
-        'Working Days', 'Present Days', 'Leave Days', 'Absent Days', 'Late Days',
-        'Base Salary', 'OT Hours', 'OT Amount', 'Deductions', 'Net Payable'
+        'Working Days', 'Present Days', 'Leave Days', 'Absent Days', 'Late Days', 'Early Leave Days', 'Half Days',
+        'Base Salary', 'Allowances', 'OT Hours', 'OT Amount', 'Night Differential', 'Deductions', 'Taxable Income', 'Income Tax', 'Loan Recovery', 'Net Payable'
       ];
       const lines = rows.map(e =>
         [
           e.empNumber, `"${e.name}"`, e.department, e.salaryType,
-          e.workingDays, e.presentDays, e.leaveDays, e.absentDays, e.lateDays,
-          e.baseSalary, e.totalOtHours, e.totalOt, e.totalDeduction, e.netPayable
+          e.workingDays, e.presentDays, e.leaveDays, e.absentDays, e.lateDays, e.earlyLeaveDays, e.halfDays,
+          e.baseSalary, e.totalAllowances, e.totalOtHours, e.totalOt, e.totalNightDifferential, e.totalDeduction, e.taxableIncome, e.incomeTax, e.totalLoanDeduction, e.netPayable
         ].join(',')
       );
 
@@ -561,4 +633,726 @@ router.post('/export', adminAuth, async (req, res) => {
   }
 });
 
-export default router;
\ No newline at end of file
+// ═══════════════════════════════════════════════════════════════════════════════
+// PAYROLL RECORDS — persisted lifecycle (draft → approved → paid)
+// The live endpoints above recompute from AttendanceLog on every call; these
+// freeze one PayrollRecord per employee per period so finance has a fixed number.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** Employee ids whose PayrollRecords the caller may see (archived/exited included) */
+const visibleEmpIds = (callerRole) =>
+  Employee.find({
+    role: callerRole === 'superadmin' ? { $nin: SYSTEM_ROLES } : 'employee'
+  }).distinct('_id');
+
+const fmtRecord = (r) => ({
+  ...r,
+  periodStartFormatted: formatDate(r.periodStart),
+  periodEndFormatted:   formatDate(r.periodEnd),
+  approvedAtFormatted:  r.approvedAt ? formatDate(r.approvedAt) : null,
+  paidAtFormatted:      r.paidAt     ? formatDate(r.paidAt)     : null
+});
+
+/**
+ * Move every record in `ids` from one status to the next.
+ * Records that are not currently in `from` are reported as skipped.
+ * Returns the updated documents so callers can act on their periods.
+ */
+async function transitionRecords(ids, allowedEmpIds, from, to, set) {
+  const allowed = new Set(allowedEmpIds.map(String));
+  const records = await PayrollRecord.find({ _id: { $in: ids }, isDeleted: false });
+
+  const updated = [], skipped = [];
+  for (const record of records) {
+    if (!allowed.has(String(record.empId))) {
+      skipped.push({ id: record._id, empNumber: record.empNumber, reason: 'Access denied' });
+      continue;
+    }
+    if (record.status !== from) {
+      skipped.push({ id: record._id, empNumber: record.empNumber, reason: `Record is ${record.status}, expected ${from}` });
+      continue;
+    }
+    Object.assign(record, set, { status: to });
+    await record.save();
+    updated.push(record);
+  }
+
+  const found = new Set(records.map(r => String(r._id)));
+  for (const id of ids) {
+    if (!found.has(String(id))) skipped.push({ id, reason: 'Record not found' });
+  }
+
+  return { updated, skipped };
+}
+
+/**
+ * Approved payroll freezes attendance: once every record in a period touched by
+ * the approved records is out of draft, lock that period so save-row / CSV
+ * import / request approvals refuse it. A period with drafts still pending stays
+ * open — those employees' attendance may yet need correcting.
+ * Returns the number of periods locked.
+ */
+async function lockApprovedPeriods(records, userId) {
+  const seen = new Set();
+  let locked = 0;
+  for (const r of records) {
+    const key = `${r.periodStart.getTime()}_${r.periodEnd.getTime()}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const draftsLeft = await PayrollRecord.exists({
+      periodStart: r.periodStart,
+      periodEnd:   r.periodEnd,
+      status:      'draft',
+      isDeleted:   false
+    });
+    if (draftsLeft) continue;
+
+    await lockPeriod({
+      periodStart: r.periodStart,
+      periodEnd:   r.periodEnd,
+      periodLabel: r.periodLabel,
+      userId,
+      reason:      'Payroll approved'
+    });
+    locked++;
+  }
+  return locked;
+}
+
+// ─── POST /api/payroll/records/generate ──────────────────────────────────────
+// Creates (or refreshes) a draft PayrollRecord for every payroll employee in
+// the period. Approved and paid records are never overwritten. Employees whose
+// recorded exit falls on or before the period end are left out — their last
+// period is paid through the final settlement (routes/settlements.js).
+
+router.post('/records/generate', adminAuth, async (req, res) => {
+  try {
+    const { fromDate, toDate, periodLabel } = req.body;
+    const range = parseDateRange(fromDate, toDate);
+    if (!range) return res.status(400).json({ success: false, message: 'Invalid date range' });
+    const { start, end } = range;
+
+    const employees = await Employee.find(
+      payrollFilter(req.role, {
+        joiningDate: { $lte: end },
+        $or: [{ 'exit.lastWorkingDay': null }, { 'exit.lastWorkingDay': { $gt: end } }]
+      })
+    ).lean();
+
+    if (!employees.length) {
+      return res.json({ success: true, message: 'No payroll employees for this period', created: 0, updated: 0, skipped: [] });
+    }
+
+    const empIds = employees.map(e => e._id);
+    const [allLogs, existingRecords] = await Promise.all([
+      AttendanceLog.find({
+        empId: { $in: empIds }, date: { $gte: start, $lte: end }, isDeleted: false
+      }).sort({ date: 1 }).lean(),
+      // Any live record touching this period — same bounds or overlapping
+      PayrollRecord.find({
+        empId:       { $in: empIds },
+        periodStart: { $lte: end },
+        periodEnd:   { $gte: start },
+        isDeleted:   false
+      })
+    ]);
+
+    const logsByEmp = {};
+    for (const log of allLogs) {
+      (logsByEmp[String(log.empId)] ??= []).push(log);
+    }
+    const recordsByEmp = {};
+    for (const rec of existingRecords) {
+      (recordsByEmp[String(rec.empId)] ??= []).push(rec);
+    }
+
+    const inputsFor   = await loadPayrollInputs(empIds, start, end);
+    const label       = periodLabel || `${formatDate(start)} – ${formatDate(end)}`;
+
+    let created = 0, updated = 0;
+    const skipped = [];
+
+    for (const emp of employees) {
+      const key  = String(emp._id);
+      const data = buildPayrollRecordData(emp, logsByEmp[key] || [], {
+        start, end, periodLabel: label, workingDays: workingDaysBetween(start, end, emp), ...inputsFor(emp._id)
+      });
+
+      const existing = recordsByEmp[key] || [];
+      const same     = existing.find(r =>
+        r.periodStart.getTime() === start.getTime() && r.periodEnd.getTime() === end.getTime()
+      );
+      const overlap  = existing.find(r => r !== same);
+
+      if (overlap) {
+        skipped.push({
+          empNumber: emp.employeeNumber,
+          reason:    `Overlaps existing ${overlap.status} record ${formatDate(overlap.periodStart)} – ${formatDate(overlap.periodEnd)}`
+        });
+        continue;
+      }
+
+      if (same) {
+        if (same.status !== 'draft') {
+          skipped.push({ empNumber: emp.employeeNumber, reason: `Record already ${same.status}` });
+          continue;
+        }
+        Object.assign(same, data, { generatedBy: req.userId });
+        await same.save();
+        updated++;
+      } else {
+        // A soft-deleted record for the same bounds would collide on the unique index
+        await PayrollRecord.deleteOne({ empId: emp._id, periodStart: start, periodEnd: end, isDeleted: true });
+        await PayrollRecord.create({ ...data, status: 'draft', generatedBy: req.userId });
+        created++;
+      }
+    }
+
+    return res.json({
+      success: true,
+      message: `Payroll generated: ${created} created, ${updated} refreshed, ${skipped.length} skipped`,
+      created,
+      updated,
+      skipped,
+      periodStart: formatDate(start),
+      periodEnd:   formatDate(end),
+      periodLabel: label
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ─── GET /api/payroll/records ─────────────────────────────────────────────────
+// Query: fromDate, toDate (period overlap), status, search
+
+router.get('/records', adminAuth, async (req, res) => {
+  try {
+    const { fromDate, toDate, status, search = '' } = req.query;
+
+    const query = {
+      empId:     { $in: await visibleEmpIds(req.role) },
+      isDeleted: false
+    };
+
+    if (fromDate || toDate) {
+      const range = parseDateRange(fromDate, toDate);
+      if (!range) return res.status(400).json({ success: false, message: 'Invalid date range' });
+      query.periodStart = { $lte: range.end };
+      query.periodEnd   = { $gte: range.start };
+    }
+    if (status) {
+      if (!['draft', 'approved', 'paid'].includes(status)) {
+        return res.status(400).json({ success: false, message: "status must be 'draft', 'approved' or 'paid'" });
+      }
+      query.status = status;
+    }
+    const term = search.trim();
+    if (term) {
+      query.$or = [
+        { empName:   { $regex: term, $options: 'i' } },
+        { empNumber: { $regex: term, $options: 'i' } }
+      ];
+    }
+
+    const records = await PayrollRecord.find(query)
+      .select('-dailyBreakdown')
+      .sort({ periodStart: -1, empName: 1 })
+      .lean();
+
+    const counts = { draft: 0, approved: 0, paid: 0 };
+    records.forEach(r => counts[r.status]++);
+
+    const totals = {
+      totalBaseSalary: round2(records.reduce((s, r) => s + n(r.baseSalary),     0)),
+      totalAllowances: round2(records.reduce((s, r) => s + n(r.totalAllowances), 0)),
+      totalOT:         round2(records.reduce((s, r) => s + n(r.totalOtAmount),  0)),
+      totalNightDifferential: round2(records.reduce((s, r) => s + n(r.totalNightDifferential), 0)),
+      totalDeductions: round2(records.reduce((s, r) => s + n(r.totalDeduction), 0)),
+      totalIncomeTax:  round2(records.reduce((s, r) => s + n(r.incomeTax),      0)),
+      totalLoanRecovery: round2(records.reduce((s, r) => s + n(r.totalLoanDeduction), 0)),
+      totalNetPayable: round2(records.reduce((s, r) => s + n(r.netSalary),      0))
+    };
+
+    return res.json({ success: true, records: records.map(fmtRecord), counts, totals, total: records.length });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ─── GET /api/payroll/records/:id ─────────────────────────────────────────────
+
+router.get('/records/:id', adminAuth, async (req, res) => {
+  try {
+    const record = await PayrollRecord.findOne({
+      _id:       req.params.id,
+      empId:     { $in: await visibleEmpIds(req.role) },
+      isDeleted: false
+    })
+      .populate('approvedBy',  'firstName lastName employeeNumber')
+      .populate('paidBy',      'firstName lastName employeeNumber')
+      .populate('generatedBy', 'firstName lastName employeeNumber')
+      .lean();
+
+    if (!record) {
+      return res.status(404).json({ success: false, message: 'Payroll record not found' });
+    }
+
+    return res.json({
+      success: true,
+      record: {
+        ...fmtRecord(record),
+        dailyBreakdown: record.dailyBreakdown.map(d => ({ ...d, dateFormatted: formatDate(d.date) }))
+      }
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ─── GET /api/payroll/records/:id/payslip ────────────────────────────────────
+
+router.get('/records/:id/payslip', adminAuth, async (req, res) => {
+  try {
+    const record = await PayrollRecord.findOne({
+      _id:       req.params.id,
+      empId:     { $in: await visibleEmpIds(req.role) },
+      isDeleted: false
+    }).lean();
+
+    if (!record) {
+      return res.status(404).json({ success: false, message: 'Payroll record not found' });
+    }
+    if (!PAYSLIP_STATUSES.includes(record.status)) {
+      return res.status(400).json({ success: false, message: 'Payslips are issued only for approved or paid payroll' });
+    }
+
+    return await sendPayslip(res, record);
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ─── PATCH /api/payroll/records/:id/approve ──────────────────────────────────
+
+router.patch('/records/:id/approve', adminAuth, async (req, res) => {
+  try {
+    const { updated, skipped } = await transitionRecords(
+      [req.params.id], await visibleEmpIds(req.role), 'draft', 'approved',
+      { approvedBy: req.userId, approvedAt: new Date(), ...(req.body.notes !== undefined && { notes: req.body.notes }) }
+    );
+
+    if (!updated.length) {
+      const reason = skipped[0]?.reason || 'Record not found';
+      return res.status(reason === 'Record not found' ? 404 : 400).json({ success: false, message: reason });
+    }
+
+    const locked = await lockApprovedPeriods(updated, req.userId);
+    await closeRepaidLoans(updated);
+
+    return res.json({
+      success: true,
+      message: locked
+        ? 'Payroll record approved — attendance for the period is now locked'
+        : 'Payroll record approved — the period locks once its remaining drafts are approved'
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ─── POST /api/payroll/records/approve ───────────────────────────────────────
+// Bulk approve. Body: { ids: [...] }  OR  { fromDate, toDate } for every draft in the period.
+
+router.post('/records/approve', adminAuth, async (req, res) => {
+  try {
+    const allowedEmpIds = await visibleEmpIds(req.role);
+    let ids = Array.isArray(req.body.ids) ? req.body.ids : null;
+
+    if (!ids) {
+      const range = parseDateRange(req.body.fromDate, req.body.toDate);
+      if (!range) {
+        return res.status(400).json({ success: false, message: 'Provide ids[] or a valid fromDate/toDate' });
+      }
+      ids = await PayrollRecord.find({
+        empId:       { $in: allowedEmpIds },
+        periodStart: range.start,
+        periodEnd:   range.end,
+        status:      'draft',
+        isDeleted:   false
+      }).distinct('_id');
+    }
+
+    const { updated, skipped } = await transitionRecords(
+      ids, allowedEmpIds, 'draft', 'approved',
+      { approvedBy: req.userId, approvedAt: new Date() }
+    );
+
+    const locked = await lockApprovedPeriods(updated, req.userId);
+    await closeRepaidLoans(updated);
+
+    return res.json({
+      success:  true,
+      message:  `${updated.length} record(s) approved, ${skipped.length} skipped`
+                + (locked ? ` — attendance locked for ${locked} period(s)` : ''),
+      approved: updated.length,
+      locked,
+      skipped
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ─── PATCH /api/payroll/records/:id/pay ──────────────────────────────────────
+
+router.patch('/records/:id/pay', adminAuth, async (req, res) => {
+  try {
+    const { updated, skipped } = await transitionRecords(
+      [req.params.id], await visibleEmpIds(req.role), 'approved', 'paid',
+      { paidBy: req.userId, paidAt: new Date(), ...(req.body.notes !== undefined && { notes: req.body.notes }) }
+    );
+
+    if (!updated.length) {
+      const reason = skipped[0]?.reason || 'Record not found';
+      return res.status(reason === 'Record not found' ? 404 : 400).json({ success: false, message: reason });
+    }
+
+    return res.json({ success: true, message: 'Payroll record marked as paid' });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ─── POST /api/payroll/records/pay ───────────────────────────────────────────
+// Bulk mark-paid. Body: { ids: [...] }  OR  { fromDate, toDate } for every approved record.
+
+router.post('/records/pay', adminAuth, async (req, res) => {
+  try {
+    const allowedEmpIds = await visibleEmpIds(req.role);
+    let ids = Array.isArray(req.body.ids) ? req.body.ids : null;
+
+    if (!ids) {
+      const range = parseDateRange(req.body.fromDate, req.body.toDate);
+      if (!range) {
+        return res.status(400).json({ success: false, message: 'Provide ids[] or a valid fromDate/toDate' });
+      }
+      ids = await PayrollRecord.find({
+        empId:       { $in: allowedEmpIds },
+        periodStart: range.start,
+        periodEnd:   range.end,
+        status:      'approved',
+        isDeleted:   false
+      }).distinct('_id');
+    }
+
+    const { updated, skipped } = await transitionRecords(
+      ids, allowedEmpIds, 'approved', 'paid',
+      { paidBy: req.userId, paidAt: new Date() }
+    );
+
+    return res.json({
+      success: true,
+      message: `${updated.length} record(s) marked paid, ${skipped.length} skipped`,
+      paid:    updated.length,
+      skipped
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// BANK DISBURSEMENT — bulk-transfer upload files from approved payroll
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// ─── GET /api/payroll/disbursement/formats ───────────────────────────────────
+
+router.get('/disbursement/formats', adminAuth, (req, res) => {
+  res.json({ success: true, formats: listFormats() });
+});
+
+// ─── POST /api/payroll/disbursement/export ───────────────────────────────────
+// Body: { fromDate, toDate, format, valueDate? }
+// Uses only APPROVED records for the exact period (paid ones were already sent).
+// Responds 422 with the offending employees if any bank detail is missing —
+// a partial upload file is never produced.
+
+router.post('/disbursement/export', adminAuth, async (req, res) => {
+  try {
+    const { fromDate, toDate, valueDate } = req.body;
+    const range = parseDateRange(fromDate, toDate);
+    if (!range) return res.status(400).json({ success: false, message: 'Invalid date range' });
+
+    const format = getFormat(req.body.format || 'generic-csv');
+    if (!format) return res.status(400).json({ success: false, message: `Unknown format "${req.body.format}"` });
+
+    const value = valueDate ? parseDDMMYYYY(valueDate) : new Date();
+    if (!value) return res.status(400).json({ success: false, message: 'valueDate must be dd/mm/yyyy' });
+
+    const records = await PayrollRecord.find({
+      empId:       { $in: await visibleEmpIds(req.role) },
+      periodStart: range.start,
+      periodEnd:   range.end,
+      status:      'approved',
+      isDeleted:   false
+    }).sort({ empNumber: 1 }).lean();
+
+    if (!records.length) {
+      return res.status(404).json({ success: false, message: 'No approved payroll records for this period' });
+    }
+
+    const employees = await Employee.find({ _id: { $in: records.map(r => r.empId) } })
+      .select('bank').lean();
+    const batch = prepareDisbursement(records, new Map(employees.map(e => [String(e._id), e])), format);
+
+    if (batch.invalid.length) {
+      return res.status(422).json({
+        success: false,
+        error:   'BANK_DETAILS_INVALID',
+        message: `${batch.invalid.length} employee(s) have missing or invalid bank details`,
+        invalid: batch.invalid
+      });
+    }
+    if (!batch.count) {
+      return res.status(400).json({ success: false, message: 'Nothing to disburse — every approved record has zero net salary' });
+    }
+
+    const content  = buildDisbursementFile(format, batch, { ...range, valueDate: value });
+    const filename = `disbursement_${format.id}_${formatDate(range.start).replace(/\//g, '-')}.${format.extension}`;
+
+    res.setHeader('Content-Type', format.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('X-Record-Count',  String(batch.count));
+    res.setHeader('X-Control-Total', (batch.totalMinor / 100).toFixed(2));
+    res.setHeader('Access-Control-Expose-Headers', 'X-Record-Count, X-Control-Total, Content-Disposition');
+    return res.send(content);
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// VARIANCE — this company pay period against the previous one
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const DEFAULT_VARIANCE_THRESHOLD = 10;   // percent
+
+/**
+ * Resolve ?date= (any day inside the period, dd/mm/yyyy, default today) and
+ * ?threshold= into the two company periods being compared.
+ * Returns { error } or { current, previous, threshold }.
+ */
+function parseVarianceQuery({ date, threshold }) {
+  const anchor = date ? parseDDMMYYYY(date) : new Date();
+  if (!anchor) return { error: 'date must be dd/mm/yyyy' };
+
+  const pct = threshold === undefined || threshold === '' ? DEFAULT_VARIANCE_THRESHOLD : Number(threshold);
+  if (!isFinite(pct) || pct < 0) return { error: 'threshold must be a non-negative percentage' };
+
+  const cur  = getCompanyMonthDates(anchor);
+  const prev = getCompanyMonthDates(new Date(cur.startDate.getTime() - 1));
+  const toPeriod = (p) => ({
+    start: p.startDate,
+    end:   p.endDate,
+    label: p.periodLabel,
+    startFormatted: formatDate(p.startDate),
+    endFormatted:   formatDate(p.endDate)
+  });
+  return { current: toPeriod(cur), previous: toPeriod(prev), threshold: pct };
+}
+
+/**
+ * One period's figures per employee: the PayrollRecord stored for exactly
+ * this period when there is one (finance's frozen number), otherwise a live
+ * calculation from AttendanceLog. Employees with neither a record, logs nor
+ * an active payroll status for the period are left out — that absence is
+ * what marks new joiners and leavers.
+ *
+ * @returns {Promise<Map<string, { source, totals, days? }>>}
+ */
+async function loadPeriodFigures(employees, { start, end }, withDays = false) {
+  const empIds = employees.map(e => e._id);
+  const [records, logs] = await Promise.all([
+    PayrollRecord.find({ empId: { $in: empIds }, periodStart: start, periodEnd: end, isDeleted: false }).lean(),
+    AttendanceLog.find({ empId: { $in: empIds }, date: { $gte: start, $lte: end }, isDeleted: false })
+      .sort({ date: 1 }).lean()
+  ]);
+
+  const recordByEmp = new Map(records.map(r => [String(r.empId), r]));
+  const logsByEmp   = {};
+  for (const log of logs) (logsByEmp[String(log.empId)] ??= []).push(log);
+
+  const inputsFor   = await loadPayrollInputs(empIds, start, end);
+  const figures     = new Map();
+
+  for (const emp of employees) {
+    const key     = String(emp._id);
+    const record  = recordByEmp.get(key);
+    const empLogs = logsByEmp[key] || [];
+
+    if (record) {
+      figures.set(key, {
+        source: record.status,
+        totals: {
+          baseSalary:     record.baseSalary,
+          totalOt:        record.totalOtAmount,
+          totalDeduction: record.totalDeduction,
+          netPayable:     record.netSalary
+        },
+        ...(withDays && {
+          days: record.dailyBreakdown.map(d => ({ ...d, dateRaw: d.date, date: formatDate(d.date) }))
+        })
+      });
+      continue;
+    }
+
+    const onPayroll = emp.status === 'Active' && !emp.isArchived &&
+      (!emp.joiningDate || new Date(emp.joiningDate) <= end);
+    if (!empLogs.length && !onPayroll) continue;
+
+    figures.set(key, {
+      source: 'live',
+      totals: calcEmployeeTotals(emp, empLogs, workingDaysBetween(start, end, emp), inputsFor(emp._id)),
+      ...(withDays && { days: buildDailyBreakdown(empLogs) })
+    });
+  }
+  return figures;
+}
+
+/** Payroll-role employees incl. archived / inactive, so leavers still resolve */
+const varianceEmployeeFilter = (callerRole, extra = {}) => ({
+  role:      payrollFilter(callerRole).role,
+  isDeleted: false,
+  ...extra
+});
+
+/** Company-wide totals of one period's figures, per compared metric */
+const sumFigures = (figures) => Object.fromEntries(
+  VARIANCE_METRICS.map(key => [key, round2([...figures.values()].reduce((s, f) => s + n(f.totals[key]), 0))])
+);
+
+/** Trim a breakdown row to what the drill-down table shows */
+const pickDay = (d) => ({
+  date:            d.date,
+  status:          d.status,
+  inTime:          d.inTime  || '--',
+  outTime:         d.outTime || '--',
+  hoursWorked:     round2(d.hoursWorked),
+  basePay:         round2(d.basePay),
+  otAmount:        round2(d.otAmount),
+  deduction:       round2(d.deduction),
+  finalDayEarning: round2(d.finalDayEarning)
+});
+
+// ─── GET /api/payroll/variance ───────────────────────────────────────────────
+// Query: date (dd/mm/yyyy inside the current period), threshold (%, default 10)
+
+router.get('/variance', adminAuth, async (req, res) => {
+  try {
+    const { error, current, previous, threshold } = parseVarianceQuery(req.query);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    const employees = await Employee.find(varianceEmployeeFilter(req.role)).lean();
+    const [prevFigures, currFigures] = await Promise.all([
+      loadPeriodFigures(employees, previous),
+      loadPeriodFigures(employees, current)
+    ]);
+
+    const rows = [];
+    for (const emp of employees) {
+      const key  = String(emp._id);
+      const prev = prevFigures.get(key) || null;
+      const curr = currFigures.get(key) || null;
+      if (!prev && !curr) continue;
+
+      const { metrics, flagged } = compareTotals(prev?.totals, curr?.totals, threshold);
+      rows.push({
+        empId:          emp._id,
+        empNumber:      emp.employeeNumber,
+        name:           `${emp.firstName} ${emp.lastName}`,
+        department:     emp.department,
+        movement:       !prev ? 'joiner' : !curr ? 'leaver' : null,
+        previousSource: prev?.source || null,
+        currentSource:  curr?.source || null,
+        metrics,
+        flagged
+      });
+    }
+
+    rows.sort((a, b) =>
+      (Number(!!b.movement) - Number(!!a.movement)) ||
+      (b.flagged.length - a.flagged.length) ||
+      a.name.localeCompare(b.name)
+    );
+
+    return res.json({
+      success: true,
+      threshold,
+      current:  { start: current.startFormatted,  end: current.endFormatted,  label: current.label },
+      previous: { start: previous.startFormatted, end: previous.endFormatted, label: previous.label },
+      summary: {
+        employees: rows.length,
+        flagged:   rows.filter(r => r.flagged.length && !r.movement).length,
+        joiners:   rows.filter(r => r.movement === 'joiner').length,
+        leavers:   rows.filter(r => r.movement === 'leaver').length
+      },
+      totals: compareTotals(sumFigures(prevFigures), sumFigures(currFigures), threshold).metrics,
+      rows
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ─── GET /api/payroll/variance/:empId ────────────────────────────────────────
+// Drill-down: both periods' days side by side, with per-day deltas.
+
+router.get('/variance/:empId', adminAuth, async (req, res) => {
+  try {
+    const { error, current, previous, threshold } = parseVarianceQuery(req.query);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    const emp = await Employee.findOne(varianceEmployeeFilter(req.role, { _id: req.params.empId })).lean();
+    if (!emp) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found or you do not have permission to view this account'
+      });
+    }
+
+    const [prevFigures, currFigures] = await Promise.all([
+      loadPeriodFigures([emp], previous, true),
+      loadPeriodFigures([emp], current,  true)
+    ]);
+    const prev = prevFigures.get(String(emp._id)) || null;
+    const curr = currFigures.get(String(emp._id)) || null;
+
+    const { metrics, flagged } = compareTotals(prev?.totals, curr?.totals, threshold);
+    const days = alignDays(prev?.days || [], curr?.days || [], previous, current);
+
+    return res.json({
+      success: true,
+      employee: {
+        id:             emp._id,
+        name:           `${emp.firstName} ${emp.lastName}`,
+        employeeNumber: emp.employeeNumber,
+        department:     emp.department
+      },
+      current:  { start: current.startFormatted,  end: current.endFormatted,  source: curr?.source || null },
+      previous: { start: previous.startFormatted, end: previous.endFormatted, source: prev?.source || null },
+      metrics,
+      flagged,
+      days: days.map(d => ({
+        ...d,
+        previous: d.previous && pickDay(d.previous),
+        current:  d.current  && pickDay(d.current)
+      }))
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+export default router;
@@ -7,6 +7,7 @@ import Employee          from '../models/Employee.js';
 import { adminAuth }     from '../middleware/auth.js';
 import { buildDateRange, formatDate } from '../utils/dateUtils.js';
 import { countWorkingDays } from '../utils/helpers.js';
+import { countAttendance } from '../utils/timeCalculator.js';
 
 const router = express.Router();
 
@@ -31,22 +32,20 @@ const payrollFilter = (callerRole, extra = {}) => ({
 // ─── shared helper ────────────────────────────────────────────────────────────
 
 function computePerformance(employee, logs, periodStart, periodEnd, totalWorkingDays) {
-  let presentDays = 0, lateDays = 0, absentDays = 0, leaveDays = 0;
+  const {
+    presentDays, lateDays, earlyLeaveDays, halfDays, absentDays, leaveDays
+  } = countAttendance(logs);
   let totalHoursWorked = 0, totalOtHours = 0;
 
   for (const log of logs) {
-    if      (log.status === 'Present') presentDays++;
-    else if (log.status === 'Late')    { presentDays++; lateDays++; }
-    else if (log.status === 'Absent')  absentDays++;
-    else if (log.status === 'Leave')   leaveDays++;
-
     totalHoursWorked += log.financials?.hoursWorked || 0;
     totalOtHours     += log.financials?.otHours     || 0;
   }
 
+  // A half day counts as half attended; late and early leave both miss punctuality
   const total           = totalWorkingDays || 1;
-  const attendanceRate  = Math.min(100, ((presentDays + leaveDays) / total) * 100);
-  const onTimeDays      = Math.max(0, presentDays - lateDays);
+  const attendanceRate  = Math.min(100, ((presentDays - halfDays / 2 + leaveDays) / total) * 100);
+  const onTimeDays      = Math.max(0, presentDays - lateDays - earlyLeaveDays);
   const punctualityRate = presentDays > 0 ? (onTimeDays / presentDays) * 100 : 100;
   const otScore         = Math.min(100, (totalOtHours / Math.max(1, total)) * 100);
 
@@ -74,6 +73,8 @@ function computePerformance(employee, logs, periodStart, periodEnd, totalWorking
     totalWorkingDays: totalWorkingDays || 0,
     presentDays,
     lateDays,
+    earlyLeaveDays,
+    halfDays,
     absentDays,
     leaveDays,
     totalHoursWorked,
@@ -120,7 +121,6 @@ router.get('/summary', adminAuth, async (req, res) => {
       // Compute live
       const empQuery  = payrollFilter(req.userRole, department ? { department } : {});
       const employees   = await Employee.find(empQuery).lean();
-      const workingDays = countWorkingDays(range.$gte, range.$lte);
       const empIds      = employees.map(e => e._id);
 
       const logs = await AttendanceLog.find({
@@ -134,7 +134,8 @@ router.get('/summary', adminAuth, async (req, res) => {
       }
 
       records = employees.map(emp =>
-        computePerformance(emp, logsByEmp[String(emp._id)] || [], range.$gte, range.$lte, workingDays)
+        computePerformance(emp, logsByEmp[String(emp._id)] || [], range.$gte, range.$lte,
+          countWorkingDays(range.$gte, range.$lte, true, emp))
       );
     }
 
@@ -147,6 +148,8 @@ router.get('/summary', adminAuth, async (req, res) => {
       totalWorkingDays: r.totalWorkingDays,
       presentDays:      r.presentDays,
       lateDays:         r.lateDays,
+      earlyLeaveDays:   r.earlyLeaveDays,
+      halfDays:         r.halfDays,
       absentDays:       r.absentDays,
       leaveDays:        r.leaveDays,
       totalOtHours:     r.totalOtHours,
@@ -241,7 +244,7 @@ router.get('/:empId', adminAuth, async (req, res) => {
         empId: employee._id, date: range, isDeleted: false
       }).sort({ date: 1 }).lean();
 
-      const workingDays = countWorkingDays(range.$gte, range.$lte);
+      const workingDays = countWorkingDays(range.$gte, range.$lte, true, employee);
       record = computePerformance(employee, logs, range.$gte, range.$lte, workingDays);
     }
 
@@ -278,6 +281,8 @@ router.get('/:empId', adminAuth, async (req, res) => {
         totalWorkingDays: record.totalWorkingDays,
         presentDays:      record.presentDays,
         lateDays:         record.lateDays,
+        earlyLeaveDays:   record.earlyLeaveDays,
+        halfDays:         record.halfDays,
         absentDays:       record.absentDays,
         leaveDays:        record.leaveDays,
         totalHoursWorked: record.totalHoursWorked,
@@ -313,7 +318,6 @@ router.post('/calculate', adminAuth, async (req, res) => {
     }
 
     const empIds      = employees.map(e => e._id);
-    const workingDays = countWorkingDays(range.$gte, range.$lte);
 
     const logs = await AttendanceLog.find({
       empId: { $in: empIds }, date: range, isDeleted: false
@@ -331,7 +335,7 @@ router.post('/calculate', adminAuth, async (req, res) => {
       const data = computePerformance(
         emp,
         logsByEmp[String(emp._id)] || [],
-        range.$gte, range.$lte, workingDays
+        range.$gte, range.$lte, countWorkingDays(range.$gte, range.$lte, true, emp)
       );
       data.generatedBy = req.userId;
 
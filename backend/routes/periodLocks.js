@@ -0,0 +1,135 @@
+// routes/periodLocks.js
+//
+// Covers:
+//   GET  /api/period-locks             — admin: list locks (optionally by range/status)
+//   POST /api/period-locks             — admin: lock a period manually
+//   POST /api/period-locks/:id/reopen  — superadmin: reopen a locked period (reason required)
+//
+// Locks are also created automatically by payroll approval (routes/payroll.js).
+
+import express from 'express';
+import PeriodLock    from '../models/PeriodLock.js';
+import PayrollRecord from '../models/PayrollRecord.js';
+import { adminAuth, superadminAuth } from '../middleware/auth.js';
+import { buildDateRange, formatDate, formatDateTimeForDisplay } from '../utils/dateUtils.js';
+import { lockPeriod } from '../utils/periodLock.js';
+import { reopenUnrepaidLoans } from '../utils/loanCalculator.js';
+
+const router = express.Router();
+
+// ─── helpers ──────────────────────────────────────────────────────────────────
+
+const fmtLock = (l) => ({
+  ...l,
+  periodStartFormatted: formatDate(l.periodStart),
+  periodEndFormatted:   formatDate(l.periodEnd),
+  lockedAtFormatted:    l.lockedAt   ? formatDateTimeForDisplay(l.lockedAt)   : null,
+  reopenedAtFormatted:  l.reopenedAt ? formatDateTimeForDisplay(l.reopenedAt) : null
+});
+
+// ─── GET /api/period-locks ────────────────────────────────────────────────────
+
+router.get('/', adminAuth, async (req, res) => {
+  try {
+    const { fromDate, toDate, status } = req.query;
+    const query = {};
+
+    if (fromDate || toDate) {
+      const range = buildDateRange(fromDate, toDate);
+      if (!range) return res.status(400).json({ success: false, message: 'Invalid date range' });
+      query.periodStart = { $lte: range.$lte };
+      query.periodEnd   = { $gte: range.$gte };
+    }
+    if (status) query.status = status;
+
+    const locks = await PeriodLock.find(query)
+      .populate('lockedBy',        'firstName lastName employeeNumber')
+      .populate('reopenedBy',      'firstName lastName employeeNumber')
+      .populate('history.by',      'firstName lastName employeeNumber')
+      .sort({ periodStart: -1 })
+      .lean();
+
+    return res.json({ success: true, locks: locks.map(fmtLock), total: locks.length });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ─── POST /api/period-locks ───────────────────────────────────────────────────
+// Manual lock, e.g. to freeze a period before payroll is generated.
+
+router.post('/', adminAuth, async (req, res) => {
+  try {
+    const { fromDate, toDate, periodLabel, reason } = req.body;
+    const range = buildDateRange(fromDate, toDate);
+    if (!range) return res.status(400).json({ success: false, message: 'Invalid date range' });
+
+    const lock = await lockPeriod({
+      periodStart: range.$gte,
+      periodEnd:   range.$lte,
+      periodLabel: periodLabel || `${formatDate(range.$gte)} – ${formatDate(range.$lte)}`,
+      userId:      req.userId,
+      reason:      reason?.trim() || 'Locked manually'
+    });
+
+    return res.status(201).json({ success: true, message: 'Period locked', lock: fmtLock(lock.toObject()) });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ─── POST /api/period-locks/:id/reopen  (superadmin) ─────────────────────────
+// Reopening unlocks attendance for the period and returns its approved payroll
+// records to draft so they can be regenerated. Their payslip numbers are
+// cleared — the figures may change, so re-approval issues a fresh number. Paid
+// records stay paid — any adjustment for them belongs in a later period. Loans
+// closed by the reverted records' installments become active again.
+
+router.post('/:id/reopen', superadminAuth, async (req, res) => {
+  try {
+    const reason = String(req.body.reason || '').trim();
+    if (!reason) {
+      return res.status(400).json({ success: false, message: 'A reason is required to reopen a period' });
+    }
+
+    const lock = await PeriodLock.findById(req.params.id);
+    if (!lock) return res.status(404).json({ success: false, message: 'Period lock not found' });
+    if (lock.status !== 'locked') {
+      return res.status(400).json({ success: false, message: 'Period is not locked' });
+    }
+
+    lock.status       = 'reopened';
+    lock.reopenedBy   = req.userId;
+    lock.reopenedAt   = new Date();
+    lock.reopenReason = reason;
+    lock.history.push({ action: 'reopened', by: req.userId, reason });
+    await lock.save();
+
+    const approvedFilter = {
+      periodStart: { $gte: lock.periodStart },
+      periodEnd:   { $lte: lock.periodEnd },
+      status:      'approved',
+      isDeleted:   false
+    };
+    const approved = await PayrollRecord.find(approvedFilter).select('loanDeductions').lean();
+
+    const reverted = await PayrollRecord.updateMany(approvedFilter, {
+      $set:   { status: 'draft' },
+      $unset: { approvedBy: '', approvedAt: '', payslipNumber: '', payslipIssuedAt: '' }
+    });
+    const reopenedLoans = await reopenUnrepaidLoans(approved);
+
+    return res.json({
+      success: true,
+      message: `Period reopened. ${reverted.modifiedCount} approved payroll record(s) returned to draft` +
+               (reopenedLoans ? `, ${reopenedLoans} loan(s) reactivated.` : '.'),
+      lock:    fmtLock(lock.toObject()),
+      revertedRecords: reverted.modifiedCount,
+      reopenedLoans
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+export default router;
@@ -6,7 +6,12 @@ import CorrectionRequest from '../models/CorrectionRequest.js';
 import AttendanceLog     from '../models/AttendanceLog.js';
 import Employee          from '../models/Employee.js';
 import { auth, adminAuth, employeeAuth } from '../middleware/auth.js';
-import { parseDDMMYYYY, formatDate } from '../utils/dateUtils.js';
+import { parseDDMMYYYY, formatDate, endOfDay } from '../utils/dateUtils.js';
+import { findLockForRange, lockedResponse } from '../utils/periodLock.js';
+import { getSettings } from '../utils/companySettings.js';
+import { isNonWorkingDay } from '../utils/holidays.js';
+import { loadRoster, shiftFor, getShiftForDate } from '../utils/roster.js';
+import { workedDayHours, dayStatus, missingPunchPay } from '../utils/timeCalculator.js';
 
 const router = express.Router();
 
@@ -66,13 +71,14 @@ router.post('/leave/submit', employeeAuth, async (req, res) => {
       return res.status(400).json({ success: false, message: 'toDate must be on or after fromDate' });
     }
 
-    // ── 90-day eligibility check ──────────────────────────────────────────────
+    // ── eligibility check (CompanySettings.leaveEligibilityDays) ─────────────
+    const { leaveEligibilityDays } = getSettings();
     const daysElapsed = Math.floor((Date.now() - new Date(req.user.joiningDate)) / 86_400_000);
-    if (daysElapsed < 90) {
+    if (daysElapsed < leaveEligibilityDays) {
       return res.status(400).json({
         success: false,
-        message: `Leave not eligible yet. ${90 - daysElapsed} day(s) remaining.`,
-        daysUntilEligible: 90 - daysElapsed
+        message: `Leave not eligible yet. ${leaveEligibilityDays - daysElapsed} day(s) remaining.`,
+        daysUntilEligible: leaveEligibilityDays - daysElapsed
       });
     }
 
@@ -274,6 +280,10 @@ router.patch('/leave/:requestId/approve', adminAuth, async (req, res) => {
       return res.status(400).json({ success: false, message: `Request already ${leaveRequest.status.toLowerCase()}` });
     }
 
+    // Approving writes Leave rows into attendance — refuse if any day is in a locked period
+    const lock = await findLockForRange(leaveRequest.fromDate, endOfDay(leaveRequest.toDate));
+    if (lock) return res.status(423).json(lockedResponse(lock));
+
     leaveRequest.status     = 'Approved';
     leaveRequest.approvedBy = req.userId;
     leaveRequest.approvedAt = new Date();
@@ -285,14 +295,19 @@ router.patch('/leave/:requestId/approve', adminAuth, async (req, res) => {
       return res.status(404).json({ success: false, message: 'Employee not found' });
     }
 
-    const schedHours = shiftHours(employee.shift);
-    const basePay    = schedHours * employee.hourlyRate;
+    // Each leave day is paid at the hours of the shift rostered for it
+    const roster = await loadRoster([employee._id], leaveRequest.fromDate, leaveRequest.toDate);
 
-    // ── upsert one AttendanceLog per leave day ────────────────────────────────
+    // ── upsert one AttendanceLog per leave day (days off and public holidays are not leave)
     const ops = [];
     for (let d = new Date(leaveRequest.fromDate); d <= new Date(leaveRequest.toDate); d.setDate(d.getDate() + 1)) {
       const day = new Date(d);
       day.setHours(0, 0, 0, 0);
+      if (isNonWorkingDay(day, employee)) continue;
+
+      const shift      = shiftFor(employee, day, roster);
+      const schedHours = shiftHours(shift);
+      const basePay    = schedHours * employee.hourlyRate;
 
       ops.push(
         AttendanceLog.findOneAndUpdate(
@@ -308,7 +323,7 @@ router.patch('/leave/:requestId/approve', adminAuth, async (req, res) => {
             $set: {
               status:     'Leave',
               inOut:      { in: null, out: null, outNextDay: false },
-              shift:      employee.shift,
+              shift,
               hourlyRate: employee.hourlyRate,
               financials: {
                 hoursWorked:      schedHours,   // correct field name (not hoursPerDay)
@@ -386,6 +401,9 @@ router.patch('/correction/:requestId/approve', adminAuth, async (req, res) => {
       return res.status(400).json({ success: false, message: `Request already ${correctionRequest.status.toLowerCase()}` });
     }
 
+    const lock = await findLockForRange(correctionRequest.date, endOfDay(correctionRequest.date));
+    if (lock) return res.status(423).json(lockedResponse(lock));
+
     correctionRequest.status     = 'Approved';
     correctionRequest.approvedBy = req.userId;
     correctionRequest.approvedAt = new Date();
@@ -405,14 +423,15 @@ router.patch('/correction/:requestId/approve', adminAuth, async (req, res) => {
     let record = await AttendanceLog.findOne({ empId: correctionRequest.empId, date: dateObj });
 
     if (!record) {
-      // No existing record — create a minimal one
+      // No existing record — create a minimal one on the day's rostered shift
+      const shift = await getShiftForDate(employee, dateObj);
       record = new AttendanceLog({
         empId:      correctionRequest.empId,
         date:       dateObj,
         empNumber:  employee.employeeNumber,
         empName:    `${employee.firstName} ${employee.lastName}`,
         department: employee.department,
-        shift:      employee.shift,
+        shift,
         hourlyRate: employee.hourlyRate
       });
     }
@@ -429,9 +448,22 @@ router.patch('/correction/:requestId/approve', adminAuth, async (req, res) => {
     const inTime  = record.inOut?.in;
     const outTime = record.inOut?.out;
 
-    if (inTime && outTime) {
-      const hours   = calcHours(inTime, outTime);
-      const base    = hours * employee.hourlyRate;
+    if (inTime || outTime) {
+      let hours = 0, breakHours = 0, base = 0;
+      if (inTime && outTime) {
+        // The correction moves the first IN / last OUT of the day's punch pairs
+        if (record.punches?.length) {
+          record.punches[0].in = inTime;
+          record.punches[record.punches.length - 1].out = outTime;
+        }
+        ({ hoursWorked: hours, breakHours } = workedDayHours({
+          inTime, outTime, outNextDay: record.inOut?.outNextDay, punches: record.punches || []
+        }));
+        base = hours * employee.hourlyRate;
+      } else {
+        // Still one punch short — the company missing-punch policy decides the pay
+        ({ hoursWorked: hours, basePay: base } = missingPunchPay(shiftHours(record.shift), employee.hourlyRate));
+      }
 
       // Preserve existing deduction + OT — only update hours/base/final
       const existingDeduction = record.financials?.deduction  || 0;
@@ -440,14 +472,17 @@ router.patch('/correction/:requestId/approve', adminAuth, async (req, res) => {
       record.financials = {
         ...(record.financials?.toObject?.() || record.financials || {}),
         hoursWorked:      hours,           // correct field (not hoursPerDay)
-        scheduledHours:   shiftHours(employee.shift),
+        scheduledHours:   shiftHours(record.shift),
+        breakHours,
         basePay:          base,
         finalDayEarning:  Math.max(0, base - existingDeduction + existingOtAmount)
       };
 
-      // Re-evaluate status — corrected times may change Late → Present
-      record.status = toMin(inTime) > toMin(record.shift?.start || employee.shift.start)
-        ? 'Late' : 'Present';
+      // Re-evaluate status — corrected times may change Late → Present, cross
+      // the early-leave / half-day thresholds or settle a Pending Regularization
+      record.status = dayStatus({
+        inTime, outTime, outNextDay: record.inOut?.outNextDay, hoursWorked: hours, shift: record.shift
+      });
     }
 
     record.manualOverride          = false;
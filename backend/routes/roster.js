@@ -0,0 +1,329 @@
+// routes/roster.js
+//
+// Covers:
+//   GET    /api/roster/templates      — admin: shift templates (active + inactive)
+//   POST   /api/roster/templates      — admin: add a template
+//   PUT    /api/roster/templates/:id  — admin: update name / code / times / colour / active
+//   DELETE /api/roster/templates/:id  — admin: delete if never rostered
+//   GET    /api/roster                — admin: roster calendar for ?fromDate=&toDate=
+//   POST   /api/roster/assign         — admin: put employees on one shift for a date range
+//   POST   /api/roster/rotate         — admin: roster employees through a rotation pattern
+//
+// Days without an assignment use the employee's default Employee.shift
+// (utils/roster.js). The roster feeds attendance, so assignments inside a
+// locked pay period are refused like any other attendance write.
+
+import express from 'express';
+import ShiftTemplate   from '../models/ShiftTemplate.js';
+import ShiftAssignment from '../models/ShiftAssignment.js';
+import Employee        from '../models/Employee.js';
+import { adminAuth } from '../middleware/auth.js';
+import { parseDDMMYYYY, formatDate, endOfDay } from '../utils/dateUtils.js';
+import { validateShiftTimes } from '../utils/timeCalculator.js';
+import { findLockForRange, lockedResponse } from '../utils/periodLock.js';
+import { isNonWorkingDay } from '../utils/holidays.js';
+
+const router = express.Router();
+
+// ─── helpers ──────────────────────────────────────────────────────────────────
+
+const COLORS   = ['amber', 'indigo', 'green', 'red', 'blue', 'purple'];
+const MAX_DAYS = 366;
+
+// Same population as the attendance worksheet (superadmin is login-only)
+const rosterEmpFilter = (extra = {}) => ({
+  role:       { $nin: ['superadmin'] },
+  status:     'Active',
+  isArchived: false,
+  isDeleted:  false,
+  ...extra
+});
+
+/** "9:5" → "09:05" */
+const padTime = (t) => t.trim().split(':').map(n => n.padStart(2, '0')).join(':');
+
+/** Validate + normalise a template body. Returns { error } or { data }. */
+function parseTemplate(body, partial = false) {
+  const data = {};
+
+  if (body.name !== undefined || !partial) {
+    if (!String(body.name || '').trim()) return { error: 'name is required' };
+    data.name = String(body.name).trim();
+  }
+  if (body.code !== undefined || !partial) {
+    const code = String(body.code || '').trim().toUpperCase();
+    if (!/^[A-Z0-9_]{1,12}$/.test(code)) return { error: 'code must be 1–12 letters, digits or _' };
+    data.code = code;
+  }
+  if (body.start !== undefined || body.end !== undefined || !partial) {
+    const { valid, error } = validateShiftTimes(body.start, body.end);
+    if (!valid) return { error };
+    data.start = padTime(body.start);
+    data.end   = padTime(body.end);
+  }
+  if (body.color !== undefined) {
+    if (!COLORS.includes(body.color)) return { error: `color must be one of: ${COLORS.join(', ')}` };
+    data.color = body.color;
+  }
+  if (body.isActive !== undefined) data.isActive = Boolean(body.isActive);
+
+  return { data };
+}
+
+/**
+ * Validate the shared range + employees part of assign/rotate.
+ * Returns { error } or { start, end, employees }.
+ */
+async function parseRange({ empIds, fromDate, toDate }) {
+  const start = parseDDMMYYYY(fromDate);
+  const end   = parseDDMMYYYY(toDate);
+  if (!start || !end) return { error: 'fromDate and toDate must be dd/mm/yyyy' };
+  if (end < start)    return { error: 'toDate must not be before fromDate' };
+  if ((end - start) / 86400000 >= MAX_DAYS) return { error: `A roster range may span at most ${MAX_DAYS} days` };
+
+  if (!Array.isArray(empIds) || empIds.length === 0) return { error: 'empIds must list at least one employee' };
+  const employees = await Employee.find(rosterEmpFilter({ _id: { $in: empIds } }))
+    .select('firstName lastName weeklyOff').lean();
+  if (employees.length !== new Set(empIds.map(String)).size) {
+    return { error: 'One or more employees were not found or cannot be rostered' };
+  }
+
+  return { start, end, employees };
+}
+
+/** Every day in [start, end] as local-midnight Dates */
+function daysBetween(start, end) {
+  const days = [];
+  for (let d = new Date(start); d <= end; d.setDate(d.getDate() + 1)) days.push(new Date(d));
+  return days;
+}
+
+/**
+ * Upsert one assignment per { empId, date, shift } (shift null → clear the day).
+ * Returns the number of days written.
+ */
+async function writeAssignments(cells, source, userId) {
+  if (cells.length === 0) return 0;
+  await ShiftAssignment.bulkWrite(cells.map(({ empId, date, shift }) => (shift
+    ? {
+        updateOne: {
+          filter: { empId, date },
+          update: { $set: { shift, source, assignedBy: userId } },
+          upsert: true
+        }
+      }
+    : { deleteOne: { filter: { empId, date } } }
+  )));
+  return cells.length;
+}
+
+// ─── GET /api/roster/templates ────────────────────────────────────────────────
+
+router.get('/templates', adminAuth, async (req, res) => {
+  try {
+    const templates = await ShiftTemplate.find().sort({ isActive: -1, start: 1 }).lean();
+    return res.json({ success: true, templates });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ─── POST /api/roster/templates ───────────────────────────────────────────────
+// Body: { name, code, start: HH:mm, end: HH:mm, color? }
+
+router.post('/templates', adminAuth, async (req, res) => {
+  try {
+    const { error, data } = parseTemplate(req.body);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    if (await ShiftTemplate.exists({ code: data.code })) {
+      return res.status(409).json({ success: false, message: `Code ${data.code} already exists` });
+    }
+
+    const template = await ShiftTemplate.create({ ...data, createdBy: req.userId });
+    return res.status(201).json({ success: true, message: 'Shift template created', template });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ─── PUT /api/roster/templates/:id ────────────────────────────────────────────
+// New times apply to attendance written from now on; existing attendance
+// keeps the shift it was saved with.
+
+router.put('/templates/:id', adminAuth, async (req, res) => {
+  try {
+    const template = await ShiftTemplate.findById(req.params.id);
+    if (!template) return res.status(404).json({ success: false, message: 'Shift template not found' });
+
+    const { error, data } = parseTemplate(req.body, true);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    if (data.code && data.code !== template.code && await ShiftTemplate.exists({ code: data.code })) {
+      return res.status(409).json({ success: false, message: `Code ${data.code} already exists` });
+    }
+
+    Object.assign(template, data);
+    await template.save();
+    return res.json({ success: true, message: 'Shift template updated', template });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ─── DELETE /api/roster/templates/:id ─────────────────────────────────────────
+
+router.delete('/templates/:id', adminAuth, async (req, res) => {
+  try {
+    const rostered = await ShiftAssignment.countDocuments({ shift: req.params.id });
+    if (rostered) {
+      return res.status(409).json({
+        success: false,
+        message: `Rostered on ${rostered} day(s) — deactivate it instead, or clear those days first`
+      });
+    }
+
+    const template = await ShiftTemplate.findByIdAndDelete(req.params.id);
+    if (!template) return res.status(404).json({ success: false, message: 'Shift template not found' });
+    return res.json({ success: true, message: `${template.name} deleted` });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ─── GET /api/roster?fromDate=&toDate= ────────────────────────────────────────
+// One row per rosterable employee with their default shift and the days that
+// have an assignment, keyed by dd/mm/yyyy. Unlisted days use the default.
+
+router.get('/', adminAuth, async (req, res) => {
+  try {
+    const start = parseDDMMYYYY(req.query.fromDate);
+    const end   = parseDDMMYYYY(req.query.toDate);
+    if (!start || !end || end < start) {
+      return res.status(400).json({ success: false, message: 'fromDate and toDate must be dd/mm/yyyy' });
+    }
+
+    const employees = await Employee.find(rosterEmpFilter())
+      .select('firstName lastName employeeNumber department shift weeklyOff')
+      .sort({ employeeNumber: 1 }).lean();
+
+    const assignments = await ShiftAssignment.find({
+      empId: { $in: employees.map(e => e._id) },
+      date:  { $gte: start, $lte: endOfDay(end) }
+    }).lean();
+
+    const byEmp = {};
+    for (const a of assignments) {
+      (byEmp[a.empId] ||= {})[formatDate(a.date)] = { shift: a.shift, source: a.source };
+    }
+
+    return res.json({
+      success: true,
+      dates:   daysBetween(start, end).map(d => ({
+        date:      formatDate(d),
+        weekday:   d.toLocaleDateString('en-GB', { weekday: 'short' }),
+        dayOfWeek: d.getDay()
+      })),
+      employees: employees.map(e => ({
+        _id:            e._id,
+        employeeNumber: e.employeeNumber,
+        name:           `${e.firstName} ${e.lastName}`,
+        department:     e.department,
+        defaultShift:   e.shift,
+        weeklyOff:      e.weeklyOff ?? null,
+        days:           byEmp[e._id] || {}
+      }))
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ─── POST /api/roster/assign ──────────────────────────────────────────────────
+// Body: { empIds: [], fromDate, toDate, shiftId | null, skipDaysOff? }
+// shiftId null clears the days back to each employee's default shift.
+// skipDaysOff (default true) leaves weekly days off and public holidays alone.
+
+router.post('/assign', adminAuth, async (req, res) => {
+  try {
+    const { shiftId = null, skipDaysOff = true } = req.body;
+
+    const { error, start, end, employees } = await parseRange(req.body);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    if (shiftId && !await ShiftTemplate.exists({ _id: shiftId, isActive: true })) {
+      return res.status(400).json({ success: false, message: 'Shift template not found or inactive' });
+    }
+
+    const lock = await findLockForRange(start, endOfDay(end));
+    if (lock) return res.status(423).json(lockedResponse(lock));
+
+    const cells = [];
+    for (const day of daysBetween(start, end)) {
+      for (const emp of employees) {
+        if (skipDaysOff && isNonWorkingDay(day, emp)) continue;
+        cells.push({ empId: emp._id, date: day, shift: shiftId });
+      }
+    }
+
+    const written = await writeAssignments(cells, cells.length > 1 ? 'bulk' : 'manual', req.userId);
+    return res.json({
+      success: true,
+      message: shiftId ? `${written} day(s) rostered` : `${written} day(s) reset to the default shift`,
+      written
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ─── POST /api/roster/rotate ──────────────────────────────────────────────────
+// Body: { empIds: [], fromDate, toDate, pattern: [shiftId, …], daysPerShift?, startAt?, skipDaysOff? }
+// Each employee works pattern[0] for daysPerShift (default 7) days from
+// fromDate, then pattern[1], … wrapping round. startAt offsets the pattern so
+// teams can be staggered (e.g. startAt 1 starts on pattern[1]).
+
+router.post('/rotate', adminAuth, async (req, res) => {
+  try {
+    const { pattern, skipDaysOff = true } = req.body;
+    const daysPerShift = Number(req.body.daysPerShift ?? 7);
+    const startAt      = Number(req.body.startAt ?? 0);
+
+    if (!Array.isArray(pattern) || pattern.length === 0) {
+      return res.status(400).json({ success: false, message: 'pattern must list at least one shift template' });
+    }
+    if (!Number.isInteger(daysPerShift) || daysPerShift < 1) {
+      return res.status(400).json({ success: false, message: 'daysPerShift must be a whole number of at least 1' });
+    }
+    if (!Number.isInteger(startAt) || startAt < 0) {
+      return res.status(400).json({ success: false, message: 'startAt must be a non-negative whole number' });
+    }
+
+    const { error, start, end, employees } = await parseRange(req.body);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    const active = await ShiftTemplate.countDocuments({ _id: { $in: [...new Set(pattern)] }, isActive: true });
+    if (active !== new Set(pattern).size) {
+      return res.status(400).json({ success: false, message: 'Every pattern step must be an active shift template' });
+    }
+
+    const lock = await findLockForRange(start, endOfDay(end));
+    if (lock) return res.status(423).json(lockedResponse(lock));
+
+    const cells = [];
+    daysBetween(start, end).forEach((day, i) => {
+      const shift = pattern[(Math.floor(i / daysPerShift) + startAt) % pattern.length];
+      for (const emp of employees) {
+        if (skipDaysOff && isNonWorkingDay(day, emp)) continue;
+        cells.push({ empId: emp._id, date: day, shift });
+      }
+    });
+
+    const written = await writeAssignments(cells, 'rotation', req.userId);
+    return res.json({ success: true, message: `${written} day(s) rostered`, written });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+export default router;
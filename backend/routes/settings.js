@@ -0,0 +1,72 @@
+// routes/settings.js
+//
+// Covers:
+//   GET  /api/settings  — any signed-in user: company policies + current pay period
+//   PUT  /api/settings  — superadmin: update any of the policies
+//
+// The policies (pay cycle, currency, weekend days, break allowance, leave
+// eligibility, hours basis) are read by the calculators through utils/companySettings.js.
+
+import express from 'express';
+import CompanySettings from '../models/CompanySettings.js';
+import { auth, superadminAuth } from '../middleware/auth.js';
+import { formatDate } from '../utils/dateUtils.js';
+import { loadSettings, validateSettings, saveSettings } from '../utils/companySettings.js';
+import { getCompanyMonthDates } from '../utils/timeCalculator.js';
+
+const router = express.Router();
+
+// ─── helpers ──────────────────────────────────────────────────────────────────
+
+/** Settings plus the pay period containing today, so clients need no cycle maths */
+async function settingsResponse(settings) {
+  const meta   = await CompanySettings.findById('company').select('updatedAt updatedBy')
+    .populate('updatedBy', 'firstName lastName').lean();
+  const period = getCompanyMonthDates();
+
+  return {
+    success: true,
+    settings,
+    currentPeriod: {
+      startDate:   formatDate(period.startDate),
+      endDate:     formatDate(period.endDate),
+      periodLabel: period.periodLabel
+    },
+    updatedAt: meta?.updatedAt || null,
+    updatedBy: meta?.updatedBy ? `${meta.updatedBy.firstName} ${meta.updatedBy.lastName}` : null
+  };
+}
+
+// ─── GET /api/settings ────────────────────────────────────────────────────────
+
+router.get('/', auth, async (req, res) => {
+  try {
+    const settings = await loadSettings();
+    return res.json(await settingsResponse(settings));
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ─── PUT /api/settings ────────────────────────────────────────────────────────
+// Body: any subset of payCycleStartDay, currency, locale, weekendDays[],
+//       workingDaysPerMonth, hoursPerDay, leaveEligibilityDays, annualLeaveDays
+// Payroll records already generated keep their figures; regenerate drafts to
+// apply a change.
+
+router.put('/', superadminAuth, async (req, res) => {
+  try {
+    const { error, data } = validateSettings(req.body);
+    if (error) return res.status(400).json({ success: false, message: error });
+    if (!Object.keys(data).length) {
+      return res.status(400).json({ success: false, message: 'No settings to update' });
+    }
+
+    const settings = await saveSettings(data, req.userId);
+    return res.json({ ...(await settingsResponse(settings)), message: 'Company settings saved' });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+export default router;
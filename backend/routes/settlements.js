@@ -0,0 +1,267 @@
+// routes/settlements.js
+//
+// Covers:
+//   GET    /api/settlements               — admin: list (?empId=&status=draft|finalized)
+//   GET    /api/settlements/:id           — admin: one settlement
+//   POST   /api/settlements/preview       — admin: calculate without saving
+//   POST   /api/settlements               — admin: record the exit + save / recalculate the draft
+//   POST   /api/settlements/:id/finalize  — admin: freeze, number, close loans, deactivate employee
+//   DELETE /api/settlements/:id           — admin: discard a draft and clear the recorded exit
+//   GET    /api/settlements/:id/pdf       — admin: settlement statement PDF
+//
+// Figures come from utils/settlementCalculator.js. Once an exit is recorded,
+// payroll runs for periods ending on or after the last working day skip the
+// employee (see POST /api/payroll/records/generate).
+
+import express from 'express';
+import FinalSettlement from '../models/FinalSettlement.js';
+import Employee        from '../models/Employee.js';
+import Loan            from '../models/Loan.js';
+import PayrollRecord   from '../models/PayrollRecord.js';
+import { adminAuth } from '../middleware/auth.js';
+import { parseDDMMYYYY, formatDate, endOfDay } from '../utils/dateUtils.js';
+import { calcSettlement } from '../utils/settlementCalculator.js';
+import { nextStatementNumber, renderSettlementPdf } from '../utils/payslipPdf.js';
+
+const router = express.Router();
+
+// ─── helpers ──────────────────────────────────────────────────────────────────
+
+const EXIT_REASONS = ['resignation', 'termination', 'retirement', 'contract-end', 'other'];
+
+/** Employees the caller may settle — same scope as payroll */
+const visibleEmpFilter = (callerRole) => ({
+  role:      callerRole === 'superadmin' ? { $nin: ['superadmin'] } : 'employee',
+  isDeleted: false
+});
+
+const fmtSettlement = (s) => ({
+  ...s,
+  lastWorkingDayFormatted: formatDate(s.lastWorkingDay),
+  periodStartFormatted:    s.periodStart ? formatDate(s.periodStart) : null,
+  periodEndFormatted:      s.periodEnd   ? formatDate(s.periodEnd)   : null,
+  finalizedAtFormatted:    s.finalizedAt ? formatDate(s.finalizedAt) : null
+});
+
+/**
+ * Validate the body shared by preview and save.
+ * Returns { employee, lastWorkingDay, leaveDays } or { error, status }.
+ */
+async function readExitBody(req) {
+  const { empId, lastWorkingDay, leaveDays } = req.body;
+
+  const employee = await Employee.findOne({ _id: empId, ...visibleEmpFilter(req.role) }).lean();
+  if (!employee) return { status: 404, error: 'Employee not found' };
+
+  const lwd = parseDDMMYYYY(lastWorkingDay);
+  if (!lwd) return { status: 400, error: 'lastWorkingDay is required (dd/mm/yyyy)' };
+  if (endOfDay(lwd) < new Date(employee.joiningDate)) {
+    return { status: 400, error: 'Last working day is before the joining date' };
+  }
+
+  const override = leaveDays === undefined || leaveDays === null || leaveDays === '' ? null : Number(leaveDays);
+  if (override !== null && !(isFinite(override) && override >= 0)) {
+    return { status: 400, error: 'leaveDays must be a number ≥ 0' };
+  }
+
+  return { employee, lastWorkingDay: lwd, leaveDays: override };
+}
+
+/** Load a settlement the caller may see, or null */
+async function findVisible(id, callerRole) {
+  const settlement = await FinalSettlement.findById(id).lean();
+  if (!settlement) return null;
+  const visible = await Employee.exists({ _id: settlement.empId, role: visibleEmpFilter(callerRole).role });
+  return visible ? settlement : null;
+}
+
+// ─── GET /api/settlements ─────────────────────────────────────────────────────
+
+router.get('/', adminAuth, async (req, res) => {
+  try {
+    const { empId, status } = req.query;
+    const empIds = await Employee.find({ role: visibleEmpFilter(req.role).role }).distinct('_id');
+    const query  = { empId: { $in: empIds } };
+    if (empId)  query.empId  = empIds.some(id => String(id) === empId) ? empId : null;
+    if (status) query.status = status;
+
+    const settlements = await FinalSettlement.find(query)
+      .select('-earnings -loanRecoveries')
+      .sort({ lastWorkingDay: -1 })
+      .lean();
+    return res.json({ success: true, settlements: settlements.map(fmtSettlement) });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ─── POST /api/settlements/preview ────────────────────────────────────────────
+// Body: { empId, lastWorkingDay (dd/mm/yyyy), leaveDays? }
+
+router.post('/preview', adminAuth, async (req, res) => {
+  try {
+    const input = await readExitBody(req);
+    if (input.error) return res.status(input.status).json({ success: false, message: input.error });
+
+    const data = await calcSettlement(input.employee, input.lastWorkingDay, { leaveDaysOverride: input.leaveDays });
+    return res.json({ success: true, settlement: fmtSettlement({ ...data, status: 'preview' }) });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ─── GET /api/settlements/:id ─────────────────────────────────────────────────
+
+router.get('/:id', adminAuth, async (req, res) => {
+  try {
+    const settlement = await findVisible(req.params.id, req.role);
+    if (!settlement) return res.status(404).json({ success: false, message: 'Settlement not found' });
+    return res.json({ success: true, settlement: fmtSettlement(settlement) });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ─── POST /api/settlements ────────────────────────────────────────────────────
+// Body: { empId, lastWorkingDay (dd/mm/yyyy), reason, notes?, leaveDays? }
+// Records the exit on the employee and creates or recalculates their draft.
+
+router.post('/', adminAuth, async (req, res) => {
+  try {
+    const { reason, notes } = req.body;
+    if (!EXIT_REASONS.includes(reason)) {
+      return res.status(400).json({ success: false, message: `reason must be one of ${EXIT_REASONS.join(', ')}` });
+    }
+    if (String(req.body.empId) === String(req.userId)) {
+      return res.status(403).json({ success: false, message: 'You cannot record your own exit' });
+    }
+
+    const input = await readExitBody(req);
+    if (input.error) return res.status(input.status).json({ success: false, message: input.error });
+    const { employee, lastWorkingDay, leaveDays } = input;
+
+    const existing = await FinalSettlement.findOne({ empId: employee._id });
+    if (existing?.status === 'finalized') {
+      return res.status(409).json({ success: false, message: `Settlement already finalized (${existing.statementNumber})` });
+    }
+
+    const data = await calcSettlement(employee, lastWorkingDay, { leaveDaysOverride: leaveDays });
+
+    await Employee.updateOne({ _id: employee._id }, {
+      $set: {
+        exit: { lastWorkingDay, reason, notes, recordedBy: req.userId, recordedAt: new Date() }
+      }
+    });
+
+    const settlement = existing || new FinalSettlement({ createdBy: req.userId });
+    Object.assign(settlement, data, { exitReason: reason, notes });
+    await settlement.save();
+
+    return res.status(existing ? 200 : 201).json({
+      success: true,
+      message: existing ? 'Settlement draft recalculated' : 'Exit recorded and settlement draft created',
+      settlement: fmtSettlement(settlement.toObject())
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ─── POST /api/settlements/:id/finalize ───────────────────────────────────────
+// Recalculates one last time, then freezes the figures. Each recovery is
+// recorded on its loan, and loans recovered in full are closed — a balance the
+// settlement could not cover stays outstanding. Draft payroll from the settled
+// days onwards is removed, and the employee is deactivated and archived.
+
+router.post('/:id/finalize', adminAuth, async (req, res) => {
+  try {
+    const draft = await findVisible(req.params.id, req.role);
+    if (!draft) return res.status(404).json({ success: false, message: 'Settlement not found' });
+    if (draft.status !== 'draft') {
+      return res.status(409).json({ success: false, message: `Settlement already finalized (${draft.statementNumber})` });
+    }
+
+    const employee = await Employee.findById(draft.empId).lean();
+    const data     = await calcSettlement(employee, draft.lastWorkingDay, {
+      leaveDaysOverride: draft.leave?.overridden ? draft.leave.balanceDays : null
+    });
+
+    const statementNumber = await nextStatementNumber();
+    const settlement = await FinalSettlement.findOneAndUpdate(
+      { _id: draft._id, status: 'draft' },
+      { $set: { ...data, status: 'finalized', statementNumber, finalizedBy: req.userId, finalizedAt: new Date() } },
+      { new: true }
+    ).lean();
+    if (!settlement) {
+      return res.status(409).json({ success: false, message: 'Settlement was finalized by another request' });
+    }
+
+    await Promise.all([
+      ...settlement.loanRecoveries.map(l => Loan.updateOne(
+        { _id: l.loan, status: 'active' },
+        { $set: {
+          settlement:         settlement._id,
+          settlementRecovery: l.amount,
+          ...(l.balanceAfter <= 0 && { status: 'closed', closedAt: new Date() })
+        } }
+      )),
+      PayrollRecord.updateMany(
+        {
+          empId:     settlement.empId,
+          status:    'draft',
+          periodEnd: { $gte: settlement.periodStart || endOfDay(settlement.lastWorkingDay) },
+          isDeleted: false
+        },
+        { $set: { isDeleted: true } }
+      ),
+      Employee.updateOne({ _id: settlement.empId }, { $set: { status: 'Inactive', isArchived: true } })
+    ]);
+
+    return res.json({
+      success: true,
+      message: `Settlement ${statementNumber} finalized`,
+      settlement: fmtSettlement(settlement)
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ─── DELETE /api/settlements/:id ──────────────────────────────────────────────
+
+router.delete('/:id', adminAuth, async (req, res) => {
+  try {
+    const settlement = await findVisible(req.params.id, req.role);
+    if (!settlement) return res.status(404).json({ success: false, message: 'Settlement not found' });
+    if (settlement.status !== 'draft') {
+      return res.status(409).json({ success: false, message: 'A finalized settlement cannot be discarded' });
+    }
+
+    await FinalSettlement.deleteOne({ _id: settlement._id, status: 'draft' });
+    await Employee.updateOne({ _id: settlement.empId }, { $unset: { exit: 1 } });
+    return res.json({ success: true, message: 'Settlement draft discarded; exit cleared' });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ─── GET /api/settlements/:id/pdf ─────────────────────────────────────────────
+
+router.get('/:id/pdf', adminAuth, async (req, res) => {
+  try {
+    const settlement = await findVisible(req.params.id, req.role);
+    if (!settlement) return res.status(404).json({ success: false, message: 'Settlement not found' });
+
+    const employee = await Employee.findById(settlement.empId).select('bank').lean();
+    const pdf      = await renderSettlementPdf(settlement, employee);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition',
+      `attachment; filename="${settlement.statementNumber || 'DRAFT'}_${settlement.empNumber}.pdf"`);
+    return res.send(pdf);
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+export default router;
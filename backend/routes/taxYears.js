@@ -0,0 +1,163 @@
+// routes/taxYears.js
+//
+// Covers:
+//   GET    /api/tax-years                — admin: list fiscal years with slabs
+//   POST   /api/tax-years                — admin: create a fiscal year
+//   PUT    /api/tax-years/:id            — admin: update dates / slabs / notes
+//   DELETE /api/tax-years/:id            — admin: remove a fiscal year
+//   GET    /api/tax-years/:id/calculate  — admin: annual tax for ?annualIncome=
+//
+// Payroll reads these through utils/taxCalculator.js.
+
+import express from 'express';
+import TaxYear from '../models/TaxYear.js';
+import { adminAuth } from '../middleware/auth.js';
+import { parseDDMMYYYY, endOfDay, formatDate } from '../utils/dateUtils.js';
+import { annualTaxFor, validateSlabs } from '../utils/taxCalculator.js';
+
+const router = express.Router();
+
+// ─── helpers ──────────────────────────────────────────────────────────────────
+
+const fmtTaxYear = (t) => ({
+  ...t,
+  startDateFormatted: formatDate(t.startDate),
+  endDateFormatted:   formatDate(t.endDate)
+});
+
+/** Normalise slab input: numbers only, blank "to" = open-ended */
+const parseSlabs = (slabs) =>
+  (Array.isArray(slabs) ? slabs : []).map(s => ({
+    from:  Number(s.from),
+    to:    s.to === '' || s.to == null ? null : Number(s.to),
+    fixed: Number(s.fixed || 0),
+    rate:  Number(s.rate  || 0)
+  }));
+
+/**
+ * Validate a create/update body. Returns { error } or { data }.
+ * Fiscal years may not overlap, otherwise a pay date would match two schedules.
+ */
+async function validateBody(body, excludeId = null) {
+  const { fiscalYear, startDate, endDate, slabs, notes } = body;
+
+  if (!fiscalYear?.trim()) return { error: 'fiscalYear is required' };
+
+  const start = parseDDMMYYYY(startDate);
+  const end   = parseDDMMYYYY(endDate);
+  if (!start || !end) return { error: 'startDate and endDate must be dd/mm/yyyy' };
+  if (end <= start)   return { error: 'endDate must be after startDate' };
+
+  const parsedSlabs = parseSlabs(slabs);
+  const slabError   = validateSlabs(parsedSlabs);
+  if (slabError) return { error: slabError };
+
+  const overlap = await TaxYear.findOne({
+    ...(excludeId && { _id: { $ne: excludeId } }),
+    startDate: { $lte: endOfDay(end) },
+    endDate:   { $gte: start }
+  }).lean();
+  if (overlap) return { error: `Dates overlap fiscal year ${overlap.fiscalYear}` };
+
+  return {
+    data: {
+      fiscalYear: fiscalYear.trim(),
+      startDate:  start,
+      endDate:    endOfDay(end),
+      slabs:      parsedSlabs,
+      notes:      notes?.trim() || undefined
+    }
+  };
+}
+
+// ─── GET /api/tax-years ───────────────────────────────────────────────────────
+
+router.get('/', adminAuth, async (req, res) => {
+  try {
+    const taxYears = await TaxYear.find().sort({ startDate: -1 }).lean();
+    return res.json({ success: true, taxYears: taxYears.map(fmtTaxYear) });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ─── POST /api/tax-years ──────────────────────────────────────────────────────
+
+router.post('/', adminAuth, async (req, res) => {
+  try {
+    const { error, data } = await validateBody(req.body);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    if (await TaxYear.exists({ fiscalYear: data.fiscalYear })) {
+      return res.status(409).json({ success: false, message: `Fiscal year ${data.fiscalYear} already exists` });
+    }
+
+    const taxYear = await TaxYear.create({ ...data, createdBy: req.userId });
+    return res.status(201).json({ success: true, message: 'Tax year created', taxYear: fmtTaxYear(taxYear.toObject()) });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ─── PUT /api/tax-years/:id ───────────────────────────────────────────────────
+// Changes apply to payroll generated from now on; approved / paid records keep
+// the tax they were frozen with.
+
+router.put('/:id', adminAuth, async (req, res) => {
+  try {
+    const taxYear = await TaxYear.findById(req.params.id);
+    if (!taxYear) return res.status(404).json({ success: false, message: 'Tax year not found' });
+
+    const { error, data } = await validateBody(req.body, taxYear._id);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    if (data.fiscalYear !== taxYear.fiscalYear && await TaxYear.exists({ fiscalYear: data.fiscalYear })) {
+      return res.status(409).json({ success: false, message: `Fiscal year ${data.fiscalYear} already exists` });
+    }
+
+    Object.assign(taxYear, data, { updatedBy: req.userId });
+    await taxYear.save();
+    return res.json({ success: true, message: 'Tax year updated', taxYear: fmtTaxYear(taxYear.toObject()) });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ─── DELETE /api/tax-years/:id ────────────────────────────────────────────────
+
+router.delete('/:id', adminAuth, async (req, res) => {
+  try {
+    const taxYear = await TaxYear.findByIdAndDelete(req.params.id);
+    if (!taxYear) return res.status(404).json({ success: false, message: 'Tax year not found' });
+    return res.json({ success: true, message: `Tax year ${taxYear.fiscalYear} deleted` });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+// ─── GET /api/tax-years/:id/calculate?annualIncome= ──────────────────────────
+
+router.get('/:id/calculate', adminAuth, async (req, res) => {
+  try {
+    const annualIncome = Number(req.query.annualIncome);
+    if (!isFinite(annualIncome) || annualIncome < 0) {
+      return res.status(400).json({ success: false, message: 'annualIncome must be a non-negative number' });
+    }
+
+    const taxYear = await TaxYear.findById(req.params.id).lean();
+    if (!taxYear) return res.status(404).json({ success: false, message: 'Tax year not found' });
+
+    const annualTax = annualTaxFor(annualIncome, taxYear.slabs);
+    return res.json({
+      success: true,
+      annualIncome,
+      annualTax,
+      monthlyTax:    parseFloat((annualTax / 12).toFixed(2)),
+      effectiveRate: annualIncome ? parseFloat((annualTax / annualIncome * 100).toFixed(2)) : 0
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+export default router;
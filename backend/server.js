@@ -4,6 +4,7 @@ import express    from 'express';
 import cors       from 'cors';
 import mongoose   from 'mongoose';
 import dotenv     from 'dotenv';
+import { startAbsenceSweep } from './utils/absenceSweep.js';
 
 dotenv.config();
 
@@ -45,7 +46,10 @@ app.use(express.urlencoded({ limit: '50mb', extended: true }));
 mongoose.connect(MONGODB_URI, {
   family: 4   // force IPv4 — avoids SRV/DNS issues on Windows (mirrors createAdmin.js)
 })
-  .then(() => console.log('✓ MongoDB connected'))
+  .then(() => {
+    console.log('✓ MongoDB connected');
+    startAbsenceSweep();   // hourly Absent marking + missing-punch flags
+  })
   .catch(err => {
     console.error('✗ MongoDB connection failed:', err.message);
     process.exit(1);
@@ -67,8 +71,24 @@ import payrollRoutes      from './routes/payroll.js';
 import performanceRoutes  from './routes/performance.js';   // ← was missing
 import requestRoutes      from './routes/requests.js';
 import notificationRoutes from './routes/notifications.js';
-
-import errorHandler from './middleware/errorHandler.js';
+import periodLockRoutes   from './routes/periodLocks.js';
+import taxYearRoutes      from './routes/taxYears.js';
+import earningComponentRoutes from './routes/earningComponents.js';
+import loanRoutes         from './routes/loans.js';
+import latePenaltyRuleRoutes from './routes/latePenaltyRules.js';
+import settlementRoutes   from './routes/settlements.js';
+import settingsRoutes     from './routes/settings.js';
+import holidayRoutes      from './routes/holidays.js';
+import rosterRoutes       from './routes/roster.js';
+import importBatchRoutes  from './routes/importBatches.js';
+import importProfileRoutes from './routes/importProfiles.js';
+import deviceMappingRoutes from './routes/deviceMappings.js';
+
+import errorHandler    from './middleware/errorHandler.js';
+import companySettings from './middleware/companySettings.js';
+
+// Refresh the cached CompanySettings before any route reads them
+app.use('/api', companySettings);
 
 app.use('/api/auth',          authRoutes);
 app.use('/api/employees',     employeeRoutes);
@@ -77,6 +97,18 @@ app.use('/api/payroll',       payrollRoutes);
 app.use('/api/performance',   performanceRoutes);           // ← was missing
 app.use('/api/requests',      requestRoutes);
 app.use('/api/notifications', notificationRoutes);
+app.use('/api/period-locks',  periodLockRoutes);
+app.use('/api/tax-years',     taxYearRoutes);
+app.use('/api/earning-components', earningComponentRoutes);
+app.use('/api/loans',         loanRoutes);
+app.use('/api/late-penalty-rules', latePenaltyRuleRoutes);
+app.use('/api/settlements',   settlementRoutes);
+app.use('/api/settings',      settingsRoutes);
+app.use('/api/holidays',      holidayRoutes);
+app.use('/api/roster',        rosterRoutes);
+app.use('/api/import-batches', importBatchRoutes);
+app.use('/api/import-profiles', importProfileRoutes);
+app.use('/api/device-mappings', deviceMappingRoutes);
 
 // ─── health check ─────────────────────────────────────────────────────────────
 
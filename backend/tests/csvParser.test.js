@@ -0,0 +1,55 @@
+// tests/csvParser.test.js
+//
+// mergeTimes: pairing typed IN/OUT punches onto one employee-day timeline.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { mergeTimes } from '../utils/csvParser.js';
+import { calculateHours } from '../utils/timeCalculator.js';
+
+const IN  = (time) => ({ time, isCheckIn: true,  isCheckOut: false });
+const OUT = (time) => ({ time, isCheckIn: false, isCheckOut: true  });
+
+const hoursOf = (m) => calculateHours(m.inTime, m.outTime, m.outNextDay);
+
+test('night shift: IN and OUT both after midnight is one short day, not 29.5 h', () => {
+  const m = mergeTimes([IN('00:30'), OUT('06:00')], '22:00');
+
+  assert.equal(m.inTime, '00:30');
+  assert.equal(m.outTime, '06:00');
+  assert.equal(m.outNextDay, false);
+  assert.equal(hoursOf(m), 5.5);
+});
+
+test('night shift: OUT after midnight still crosses midnight', () => {
+  const m = mergeTimes([IN('21:50'), OUT('06:05')], '22:00');
+
+  assert.equal(m.outNextDay, true);
+  assert.equal(hoursOf(m), 8.25);
+  assert.deepEqual(m.punches, [{ in: '21:50', out: '06:05', inNextDay: false, outNextDay: true }]);
+});
+
+test('day shift: a check-in more than 4 h before shift start stays on the same day', () => {
+  const m = mergeTimes([IN('04:30'), OUT('17:00')], '09:00');
+
+  assert.equal(m.inTime, '04:30');
+  assert.equal(m.outNextDay, false);
+  assert.equal(hoursOf(m), 12.5);
+  assert.deepEqual(m.punches, [{ in: '04:30', out: '17:00', inNextDay: false, outNextDay: false }]);
+});
+
+test('day shift: a check-out after midnight is next day', () => {
+  const m = mergeTimes([IN('09:00'), OUT('01:00')], '09:00');
+
+  assert.equal(m.outNextDay, true);
+  assert.equal(hoursOf(m), 16);
+});
+
+test('early-shift anchor never wraps before midnight', () => {
+  const m = mergeTimes([IN('01:45'), OUT('10:00'), IN('23:00')], '02:00');
+
+  assert.equal(m.inTime, '01:45');
+  assert.equal(m.outTime, '10:00');
+  assert.equal(m.outNextDay, false);
+});
@@ -0,0 +1,91 @@
+// tests/importAdapters.test.js
+//
+// ZKTeco attlog.dat imports for a 22:00–06:00 night shift: after-midnight
+// punches are dated by the device clock and must pair with the previous
+// evening's check-in.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseImportFile, inferPunchTypes, assignOvernightPunches } from '../utils/importAdapters.js';
+import { groupByEmployeeAndDate, mergeTimes } from '../utils/csvParser.js';
+import { calculateHours } from '../utils/timeCalculator.js';
+
+const SHIFTS = {
+  12: { start: '22:00', end: '06:00' },   // night shift
+  7:  { start: '09:00', end: '18:00' }
+};
+
+const shiftOn = (empId) => SHIFTS[empId] || null;
+
+const attlog = (lines) => ({
+  originalname: 'attlog.dat',
+  buffer:       Buffer.from(lines.map(l => `    ${l.join('\t')}`).join('\n'))
+});
+
+async function importDays(lines) {
+  const { format, parsed, errors } = await parseImportFile(attlog(lines));
+  assert.equal(format, 'zkteco');
+  assert.deepEqual(errors, []);
+
+  const moved   = assignOvernightPunches(parsed, shiftOn);
+  const grouped = groupByEmployeeAndDate(parsed);
+  const days    = Object.fromEntries(Object.entries(grouped).map(([key, g]) => {
+    const { start } = SHIFTS[g.empId];
+    return [key, mergeTimes(inferPunchTypes(g.rows, start), start)];
+  }));
+  return { moved, days };
+}
+
+test('typed punches: the 06:00 check-out pairs with the 22:00 check-in of the day before', async () => {
+  const { moved, days } = await importDays([
+    ['12', '2026-02-23 21:55:10', '1', '0'],
+    ['12', '2026-02-24 06:05:00', '1', '1'],
+    ['12', '2026-02-24 21:58:40', '1', '0'],
+    ['12', '2026-02-25 06:02:15', '1', '1'],
+    ['7',  '2026-02-24 08:55:00', '1', '0'],
+    ['7',  '2026-02-24 17:10:00', '1', '1']
+  ]);
+
+  assert.equal(moved, 2);
+  assert.deepEqual(Object.keys(days).sort(), ['12|23/02/2026', '12|24/02/2026', '7|24/02/2026']);
+
+  const night = days['12|23/02/2026'];
+  assert.equal(night.inTime, '21:55');
+  assert.equal(night.outTime, '06:05');
+  assert.equal(night.outNextDay, true);
+  assert.equal(calculateHours(night.inTime, night.outTime, night.outNextDay).toFixed(2), '8.17');
+
+  const day = days['7|24/02/2026'];
+  assert.equal(day.inTime, '08:55');
+  assert.equal(day.outTime, '17:10');
+  assert.equal(day.outNextDay, false);
+});
+
+test('untyped punches (one state throughout) pair across midnight too', async () => {
+  const { moved, days } = await importDays([
+    ['12', '2026-02-23 22:03:00', '1', '0'],
+    ['12', '2026-02-24 02:00:00', '1', '0'],
+    ['12', '2026-02-24 02:30:00', '1', '0'],
+    ['12', '2026-02-24 06:00:00', '1', '0']
+  ]);
+
+  assert.equal(moved, 3);
+  assert.deepEqual(Object.keys(days), ['12|23/02/2026']);
+
+  const night = days['12|23/02/2026'];
+  assert.equal(night.inTime, '22:03');
+  assert.equal(night.outTime, '06:00');
+  assert.equal(night.outNextDay, true);
+  assert.equal(night.punches.length, 2);
+});
+
+test('an evening check-in stays on its own date', async () => {
+  const { moved, days } = await importDays([
+    ['12', '2026-02-24 21:50:00', '1', '0'],
+    ['12', '2026-02-25 05:55:00', '1', '1']
+  ]);
+
+  assert.equal(moved, 1);
+  assert.deepEqual(Object.keys(days), ['12|24/02/2026']);
+});
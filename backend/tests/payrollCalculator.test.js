@@ -0,0 +1,90 @@
+// tests/payrollCalculator.test.js
+//
+// Automatic overtime: hours base pay already pays once — every hour of an
+// hourly employee, a monthly employee's day off worked — add only the premium.
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+import CompanySettings from '../models/CompanySettings.js';
+import { loadSettings } from '../utils/companySettings.js';
+import { calcEmployeeTotals } from '../utils/payrollCalculator.js';
+
+const AUTO_OT = {
+  autoOtEnabled:         true,
+  otThresholdMinutes:    30,
+  otMultiplierWeekday:   1.5,
+  otMultiplierWeeklyOff: 2,
+  otMultiplierHoliday:   2,
+  otDailyCapHours:       0,
+  otMonthlyCapHours:     0
+};
+
+before(async () => {
+  // Company settings come from the cache loadSettings() fills — feed it without a database
+  CompanySettings.findById = () => ({ lean: async () => ({ ...AUTO_OT }) });
+  await loadSettings({ force: true });
+});
+
+/** One weekday (Wed 25/02/2026) worked 09:00–19:00 on a 09:00–17:00 shift */
+const tenHourDay = (hourlyRate) => ({
+  date:       new Date(2026, 1, 25),
+  status:     'Present',
+  inOut:      { in: '09:00', out: '19:00', outNextDay: false },
+  hourlyRate,
+  financials: {
+    hoursWorked:    10,
+    scheduledHours: 8,
+    basePay:        10 * hourlyRate,
+    deduction:      0,
+    otHours:        0,
+    otAmount:       0,
+    otDetails:      []
+  }
+});
+
+test('hourly: 10 h on an 8 h shift is paid 10 h plus a 0.5× premium on 2 h', () => {
+  const emp = { _id: 'e1', firstName: 'Hina', lastName: 'Aslam', salaryType: 'hourly', hourlyRate: 100 };
+  const t   = calcEmployeeTotals(emp, [tenHourDay(100)], 1);
+
+  assert.deepEqual(t.autoOvertime, [
+    { date: '25/02/2026', dayType: 'weekday', hours: 2, multiplier: 1.5, premiumOnly: true, amount: 100 }
+  ]);
+  assert.equal(t.baseSalary, 1000);
+  assert.equal(t.totalOt, 100);
+  assert.equal(t.grossPay, 1100);   // 8 h × 100 + 2 h × 100 × 1.5
+});
+
+test('monthly: base pay does not grow with hours, so overtime is paid at the full multiplier', () => {
+  const emp = {
+    _id: 'e2', firstName: 'Omar', lastName: 'Khan', salaryType: 'monthly', monthlySalary: 22000, hourlyRate: 125
+  };
+  const t = calcEmployeeTotals(emp, [tenHourDay(125)], 22);
+
+  assert.equal(t.baseSalary, 1000);
+  assert.equal(t.autoOvertime[0].premiumOnly, false);
+  assert.equal(t.totalOt, 375);     // 2 h × 125 × 1.5
+  assert.equal(t.grossPay, 1375);
+});
+
+test('monthly: a weekly off worked is already a present day, so it adds only the premium', () => {
+  const emp = {
+    _id: 'e3', firstName: 'Sara', lastName: 'Malik', salaryType: 'monthly', monthlySalary: 22000, hourlyRate: 125
+  };
+  const saturday = {
+    date:       new Date(2026, 1, 28),
+    status:     'Present',
+    inOut:      { in: '09:00', out: '17:00', outNextDay: false },
+    hourlyRate: 125,
+    financials: {
+      hoursWorked: 8, scheduledHours: 0, basePay: 0, deduction: 0, otHours: 0, otAmount: 0, otDetails: []
+    }
+  };
+  const t = calcEmployeeTotals(emp, [saturday], 22);
+
+  assert.deepEqual(t.autoOvertime, [
+    { date: '28/02/2026', dayType: 'weeklyOff', hours: 8, multiplier: 2, premiumOnly: true, amount: 1000 }
+  ]);
+  assert.equal(t.baseSalary, 1000);
+  assert.equal(t.grossPay, 2000);   // 8 h × 125 × 2, not base + the full multiplier
+});
@@ -0,0 +1,19 @@
+// tests/taxCalculator.test.js
+//
+// periodsPerYear: a full company month annualises to 12 whatever its length,
+// so monthly withholding does not swing between February and 31-day months.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { periodsPerYear } from '../utils/taxCalculator.js';
+
+test('28-, 30- and 31-day periods all count as one month', () => {
+  assert.equal(periodsPerYear(new Date(2026, 1, 1), new Date(2026, 1, 28)), 12);
+  assert.equal(periodsPerYear(new Date(2026, 3, 1), new Date(2026, 3, 30)), 12);
+  assert.equal(periodsPerYear(new Date(2026, 0, 1), new Date(2026, 0, 31)), 12);
+});
+
+test('shorter ranges are scaled by days / 365', () => {
+  assert.equal(periodsPerYear(new Date(2026, 2, 1), new Date(2026, 2, 14)), 365 / 14);
+});
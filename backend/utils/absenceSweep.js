@@ -0,0 +1,228 @@
+/**
+ * utils/absenceSweep.js
+ * Turns days without punches into Absent records, and flags days with a
+ * single punch, once the day can no longer change.
+ *
+ * A day is closed when the shift's 14-hour pairing window has passed
+ * (shift start + PAIRING_WINDOW_HOURS — the same window the CSV import pairs
+ * punches in), so a night shift is only judged the next afternoon.
+ *
+ * For every closed working day of every payroll employee:
+ *   no AttendanceLog → create an Absent log (metadata.source 'system'),
+ *                      unless the day is a weekly off, a public holiday,
+ *                      covered by approved leave, in a locked pay period,
+ *                      before joining or after the last working day
+ *   a worked day with only an IN or only an OUT → missingPunch 'out' / 'in'
+ *   a flagged day that now has both punches → flag cleared
+ * Locked pay periods are never written to.
+ *
+ * Runs hourly inside backend/server.js (startAbsenceSweep), from the Vercel
+ * cron (GET /api/attendance/absence-sweep/cron) and on demand from the
+ * attendance page (POST /api/attendance/absence-sweep).
+ */
+
+import AttendanceLog from '../models/AttendanceLog.js';
+import Employee from '../models/Employee.js';
+import LeaveRequest from '../models/LeaveRequest.js';
+import { formatDate, startOfDay, endOfDay } from './dateUtils.js';
+import { loadSettings } from './companySettings.js';
+import { loadHolidays, isNonWorkingDay } from './holidays.js';
+import { loadRoster, shiftFor } from './roster.js';
+import { loadLocksForRange, findCoveringLock } from './periodLock.js';
+import {
+  shiftDurationHours, timeToMinutes, WORKED_STATUSES, PENDING_REGULARIZATION
+} from './timeCalculator.js';
+
+export const PAIRING_WINDOW_HOURS = 14;
+export const LOOKBACK_DAYS        = 7;
+
+const INTERVAL_MS    = 60 * 60 * 1000;
+const FIRST_DELAY_MS = 60 * 1000;
+
+// ─── helpers ──────────────────────────────────────────────────────────────────
+
+/** The moment the day's pairing window closes */
+function windowClosesAt(date, shift) {
+  const closes = startOfDay(date);
+  closes.setMinutes(timeToMinutes(shift.start) + PAIRING_WINDOW_HOURS * 60);
+  return closes;
+}
+
+/** 'in' / 'out' when a worked day has only one side of its punches, else null */
+export function missingPunchOf(log) {
+  if (!WORKED_STATUSES.includes(log.status) && log.status !== PENDING_REGULARIZATION) return null;
+  const { in: inTime, out: outTime } = log.inOut || {};
+  if (inTime && !outTime) return 'out';
+  if (!inTime && outTime) return 'in';
+  return null;
+}
+
+// ─── sweep ────────────────────────────────────────────────────────────────────
+
+/**
+ * Sweep [from, to] (defaults: the last LOOKBACK_DAYS days up to `now`).
+ * dryRun=true reports what would change without writing.
+ *
+ * Returns { from, to, absent: [{ empNumber, empName, date }],
+ *           flagged: [{ empNumber, empName, date, missing }], cleared, skipped }
+ * where skipped counts days left alone per reason.
+ */
+export async function runAbsenceSweep({ from, to, now = new Date(), dryRun = false, userId = null } = {}) {
+  await Promise.all([loadSettings(), loadHolidays()]);
+
+  const end   = startOfDay(to || now);
+  const start = startOfDay(from || new Date(end.getFullYear(), end.getMonth(), end.getDate() - LOOKBACK_DAYS));
+
+  const result = {
+    from: formatDate(start), to: formatDate(end),
+    absent: [], flagged: [], cleared: 0,
+    skipped: { notClosed: 0, leave: 0, locked: 0 }
+  };
+
+  // Only superadmin is excluded — admin is a payroll employee
+  const employees = await Employee.find({
+    role: { $ne: 'superadmin' },
+    status: 'Active',
+    isArchived: false,
+    isDeleted: false,
+    joiningDate: { $lte: endOfDay(end) }
+  }).lean();
+  if (employees.length === 0) return result;
+
+  const empIds = employees.map(e => e._id);
+
+  const [logs, leaves, locks, roster] = await Promise.all([
+    // Deleted logs count as existing — an admin removed that day on purpose
+    AttendanceLog.find({ empId: { $in: empIds }, date: { $gte: start, $lte: endOfDay(end) } })
+      .select('empId date status inOut missingPunch isDeleted')
+      .lean(),
+    LeaveRequest.find({
+      empId: { $in: empIds }, status: 'Approved', isDeleted: false,
+      fromDate: { $lte: endOfDay(end) }, toDate: { $gte: start }
+    }).select('empId fromDate toDate').lean(),
+    loadLocksForRange(start, endOfDay(end)),
+    loadRoster(empIds, start, end)
+  ]);
+
+  const logMap = new Map(logs.map(l => [`${l.empId}|${formatDate(l.date)}`, l]));
+  const onLeave = (empId, day) => leaves.some(l =>
+    String(l.empId) === String(empId) && startOfDay(l.fromDate) <= day && endOfDay(l.toDate) >= day
+  );
+
+  const creates = [];
+  const flagOps = [];
+
+  for (let d = new Date(start); d <= end; d.setDate(d.getDate() + 1)) {
+    const day  = new Date(d);
+    const lock = findCoveringLock(locks, day);
+
+    for (const emp of employees) {
+      if (startOfDay(emp.joiningDate) > day) continue;
+      if (emp.exit?.lastWorkingDay && startOfDay(emp.exit.lastWorkingDay) < day) continue;
+
+      const shift = shiftFor(emp, day, roster);
+      if (windowClosesAt(day, shift) > now) {
+        result.skipped.notClosed++;
+        continue;
+      }
+
+      const existing = logMap.get(`${emp._id}|${formatDate(day)}`);
+      const label    = { empNumber: emp.employeeNumber, empName: `${emp.firstName} ${emp.lastName}`, date: formatDate(day) };
+
+      // ── single punch ──────────────────────────────────────────────────────
+      if (existing) {
+        if (existing.isDeleted || lock) continue;
+        const missing = missingPunchOf(existing);
+        if (missing === (existing.missingPunch ?? null)) continue;
+        if (missing) result.flagged.push({ ...label, missing });
+        else result.cleared++;
+        flagOps.push({ updateOne: { filter: { _id: existing._id }, update: { $set: { missingPunch: missing } } } });
+        continue;
+      }
+
+      // ── no punches ────────────────────────────────────────────────────────
+      if (isNonWorkingDay(day, emp)) continue;
+      if (onLeave(emp._id, day)) { result.skipped.leave++; continue; }
+      if (lock) { result.skipped.locked++; continue; }
+
+      result.absent.push(label);
+      creates.push({
+        date:       day,
+        empId:      emp._id,
+        empNumber:  emp.employeeNumber,
+        empName:    label.empName,
+        department: emp.department,
+        status:     'Absent',
+        inOut:      { in: null, out: null, outNextDay: false },
+        punches:    [],
+        shift:      { start: shift.start, end: shift.end, name: shift.name || undefined },
+        hourlyRate: emp.hourlyRate,
+        financials: { hoursWorked: 0, scheduledHours: shiftDurationHours(shift), basePay: 0, finalDayEarning: 0 },
+        manualOverride: false,
+        metadata: {
+          source:         'system',
+          notes:          'Auto-marked absent — no punches',
+          lastUpdatedBy:  userId,
+          lastModifiedAt: new Date()
+        }
+      });
+    }
+  }
+
+  if (dryRun) return result;
+
+  // insertMany skips the pre-save hook, so set isNightShift here
+  if (creates.length) {
+    creates.forEach(c => { c.shift.isNightShift = timeToMinutes(c.shift.end) < timeToMinutes(c.shift.start); });
+    // ordered:false — a log created meanwhile (import, leave approval) only fails its own insert
+    await AttendanceLog.insertMany(creates, { ordered: false }).catch(err => {
+      if (err.code !== 11000 && !err.writeErrors) throw err;
+    });
+  }
+  // Flags are bookkeeping, not edits: leave updatedAt alone so import
+  // rollback (routes/importBatches.js) does not see the day as edited
+  if (flagOps.length) await AttendanceLog.bulkWrite(flagOps, { ordered: false, timestamps: false });
+
+  return result;
+}
+
+// ─── scheduler ────────────────────────────────────────────────────────────────
+
+let timer   = null;
+let running = false;
+
+/**
+ * Run the sweep hourly in this process. ABSENCE_SWEEP=off disables it
+ * (e.g. when a second instance or an external cron already runs it).
+ */
+export function startAbsenceSweep() {
+  if (timer || process.env.ABSENCE_SWEEP === 'off') return;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const r = await runAbsenceSweep();
+      if (r.absent.length || r.flagged.length || r.cleared) {
+        console.log(`✓ Absence sweep ${r.from}–${r.to}: ${r.absent.length} absent, ${r.flagged.length} missing punch, ${r.cleared} cleared`);
+      }
+    } catch (err) {
+      console.error('✗ Absence sweep failed:', err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  setTimeout(tick, FIRST_DELAY_MS).unref();
+  timer = setInterval(tick, INTERVAL_MS);
+  timer.unref();
+}
+
+// ─── default export ───────────────────────────────────────────────────────────
+export default {
+  PAIRING_WINDOW_HOURS,
+  LOOKBACK_DAYS,
+  missingPunchOf,
+  runAbsenceSweep,
+  startAbsenceSweep
+};
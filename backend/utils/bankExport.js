@@ -0,0 +1,195 @@
+/**
+ * utils/bankExport.js
+ * Bank bulk-transfer (disbursement) files built from approved PayrollRecords.
+ *
+ * Formats are pluggable: each entry in the registry declares how to validate a
+ * payee and how to serialise the batch. Add a bank-specific layout with
+ * registerFormat() — routes pick it up automatically via listFormats().
+ *
+ * Every format carries a control total (payee count + sum of amounts) so the
+ * bank can reconcile the upload against what finance approved.
+ */
+
+import { formatDate } from './dateUtils.js';
+
+const COMPANY_NAME = process.env.COMPANY_NAME || 'HR Portal';
+
+// ─── helpers ──────────────────────────────────────────────────────────────────
+
+/** Rupees → integer paisa, so totals never drift on floating point */
+export const toMinorUnits = (amount) => Math.round((Number(amount) || 0) * 100);
+
+const minorToFixed = (minor) => (minor / 100).toFixed(2);
+
+const csvCell = (v) => {
+  const s = String(v ?? '');
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+/** Left-justify text, space padded and truncated to `width` */
+const padText = (v, width) => String(v ?? '').replace(/[\r\n]/g, ' ').slice(0, width).padEnd(width, ' ');
+
+/** Right-justify a number, zero padded to `width` */
+const padNum = (v, width) => String(v).padStart(width, '0');
+
+const yyyymmdd = (d) =>
+  `${d.getFullYear()}${String(d.getMonth() + 1).padStart(2, '0')}${String(d.getDate()).padStart(2, '0')}`;
+
+// ─── formats ──────────────────────────────────────────────────────────────────
+
+const FORMATS = {};
+
+/**
+ * Register a disbursement layout.
+ *
+ * @param {string} id
+ * @param {Object} def
+ * @param {string}   def.label
+ * @param {string}   def.extension    — file extension without the dot
+ * @param {string}   def.contentType
+ * @param {Function} [def.validate]   — (payee) => string[] extra problems
+ * @param {Function} def.build        — (payees, meta) => file content string
+ */
+export function registerFormat(id, def) {
+  FORMATS[id] = { id, ...def };
+}
+
+export function getFormat(id) {
+  return FORMATS[id] || null;
+}
+
+export function listFormats() {
+  return Object.values(FORMATS).map(({ id, label, extension }) => ({ id, label, extension }));
+}
+
+// Generic CSV — accepted by most banks' web portals after column mapping
+registerFormat('generic-csv', {
+  label:       'Generic CSV',
+  extension:   'csv',
+  contentType: 'text/csv',
+  build(payees, meta) {
+    const header = ['Sr', 'Employee #', 'Beneficiary Name', 'Bank', 'Account Number', 'Amount', 'Narration'];
+    const lines  = payees.map((p, i) => [
+      i + 1, csvCell(p.empNumber), csvCell(p.accountName), csvCell(p.bankName),
+      `"${p.accountNumber}"`,   // always quoted so spreadsheets keep leading zeros
+      minorToFixed(p.amountMinor), csvCell(meta.narration)
+    ].join(','));
+
+    return [
+      header.join(','),
+      ...lines,
+      ['', '', '', '', 'CONTROL TOTAL', minorToFixed(meta.totalMinor), `${meta.count} payee(s)`].map(csvCell).join(',')
+    ].join('\n');
+  }
+});
+
+// Fixed-width — 120-character records: one header (H), one detail (D) per
+// payee, one trailer (T). Amounts are in paisa with no decimal point.
+//
+//   H  company(35) valueDate(8) count(6) total(15)                       filler
+//   D  seq(6) account(24) title(35) bank(20) amount(15) empNumber(15)     filler
+//   T  count(6) total(15)                                                 filler
+const FW_RECORD = 120;
+const FW_ACCOUNT = 24;
+
+registerFormat('fixed-width', {
+  label:       'Fixed-width (120 col)',
+  extension:   'txt',
+  contentType: 'text/plain',
+  validate(p) {
+    const problems = [];
+    if (p.accountNumber.length > FW_ACCOUNT) problems.push(`account number longer than ${FW_ACCOUNT} characters`);
+    return problems;
+  },
+  build(payees, meta) {
+    const line = (s) => padText(s, FW_RECORD);
+    return [
+      line('H' + padText(meta.company, 35) + yyyymmdd(meta.valueDate) + padNum(meta.count, 6) + padNum(meta.totalMinor, 15)),
+      ...payees.map((p, i) => line(
+        'D' + padNum(i + 1, 6) + padText(p.accountNumber, FW_ACCOUNT) + padText(p.accountName.toUpperCase(), 35) +
+        padText(p.bankName.toUpperCase(), 20) + padNum(p.amountMinor, 15) + padText(p.empNumber, 15)
+      )),
+      line('T' + padNum(meta.count, 6) + padNum(meta.totalMinor, 15))
+    ].join('\r\n') + '\r\n';
+  }
+});
+
+// ─── batch ────────────────────────────────────────────────────────────────────
+
+const BANK_FIELDS = [
+  ['bankName',      'bank name'],
+  ['accountName',   'account title'],
+  ['accountNumber', 'account number']
+];
+
+/**
+ * Turn PayrollRecords (+ their employees) into a disbursement batch.
+ * Records with nothing to pay are left out; any payee with a missing or
+ * malformed bank field is reported in `invalid` and the file must not be built.
+ *
+ * @param {Object[]} records   — approved PayrollRecords (lean)
+ * @param {Map}      employees — empId string → Employee (lean)
+ * @param {Object}   format    — entry from getFormat()
+ * @returns {{ payees, invalid, excluded, count, totalMinor }}
+ */
+export function prepareDisbursement(records, employees, format) {
+  const payees = [], invalid = [], excluded = [];
+
+  for (const r of records) {
+    const amountMinor = toMinorUnits(r.netSalary);
+    if (amountMinor <= 0) {
+      excluded.push({ empNumber: r.empNumber, name: r.empName, reason: 'Net salary is zero' });
+      continue;
+    }
+
+    const bank  = employees.get(String(r.empId))?.bank || {};
+    const payee = {
+      recordId:      r._id,
+      empNumber:     r.empNumber,
+      name:          r.empName,
+      bankName:      String(bank.bankName      || '').trim(),
+      accountName:   String(bank.accountName   || '').trim(),
+      accountNumber: String(bank.accountNumber || '').replace(/[\s-]/g, ''),
+      amountMinor
+    };
+
+    const problems = BANK_FIELDS.filter(([key]) => !payee[key]).map(([, label]) => `missing ${label}`);
+    if (payee.accountNumber && !/^[A-Za-z0-9]+$/.test(payee.accountNumber)) {
+      problems.push('account number has invalid characters');
+    }
+    if (!problems.length && format.validate) problems.push(...format.validate(payee));
+
+    if (problems.length) invalid.push({ empNumber: r.empNumber, name: r.empName, problems });
+    else payees.push(payee);
+  }
+
+  return {
+    payees,
+    invalid,
+    excluded,
+    count:      payees.length,
+    totalMinor: payees.reduce((s, p) => s + p.amountMinor, 0)
+  };
+}
+
+/** Serialise a prepared batch with the given format */
+export function buildDisbursementFile(format, batch, { start, end, valueDate = new Date() }) {
+  const meta = {
+    company:    COMPANY_NAME,
+    valueDate,
+    count:      batch.count,
+    totalMinor: batch.totalMinor,
+    narration:  `Salary ${formatDate(start)} - ${formatDate(end)}`
+  };
+  return format.build(batch.payees, meta);
+}
+
+// ─── default export ───────────────────────────────────────────────────────────
+export default {
+  toMinorUnits,
+  registerFormat,
+  getFormat,
+  listFormats,
+  prepareDisbursement,
+  buildDisbursementFile
+};
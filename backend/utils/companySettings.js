@@ -0,0 +1,303 @@
+/**
+ * utils/companySettings.js
+ * Company policies (models/CompanySettings.js) for the rest of the backend.
+ *
+ * The document is cached in memory: getSettings() is synchronous so pure
+ * calculators such as workingDaysBetween and getCompanyMonthDates can read it.
+ * middleware/companySettings.js refreshes the cache at most once a minute,
+ * so every instance picks up a change shortly after it is saved.
+ */
+
+import CompanySettings from '../models/CompanySettings.js';
+
+/** The rules the system shipped with — used until a document is saved */
+export const DEFAULT_SETTINGS = Object.freeze({
+  payCycleStartDay:      18,
+  currency:              'PKR',
+  locale:                'en-PK',
+  weekendDays:           [0, 6],
+  workingDaysPerMonth:   26,
+  hoursPerDay:           8,
+  breakAllowanceMinutes: 0,
+  breakPaid:             false,
+  lateGraceMinutes:      0,
+  earlyLeaveMinutes:     0,
+  halfDayMinHours:       0,
+  missingPunchPolicy:    'half',
+  missingPunchDeduction: 0,
+  autoOtEnabled:         false,
+  otThresholdMinutes:    30,
+  otMultiplierWeekday:   1.5,
+  otMultiplierWeeklyOff: 2,
+  otMultiplierHoliday:   2,
+  otDailyCapHours:       0,
+  otMonthlyCapHours:     0,
+  nightDiffType:         'off',
+  nightDiffValue:        0,
+  nightWindowStart:      '22:00',
+  nightWindowEnd:        '06:00',
+  leaveEligibilityDays:  90,
+  annualLeaveDays:       14
+});
+
+/** How a day with only a check-in or only a check-out is paid (utils/timeCalculator.js missingPunchPay) */
+export const MISSING_PUNCH_POLICIES = ['unpaid', 'half', 'full', 'deduct', 'pending'];
+
+/** Night differential: off, a % uplift on the hourly rate, or a fixed amount per night hour */
+export const NIGHT_DIFF_TYPES = ['off', 'percent', 'fixed'];
+
+const HH_MM = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const SETTINGS_ID = 'company';
+const REFRESH_MS  = 60 * 1000;
+
+let cached   = null;
+let loadedAt = 0;
+let pending  = null;
+
+/** Defaults overlaid with whatever the document defines */
+const withDefaults = (doc) => Object.freeze(Object.fromEntries(
+  Object.keys(DEFAULT_SETTINGS).map(k => [k, doc?.[k] ?? DEFAULT_SETTINGS[k]])
+));
+
+// ─── read ─────────────────────────────────────────────────────────────────────
+
+/** Current settings (defaults until the first load completes) */
+export function getSettings() {
+  return cached || DEFAULT_SETTINGS;
+}
+
+/**
+ * Load the settings document into the cache. Skipped while the cache is
+ * fresh unless `force` is set; concurrent callers share one query.
+ */
+export async function loadSettings({ force = false } = {}) {
+  if (!force && cached && Date.now() - loadedAt < REFRESH_MS) return cached;
+
+  pending ??= CompanySettings.findById(SETTINGS_ID).lean()
+    .then(doc => {
+      cached   = withDefaults(doc);
+      loadedAt = Date.now();
+      return cached;
+    })
+    .finally(() => { pending = null; });
+  return pending;
+}
+
+// ─── write ────────────────────────────────────────────────────────────────────
+
+const isInt = (v) => Number.isInteger(Number(v)) && String(v).trim() !== '';
+
+/**
+ * Validate a list of weekly days off (0 = Sunday … 6 = Saturday), as used by
+ * CompanySettings.weekendDays and Employee.weeklyOff.
+ * Returns { error } or { days } — unique and sorted.
+ */
+export function parseWeekDays(list) {
+  const days = Array.isArray(list) ? list : [];
+  if (days.some(d => !isInt(d) || d < 0 || d > 6)) {
+    return { error: 'Days off must be day numbers 0 (Sunday) to 6 (Saturday)' };
+  }
+  const unique = [...new Set(days.map(Number))].sort();
+  if (unique.length > 6) return { error: 'At least one day of the week must be a working day' };
+  return { days: unique };
+}
+
+/**
+ * Validate a (partial) settings body. Returns { error } or { data } with only
+ * the fields that were supplied, coerced to their stored types.
+ */
+export function validateSettings(body = {}) {
+  const data = {};
+
+  if (body.payCycleStartDay !== undefined) {
+    if (!isInt(body.payCycleStartDay) || body.payCycleStartDay < 1 || body.payCycleStartDay > 28) {
+      return { error: 'payCycleStartDay must be a whole number from 1 to 28' };
+    }
+    data.payCycleStartDay = Number(body.payCycleStartDay);
+  }
+
+  if (body.currency !== undefined) {
+    const currency = String(body.currency).trim().toUpperCase();
+    if (!/^[A-Z]{3}$/.test(currency)) return { error: 'currency must be a 3-letter code, e.g. PKR' };
+    data.currency = currency;
+  }
+
+  if (body.locale !== undefined) {
+    const locale = String(body.locale).trim();
+    try {
+      if (!locale || !Intl.NumberFormat.supportedLocalesOf([locale]).length) throw new Error();
+    } catch {
+      return { error: `Unsupported locale "${locale}"` };
+    }
+    data.locale = locale;
+  }
+
+  if (body.weekendDays !== undefined) {
+    const { error, days } = parseWeekDays(body.weekendDays);
+    if (error) return { error };
+    data.weekendDays = days;
+  }
+
+  if (body.workingDaysPerMonth !== undefined) {
+    const v = Number(body.workingDaysPerMonth);
+    if (!(v >= 1 && v <= 31)) return { error: 'workingDaysPerMonth must be between 1 and 31' };
+    data.workingDaysPerMonth = v;
+  }
+
+  if (body.hoursPerDay !== undefined) {
+    const v = Number(body.hoursPerDay);
+    if (!(v >= 1 && v <= 24)) return { error: 'hoursPerDay must be between 1 and 24' };
+    data.hoursPerDay = v;
+  }
+
+  if (body.breakAllowanceMinutes !== undefined) {
+    if (!isInt(body.breakAllowanceMinutes) || body.breakAllowanceMinutes < 0 || body.breakAllowanceMinutes > 240) {
+      return { error: 'breakAllowanceMinutes must be a whole number from 0 to 240' };
+    }
+    data.breakAllowanceMinutes = Number(body.breakAllowanceMinutes);
+  }
+
+  if (body.breakPaid !== undefined) data.breakPaid = Boolean(body.breakPaid);
+
+  if (body.lateGraceMinutes !== undefined) {
+    if (!isInt(body.lateGraceMinutes) || body.lateGraceMinutes < 0 || body.lateGraceMinutes > 240) {
+      return { error: 'lateGraceMinutes must be a whole number from 0 to 240' };
+    }
+    data.lateGraceMinutes = Number(body.lateGraceMinutes);
+  }
+
+  if (body.earlyLeaveMinutes !== undefined) {
+    if (!isInt(body.earlyLeaveMinutes) || body.earlyLeaveMinutes < 0 || body.earlyLeaveMinutes > 720) {
+      return { error: 'earlyLeaveMinutes must be a whole number from 0 to 720' };
+    }
+    data.earlyLeaveMinutes = Number(body.earlyLeaveMinutes);
+  }
+
+  if (body.halfDayMinHours !== undefined) {
+    const v = Number(body.halfDayMinHours);
+    if (!(v >= 0 && v <= 24)) return { error: 'halfDayMinHours must be between 0 and 24' };
+    data.halfDayMinHours = v;
+  }
+
+  if (body.missingPunchPolicy !== undefined) {
+    if (!MISSING_PUNCH_POLICIES.includes(body.missingPunchPolicy)) {
+      return { error: `missingPunchPolicy must be one of ${MISSING_PUNCH_POLICIES.join(', ')}` };
+    }
+    data.missingPunchPolicy = body.missingPunchPolicy;
+  }
+
+  if (body.missingPunchDeduction !== undefined) {
+    const v = Number(body.missingPunchDeduction);
+    if (!(v >= 0)) return { error: 'missingPunchDeduction must be an amount ≥ 0' };
+    data.missingPunchDeduction = v;
+  }
+
+  if (body.autoOtEnabled !== undefined) data.autoOtEnabled = Boolean(body.autoOtEnabled);
+
+  if (body.otThresholdMinutes !== undefined) {
+    if (!isInt(body.otThresholdMinutes) || body.otThresholdMinutes < 0 || body.otThresholdMinutes > 240) {
+      return { error: 'otThresholdMinutes must be a whole number from 0 to 240' };
+    }
+    data.otThresholdMinutes = Number(body.otThresholdMinutes);
+  }
+
+  for (const key of ['otMultiplierWeekday', 'otMultiplierWeeklyOff', 'otMultiplierHoliday']) {
+    if (body[key] === undefined) continue;
+    const v = Number(body[key]);
+    if (!(v >= 1 && v <= 5)) return { error: `${key} must be between 1 and 5` };
+    data[key] = v;
+  }
+
+  if (body.otDailyCapHours !== undefined) {
+    const v = Number(body.otDailyCapHours);
+    if (!(v >= 0 && v <= 24)) return { error: 'otDailyCapHours must be between 0 and 24' };
+    data.otDailyCapHours = v;
+  }
+
+  if (body.otMonthlyCapHours !== undefined) {
+    const v = Number(body.otMonthlyCapHours);
+    if (!(v >= 0 && v <= 400)) return { error: 'otMonthlyCapHours must be between 0 and 400' };
+    data.otMonthlyCapHours = v;
+  }
+
+  if (body.nightDiffType !== undefined) {
+    if (!NIGHT_DIFF_TYPES.includes(body.nightDiffType)) {
+      return { error: `nightDiffType must be one of ${NIGHT_DIFF_TYPES.join(', ')}` };
+    }
+    data.nightDiffType = body.nightDiffType;
+  }
+
+  if (body.nightDiffValue !== undefined) {
+    const v = Number(body.nightDiffValue);
+    if (!(v >= 0)) return { error: 'nightDiffValue must be a number ≥ 0' };
+    data.nightDiffValue = v;
+  }
+
+  for (const key of ['nightWindowStart', 'nightWindowEnd']) {
+    if (body[key] === undefined) continue;
+    if (!HH_MM.test(body[key])) return { error: `${key} must be a time in HH:mm format` };
+    data[key] = body[key];
+  }
+  if ((data.nightWindowStart ?? getSettings().nightWindowStart) === (data.nightWindowEnd ?? getSettings().nightWindowEnd)) {
+    return { error: 'The night window must not start and end at the same time' };
+  }
+
+  if (body.leaveEligibilityDays !== undefined) {
+    if (!isInt(body.leaveEligibilityDays) || body.leaveEligibilityDays < 0) {
+      return { error: 'leaveEligibilityDays must be a whole number ≥ 0' };
+    }
+    data.leaveEligibilityDays = Number(body.leaveEligibilityDays);
+  }
+
+  if (body.annualLeaveDays !== undefined) {
+    const v = Number(body.annualLeaveDays);
+    if (!(v >= 0)) return { error: 'annualLeaveDays must be a number ≥ 0' };
+    data.annualLeaveDays = v;
+  }
+
+  return { data };
+}
+
+/** Save validated fields and refresh the cache. Returns the full settings. */
+export async function saveSettings(data, userId) {
+  await CompanySettings.findByIdAndUpdate(
+    SETTINGS_ID,
+    { $set: { ...data, updatedBy: userId } },
+    { upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+  return loadSettings({ force: true });
+}
+
+// ─── helpers ──────────────────────────────────────────────────────────────────
+
+/** Weekly days off for `emp`: their own workweek if set, else the company weekend */
+export function weekendDaysFor(emp = null) {
+  return Array.isArray(emp?.weeklyOff) ? emp.weeklyOff : getSettings().weekendDays;
+}
+
+/** True if `date` is a weekly day off — for `emp` when given, else company-wide */
+export function isWeekend(date, emp = null) {
+  return weekendDaysFor(emp).includes(new Date(date).getDay());
+}
+
+/** Format a number in the company locale, 2 decimals (no currency code) */
+export function formatAmount(amount) {
+  const { locale } = getSettings();
+  return (Number(amount) || 0).toLocaleString(locale, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+// ─── default export ───────────────────────────────────────────────────────────
+export default {
+  DEFAULT_SETTINGS,
+  MISSING_PUNCH_POLICIES,
+  NIGHT_DIFF_TYPES,
+  getSettings,
+  loadSettings,
+  validateSettings,
+  saveSettings,
+  parseWeekDays,
+  weekendDaysFor,
+  isWeekend,
+  formatAmount
+};
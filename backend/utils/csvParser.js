@@ -4,6 +4,10 @@
  * Expected CSV format (pipe or comma delimited, auto-detected):
  *   empid | firstname | lastname | date(dd/mm/yyyy) | time(HH:mm) | status(0=in, 1=out)
  *
+ * Other layouts are read through a saved import profile (models/ImportProfile.js):
+ * parseCSV(content, profile) takes the delimiter, header handling, column
+ * positions/names, date/time formats and status values from the profile.
+ *
  * Night-shift 14-hour rule (req #4):
  *   Given a shift start (e.g. 22:00) the system looks for the employee's
  *   check-IN as the first typed-IN punch >= shiftStart within a 14-hour
@@ -15,16 +19,16 @@
 
 // utils/csvParser.js
 
-import { normalizeTime } from './timeNormalizer.js';
-import { parseDate, formatDate } from './dateUtils.js';
+import { normalizeTime, parseTimeFormat } from './timeNormalizer.js';
+import { parseDate, parseDateFormat, formatDate } from './dateUtils.js';
 
 // ─── delimiter detection ──────────────────────────────────────────────────────
 
-function detectDelimiter(csvContent) {
+/** The candidate seen most often on the first line; ties go to the earlier one */
+function detectDelimiter(csvContent, candidates = ['|', ',']) {
   const first = csvContent.trim().split('\n')[0] || '';
-  const pipes  = (first.match(/\|/g) || []).length;
-  const commas = (first.match(/,/g)  || []).length;
-  return pipes >= commas ? '|' : ',';
+  const count = (d) => first.split(d).length - 1;
+  return candidates.reduce((best, d) => (count(d) > count(best) ? d : best));
 }
 
 // ─── helpers ──────────────────────────────────────────────────────────────────
@@ -38,7 +42,9 @@ const toMin = (t) => {
 
 // ─── parseCSV ─────────────────────────────────────────────────────────────────
 
-export function parseCSV(csvContent) {
+export function parseCSV(csvContent, profile = null) {
+  if (profile) return parseWithProfile(csvContent, profile);
+
   const lines     = csvContent.trim().split('\n');
   const parsed    = [];
   const errors    = [];
@@ -107,13 +113,147 @@ export function parseCSV(csvContent) {
   return { parsed, errors };
 }
 
+// ─── parseWithProfile ─────────────────────────────────────────────────────────
+//
+// Same row shape as parseCSV. Columns are 1-based positions or header names
+// (case-insensitive). A status column is matched against profile.statusMap;
+// without one the rows are untyped (status null) and typed later from the
+// shift (utils/importAdapters.js inferPunchTypes).
+
+const PROFILE_FIELDS = ['empId', 'firstName', 'lastName', 'name', 'date', 'time', 'dateTime', 'status', 'deviceSerial'];
+
+/** Split one line on `delimiter`, honouring "double-quoted" fields */
+function splitLine(line, delimiter) {
+  const parts = [];
+  let field = '', quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (c === '"') {
+      if (quoted && line[i + 1] === '"') { field += '"'; i++; }
+      else quoted = !quoted;
+    } else if (c === delimiter && !quoted) {
+      parts.push(field.trim());
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  parts.push(field.trim());
+  return parts;
+}
+
+function parseWithProfile(csvContent, profile) {
+  const parsed = [];
+  const errors = [];
+  const lines  = csvContent.replace(/^\uFEFF/, '').split(/\r?\n/);
+
+  let start = Math.max(0, Number(profile.skipRows) || 0);
+  const delimiter = profile.delimiter && profile.delimiter !== 'auto'
+    ? profile.delimiter
+    : detectDelimiter(lines.slice(start).join('\n'), ['|', ',', ';', '\t']);
+
+  const header = profile.hasHeader ? splitLine(lines[start] || '', delimiter).map(h => h.toLowerCase()) : null;
+  if (profile.hasHeader) start++;
+
+  // Resolve every mapped column to a 0-based index
+  const cols = {};
+  for (const field of PROFILE_FIELDS) {
+    const ref = String(profile.columns?.[field] ?? '').trim();
+    if (!ref) continue;
+    const index = /^\d+$/.test(ref) ? Number(ref) - 1 : (header ? header.indexOf(ref.toLowerCase()) : -1);
+    if (index < 0) {
+      errors.push({ rowNumber: start, error: `Column "${ref}" (${field}) is not in the file`, rawLine: lines[start - 1] || '' });
+      return { parsed, errors };
+    }
+    cols[field] = index;
+  }
+
+  const statusValues = new Map([
+    ...(profile.statusMap?.in  || []).map(v => [String(v).trim().toLowerCase(), 0]),
+    ...(profile.statusMap?.out || []).map(v => [String(v).trim().toLowerCase(), 1])
+  ]);
+  const typed = cols.status !== undefined && statusValues.size > 0;
+
+  for (let i = start; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line) continue;
+
+    const rowNumber = i + 1;
+    const parts     = splitLine(line, delimiter);
+    const at        = (field) => (cols[field] !== undefined ? parts[cols[field]] ?? '' : '');
+
+    const empId = at('empId');
+    if (!empId) {
+      errors.push({ rowNumber, error: 'Employee ID is empty', rawLine: line });
+      continue;
+    }
+
+    let dateStr = at('date');
+    let timeStr = at('time');
+    if (cols.dateTime !== undefined) {
+      const [datePart, ...timePart] = at('dateTime').split(/[ T]+/);
+      dateStr ||= datePart;
+      timeStr ||= timePart.join(' ');
+    }
+
+    const parsedDate = parseDateFormat(dateStr, profile.dateFormat);
+    if (!parsedDate) {
+      errors.push({ rowNumber, error: `Invalid date "${dateStr}" (expected ${profile.dateFormat || 'dd/mm/yyyy'})`, rawLine: line });
+      continue;
+    }
+
+    // The flexible parser has no seconds — drop them ("08:55:12" → "08:55")
+    const timeValue      = profile.timeFormat ? timeStr : timeStr.replace(/^(\d{1,2}:\d{2}):\d{2}$/, '$1');
+    const normalizedTime = parseTimeFormat(timeValue, profile.timeFormat);
+    if (!normalizedTime) {
+      errors.push({ rowNumber, error: `Invalid time "${timeStr}"${profile.timeFormat ? ` (expected ${profile.timeFormat})` : ''}`, rawLine: line });
+      continue;
+    }
+
+    let status = null;
+    if (typed) {
+      status = statusValues.get(at('status').toLowerCase());
+      if (status === undefined) {
+        errors.push({ rowNumber, error: `Unknown status "${at('status')}" — add it to the profile's in/out values`, rawLine: line });
+        continue;
+      }
+    }
+
+    let firstName = at('firstName');
+    let lastName  = at('lastName');
+    if (!firstName && cols.name !== undefined) {
+      [firstName, ...lastName] = at('name').split(/\s+/);
+      lastName = lastName.join(' ');
+    }
+
+    parsed.push({
+      rowNumber,
+      empId:      empId.toUpperCase(),
+      firstName:  firstName || '',
+      lastName:   lastName  || '',
+      date:       parsedDate,
+      dateStr:    formatDate(parsedDate),
+      time:       normalizedTime,
+      status,
+      isCheckIn:  status === 0,
+      isCheckOut: status === 1,
+      rawLine:    line,
+      ...(at('deviceSerial') && { deviceSerial: at('deviceSerial').toUpperCase() })
+    });
+  }
+
+  return { parsed, errors };
+}
+
 // ─── groupByEmployeeAndDate ───────────────────────────────────────────────────
 //
 // Groups all punches for the same employee on the same calendar date.
 // NOTE: for night-shift employees, all punches for a shift belong to the
 // shift-start date even if the out punch occurs the next calendar day.
 // That resolution happens in mergeTimes / applyNightShiftPairing — here we
-// simply group by the date column as written in the CSV.
+// simply group by the date column as written in the CSV. Device exports date
+// each punch by its calendar day; assignOvernightPunches (importAdapters.js)
+// moves those back to the shift-start date before grouping.
 
 export function groupByEmployeeAndDate(parsedRows) {
   const grouped = {};
@@ -135,6 +275,7 @@ export function groupByEmployeeAndDate(parsedRows) {
     grouped[key].rows.push({
       rowNumber:  row.rowNumber,
       time:       row.time,
+      status:     row.status,
       isCheckIn:  row.isCheckIn,
       isCheckOut: row.isCheckOut,
       rawLine:    row.rawLine
@@ -145,25 +286,78 @@ export function groupByEmployeeAndDate(parsedRows) {
 }
 
 // ─── mergeTimes ───────────────────────────────────────────────────────────────
+
+// How early before shift start a check-in still belongs to that shift
+export const EARLY_IN_MINUTES = 4 * 60;
 //
 // Used when the CSV rows already carry typed IN/OUT status (status 0/1).
-// Takes the earliest check-in and latest check-out from the group.
+// Pairs every IN with the OUT that follows it, so lunch and prayer breaks
+// become separate pairs instead of being lost.
 //
-// Returns { inTime, outTime, outNextDay }
-//   outNextDay = true when the raw outTime is numerically before inTime
-//   (i.e. the check-out crossed midnight).
-
-export function mergeTimes(rows) {
-  const ins  = rows.filter(r => r.isCheckIn).map(r => r.time).sort();
-  const outs = rows.filter(r => r.isCheckOut).map(r => r.time).sort();
+//   1. The day's timeline starts EARLY_IN_MINUTES before the shift start
+//      (see timelineStart; the earliest check-in when no shift is given);
+//      a punch numerically before that belongs to the next day (night
+//      shifts, check-out after midnight).
+//   2. Walk the punches in time order: an IN opens a pair, an OUT closes it.
+//      A repeated IN keeps the first; a repeated OUT moves the previous
+//      pair's OUT later. An OUT before any IN becomes a pair with no IN.
+//
+// Returns { inTime, outTime, outNextDay, punches }
+//   inTime / outTime = first IN and last OUT of the day
+//   outNextDay       = the last OUT crossed midnight from the first IN (both
+//                      after midnight — a late night-shift arrival — is false)
+//   punches          = [{ in, out, inNextDay, outNextDay }] for AttendanceLog.punches
+
+export function mergeTimes(rows, shiftStart = null) {
+  const ins    = rows.filter(r => r.isCheckIn).map(r => toMin(r.time));
+  const anchor = timelineStart(ins, shiftStart);
+
+  const timeline = rows
+    .filter(r => r.time && (r.isCheckIn || r.isCheckOut))
+    .map(r => {
+      const at = anchor + (((toMin(r.time) - anchor) % 1440) + 1440) % 1440;
+      return { time: r.time, isIn: r.isCheckIn, nextDay: at >= 1440, at };
+    })
+    .sort((a, b) => a.at - b.at);
+
+  const punches = [];
+  let open = null;
+  for (const p of timeline) {
+    if (p.isIn) {
+      if (!open) open = { in: p.time, out: null, inNextDay: p.nextDay, outNextDay: false };
+    } else if (open) {
+      punches.push({ ...open, out: p.time, outNextDay: p.nextDay });
+      open = null;
+    } else if (punches.length > 0 && punches[punches.length - 1].out) {
+      Object.assign(punches[punches.length - 1], { out: p.time, outNextDay: p.nextDay });
+    } else {
+      punches.push({ in: null, out: p.time, inNextDay: false, outNextDay: p.nextDay });
+    }
+  }
+  if (open) punches.push(open);
 
-  const inTime  = ins.length  > 0 ? ins[0]               : null;
-  const outTime = outs.length > 0 ? outs[outs.length - 1] : null;
+  const first = punches.find(p => p.in);
+  const last  = [...punches].reverse().find(p => p.out);
 
-  // Detect midnight crossing: raw out time is numerically less than in time
-  const outNextDay = !!(inTime && outTime && toMin(outTime) < toMin(inTime));
+  return {
+    inTime:     first?.in   || null,
+    outTime:    last?.out   || null,
+    outNextDay: !!(first && last?.outNextDay && !first.inNextDay),
+    punches
+  };
+}
 
-  return { inTime, outTime, outNextDay };
+/**
+ * Minute of the day the employee-day's timeline starts: EARLY_IN_MINUTES
+ * before the shift, pulled back to any check-in up to 12 hours before shift
+ * start (an unusually early arrival, not tomorrow's punch), never before
+ * midnight.
+ */
+function timelineStart(ins, shiftStart) {
+  if (!shiftStart) return ins.length > 0 ? Math.min(...ins) : 0;
+  const start = toMin(shiftStart);
+  const early = ins.filter(t => t < start && t >= start - 12 * 60);
+  return Math.max(0, Math.min(start - EARLY_IN_MINUTES, ...early));
 }
 
 // ─── applyNightShiftPairing ───────────────────────────────────────────────────
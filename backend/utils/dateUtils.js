@@ -51,6 +51,57 @@ export function parseDDMMYYYY(dateStr) {
 /** Alias used by csvParser.js */
 export const parseDate = parseDDMMYYYY;
 
+// ─── parseDateFormat ──────────────────────────────────────────────────────────
+/**
+ * Parse a date written in a custom layout (attendance import profiles).
+ *
+ * Tokens: yyyy, yy (→ 20yy), MMM (Jan, February…), mm / m (month),
+ * dd / d (day). Anything else is matched literally:
+ *   parseDateFormat('02/23/2026', 'mm/dd/yyyy')  → 23 Feb 2026
+ *   parseDateFormat('23-Feb-26',  'dd-MMM-yy')   → 23 Feb 2026
+ *
+ * A blank format falls back to parseDDMMYYYY. Returns null when the value
+ * does not fit the layout or is not a real date.
+ */
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DATE_TOKENS = {
+  yyyy: '(\\d{4})', yy: '(\\d{2})', MMM: '([A-Za-z]{3,})',
+  mm: '(\\d{1,2})', m: '(\\d{1,2})', dd: '(\\d{1,2})', d: '(\\d{1,2})'
+};
+
+export function parseDateFormat(dateStr, format) {
+  if (!format) return parseDDMMYYYY(dateStr);
+  if (!dateStr) return null;
+
+  const order   = [];
+  const pattern = format.replace(/yyyy|yy|MMM|mm|m|dd|d|[^A-Za-z]/g, (t) => {
+    if (DATE_TOKENS[t]) {
+      order.push(t);
+      return DATE_TOKENS[t];
+    }
+    return t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  });
+
+  const match = String(dateStr).trim().match(new RegExp(`^${pattern}$`));
+  if (!match) return null;
+
+  let y, month, d;
+  order.forEach((token, i) => {
+    const v = match[i + 1];
+    if (token === 'yyyy')     y     = Number(v);
+    else if (token === 'yy')  y     = 2000 + Number(v);
+    else if (token === 'MMM') month = MONTH_NAMES.indexOf(v.slice(0, 3).toLowerCase());
+    else if (token[0] === 'm') month = Number(v) - 1;
+    else                      d     = Number(v);
+  });
+
+  if (y == null || month == null || month < 0 || d == null) return null;
+  if (y < 1900 || y > 2100) return null;
+  const date = new Date(y, month, d, 0, 0, 0, 0);
+  if (date.getFullYear() !== y || date.getMonth() !== month || date.getDate() !== d) return null;
+  return date;
+}
+
 // ─── formatDate ───────────────────────────────────────────────────────────────
 /**
  * Format a Date (or date string) to "dd/mm/yyyy".
@@ -154,6 +205,7 @@ export function formatLastModified(dateString) {
 export default {
   parseDDMMYYYY,
   parseDate,
+  parseDateFormat,
   formatDate,
   formatDateTimeForDisplay,
   startOfDay,
@@ -0,0 +1,147 @@
+/**
+ * utils/deviceMapping.js
+ * Matches the employee IDs in an attendance file to employees.
+ *
+ * An ID is looked up, in order, as
+ *   1. a DeviceMapping for the row's device serial
+ *   2. a DeviceMapping with no serial (any device)
+ *   3. an Employee.employeeNumber
+ * IDs that match nothing are queued as PendingMapping documents so their
+ * punches can be imported once someone maps them.
+ */
+
+import DeviceMapping from '../models/DeviceMapping.js';
+import PendingMapping from '../models/PendingMapping.js';
+import Employee from '../models/Employee.js';
+
+// superadmin is a login-only account and never has attendance
+const SYSTEM_ROLES = ['superadmin'];
+
+const queueKey = (row) => `${(row.deviceSerial || '').toUpperCase()}|${row.empId}`;
+
+// ─── resolve ──────────────────────────────────────────────────────────────────
+
+/**
+ * Resolve every parsed row to an employee.
+ * Matched rows are rewritten in place: `deviceId` keeps the ID from the file
+ * and `empId` becomes the employee's employeeNumber, so punches from two
+ * devices for one person land in the same employee-day.
+ *
+ * Returns { employees, unmapped, mappings }
+ *   employees — matched Employee documents (lean), one per person
+ *   unmapped  — rows whose ID matched nothing (left untouched)
+ *   mappings  — the DeviceMapping documents looked at
+ */
+export async function resolveDeviceRows(rows) {
+  const ids      = [...new Set(rows.map(r => r.empId))];
+  const mappings = await DeviceMapping.find({ deviceId: { $in: ids } }).lean();
+
+  const candidates = await Employee.find({
+    $or: [
+      { _id: { $in: mappings.map(m => m.employee) } },
+      { employeeNumber: { $in: ids } }
+    ],
+    role: { $nin: SYSTEM_ROLES },
+    isDeleted: false
+  }).lean();
+
+  const byId     = new Map(candidates.map(e => [String(e._id), e]));
+  const byNumber = new Map(candidates.map(e => [e.employeeNumber, e]));
+  const mapped   = new Map(mappings.map(m => [`${m.deviceSerial}|${m.deviceId}`, byId.get(String(m.employee))]));
+
+  const employees = new Map();
+  const unmapped  = [];
+
+  for (const row of rows) {
+    const serial   = (row.deviceSerial || '').toUpperCase();
+    const employee = (serial && mapped.get(`${serial}|${row.empId}`))
+      || mapped.get(`|${row.empId}`)
+      || byNumber.get(row.empId);
+
+    if (!employee) {
+      unmapped.push(row);
+      continue;
+    }
+    row.deviceId = row.empId;
+    row.empId    = employee.employeeNumber;
+    employees.set(String(employee._id), employee);
+  }
+
+  return { employees: [...employees.values()], unmapped, mappings };
+}
+
+// ─── pending queue ────────────────────────────────────────────────────────────
+
+/**
+ * Unmapped rows per device ID, for logs and the import preview:
+ * [{ deviceId, deviceSerial, rows, name }]
+ */
+export function summariseUnmapped(unmapped) {
+  const groups = new Map();
+  for (const row of unmapped) {
+    const key = queueKey(row);
+    if (!groups.has(key)) {
+      groups.set(key, {
+        deviceId:     row.empId,
+        deviceSerial: (row.deviceSerial || '').toUpperCase(),
+        rows:         0,
+        name:         `${row.firstName || ''} ${row.lastName || ''}`.trim() || null
+      });
+    }
+    groups.get(key).rows++;
+  }
+  return [...groups.values()];
+}
+
+/**
+ * Add unmapped rows to the pending queue, one open entry per device ID.
+ * Punches already queued (same date and time) are not added twice.
+ * Returns the number of device IDs touched.
+ */
+export async function queueUnmapped(unmapped, batchId = null) {
+  if (unmapped.length === 0) return 0;
+
+  const groups = new Map();
+  for (const row of unmapped) {
+    const key = queueKey(row);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  }
+
+  for (const rows of groups.values()) {
+    const deviceId     = rows[0].empId;
+    const deviceSerial = (rows[0].deviceSerial || '').toUpperCase();
+
+    const open  = await PendingMapping.findOne({ deviceId, deviceSerial, status: 'pending' }).lean();
+    const known = new Set((open?.punches || []).map(p => `${new Date(p.date).getTime()}|${p.time}`));
+
+    const punches = rows
+      .filter(r => !known.has(`${r.date.getTime()}|${r.time}`))
+      .map(r => ({
+        date:      r.date,
+        time:      r.time,
+        status:    r.status ?? null,
+        firstName: r.firstName,
+        lastName:  r.lastName,
+        rawLine:   r.rawLine,
+        clockDate: !!r.clockDate,
+        batch:     batchId
+      }));
+    if (punches.length === 0) continue;
+
+    await PendingMapping.updateOne(
+      { deviceId, deviceSerial, status: 'pending' },
+      { $push: { punches: { $each: punches } } },
+      { upsert: true }
+    );
+  }
+
+  return groups.size;
+}
+
+// ─── default export ───────────────────────────────────────────────────────────
+export default {
+  resolveDeviceRows,
+  summariseUnmapped,
+  queueUnmapped
+};
@@ -6,15 +6,18 @@
  * Import from dateUtils.js directly if you need formatDate / parseDDMMYYYY etc.
  */
 
+import { getSettings } from './companySettings.js';
+import { isNonWorkingDay } from './holidays.js';
+
 // ─── currency ─────────────────────────────────────────────────────────────────
 
 /**
- * Format a number as a currency string.
- * e.g. formatCurrency(1234.5) → "PKR 1,234.50"
+ * Format a number as a currency string in the company currency and locale
+ * (CompanySettings). e.g. formatCurrency(1234.5) → "PKR 1,234.50"
  */
-export function formatCurrency(amount, currency = 'PKR') {
+export function formatCurrency(amount, currency = getSettings().currency) {
   const n = parseFloat(amount) || 0;
-  return `${currency} ${n.toLocaleString('en-PK', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+  return `${currency} ${n.toLocaleString(getSettings().locale, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
 }
 
 // ─── time ─────────────────────────────────────────────────────────────────────
@@ -71,23 +74,27 @@ export function proRateSalary(monthlySalary, workedDays, totalWorkingDays) {
  * Used when salaryType === 'monthly' and per-hour deduction/OT needs computing.
  *
  * @param {number} monthlySalary
- * @param {number} workingDaysPerMonth — default 26 (Mon–Sat, no holidays)
- * @param {number} hoursPerDay         — scheduled shift hours, default 8
+ * @param {number} workingDaysPerMonth — default CompanySettings.workingDaysPerMonth (26)
+ * @param {number} hoursPerDay         — default CompanySettings.hoursPerDay (8)
  * @returns {number}
  */
-export function monthlyToHourlyRate(monthlySalary, workingDaysPerMonth = 26, hoursPerDay = 8) {
+export function monthlyToHourlyRate(
+  monthlySalary,
+  workingDaysPerMonth = getSettings().workingDaysPerMonth,
+  hoursPerDay = getSettings().hoursPerDay
+) {
   return monthlySalary / (workingDaysPerMonth * hoursPerDay);
 }
 
 /**
- * Count working days (Mon–Fri) between two Date objects, inclusive.
- * Pass skipWeekends=false to count all calendar days (e.g. for 6-day work weeks).
+ * Count working days between two Date objects, inclusive, skipping weekly
+ * days off and public holidays. Pass skipWeekends=false to count all calendar
+ * days, and `emp` to use their own workweek instead of the company weekend.
  */
-export function countWorkingDays(start, end, skipWeekends = true) {
+export function countWorkingDays(start, end, skipWeekends = true, emp = null) {
   let count = 0;
   for (let d = new Date(start); d <= end; d.setDate(d.getDate() + 1)) {
-    const day = d.getDay();
-    if (!skipWeekends || (day !== 0 && day !== 6)) count++;
+    if (!skipWeekends || !isNonWorkingDay(d, emp)) count++;
   }
   return count;
 }
@@ -0,0 +1,75 @@
+/**
+ * utils/holidays.js
+ * Company holiday calendar (models/Holiday.js) for the rest of the backend.
+ *
+ * Like utils/companySettings.js the calendar is cached in memory so the
+ * synchronous working-day counters can consult it; middleware/companySettings.js
+ * refreshes it alongside the settings, and every write reloads it.
+ *
+ * Only `public` holidays are days off. `optional` holidays are reported (for
+ * the worksheet and calendar) but stay working days.
+ */
+
+import Holiday from '../models/Holiday.js';
+import { formatDate } from './dateUtils.js';
+import { isWeekend } from './companySettings.js';
+
+const REFRESH_MS = 60 * 1000;
+
+let byDay    = new Map();   // "dd/mm/yyyy" → { name, type }
+let loadedAt = 0;
+let pending  = null;
+
+// ─── cache ────────────────────────────────────────────────────────────────────
+
+/**
+ * Load every holiday into the cache. Skipped while the cache is fresh unless
+ * `force` is set; concurrent callers share one query.
+ */
+export async function loadHolidays({ force = false } = {}) {
+  if (!force && loadedAt && Date.now() - loadedAt < REFRESH_MS) return byDay;
+
+  pending ??= Holiday.find().select('name date type').lean()
+    .then(holidays => {
+      // Two holidays can share a date; the public one wins so the day stays off
+      const days = new Map();
+      for (const h of holidays) {
+        const key = formatDate(h.date);
+        if (days.get(key)?.type === 'public') continue;
+        days.set(key, { name: h.name, type: h.type });
+      }
+      byDay    = days;
+      loadedAt = Date.now();
+      return byDay;
+    })
+    .finally(() => { pending = null; });
+  return pending;
+}
+
+// ─── lookups ──────────────────────────────────────────────────────────────────
+
+/** The holiday (public or optional) on `date`, or null */
+export function getHoliday(date) {
+  return byDay.get(formatDate(date)) || null;
+}
+
+/** True if `date` is a public holiday */
+export function isPublicHoliday(date) {
+  return getHoliday(date)?.type === 'public';
+}
+
+/**
+ * Weekly day off or public holiday — not counted as a working day.
+ * Pass `emp` to use their own workweek (Employee.weeklyOff).
+ */
+export function isNonWorkingDay(date, emp = null) {
+  return isWeekend(date, emp) || isPublicHoliday(date);
+}
+
+// ─── default export ───────────────────────────────────────────────────────────
+export default {
+  loadHolidays,
+  getHoliday,
+  isPublicHoliday,
+  isNonWorkingDay
+};
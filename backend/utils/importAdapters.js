@@ -0,0 +1,393 @@
+/**
+ * utils/importAdapters.js
+ * Attendance file formats accepted by POST /api/attendance/import-csv.
+ *
+ * Every adapter turns an uploaded file into the parsed-punch rows produced by
+ * parseCSV (utils/csvParser.js):
+ *   { rowNumber, empId, firstName, lastName, date, dateStr, time,
+ *     status, isCheckIn, isCheckOut, rawLine, deviceSerial?, clockDate? }
+ * so grouping, pairing and pay work the same whatever the source.
+ *
+ * clockDate marks rows dated by the device clock — the calendar day the punch
+ * happened — rather than by the shift they belong to; assignOvernightPunches()
+ * moves their after-midnight night-shift punches back to the shift-start date.
+ *
+ *   csv    — the six-column empid|firstname|lastname|date|time|status layout,
+ *            or any delimited layout described by an import profile
+ *   zkteco — ZKTeco attlog.dat: PIN <tab> yyyy-mm-dd HH:mm:ss <tab> verify <tab> state …
+ *   xlsx   — first worksheet of an Excel report, columns found by header name
+ *
+ * Some exports cannot tell a check-in from a check-out (ZKTeco devices with no
+ * IN/OUT keys, reports with no status column). Those rows come back untyped
+ * (status null) and inferPunchTypes() types them per employee-day once the
+ * day's shift is known, using applyNightShiftPairing to find the check-in.
+ *
+ * To add a format: write { key, label, extensions, sniff?, parse(buffer, options) }
+ * and list it in ADAPTERS.
+ */
+
+import ExcelJS from 'exceljs';
+import { parseCSV, applyNightShiftPairing, EARLY_IN_MINUTES } from './csvParser.js';
+import { normalizeTime } from './timeNormalizer.js';
+import { parseDate, formatDate } from './dateUtils.js';
+
+// ─── shared row builder ───────────────────────────────────────────────────────
+
+/** "HH:mm" → total minutes from midnight */
+const toMin = (t) => {
+  const [h, m] = t.split(':').map(Number);
+  return h * 60 + m;
+};
+
+/** "08:55:12" → "08:55"; everything else goes through normalizeTime */
+const toTime = (t) => normalizeTime(String(t ?? '').trim().replace(/^(\d{1,2}:\d{2}):\d{2}$/, '$1'));
+
+/**
+ * Validate one raw record and push it onto `parsed` or `errors`, in the same
+ * shape parseCSV returns. `status` is 0 (in), 1 (out) or null (untyped).
+ */
+function pushRow(parsed, errors, { rowNumber, empId, firstName = '', lastName = '', date, time, status, rawLine, deviceSerial, clockDate }) {
+  if (!empId) {
+    errors.push({ rowNumber, error: 'Employee ID is empty', rawLine });
+    return;
+  }
+
+  const parsedDate = date instanceof Date ? date : parseDate(date);
+  if (!parsedDate) {
+    errors.push({ rowNumber, error: `Invalid date "${date}" (expected dd/mm/yyyy or yyyy-mm-dd)`, rawLine });
+    return;
+  }
+
+  const normalizedTime = toTime(time);
+  if (!normalizedTime) {
+    errors.push({ rowNumber, error: `Invalid time "${time}"`, rawLine });
+    return;
+  }
+
+  parsed.push({
+    rowNumber,
+    empId:      String(empId).trim().toUpperCase(),
+    firstName:  String(firstName).trim(),
+    lastName:   String(lastName).trim(),
+    date:       parsedDate,
+    dateStr:    formatDate(parsedDate),
+    time:       normalizedTime,
+    status,
+    isCheckIn:  status === 0,
+    isCheckOut: status === 1,
+    rawLine,
+    ...(deviceSerial && { deviceSerial: String(deviceSerial).trim().toUpperCase() }),
+    ...(clockDate && { clockDate: true })
+  });
+}
+
+// ─── csv ──────────────────────────────────────────────────────────────────────
+
+const csvAdapter = {
+  key:        'csv',
+  label:      'CSV (empid | firstname | lastname | date | time | status)',
+  extensions: ['.csv', '.txt'],
+  parse:      async (buffer, { profile } = {}) => parseCSV(buffer.toString('utf-8'), profile)
+};
+
+// ─── zkteco attlog.dat ────────────────────────────────────────────────────────
+//
+//   "    12\t2026-02-23 08:55:12\t1\t0\t0\t0"
+//    PIN      timestamp            verify state workcode reserved
+//
+// State codes: 0 check-in, 1 check-out, 2 break-out, 3 break-in, 4 OT-in,
+// 5 OT-out. A device without IN/OUT keys writes the same state on every
+// punch, so a file with a single state value throughout is treated as untyped.
+// Timestamps are the device clock, so every row is a clockDate row.
+
+const ZK_LINE   = /^\s*(\S+)\t\s*(\d{4}-\d{2}-\d{2})[ T](\d{1,2}:\d{2}(?::\d{2})?)(?:\t\s*(\d+))?(?:\t\s*(\d+))?/;
+const ZK_STATES = { 0: 0, 1: 1, 2: 1, 3: 0, 4: 0, 5: 1 };
+
+const zktecoAdapter = {
+  key:        'zkteco',
+  label:      'ZKTeco attlog.dat',
+  extensions: ['.dat'],
+  sniff:      (buffer) => ZK_LINE.test(buffer.toString('utf-8', 0, 512).split('\n')[0]),
+
+  parse: async (buffer) => {
+    const lines  = buffer.toString('utf-8').split(/\r?\n/);
+    const parsed = [];
+    const errors = [];
+    const records = [];
+
+    lines.forEach((line, i) => {
+      if (!line.trim()) return;
+      const m = line.match(ZK_LINE);
+      if (!m) {
+        errors.push({ rowNumber: i + 1, error: 'Not a ZKTeco attlog line (PIN, timestamp, verify, state)', rawLine: line });
+        return;
+      }
+      const [, pin, date, time, , state] = m;
+      records.push({ rowNumber: i + 1, empId: pin, date, time, state: state ?? null, rawLine: line });
+    });
+
+    const typed = new Set(records.map(r => r.state)).size > 1;
+    for (const r of records) {
+      pushRow(parsed, errors, { ...r, status: typed ? (ZK_STATES[r.state] ?? null) : null, clockDate: true });
+    }
+    return { parsed, errors };
+  }
+};
+
+// ─── xlsx ─────────────────────────────────────────────────────────────────────
+//
+// The first row holding an employee-ID header is the header row. Recognised
+// columns (case and punctuation ignored):
+//   employee id — empid, employeeid, employeeno, empno, acno, userid, pin, id
+//   name        — firstname + lastname, or a single name column
+//   date / time — separate columns, or one datetime column (a "Time" column
+//                 with no "Date" column beside it holds the full timestamp)
+//   status      — 0/1, in/out, c/in, c/out, checkin, checkout, break in/out,
+//                 ot in/out; without it the punches are untyped
+
+const XLSX_HEADERS = {
+  empId:     ['empid', 'employeeid', 'employeeno', 'employeenumber', 'empno', 'acno', 'userid', 'pin', 'id'],
+  firstName: ['firstname'],
+  lastName:  ['lastname'],
+  name:      ['name', 'employeename', 'fullname'],
+  date:      ['date'],
+  time:      ['time', 'punchtime'],
+  dateTime:  ['datetime', 'timestamp', 'checktime', 'punch'],
+  status:    ['status', 'state', 'type', 'inout', 'checktype', 'punchstate'],
+  deviceSerial: ['serial', 'sn', 'serialno', 'deviceserial', 'deviceno', 'device']
+};
+
+const XLSX_STATUS = {
+  0: 0, in: 0, cin: 0, checkin: 0, breakin: 0, otin: 0, overtimein: 0,
+  1: 1, out: 1, cout: 1, checkout: 1, breakout: 1, otout: 1, overtimeout: 1
+};
+
+const headerKey = (v) => String(v ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/** Plain value of an exceljs cell (formula results, rich text, hyperlinks) */
+function cellValue(v) {
+  if (v == null || v instanceof Date || typeof v !== 'object') return v;
+  if ('result' in v) return v.result;
+  if (v.richText) return v.richText.map(t => t.text).join('');
+  return v.text ?? null;
+}
+
+/**
+ * Excel date/time cells arrive as Dates whose UTC fields are the wall-clock
+ * values, or as serial numbers when the cell is unformatted.
+ */
+function excelDate(v) {
+  if (typeof v === 'number') v = new Date(Math.round((v - 25569) * 86400000));
+  return v instanceof Date ? new Date(v.getUTCFullYear(), v.getUTCMonth(), v.getUTCDate()) : v;
+}
+
+function excelTime(v) {
+  if (typeof v === 'number') v = new Date(Math.round((v - 25569) * 86400000));
+  if (v instanceof Date) {
+    return `${String(v.getUTCHours()).padStart(2, '0')}:${String(v.getUTCMinutes()).padStart(2, '0')}`;
+  }
+  return v;
+}
+
+/** "23/02/2026 08:55" / "2026-02-23 08:55:12" → [date, time] */
+function splitDateTime(v) {
+  if (v instanceof Date || typeof v === 'number') return [excelDate(v), excelTime(v)];
+  const [date, ...rest] = String(v ?? '').trim().split(/[ T]+/);
+  return [date, rest.join(' ')];
+}
+
+const xlsxAdapter = {
+  key:        'xlsx',
+  label:      'Excel workbook (.xlsx)',
+  extensions: ['.xlsx'],
+  sniff:      (buffer) => buffer.length > 4 && buffer.readUInt32LE(0) === 0x04034b50,   // zip
+
+  parse: async (buffer) => {
+    const parsed = [];
+    const errors = [];
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const sheet = workbook.worksheets[0];
+    if (!sheet) return { parsed, errors: [{ rowNumber: 0, error: 'The workbook has no worksheets', rawLine: '' }] };
+
+    let cols = null;
+    sheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+      const values = row.values.map(cellValue);   // 1-based
+
+      if (!cols) {
+        const keys  = values.map(headerKey);
+        const find  = (names) => { const i = keys.findIndex(k => names.includes(k)); return i > 0 ? i : null; };
+        const found = Object.fromEntries(Object.entries(XLSX_HEADERS).map(([f, names]) => [f, find(names)]));
+        if (!found.date && !found.dateTime) [found.dateTime, found.time] = [found.time, null];
+        if (found.empId && (found.dateTime || found.date)) cols = found;
+        return;
+      }
+
+      const at      = (i) => (i ? values[i] : null);
+      const rawLine = values.slice(1).map(v => (v instanceof Date ? v.toISOString() : v ?? '')).join(' | ');
+
+      let date, time;
+      if (cols.date && cols.time) {
+        date = excelDate(at(cols.date));
+        time = excelTime(at(cols.time));
+      } else {
+        [date, time] = splitDateTime(at(cols.dateTime || cols.date));
+      }
+
+      let [firstName, lastName] = [at(cols.firstName), at(cols.lastName)];
+      if (!firstName && cols.name) {
+        [firstName, ...lastName] = String(at(cols.name) ?? '').trim().split(/\s+/);
+        lastName = lastName.join(' ');
+      }
+
+      // An unrecognised status is left untyped rather than rejected
+      const statusRaw = cols.status ? headerKey(at(cols.status)) : '';
+      const status    = statusRaw in XLSX_STATUS ? XLSX_STATUS[statusRaw] : null;
+
+      pushRow(parsed, errors, {
+        rowNumber, empId: at(cols.empId), firstName, lastName, date, time, status, rawLine,
+        deviceSerial: at(cols.deviceSerial)
+      });
+    });
+
+    if (!cols) {
+      errors.push({ rowNumber: 1, error: 'No header row with an employee ID and a date column was found', rawLine: '' });
+    }
+    return { parsed, errors };
+  }
+};
+
+// ─── registry ─────────────────────────────────────────────────────────────────
+
+export const ADAPTERS = [csvAdapter, zktecoAdapter, xlsxAdapter];
+
+export const ACCEPTED_EXTENSIONS = ADAPTERS.flatMap(a => a.extensions);
+
+/**
+ * Pick the adapter for an upload: an explicit `format` wins, then the file
+ * extension, then content sniffing (a device export saved as .txt), then CSV.
+ */
+export function detectAdapter({ originalname = '', buffer }, format = null) {
+  if (format && format !== 'auto') return ADAPTERS.find(a => a.key === format) || null;
+
+  const name   = originalname.toLowerCase();
+  const byName = ADAPTERS.find(a => a.extensions.some(ext => name.endsWith(ext)));
+  if (byName && byName !== csvAdapter) return byName;
+
+  return ADAPTERS.find(a => a.sniff?.(buffer)) || csvAdapter;
+}
+
+/**
+ * Parse an uploaded file with the right adapter. An import profile
+ * (models/ImportProfile.js) always means the delimited-text adapter.
+ * Returns { format, label, parsed, errors } — parsed/errors as parseCSV.
+ */
+export async function parseImportFile(file, format = null, profile = null) {
+  const adapter = detectAdapter(file, profile ? 'csv' : format);
+  if (!adapter) {
+    return {
+      format: null, label: null, parsed: [],
+      errors: [{ rowNumber: 0, error: `Unknown import format "${format}"`, rawLine: '' }]
+    };
+  }
+
+  try {
+    const { parsed, errors } = await adapter.parse(file.buffer, { profile });
+    const label = profile ? `Import profile "${profile.name}"` : adapter.label;
+    return { format: adapter.key, label, parsed, errors };
+  } catch (err) {
+    return {
+      format: adapter.key, label: adapter.label, parsed: [],
+      errors: [{ rowNumber: 0, error: `Could not read the file as ${adapter.label}: ${err.message}`, rawLine: '' }]
+    };
+  }
+}
+
+// ─── untyped punches ──────────────────────────────────────────────────────────
+
+/**
+ * Type one employee-day of untyped punches (status null) in place.
+ *
+ * applyNightShiftPairing finds the check-in, with the day starting
+ * EARLY_IN_MINUTES before the shift (as in mergeTimes) so an early arrival is
+ * not mistaken for a next-day punch. From there punches up to 14 hours after
+ * shift start alternate OUT, IN, OUT … so a lunch break (out, in) becomes its
+ * own pair and the last punch of an even sequence is the check-out. Punches
+ * outside that window stay untyped and are ignored by mergeTimes.
+ *
+ * Returns the rows; typed rows are left unchanged.
+ */
+export function inferPunchTypes(rows, shiftStart) {
+  const untyped = rows.filter(r => r.status == null && r.time);
+  if (untyped.length === 0) return rows;
+
+  const anchor     = (toMin(shiftStart) - EARLY_IN_MINUTES + 1440) % 1440;
+  const anchorTime = `${String(Math.floor(anchor / 60)).padStart(2, '0')}:${String(anchor % 60).padStart(2, '0')}`;
+
+  const { inTime } = applyNightShiftPairing(anchorTime, untyped.map(r => r.time));
+  if (!inTime) return rows;
+
+  const norm   = (t) => (toMin(t) < anchor ? toMin(t) + 1440 : toMin(t));
+  const inAt   = norm(inTime);
+  const window = anchor + EARLY_IN_MINUTES + 14 * 60;
+
+  untyped
+    .filter(r => norm(r.time) >= inAt && norm(r.time) <= window)
+    .sort((a, b) => norm(a.time) - norm(b.time))
+    .forEach((r, i) => {
+      r.status     = i % 2 === 0 ? 0 : 1;
+      r.isCheckIn  = r.status === 0;
+      r.isCheckOut = r.status === 1;
+    });
+
+  return rows;
+}
+
+// ─── overnight punches ────────────────────────────────────────────────────────
+
+/**
+ * Move clockDate rows that belong to the previous day's night shift back to
+ * that shift-start date, so a 22:00–06:00 shift's 06:00 check-out is paired
+ * with its 22:00 check-in. Call after device IDs are resolved and before
+ * groupByEmployeeAndDate.
+ *
+ * A punch moves when the previous day's shift crosses midnight, the punch is
+ * within 14 hours of that shift's start (the pairing window) and it comes
+ * before the current day's own shift window (EARLY_IN_MINUTES before start).
+ *
+ * @param {Object[]} rows    — parsed rows; moved rows get the earlier date in place
+ * @param {Function} shiftOn — (empId, date) → { start, end } or null when unknown
+ * @returns {number} punches moved
+ */
+export function assignOvernightPunches(rows, shiftOn) {
+  let moved = 0;
+
+  for (const row of rows) {
+    if (!row.clockDate) continue;
+
+    const prevDate = new Date(row.date.getFullYear(), row.date.getMonth(), row.date.getDate() - 1);
+    const prev     = shiftOn(row.empId, prevDate);
+    if (!prev || toMin(prev.end) >= toMin(prev.start)) continue;         // not a night shift
+    if (toMin(row.time) + 1440 > toMin(prev.start) + 14 * 60) continue;  // past its window
+
+    const today = shiftOn(row.empId, row.date);
+    if (today && toMin(row.time) >= toMin(today.start) - EARLY_IN_MINUTES) continue;
+
+    row.date    = prevDate;
+    row.dateStr = formatDate(prevDate);
+    moved++;
+  }
+
+  return moved;
+}
+
+// ─── default export ───────────────────────────────────────────────────────────
+export default {
+  ADAPTERS,
+  ACCEPTED_EXTENSIONS,
+  detectAdapter,
+  parseImportFile,
+  inferPunchTypes,
+  assignOvernightPunches
+};
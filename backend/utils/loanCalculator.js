@@ -0,0 +1,182 @@
+/**
+ * utils/loanCalculator.js
+ * Loan and salary-advance recovery through payroll.
+ *
+ * A loan's outstanding balance is its principal minus the installments on
+ * approved / paid PayrollRecords (loanDeductions[]) and any balance a final
+ * settlement recovered (settlementRecovery). Draft records and the
+ * live reports only preview the next installment, so regenerating a draft
+ * never recovers the same installment twice.
+ */
+
+import Loan          from '../models/Loan.js';
+import PayrollRecord from '../models/PayrollRecord.js';
+
+const round2 = (v) => parseFloat((Number(v) || 0).toFixed(2));
+
+const RECOVERED_STATUSES = ['approved', 'paid'];
+
+// ─── balances ─────────────────────────────────────────────────────────────────
+
+/**
+ * Amount recovered per loan from signed-off payroll. With `before`, only
+ * periods ending before that date count (the balance as at a period start).
+ *
+ * @returns {Promise<Map<string, number>>} loanId → recovered
+ */
+export async function loadRecoveries(loanIds, before = null) {
+  if (!loanIds.length) return new Map();
+
+  const rows = await PayrollRecord.aggregate([
+    {
+      $match: {
+        'loanDeductions.loan': { $in: loanIds },
+        status:    { $in: RECOVERED_STATUSES },
+        isDeleted: false,
+        ...(before && { periodEnd: { $lt: before } })
+      }
+    },
+    { $unwind: '$loanDeductions' },
+    { $match: { 'loanDeductions.loan': { $in: loanIds } } },
+    { $group: { _id: '$loanDeductions.loan', recovered: { $sum: '$loanDeductions.amount' } } }
+  ]);
+
+  return new Map(rows.map(r => [String(r._id), round2(r.recovered)]));
+}
+
+/** Total recovered on `loan`: payroll (from a loadRecoveries map) plus final settlement */
+const recoveredOn = (loan, recovered) =>
+  round2((recovered.get(String(loan._id)) || 0) + (loan.settlementRecovery || 0));
+
+/** Attach `recovered` (payroll + final settlement) and `outstanding` to each (lean) loan */
+export async function withBalances(loans) {
+  const recovered = await loadRecoveries(loans.map(l => l._id));
+  return loans.map(l => {
+    const done = recoveredOn(l, recovered);
+    return {
+      ...l,
+      recovered:   done,
+      outstanding: l.status === 'cancelled' ? 0 : round2(Math.max(0, l.principal - done))
+    };
+  });
+}
+
+// ─── period context ───────────────────────────────────────────────────────────
+
+/**
+ * Active loans due for recovery in the period [start, end], with each loan's
+ * balance as at `start`. Oldest loan first, so it is cleared first.
+ *
+ * @returns {Promise<Map<string, Array<{ loan, outstanding }>>>} empId → loans
+ */
+export async function loadLoanContext(empIds, start, end) {
+  const byEmp = new Map();
+
+  const loans = await Loan.find({
+    empId:     { $in: empIds },
+    status:    'active',
+    startDate: { $lte: end }
+  }).sort({ startDate: 1, createdAt: 1 }).lean();
+  if (!loans.length) return byEmp;
+
+  const recovered = await loadRecoveries(loans.map(l => l._id), start);
+
+  for (const loan of loans) {
+    const outstanding = round2(loan.principal - recoveredOn(loan, recovered));
+    if (outstanding <= 0) continue;
+    const key = String(loan.empId);
+    if (!byEmp.has(key)) byEmp.set(key, []);
+    byEmp.get(key).push({ loan, outstanding });
+  }
+  return byEmp;
+}
+
+// ─── installments ─────────────────────────────────────────────────────────────
+
+/** Payslip label for a loan line */
+export const loanLabel = (loan) =>
+  `${loan.type === 'advance' ? 'Salary advance' : 'Loan'}${loan.reason ? ` - ${loan.reason}` : ''}`;
+
+/**
+ * Installment lines for one employee's period.
+ * Each line is capped at the loan's outstanding balance, and all lines
+ * together at `available` (pay left after deductions and tax) so a short
+ * period never produces negative pay — the shortfall simply carries over.
+ */
+export function installmentsFor(loans = [], available = Infinity) {
+  let left = Math.max(0, available);
+  const lines = [];
+
+  for (const { loan, outstanding } of loans) {
+    const amount = round2(Math.min(loan.installmentAmount, outstanding, left));
+    if (amount <= 0) continue;
+    left -= amount;
+    lines.push({
+      loan:         loan._id,
+      type:         loan.type,
+      label:        loanLabel(loan),
+      amount,
+      balanceAfter: round2(outstanding - amount)
+    });
+  }
+  return lines;
+}
+
+// ─── closing ──────────────────────────────────────────────────────────────────
+
+/**
+ * Close every loan touched by `records` whose signed-off installments now
+ * cover the principal. Call after records are approved.
+ */
+export async function closeRepaidLoans(records) {
+  const ids = [...new Set(
+    records.flatMap(r => (r.loanDeductions || []).map(l => String(l.loan)))
+  )];
+  if (!ids.length) return 0;
+
+  const loans     = await Loan.find({ _id: { $in: ids }, status: 'active' }).lean();
+  const recovered = await loadRecoveries(loans.map(l => l._id));
+  const repaid    = loans.filter(l => recoveredOn(l, recovered) >= l.principal - 0.005);
+  if (!repaid.length) return 0;
+
+  await Loan.updateMany(
+    { _id: { $in: repaid.map(l => l._id) } },
+    { $set: { status: 'closed', closedAt: new Date() } }
+  );
+  return repaid.length;
+}
+
+/**
+ * Undo closeRepaidLoans for loans touched by `records` once those records are
+ * no longer signed off (a reopened period): any closed loan whose remaining
+ * approved / paid installments fall short of the principal is active again.
+ * Loans closed by a final settlement stay closed.
+ */
+export async function reopenUnrepaidLoans(records) {
+  const ids = [...new Set(
+    records.flatMap(r => (r.loanDeductions || []).map(l => String(l.loan)))
+  )];
+  if (!ids.length) return 0;
+
+  const loans     = await Loan.find({ _id: { $in: ids }, status: 'closed', settlement: null }).lean();
+  const recovered = await loadRecoveries(loans.map(l => l._id));
+  const unpaid    = loans.filter(l => recoveredOn(l, recovered) < l.principal - 0.005);
+  if (!unpaid.length) return 0;
+
+  await Loan.updateMany(
+    { _id: { $in: unpaid.map(l => l._id) } },
+    { $set: { status: 'active' }, $unset: { closedAt: '' } }
+  );
+  return unpaid.length;
+}
+
+// ─── default export ───────────────────────────────────────────────────────────
+export default {
+  loadRecoveries,
+  withBalances,
+  loadLoanContext,
+  loanLabel,
+  installmentsFor,
+  closeRepaidLoans,
+  reopenUnrepaidLoans
+};
@@ -0,0 +1,514 @@
+/**
+ * utils/payrollCalculator.js
+ * Period-level payroll maths shared by the live payroll reports and the
+ * persisted PayrollRecord lifecycle (generate → approve → pay).
+ *
+ * NOTE: Per-day financials (basePay, OT, deductions) are computed when an
+ * AttendanceLog is written — see buildFinancials in routes/attendance.js.
+ * This file aggregates those daily figures over a pay period and adds
+ * the period-level lines: late penalties, automatic overtime and the night
+ * differential.
+ */
+
+import EarningComponent from '../models/EarningComponent.js';
+import LatePenaltyRule from '../models/LatePenaltyRule.js';
+import { formatDate } from './dateUtils.js';
+import { getSettings, isWeekend } from './companySettings.js';
+import { isNonWorkingDay, isPublicHoliday } from './holidays.js';
+import { withholdingFor, loadTaxContext, loadYtdTax } from './taxCalculator.js';
+import { installmentsFor, loadLoanContext } from './loanCalculator.js';
+import {
+  countAttendance, isLate, calculateDelayMinutes, hoursInWindow, WORKED_STATUSES
+} from './timeCalculator.js';
+
+// ─── number helpers ───────────────────────────────────────────────────────────
+
+/** Coerce to a finite number, 0 otherwise */
+export const n = (v) => { const x = Number(v); return isFinite(x) ? x : 0; };
+
+/** Round to 2 decimal places (currency) */
+export const round2 = (v) => parseFloat(n(v).toFixed(2));
+
+// ─── working days ─────────────────────────────────────────────────────────────
+
+/**
+ * Count days between two Date objects, inclusive, that are neither weekly
+ * days off nor public holidays. With `emp`, their own workweek applies.
+ */
+export function workingDaysBetween(start, end, emp = null) {
+  let count = 0;
+  for (let d = new Date(start); d <= end; d.setDate(d.getDate() + 1)) {
+    if (!isNonWorkingDay(d, emp)) count++;
+  }
+  return count;
+}
+
+// ─── recurring earnings ───────────────────────────────────────────────────────
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const daysInclusive = (a, b) => Math.floor((b - a) / MS_PER_DAY) + 1;
+
+/**
+ * Resolve an employee's recurring earnings (Employee.earnings) for a period.
+ *
+ *   fixed          → monthly amount, scaled to the period length
+ *   percentOfBasic → % of the period's baseSalary
+ *
+ * Either is pro-rated by how much of the period the assignment's effective
+ * dates cover. Inactive or unknown components are skipped.
+ *
+ * @param {Object} emp          — Employee (lean) with earnings[]
+ * @param {number} baseSalary   — the period's basic pay
+ * @param {Map}    components   — componentId string → EarningComponent (lean)
+ * @param {Object} period       — { start, end }
+ * @returns {Array<{ componentId, code, name, calcType, taxable, amount }>}
+ */
+export function calcEarnings(emp, baseSalary, components, period) {
+  if (!components || !period || !emp.earnings?.length) return [];
+
+  const { start, end } = period;
+  const periodDays  = daysInclusive(start, end);
+  const monthFactor = periodDays >= 28 ? 1 : periodDays * 12 / 365;    // 1 for a full company month
+
+  const lines = [];
+  for (const e of emp.earnings) {
+    const comp = components.get(String(e.component));
+    if (!comp || !comp.isActive) continue;
+
+    const from = new Date(Math.max(start, new Date(e.effectiveFrom)));
+    const to   = new Date(Math.min(end,   e.effectiveTo ? new Date(e.effectiveTo) : end));
+    if (from > to) continue;
+    const coverage = Math.min(1, daysInclusive(from, to) / periodDays);
+
+    const value  = e.value ?? comp.defaultValue;
+    const amount = comp.calcType === 'percentOfBasic'
+      ? baseSalary * value / 100 * coverage
+      : value * monthFactor * coverage;
+
+    if (amount > 0) {
+      lines.push({
+        componentId: comp._id,
+        code:        comp.code,
+        name:        comp.name,
+        calcType:    comp.calcType,
+        taxable:     comp.taxable,
+        amount:      round2(amount)
+      });
+    }
+  }
+  return lines;
+}
+
+// ─── late penalties ───────────────────────────────────────────────────────────
+
+/**
+ * Deductions generated by the active LatePenaltyRules for one employee's
+ * pay period. A late day is a worked day whose check-in is past shift start
+ * plus the grace period, whatever its final status (a late Half Day counts).
+ *
+ *   occurrences → ⌊lates / everyLates⌋ × penaltyDays × day rate
+ *   minutes     → minutes beyond grace × hourlyRate / 60 × rateMultiplier
+ *
+ * The day rate is monthlySalary / workingDays for monthly staff, else
+ * hourlyRate × CompanySettings.hoursPerDay.
+ *
+ * @returns {Array<{ ruleId, name, basis, count, label, amount }>}
+ */
+export function calcLatePenalties(emp, records, rules, workingDays) {
+  if (!rules?.length) return [];
+
+  const { lateGraceMinutes, hoursPerDay } = getSettings();
+  const lateDays = records.filter(r =>
+    WORKED_STATUSES.includes(r.status) && r.shift?.start && isLate(r.inOut?.in, r.shift.start)
+  );
+  if (lateDays.length === 0) return [];
+
+  const lateMinutes = lateDays.reduce((s, r) =>
+    s + Math.max(0, calculateDelayMinutes(r.inOut.in, r.shift.start) - lateGraceMinutes), 0);
+  const dayRate = emp.salaryType === 'monthly' && emp.monthlySalary
+    ? emp.monthlySalary / (workingDays || 1)
+    : n(emp.hourlyRate) * hoursPerDay;
+
+  const lines = [];
+  for (const rule of rules) {
+    if (!rule.isActive) continue;
+
+    let amount, count, label;
+    if (rule.basis === 'minutes') {
+      count  = lateMinutes;
+      amount = lateMinutes * n(emp.hourlyRate) / 60 * rule.rateMultiplier;
+      label  = `${lateMinutes} min late beyond grace${rule.rateMultiplier !== 1 ? ` × ${rule.rateMultiplier}` : ''}`;
+    } else {
+      const blocks = Math.floor(lateDays.length / rule.everyLates);
+      count  = lateDays.length;
+      amount = blocks * rule.penaltyDays * dayRate;
+      label  = `${lateDays.length} lates, ${blocks} × ${rule.penaltyDays} day`;
+    }
+
+    if (amount > 0) {
+      lines.push({ ruleId: rule._id, name: rule.name, basis: rule.basis, count, label, amount: round2(amount) });
+    }
+  }
+  return lines;
+}
+
+// ─── automatic overtime ───────────────────────────────────────────────────────
+
+/**
+ * Overtime generated from the hours worked beyond each day's schedule
+ * (CompanySettings.autoOtEnabled). On a weekday the schedule is the shift;
+ * on a weekly off or public holiday nothing was scheduled, so every hour
+ * worked counts. A day only earns overtime once the excess passes
+ * otThresholdMinutes, and then all of it is paid:
+ *
+ *   hours  = hoursWorked − scheduled, capped at otDailyCapHours, and the
+ *            period's running total capped at otMonthlyCapHours (0 = no cap)
+ *   amount = hours × the day's hourly rate × the weekday / weekly-off /
+ *            holiday multiplier
+ *
+ * Hours already paid once through base pay carry only the premium, multiplier
+ * − 1 (premiumOnly): every hour of an hourly employee (basePay = hoursWorked ×
+ * rate), and a monthly employee's weekly-off and holiday work, since that day
+ * counts as a present day in the salary. A monthly employee's weekday overtime
+ * lies beyond the scheduled hours the salary covers, so it gets the full
+ * multiplier.
+ *
+ * Only worked days with both punches count. A day with a manual OT entry
+ * (ManualAttendance) keeps it and gets no automatic overtime, so an admin
+ * overrides a day by entering its OT by hand.
+ *
+ * @returns {Array<{ date, dayType, hours, multiplier, premiumOnly, amount }>}
+ */
+export function calcAutoOvertime(emp, records) {
+  const {
+    autoOtEnabled, otThresholdMinutes, otDailyCapHours, otMonthlyCapHours,
+    otMultiplierWeekday, otMultiplierWeeklyOff, otMultiplierHoliday
+  } = getSettings();
+  if (!autoOtEnabled) return [];
+
+  // Same test as the baseSalary split in calcEmployeeTotals
+  const monthly = emp.salaryType === 'monthly' && emp.monthlySalary;
+
+  const days = records
+    .filter(r => WORKED_STATUSES.includes(r.status) && r.inOut?.in && r.inOut?.out)
+    .filter(r => !r.financials?.otDetails?.length && !n(r.financials?.otHours))
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  const lines = [];
+  let periodHours = 0;
+  for (const r of days) {
+    const dayType = isPublicHoliday(r.date) ? 'holiday'
+      : isWeekend(r.date, emp) ? 'weeklyOff'
+      : 'weekday';
+    const scheduled = dayType === 'weekday' ? n(r.financials?.scheduledHours) : 0;
+
+    let hours = n(r.financials?.hoursWorked) - scheduled;
+    if (hours <= 0 || hours * 60 <= otThresholdMinutes) continue;
+    if (otDailyCapHours)   hours = Math.min(hours, otDailyCapHours);
+    if (otMonthlyCapHours) hours = Math.min(hours, otMonthlyCapHours - periodHours);
+    hours = round2(hours);
+    if (hours <= 0) break;
+    periodHours += hours;
+
+    const multiplier = dayType === 'holiday' ? otMultiplierHoliday
+      : dayType === 'weeklyOff' ? otMultiplierWeeklyOff
+      : otMultiplierWeekday;
+    const rate = n(r.hourlyRate ?? emp.hourlyRate);
+
+    const premiumOnly = !monthly || dayType !== 'weekday';
+    const factor      = premiumOnly ? multiplier - 1 : multiplier;
+
+    lines.push({
+      date: formatDate(r.date), dayType, hours, multiplier, premiumOnly,
+      amount: round2(hours * rate * Math.max(0, factor))
+    });
+  }
+  return lines;
+}
+
+// ─── night differential ───────────────────────────────────────────────────────
+
+/**
+ * Extra pay for the hours of each worked day inside the night window
+ * (CompanySettings.nightWindowStart – nightWindowEnd), measured from the
+ * actual in/out times including outNextDay (hoursInWindow) and never more
+ * than the day's hoursWorked:
+ *
+ *   percent → hours × the day's hourly rate × nightDiffValue / 100
+ *   fixed   → hours × nightDiffValue
+ *
+ * @returns {Array<{ date, hours, amount }>}
+ */
+export function calcNightDifferential(emp, records) {
+  const { nightDiffType, nightDiffValue, nightWindowStart, nightWindowEnd } = getSettings();
+  if (nightDiffType === 'off' || !nightDiffValue) return [];
+
+  const lines = [];
+  for (const r of records) {
+    if (!WORKED_STATUSES.includes(r.status) || !r.inOut?.in || !r.inOut?.out) continue;
+
+    const inside = hoursInWindow(
+      { inTime: r.inOut.in, outTime: r.inOut.out, outNextDay: r.inOut.outNextDay, punches: r.punches || [] },
+      nightWindowStart, nightWindowEnd
+    );
+    const hours = round2(Math.min(inside, n(r.financials?.hoursWorked)));
+    if (hours <= 0) continue;
+
+    const amount = nightDiffType === 'percent'
+      ? hours * n(r.hourlyRate ?? emp.hourlyRate) * nightDiffValue / 100
+      : hours * nightDiffValue;
+    lines.push({ date: formatDate(r.date), hours, amount: round2(amount) });
+  }
+  return lines;
+}
+
+// ─── employee totals ──────────────────────────────────────────────────────────
+
+/**
+ * Aggregate one employee's AttendanceLog records into period totals.
+ *
+ *   hourly  → baseSalary = sum of daily basePay
+ *   monthly → baseSalary = monthlySalary pro-rated by (present + leave) / workingDays,
+ *             a Half Day counting as half a present day; Pending Regularization
+ *             days are not paid until a correction settles them
+ *
+ * workingDays is the employee's own count — workingDaysBetween(start, end, emp).
+ *
+ * totalDeduction = the daily deductions entered on attendance plus the
+ *                  late penalties (calcLatePenalties, also listed on their own
+ *                  as latePenalties / totalLatePenalty).
+ * totalOt        = the OT entered on attendance plus automatic overtime
+ *                  (calcAutoOvertime, listed on its own as autoOvertime /
+ *                  totalAutoOtHours / totalAutoOtAmount).
+ * totalNightDifferential = calcNightDifferential, an earnings line of its own.
+ *
+ * grossPay      = baseSalary + totalAllowances + totalOt + totalNightDifferential
+ * taxableIncome = grossPay − non-taxable allowances − totalDeduction, floored at 0.
+ * incomeTax     = withholding on taxableIncome (0 without a tax context).
+ * loanDeductions = installments on active loans, capped at the pay left.
+ * netPayable    = grossPay − totalDeduction − incomeTax − totalLoanDeduction, floored at 0.
+ *
+ * Options:
+ *   taxContext — from loadTaxContext() (utils/taxCalculator.js)
+ *   ytdTax     — tax already withheld earlier in the fiscal year
+ *   components — Map of EarningComponents for calcEarnings()
+ *   lateRules  — active LatePenaltyRules for calcLatePenalties()
+ *   period     — { start, end } of the pay period (needed for earnings)
+ *   loans      — [{ loan, outstanding }] from loadLoanContext() (utils/loanCalculator.js)
+ */
+export function calcEmployeeTotals(emp, records, workingDays, {
+  taxContext = null, ytdTax = 0, components = null, lateRules = [], period = null, loans = []
+} = {}) {
+  const {
+    presentDays, lateDays, earlyLeaveDays, halfDays, pendingDays, leaveDays, absentDays
+  } = countAttendance(records);
+
+  const latePenalties    = calcLatePenalties(emp, records, lateRules, workingDays);
+  const totalLatePenalty = latePenalties.reduce((s, l) => s + l.amount, 0);
+  const totalDeduction   = records.reduce((s, r) => s + n(r.financials?.deduction),   0) + totalLatePenalty;
+  const autoOvertime      = calcAutoOvertime(emp, records);
+  const totalAutoOtHours  = autoOvertime.reduce((s, o) => s + o.hours,  0);
+  const totalAutoOtAmount = autoOvertime.reduce((s, o) => s + o.amount, 0);
+  const totalOt          = records.reduce((s, r) => s + n(r.financials?.otAmount),    0) + totalAutoOtAmount;
+  const totalOtHours     = records.reduce((s, r) => s + n(r.financials?.otHours),     0) + totalAutoOtHours;
+  const totalHoursWorked = records.reduce((s, r) => s + n(r.financials?.hoursWorked), 0);
+
+  const nightDifferential      = calcNightDifferential(emp, records);
+  const totalNightHours        = nightDifferential.reduce((s, d) => s + d.hours,  0);
+  const totalNightDifferential = nightDifferential.reduce((s, d) => s + d.amount, 0);
+
+  let baseSalary;
+  if (emp.salaryType === 'monthly' && emp.monthlySalary) {
+    baseSalary = (emp.monthlySalary / (workingDays || 1)) * (presentDays - halfDays / 2 + leaveDays);
+  } else {
+    baseSalary = records.reduce((s, r) => s + n(r.financials?.basePay), 0);
+  }
+
+  const earnings          = calcEarnings(emp, baseSalary, components, period);
+  const totalAllowances   = earnings.reduce((s, e) => s + e.amount, 0);
+  const taxableAllowances = earnings.filter(e => e.taxable).reduce((s, e) => s + e.amount, 0);
+
+  const grossPay      = baseSalary + totalAllowances + totalOt + totalNightDifferential;
+  const taxableIncome = Math.max(0, baseSalary + taxableAllowances + totalOt + totalNightDifferential - totalDeduction);
+  const incomeTax     = withholdingFor(taxableIncome, taxContext);
+  const payAfterTax   = Math.max(0, grossPay - totalDeduction - incomeTax);
+
+  const loanDeductions     = installmentsFor(loans, payAfterTax);
+  const totalLoanDeduction = loanDeductions.reduce((s, l) => s + l.amount, 0);
+  const loanBalance        = loans.reduce((s, l) => s + l.outstanding, 0) - totalLoanDeduction;
+  const netPayable         = payAfterTax - totalLoanDeduction;
+
+  return {
+    empId:          emp._id,
+    empNumber:      emp.employeeNumber,
+    name:           `${emp.firstName} ${emp.lastName}`,
+    department:     emp.department,
+    salaryType:     emp.salaryType   || 'hourly',
+    hourlyRate:     emp.hourlyRate,
+    monthlySalary:  emp.monthlySalary || null,
+    presentDays, leaveDays, absentDays, lateDays, earlyLeaveDays, halfDays, pendingDays,
+    workingDays,
+    totalHoursWorked: round2(totalHoursWorked),
+    baseSalary:     round2(baseSalary),
+    earnings,
+    totalAllowances: round2(totalAllowances),
+    grossPay:       round2(grossPay),
+    totalDeduction: round2(totalDeduction),
+    latePenalties,
+    totalLatePenalty: round2(totalLatePenalty),
+    totalOt:        round2(totalOt),
+    totalOtHours:   round2(totalOtHours),
+    autoOvertime,
+    totalAutoOtHours:  round2(totalAutoOtHours),
+    totalAutoOtAmount: round2(totalAutoOtAmount),
+    nightDifferential,
+    totalNightHours:        round2(totalNightHours),
+    totalNightDifferential: round2(totalNightDifferential),
+    taxableIncome:  round2(taxableIncome),
+    incomeTax:      round2(incomeTax),
+    ytdTax:         round2(n(ytdTax) + incomeTax),
+    loanDeductions,
+    totalLoanDeduction: round2(totalLoanDeduction),
+    loanBalance:    round2(loanBalance),
+    netPayable:     round2(netPayable),
+    recordCount:    records.length
+  };
+}
+
+// ─── period inputs ────────────────────────────────────────────────────────────
+
+/**
+ * Per-period inputs for calcEmployeeTotals: the fiscal-year tax context, each
+ * employee's tax already withheld before `start`, the earnings catalogue, the
+ * active late penalty rules and the loans due for recovery.
+ * Returns a lookup (empId) → options object.
+ */
+export async function loadPayrollInputs(empIds, start, end) {
+  const [taxContext, componentList, lateRules, loansByEmp] = await Promise.all([
+    loadTaxContext(start, end),
+    EarningComponent.find().lean(),
+    LatePenaltyRule.find({ isActive: true }).lean(),
+    loadLoanContext(empIds, start, end)
+  ]);
+  const ytd        = await loadYtdTax(empIds, taxContext, start);
+  const components = new Map(componentList.map(c => [String(c._id), c]));
+  const period     = { start, end };
+
+  return (empId) => ({
+    taxContext,
+    ytdTax: ytd.get(String(empId))?.ytdTax || 0,
+    components,
+    lateRules,
+    period,
+    loans:  loansByEmp.get(String(empId)) || []
+  });
+}
+
+// ─── daily breakdown ──────────────────────────────────────────────────────────
+
+/** Flatten AttendanceLog records into the per-day rows shown in reports */
+export function buildDailyBreakdown(records) {
+  return records.map(r => ({
+    date:             formatDate(r.date),
+    dateRaw:          r.date,
+    status:           r.status,
+    inTime:           r.inOut?.in          || '--',
+    outTime:          r.inOut?.out         || '--',
+    outNextDay:       r.inOut?.outNextDay  || false,
+    hoursWorked:      round2(n(r.financials?.hoursWorked)),
+    basePay:          round2(n(r.financials?.basePay)),
+    deduction:        round2(n(r.financials?.deduction)),
+    otHours:          round2(n(r.financials?.otHours)),
+    otAmount:         round2(n(r.financials?.otAmount)),
+    finalDayEarning:  round2(n(r.financials?.finalDayEarning)),
+    deductionDetails: r.financials?.deductionDetails || [],
+    otDetails:        r.financials?.otDetails        || []
+  }));
+}
+
+// ─── PayrollRecord snapshot ───────────────────────────────────────────────────
+
+/**
+ * Build the fields of a draft PayrollRecord from live totals + breakdown.
+ * The result is a frozen snapshot — later AttendanceLog edits do not move it.
+ */
+export function buildPayrollRecordData(emp, records, {
+  start, end, periodLabel, workingDays, taxContext, ytdTax, components, lateRules, loans
+}) {
+  const totals = calcEmployeeTotals(emp, records, workingDays, {
+    taxContext, ytdTax, components, lateRules, loans, period: { start, end }
+  });
+
+  return {
+    empId:            emp._id,
+    empNumber:        emp.employeeNumber,
+    empName:          totals.name,
+    department:       emp.department,
+    salaryType:       totals.salaryType,
+    periodStart:      start,
+    periodEnd:        end,
+    periodLabel,
+    totalWorkingDays: workingDays,
+    presentDays:      totals.presentDays,
+    lateDays:         totals.lateDays,
+    earlyLeaveDays:   totals.earlyLeaveDays,
+    halfDays:         totals.halfDays,
+    pendingDays:      totals.pendingDays,
+    absentDays:       totals.absentDays,
+    leaveDays:        totals.leaveDays,
+    totalHoursWorked: totals.totalHoursWorked,
+    baseSalary:       totals.baseSalary,
+    earnings:         totals.earnings,
+    totalAllowances:  totals.totalAllowances,
+    totalDeduction:   totals.totalDeduction,
+    latePenalties:    totals.latePenalties,
+    totalLatePenalty: totals.totalLatePenalty,
+    totalOtHours:     totals.totalOtHours,
+    totalOtAmount:    totals.totalOt,
+    autoOvertime:     totals.autoOvertime,
+    totalAutoOtHours: totals.totalAutoOtHours,
+    totalAutoOtAmount: totals.totalAutoOtAmount,
+    nightDifferential: totals.nightDifferential,
+    totalNightHours:  totals.totalNightHours,
+    totalNightDifferential: totals.totalNightDifferential,
+    taxableIncome:    totals.taxableIncome,
+    incomeTax:        totals.incomeTax,
+    ytdTax:           totals.ytdTax,
+    taxYear:          taxContext?.taxYear.fiscalYear || null,
+    loanDeductions:   totals.loanDeductions,
+    totalLoanDeduction: totals.totalLoanDeduction,
+    netSalary:        totals.netPayable,
+    dailyBreakdown:   buildDailyBreakdown(records).map(d => ({
+      date:             d.dateRaw,
+      status:           d.status,
+      inTime:           d.inTime  === '--' ? null : d.inTime,
+      outTime:          d.outTime === '--' ? null : d.outTime,
+      outNextDay:       d.outNextDay,
+      hoursWorked:      d.hoursWorked,
+      basePay:          d.basePay,
+      deduction:        d.deduction,
+      otHours:          d.otHours,
+      otAmount:         d.otAmount,
+      finalDayEarning:  d.finalDayEarning,
+      deductionDetails: d.deductionDetails.map(e => ({ amount: e.amount, reason: e.reason })),
+      otDetails:        d.otDetails.map(e => ({
+        type: e.type, amount: e.amount, hours: e.hours, rate: e.rate, reason: e.reason
+      }))
+    }))
+  };
+}
+
+// ─── default export ───────────────────────────────────────────────────────────
+export default {
+  n,
+  round2,
+  workingDaysBetween,
+  calcEarnings,
+  calcLatePenalties,
+  calcAutoOvertime,
+  calcNightDifferential,
+  calcEmployeeTotals,
+  loadPayrollInputs,
+  buildDailyBreakdown,
+  buildPayrollRecordData
+};
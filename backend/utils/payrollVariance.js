@@ -0,0 +1,101 @@
+/**
+ * utils/payrollVariance.js
+ * Period-over-period payroll comparison used by GET /api/payroll/variance.
+ *
+ * Compares one employee's figures for two pay periods metric by metric and
+ * lines up the two daily breakdowns by day-of-period (day 1 = the period
+ * start) so a difference can be traced to the days that caused it.
+ */
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const round2 = (v) => parseFloat((Number(v) || 0).toFixed(2));
+
+/** Metrics compared, keyed by their name in calcEmployeeTotals output */
+export const VARIANCE_METRICS = ['baseSalary', 'totalOt', 'totalDeduction', 'netPayable'];
+
+/** Per-day fields compared in the drill-down */
+const DAY_FIELDS = ['basePay', 'otAmount', 'deduction', 'finalDayEarning'];
+
+// ─── metric comparison ────────────────────────────────────────────────────────
+
+/**
+ * Compare two period totals. A metric is flagged when it moves by more than
+ * `thresholdPct` percent, or from zero to any non-zero value.
+ *
+ * @param {Object|null} previous — totals for the earlier period (null = not on payroll)
+ * @param {Object|null} current  — totals for the later period
+ * @returns {{ metrics: Object, flagged: string[] }}
+ */
+export function compareTotals(previous, current, thresholdPct) {
+  const metrics = {};
+  const flagged = [];
+
+  for (const key of VARIANCE_METRICS) {
+    const prev   = round2(previous?.[key]);
+    const curr   = round2(current?.[key]);
+    const change = round2(curr - prev);
+    const changePct = prev ? round2(change / Math.abs(prev) * 100) : null;
+    const isFlagged = change !== 0 && (changePct === null || Math.abs(changePct) > thresholdPct);
+
+    metrics[key] = { previous: prev, current: curr, change, changePct, flagged: isFlagged };
+    if (isFlagged) flagged.push(key);
+  }
+  return { metrics, flagged };
+}
+
+// ─── day alignment ────────────────────────────────────────────────────────────
+
+const dayIndex = (date, periodStart) =>
+  Math.floor((new Date(date) - periodStart) / MS_PER_DAY);
+
+/**
+ * Line up two daily breakdowns by day-of-period. Rows whose figures differ
+ * carry `changed: true` and the per-field deltas; identical days are kept so
+ * the drill-down still reads as a calendar.
+ *
+ * @param {Array}  previousDays — rows with dateRaw (or date as Date) + DAY_FIELDS
+ * @param {Array}  currentDays
+ * @param {Object} previousPeriod — { start, end }
+ * @param {Object} currentPeriod  — { start, end }
+ */
+export function alignDays(previousDays, currentDays, previousPeriod, currentPeriod) {
+  const length = Math.max(
+    dayIndex(previousPeriod.end, previousPeriod.start),
+    dayIndex(currentPeriod.end,  currentPeriod.start)
+  ) + 1;
+
+  const byIndex = (days, start) => {
+    const map = new Map();
+    for (const d of days) map.set(dayIndex(d.dateRaw ?? d.date, start), d);
+    return map;
+  };
+  const prevMap = byIndex(previousDays, previousPeriod.start);
+  const currMap = byIndex(currentDays,  currentPeriod.start);
+
+  const rows = [];
+  for (let i = 0; i < length; i++) {
+    const prev = prevMap.get(i) || null;
+    const curr = currMap.get(i) || null;
+    if (!prev && !curr) continue;
+
+    const delta = {};
+    for (const f of DAY_FIELDS) delta[f] = round2((curr?.[f] || 0) - (prev?.[f] || 0));
+
+    rows.push({
+      day:      i + 1,
+      previous: prev,
+      current:  curr,
+      delta,
+      changed:  Object.values(delta).some(v => v !== 0) || prev?.status !== curr?.status
+    });
+  }
+  return rows;
+}
+
+// ─── default export ───────────────────────────────────────────────────────────
+export default {
+  VARIANCE_METRICS,
+  compareTotals,
+  alignDays
+};
@@ -0,0 +1,377 @@
+/**
+ * utils/payslipPdf.js
+ * Server-side payslip PDF rendered from a frozen PayrollRecord, and the final
+ * settlement statement rendered from a FinalSettlement.
+ *
+ * The layout is fixed (A4, standard fonts) so the same record always produces
+ * the same document regardless of the browser that requested it.
+ * Requires: pdfkit
+ */
+
+import PDFDocument   from 'pdfkit';
+import Counter       from '../models/Counter.js';
+import PayrollRecord from '../models/PayrollRecord.js';
+import { formatDate } from './dateUtils.js';
+import { getSettings, formatAmount } from './companySettings.js';
+
+const COMPANY_NAME = process.env.COMPANY_NAME || 'HR Portal';
+
+// ─── payslip number ───────────────────────────────────────────────────────────
+
+const formatPayslipNumber = (seq) => `PS-${String(seq).padStart(6, '0')}`;
+
+/**
+ * Return the record's payslip number, assigning the next one in the company
+ * sequence on first issue. The conditional update means two simultaneous first
+ * downloads still end up with a single number on the record (the loser's
+ * sequence value is simply skipped).
+ */
+export async function ensurePayslipNumber(record) {
+  if (record.payslipNumber) return record.payslipNumber;
+
+  const seq = await Counter.next('payslip');
+  const updated = await PayrollRecord.findOneAndUpdate(
+    { _id: record._id, payslipNumber: { $exists: false } },
+    { $set: { payslipNumber: formatPayslipNumber(seq), payslipIssuedAt: new Date() } },
+    { new: true }
+  ).lean();
+
+  if (updated) {
+    record.payslipNumber   = updated.payslipNumber;
+    record.payslipIssuedAt = updated.payslipIssuedAt;
+  } else {
+    const current = await PayrollRecord.findById(record._id).select('payslipNumber payslipIssuedAt').lean();
+    record.payslipNumber   = current.payslipNumber;
+    record.payslipIssuedAt = current.payslipIssuedAt;
+  }
+  return record.payslipNumber;
+}
+
+// ─── settlement statement number ──────────────────────────────────────────────
+
+/** Next number in the company's settlement sequence, e.g. "FS-000012" */
+export async function nextStatementNumber() {
+  const seq = await Counter.next('settlement');
+  return `FS-${String(seq).padStart(6, '0')}`;
+}
+
+// ─── rendering helpers ────────────────────────────────────────────────────────
+
+const money = formatAmount;
+
+const AUTO_OT_DAY_LABELS = { weekday: 'weekday', weeklyOff: 'day off', holiday: 'holiday' };
+
+const PAGE_MARGIN = 50;
+const COL_AMOUNT  = 420;   // x of the right-aligned amount column
+const AMOUNT_W    = 125;
+
+function ensureSpace(doc, height = 20) {
+  if (doc.y + height > doc.page.height - PAGE_MARGIN) doc.addPage();
+}
+
+function sectionTitle(doc, title) {
+  ensureSpace(doc, 40);
+  doc.moveDown(0.8);
+  doc.font('Helvetica-Bold').fontSize(11).fillColor('#1f2937').text(title, PAGE_MARGIN);
+  const y = doc.y + 2;
+  doc.moveTo(PAGE_MARGIN, y).lineTo(doc.page.width - PAGE_MARGIN, y).strokeColor('#d1d5db').stroke();
+  doc.moveDown(0.4);
+}
+
+function amountRow(doc, label, amount, { bold = false, color = '#111827' } = {}) {
+  ensureSpace(doc);
+  const y = doc.y;
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9.5).fillColor(color);
+  doc.text(label, PAGE_MARGIN, y, { width: COL_AMOUNT - PAGE_MARGIN - 10 });
+  const after = doc.y;
+  doc.text(money(amount), COL_AMOUNT, y, { width: AMOUNT_W, align: 'right' });
+  doc.y = Math.max(after, doc.y);
+}
+
+function infoPairs(doc, pairs) {
+  const colW = (doc.page.width - PAGE_MARGIN * 2) / 2;
+  for (let i = 0; i < pairs.length; i += 2) {
+    ensureSpace(doc);
+    const y = doc.y;
+    let bottom = y;
+    pairs.slice(i, i + 2).forEach(([label, value], j) => {
+      const x = PAGE_MARGIN + j * colW;
+      doc.font('Helvetica').fontSize(9).fillColor('#6b7280').text(`${label}:`, x, y, { width: 95 });
+      doc.font('Helvetica').fontSize(9).fillColor('#111827').text(value ?? '-', x + 95, y, { width: colW - 100 });
+      bottom = Math.max(bottom, doc.y);
+    });
+    doc.y = bottom + 2;
+  }
+}
+
+// ─── PDF ──────────────────────────────────────────────────────────────────────
+
+/**
+ * Render a payslip for one PayrollRecord.
+ *
+ * @param {Object} record   — PayrollRecord (lean), payslipNumber already assigned
+ * @param {Object} employee — Employee (lean) for bank details; may be null
+ * @returns {Promise<Buffer>}
+ */
+export function renderPayslipPdf(record, employee) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: PAGE_MARGIN,
+      info: { Title: `Payslip ${record.payslipNumber}`, Author: COMPANY_NAME }
+    });
+
+    const chunks = [];
+    doc.on('data',  c => chunks.push(c));
+    doc.on('end',   () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const breakdown = record.dailyBreakdown || [];
+
+    // ── Header ──────────────────────────────────────────────────────────────
+    doc.font('Helvetica-Bold').fontSize(18).fillColor('#111827').text(COMPANY_NAME, PAGE_MARGIN, PAGE_MARGIN);
+    doc.font('Helvetica').fontSize(12).fillColor('#4b5563').text('Payslip');
+    doc.font('Helvetica-Bold').fontSize(10).fillColor('#111827')
+      .text(record.payslipNumber, PAGE_MARGIN, PAGE_MARGIN, { align: 'right' });
+    doc.font('Helvetica').fontSize(9).fillColor('#4b5563')
+      .text(`Period: ${formatDate(record.periodStart)} - ${formatDate(record.periodEnd)}`, { align: 'right' })
+      .text(`Issued: ${formatDate(record.payslipIssuedAt || new Date())}`, { align: 'right' })
+      .text(`Status: ${record.status.toUpperCase()}${record.paidAt ? ` (${formatDate(record.paidAt)})` : ''}`, { align: 'right' });
+    doc.y = Math.max(doc.y, PAGE_MARGIN + 50);
+
+    // ── Employee + bank ─────────────────────────────────────────────────────
+    sectionTitle(doc, 'Employee');
+    infoPairs(doc, [
+      ['Name',        record.empName],
+      ['Employee #',  record.empNumber],
+      ['Department',  record.department],
+      ['Salary Type', record.salaryType === 'monthly' ? 'Monthly' : 'Hourly'],
+      ['Bank',        employee?.bank?.bankName      || '-'],
+      ['Account Title', employee?.bank?.accountName || '-'],
+      ['Account #',   employee?.bank?.accountNumber || '-']
+    ]);
+
+    // ── Attendance ──────────────────────────────────────────────────────────
+    sectionTitle(doc, 'Attendance');
+    infoPairs(doc, [
+      ['Working Days', String(record.totalWorkingDays ?? 0)],
+      ['Present',      String(record.presentDays ?? 0)],
+      ['Late',         String(record.lateDays ?? 0)],
+      ['Early Leave',  String(record.earlyLeaveDays ?? 0)],
+      ['Half Day',     String(record.halfDays ?? 0)],
+      ['Leave',        String(record.leaveDays ?? 0)],
+      ['Absent',       String(record.absentDays ?? 0)],
+      ['Hours Worked', String(record.totalHoursWorked ?? 0)]
+    ]);
+
+    // ── Earnings ────────────────────────────────────────────────────────────
+    sectionTitle(doc, `Earnings (${getSettings().currency})`);
+    amountRow(doc, 'Basic salary', record.baseSalary);
+    (record.earnings || []).forEach(e => {
+      amountRow(doc, `${e.name}${e.taxable ? '' : ' (non-taxable)'}`, e.amount);
+    });
+    amountRow(doc, `Overtime (${record.totalOtHours ?? 0} hrs)`, record.totalOtAmount);
+
+    const otLines = breakdown.flatMap(d =>
+      (d.otDetails || []).map(o => ({ date: d.date, ...o }))
+    );
+    otLines.forEach(o => {
+      const detail = o.type === 'calc' ? `${o.hours} hrs x ${o.rate}` : 'manual';
+      amountRow(doc, `    ${formatDate(o.date)}  ${detail}${o.reason ? ` - ${o.reason}` : ''}`, o.amount, { color: '#4b5563' });
+    });
+    (record.autoOvertime || []).forEach(o => {
+      amountRow(doc, `    ${o.date}  auto ${o.hours} hrs x ${o.premiumOnly ? `(${o.multiplier} - 1)` : o.multiplier} (${AUTO_OT_DAY_LABELS[o.dayType] || o.dayType})`,
+        o.amount, { color: '#4b5563' });
+    });
+    if (record.totalNightDifferential > 0) {
+      amountRow(doc, `Night differential (${record.totalNightHours ?? 0} hrs)`, record.totalNightDifferential);
+    }
+
+    amountRow(doc, 'Gross earnings',
+      (record.baseSalary || 0) + (record.totalAllowances || 0) + (record.totalOtAmount || 0)
+      + (record.totalNightDifferential || 0), { bold: true });
+
+    // ── Deductions ──────────────────────────────────────────────────────────
+    sectionTitle(doc, `Deductions (${getSettings().currency})`);
+    let itemised = 0;
+    breakdown.forEach(d => {
+      const lines = d.deductionDetails || [];
+      if (lines.length) {
+        lines.forEach(l => {
+          amountRow(doc, `${formatDate(d.date)}  ${l.reason || 'Deduction'}`, l.amount);
+          itemised += Number(l.amount) || 0;
+        });
+      } else if (d.deduction > 0) {
+        amountRow(doc, `${formatDate(d.date)}  Deduction`, d.deduction);
+        itemised += d.deduction;
+      }
+    });
+    // Generated by the late penalty rules, after the deductions entered per day
+    (record.latePenalties || []).forEach(l => {
+      amountRow(doc, `Late penalty: ${l.name} (${l.label})`, l.amount);
+      itemised += l.amount;
+    });
+    if (record.incomeTax > 0) {
+      amountRow(doc, `Income tax${record.taxYear ? ` (FY ${record.taxYear})` : ''}`, record.incomeTax);
+      amountRow(doc, '    Tax withheld year to date', record.ytdTax, { color: '#6b7280' });
+    }
+    (record.loanDeductions || []).forEach(l => {
+      amountRow(doc, l.label, l.amount);
+      amountRow(doc, '    Balance outstanding', l.balanceAfter, { color: '#6b7280' });
+    });
+    if (!itemised && !record.totalDeduction && !record.incomeTax && !record.totalLoanDeduction) {
+      amountRow(doc, 'No deductions', 0, { color: '#6b7280' });
+    }
+    amountRow(doc, 'Total deductions',
+      (record.totalDeduction || 0) + (record.incomeTax || 0) + (record.totalLoanDeduction || 0), { bold: true });
+
+    // ── Net ─────────────────────────────────────────────────────────────────
+    ensureSpace(doc, 50);
+    doc.moveDown(1);
+    const boxY = doc.y;
+    doc.rect(PAGE_MARGIN, boxY, doc.page.width - PAGE_MARGIN * 2, 30).fill('#eef2ff');
+    doc.font('Helvetica-Bold').fontSize(12).fillColor('#1e3a8a')
+      .text(`NET PAY (${getSettings().currency})`, PAGE_MARGIN + 10, boxY + 9)
+      .text(money(record.netSalary), COL_AMOUNT - 10, boxY + 9, { width: AMOUNT_W, align: 'right' });
+    doc.y = boxY + 40;
+
+    if (record.notes) {
+      doc.font('Helvetica-Oblique').fontSize(9).fillColor('#4b5563').text(`Notes: ${record.notes}`, PAGE_MARGIN);
+    }
+
+    doc.moveDown(1.5);
+    doc.font('Helvetica').fontSize(8).fillColor('#9ca3af')
+      .text('This is a computer-generated payslip and does not require a signature.', PAGE_MARGIN, doc.y, { align: 'center' });
+
+    doc.end();
+  });
+}
+
+/**
+ * Render the final settlement statement for one FinalSettlement. Drafts are
+ * marked DRAFT in place of a statement number.
+ *
+ * @param {Object} settlement — FinalSettlement (lean)
+ * @param {Object} employee   — Employee (lean) for bank details; may be null
+ * @returns {Promise<Buffer>}
+ */
+export function renderSettlementPdf(settlement, employee) {
+  return new Promise((resolve, reject) => {
+    const number = settlement.statementNumber || 'DRAFT';
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: PAGE_MARGIN,
+      info: { Title: `Final Settlement ${number}`, Author: COMPANY_NAME }
+    });
+
+    const chunks = [];
+    doc.on('data',  c => chunks.push(c));
+    doc.on('end',   () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const leave = settlement.leave || {};
+
+    // ── Header ──────────────────────────────────────────────────────────────
+    doc.font('Helvetica-Bold').fontSize(18).fillColor('#111827').text(COMPANY_NAME, PAGE_MARGIN, PAGE_MARGIN);
+    doc.font('Helvetica').fontSize(12).fillColor('#4b5563').text('Final Settlement Statement');
+    doc.font('Helvetica-Bold').fontSize(10).fillColor(settlement.statementNumber ? '#111827' : '#b91c1c')
+      .text(number, PAGE_MARGIN, PAGE_MARGIN, { align: 'right' });
+    doc.font('Helvetica').fontSize(9).fillColor('#4b5563')
+      .text(`Last working day: ${formatDate(settlement.lastWorkingDay)}`, { align: 'right' })
+      .text(`Issued: ${formatDate(settlement.finalizedAt || new Date())}`, { align: 'right' })
+      .text(`Status: ${settlement.status.toUpperCase()}`, { align: 'right' });
+    doc.y = Math.max(doc.y, PAGE_MARGIN + 50);
+
+    // ── Employee + bank ─────────────────────────────────────────────────────
+    sectionTitle(doc, 'Employee');
+    infoPairs(doc, [
+      ['Name',        settlement.empName],
+      ['Employee #',  settlement.empNumber],
+      ['Department',  settlement.department],
+      ['Salary Type', settlement.salaryType === 'monthly' ? 'Monthly' : 'Hourly'],
+      ['Joined',      formatDate(settlement.joiningDate)],
+      ['Exit Reason', settlement.exitReason ? settlement.exitReason.replace('-', ' ') : '-'],
+      ['Bank',        employee?.bank?.bankName      || '-'],
+      ['Account Title', employee?.bank?.accountName || '-'],
+      ['Account #',   employee?.bank?.accountNumber || '-']
+    ]);
+
+    // ── Unpaid period ───────────────────────────────────────────────────────
+    sectionTitle(doc, 'Unpaid Period');
+    if (settlement.periodStart) {
+      infoPairs(doc, [
+        ['From',         formatDate(settlement.periodStart)],
+        ['To',           formatDate(settlement.periodEnd)],
+        ['Working Days', `${settlement.totalWorkingDays ?? 0} in pay period`],
+        ['Present',      String(settlement.presentDays ?? 0)],
+        ['Leave',        String(settlement.leaveDays ?? 0)],
+        ['Absent',       String(settlement.absentDays ?? 0)]
+      ]);
+    } else {
+      doc.font('Helvetica').fontSize(9).fillColor('#6b7280')
+        .text('Approved payroll already covers every day up to the last working day.', PAGE_MARGIN);
+    }
+
+    // ── Earnings ────────────────────────────────────────────────────────────
+    sectionTitle(doc, `Amounts Due (${getSettings().currency})`);
+    amountRow(doc, 'Salary to last working day', settlement.baseSalary);
+    (settlement.earnings || []).forEach(e => {
+      amountRow(doc, `${e.name}${e.taxable ? '' : ' (non-taxable)'}`, e.amount);
+    });
+    amountRow(doc, `Unpaid overtime (${settlement.totalOtHours ?? 0} hrs)`, settlement.totalOtAmount);
+    if (settlement.totalNightDifferential > 0) {
+      amountRow(doc, `Night differential (${settlement.totalNightHours ?? 0} hrs)`, settlement.totalNightDifferential);
+    }
+    amountRow(doc, `Leave encashment (${leave.balanceDays ?? 0} days x ${money(leave.dailyRate)})`, leave.amount);
+    doc.font('Helvetica').fontSize(8.5).fillColor('#6b7280').text(
+      leave.overridden
+        ? '    Leave balance set manually'
+        : `    Entitled ${leave.entitledDays ?? 0} days this year, taken ${leave.takenDays ?? 0} days`,
+      PAGE_MARGIN
+    );
+    amountRow(doc, 'Gross settlement', settlement.grossSettlement, { bold: true });
+
+    // ── Deductions ──────────────────────────────────────────────────────────
+    sectionTitle(doc, `Deductions (${getSettings().currency})`);
+    if (settlement.totalDeduction > 0) amountRow(doc, 'Attendance deductions', settlement.totalDeduction);
+    if (settlement.incomeTax > 0)      amountRow(doc, 'Income tax', settlement.incomeTax);
+    (settlement.loanRecoveries || []).forEach(l => {
+      amountRow(doc, `${l.label} (${l.balanceAfter > 0 ? 'partly recovered' : 'balance recovered in full'})`, l.amount);
+      if (l.balanceAfter > 0) amountRow(doc, '    Balance still outstanding', l.balanceAfter, { color: '#6b7280' });
+    });
+    if (!settlement.totalDeduction && !settlement.incomeTax && !settlement.totalLoanRecovery) {
+      amountRow(doc, 'No deductions', 0, { color: '#6b7280' });
+    }
+    amountRow(doc, 'Total deductions',
+      (settlement.totalDeduction || 0) + (settlement.incomeTax || 0) + (settlement.totalLoanRecovery || 0), { bold: true });
+
+    // ── Net ─────────────────────────────────────────────────────────────────
+    const owed = settlement.netSettlement < 0;
+    ensureSpace(doc, 50);
+    doc.moveDown(1);
+    const boxY = doc.y;
+    doc.rect(PAGE_MARGIN, boxY, doc.page.width - PAGE_MARGIN * 2, 30).fill(owed ? '#fef2f2' : '#eef2ff');
+    doc.font('Helvetica-Bold').fontSize(12).fillColor(owed ? '#991b1b' : '#1e3a8a')
+      .text(`${owed ? 'PAYABLE BY EMPLOYEE' : 'NET SETTLEMENT'} (${getSettings().currency})`, PAGE_MARGIN + 10, boxY + 9)
+      .text(money(Math.abs(settlement.netSettlement)), COL_AMOUNT - 10, boxY + 9, { width: AMOUNT_W, align: 'right' });
+    doc.y = boxY + 40;
+
+    if (settlement.notes) {
+      doc.font('Helvetica-Oblique').fontSize(9).fillColor('#4b5563').text(`Notes: ${settlement.notes}`, PAGE_MARGIN);
+    }
+
+    doc.moveDown(1.5);
+    doc.font('Helvetica').fontSize(8).fillColor('#9ca3af')
+      .text('This is a computer-generated statement and does not require a signature.', PAGE_MARGIN, doc.y, { align: 'center' });
+
+    doc.end();
+  });
+}
+
+// ─── default export ───────────────────────────────────────────────────────────
+export default {
+  ensurePayslipNumber,
+  nextStatementNumber,
+  renderPayslipPdf,
+  renderSettlementPdf
+};
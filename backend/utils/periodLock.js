@@ -0,0 +1,93 @@
+/**
+ * utils/periodLock.js
+ * Pay-period lock checks shared by every attendance write path.
+ *
+ * Usage in routes:
+ *   const lock = await findLockForRange(dateObj, dateObj);
+ *   if (lock) return res.status(423).json(lockedResponse(lock));
+ */
+
+import PeriodLock from '../models/PeriodLock.js';
+import { formatDate } from './dateUtils.js';
+
+// ─── lookups ──────────────────────────────────────────────────────────────────
+
+/** First active lock overlapping [start, end], or null */
+export function findLockForRange(start, end) {
+  return PeriodLock.findOne({
+    status:      'locked',
+    periodStart: { $lte: end },
+    periodEnd:   { $gte: start }
+  }).lean();
+}
+
+/**
+ * Load every active lock overlapping [start, end] in one query.
+ * Pair with findCoveringLock() when checking many dates (e.g. CSV import).
+ */
+export function loadLocksForRange(start, end) {
+  return PeriodLock.find({
+    status:      'locked',
+    periodStart: { $lte: end },
+    periodEnd:   { $gte: start }
+  }).lean();
+}
+
+/** In-memory check against a list from loadLocksForRange() */
+export function findCoveringLock(locks, date) {
+  const t = new Date(date).getTime();
+  return locks.find(l => l.periodStart.getTime() <= t && l.periodEnd.getTime() >= t) || null;
+}
+
+// ─── messages ─────────────────────────────────────────────────────────────────
+
+export function lockedMessage(lock) {
+  return `Pay period ${formatDate(lock.periodStart)} – ${formatDate(lock.periodEnd)} is locked ` +
+         'because its payroll has been approved. Ask a superadmin to reopen it.';
+}
+
+/** JSON body for a 423 Locked response */
+export function lockedResponse(lock) {
+  return {
+    success: false,
+    error:   'PERIOD_LOCKED',
+    message: lockedMessage(lock),
+    lock: {
+      id:          lock._id,
+      periodStart: formatDate(lock.periodStart),
+      periodEnd:   formatDate(lock.periodEnd)
+    }
+  };
+}
+
+// ─── mutations ────────────────────────────────────────────────────────────────
+
+/**
+ * Lock [periodStart, periodEnd]. Creates the lock, or re-locks a period that
+ * was previously reopened. Already-locked periods are left untouched.
+ */
+export async function lockPeriod({ periodStart, periodEnd, periodLabel, userId, reason }) {
+  let lock = await PeriodLock.findOne({ periodStart, periodEnd });
+
+  if (lock?.status === 'locked') return lock;
+
+  if (!lock) lock = new PeriodLock({ periodStart, periodEnd, periodLabel });
+
+  lock.status   = 'locked';
+  lock.lockedBy = userId;
+  lock.lockedAt = new Date();
+  lock.history.push({ action: 'locked', by: userId, reason });
+  await lock.save();
+
+  return lock;
+}
+
+// ─── default export ───────────────────────────────────────────────────────────
+export default {
+  findLockForRange,
+  loadLocksForRange,
+  findCoveringLock,
+  lockedMessage,
+  lockedResponse,
+  lockPeriod
+};
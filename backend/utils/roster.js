@@ -0,0 +1,65 @@
+/**
+ * utils/roster.js
+ * Resolves the shift an employee works on a given day.
+ *
+ * A ShiftAssignment for the day wins; otherwise the employee's default
+ * Employee.shift applies. Every attendance write path (CSV import, save-row,
+ * leave and correction approvals) snapshots the shift resolved here, so late
+ * detection, night-shift pairing and scheduledHours follow the roster.
+ *
+ * Usage for many employees/days (one query):
+ *   const roster = await loadRoster(empIds, start, end);
+ *   const shift  = shiftFor(emp, date, roster);
+ */
+
+import ShiftAssignment from '../models/ShiftAssignment.js';
+import { formatDate, endOfDay } from './dateUtils.js';
+
+const DEFAULT_SHIFT = { start: '09:00', end: '18:00' };
+
+/** "empId|dd/mm/yyyy" lookup key */
+const keyFor = (empId, date) => `${empId}|${formatDate(date)}`;
+
+// ─── lookups ──────────────────────────────────────────────────────────────────
+
+/**
+ * Load the roster for `empIds` over [start, end] in one query.
+ * Returns a Map of "empId|dd/mm/yyyy" → { name, code, start, end, color }.
+ */
+export async function loadRoster(empIds, start, end) {
+  const assignments = await ShiftAssignment.find({
+    empId: { $in: empIds },
+    date:  { $gte: start, $lte: endOfDay(end) }
+  }).populate('shift', 'name code start end color').lean();
+
+  return new Map(
+    assignments
+      .filter(a => a.shift)
+      .map(a => [keyFor(a.empId, a.date), a.shift])
+  );
+}
+
+/**
+ * Shift worked by `emp` on `date` → { start, end, name }.
+ * `name` is the roster template, or null for the employee's default shift.
+ */
+export function shiftFor(emp, date, roster) {
+  const rostered = roster?.get(keyFor(emp._id, date));
+  if (rostered) return { start: rostered.start, end: rostered.end, name: rostered.name };
+
+  const { start, end } = emp.shift?.start ? emp.shift : DEFAULT_SHIFT;
+  return { start, end, name: null };
+}
+
+/** Single-day convenience wrapper around loadRoster() + shiftFor() */
+export async function getShiftForDate(emp, date) {
+  const roster = await loadRoster([emp._id], date, date);
+  return shiftFor(emp, date, roster);
+}
+
+// ─── default export ───────────────────────────────────────────────────────────
+export default {
+  loadRoster,
+  shiftFor,
+  getShiftForDate
+};
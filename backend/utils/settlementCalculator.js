@@ -0,0 +1,250 @@
+/**
+ * utils/settlementCalculator.js
+ * Final settlement for an employee leaving the company.
+ *
+ *   unpaid salary  → calcEmployeeTotals over the days after the last approved
+ *                    / paid PayrollRecord up to the last working day, pro-rated
+ *                    against the full company pay period
+ *   leave          → unused annual leave (CompanySettings.annualLeaveDays) for
+ *                    the calendar year, encashed at the daily rate
+ *   loan recovery  → every active loan / advance, up to what the settlement
+ *                    can pay; any remainder stays outstanding on the loan
+ *
+ * The result is the field set of a FinalSettlement (models/FinalSettlement.js).
+ */
+
+import AttendanceLog from '../models/AttendanceLog.js';
+import LeaveRequest  from '../models/LeaveRequest.js';
+import Loan          from '../models/Loan.js';
+import PayrollRecord from '../models/PayrollRecord.js';
+import { startOfDay, endOfDay } from './dateUtils.js';
+import { getCompanyMonthDates, shiftDurationHours } from './timeCalculator.js';
+import { n, round2, workingDaysBetween, calcEmployeeTotals, loadPayrollInputs } from './payrollCalculator.js';
+import { withBalances, loanLabel } from './loanCalculator.js';
+import { getSettings } from './companySettings.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/** Leave types drawn from the annual entitlement */
+const ANNUAL_LEAVE_TYPES = ['Holiday Leave'];
+
+const maxDate = (...dates) => new Date(Math.max(...dates.filter(Boolean).map(d => new Date(d))));
+const minDate = (...dates) => new Date(Math.min(...dates.filter(Boolean).map(d => new Date(d))));
+
+// ─── unpaid period ────────────────────────────────────────────────────────────
+
+/**
+ * The days still to be paid through the settlement: from the day after the
+ * latest approved / paid PayrollRecord, but never before the start of the
+ * company period that holds the last working day (earlier periods go through
+ * a normal payroll run). Null when signed-off payroll already covers it.
+ *
+ * @returns {Promise<{ start, end, period }|null>} period = full company period
+ */
+export async function unpaidRange(emp, lastWorkingDay) {
+  const end    = endOfDay(lastWorkingDay);
+  const period = getCompanyMonthDates(startOfDay(lastWorkingDay));
+
+  const lastPaid = await PayrollRecord.findOne({
+    empId:     emp._id,
+    status:    { $in: ['approved', 'paid'] },
+    isDeleted: false
+  }).sort({ periodEnd: -1 }).select('periodEnd').lean();
+
+  const start = startOfDay(maxDate(
+    period.startDate,
+    emp.joiningDate,
+    lastPaid && new Date(lastPaid.periodEnd.getTime() + 1)
+  ));
+  return start > end ? null : { start, end, period };
+}
+
+// ─── leave encashment ─────────────────────────────────────────────────────────
+
+/** Pay for one working day */
+export function dailyRateFor(emp) {
+  const { workingDaysPerMonth, hoursPerDay } = getSettings();
+  if (emp.salaryType === 'monthly' && emp.monthlySalary) {
+    return round2(emp.monthlySalary / workingDaysPerMonth);
+  }
+  const hours = emp.shift?.start && emp.shift?.end ? shiftDurationHours(emp.shift) : hoursPerDay;
+  return round2(n(emp.hourlyRate) * hours);
+}
+
+/**
+ * Unused annual leave at the last working day.
+ *
+ * Entitlement accrues evenly over the calendar year (from the joining date in
+ * the joining year), rounded down to half days, and is nil before the leave
+ * eligibility point that also gates leave requests. Approved Holiday Leave
+ * taken this year is subtracted, counted in working days. `overrideDays`
+ * replaces the computed balance.
+ */
+export async function calcLeaveEncashment(emp, lastWorkingDay, overrideDays = null) {
+  const lwd       = endOfDay(lastWorkingDay);
+  const yearStart = new Date(lwd.getFullYear(), 0, 1);
+  const yearDays  = Math.round((new Date(lwd.getFullYear() + 1, 0, 1) - yearStart) / MS_PER_DAY);
+
+  const serviceDays = Math.floor((lwd - new Date(emp.joiningDate)) / MS_PER_DAY);
+  const accrualFrom = maxDate(yearStart, startOfDay(emp.joiningDate));
+  const accrued     = Math.floor((lwd - accrualFrom) / MS_PER_DAY) + 1;
+
+  const { annualLeaveDays, leaveEligibilityDays } = getSettings();
+  const entitledDays = serviceDays < leaveEligibilityDays
+    ? 0
+    : Math.floor(annualLeaveDays * accrued / yearDays * 2) / 2;
+
+  const taken = await LeaveRequest.find({
+    empId:     emp._id,
+    leaveType: { $in: ANNUAL_LEAVE_TYPES },
+    status:    'Approved',
+    isDeleted: false,
+    fromDate:  { $lte: lwd },
+    toDate:    { $gte: yearStart }
+  }).select('fromDate toDate').lean();
+
+  const takenDays = taken.reduce((s, l) =>
+    s + workingDaysBetween(maxDate(l.fromDate, yearStart), minDate(l.toDate, lwd), emp), 0);
+
+  const overridden  = overrideDays !== null && overrideDays !== undefined && overrideDays !== '';
+  const balanceDays = overridden
+    ? Math.max(0, n(overrideDays))
+    : Math.max(0, entitledDays - takenDays);
+  const dailyRate   = dailyRateFor(emp);
+
+  return {
+    entitledDays,
+    takenDays,
+    balanceDays,
+    dailyRate,
+    amount: round2(balanceDays * dailyRate),
+    overridden
+  };
+}
+
+// ─── loan recovery ────────────────────────────────────────────────────────────
+
+/**
+ * Outstanding balance (net of payroll and settlement recoveries) of every
+ * active loan, oldest first, capped together at `available` — the settlement
+ * left after deductions and tax — so the statement never goes negative.
+ * Whatever is not recovered shows as balanceAfter.
+ */
+export async function loanRecoveryLines(empId, available = Infinity) {
+  const loans = await Loan.find({ empId, status: 'active' })
+    .sort({ startDate: 1, createdAt: 1 }).lean();
+
+  let left = Math.max(0, available);
+  const lines = [];
+  for (const l of await withBalances(loans)) {
+    const amount = round2(Math.min(l.outstanding, left));
+    if (amount <= 0) continue;
+    left -= amount;
+    lines.push({
+      loan:         l._id,
+      type:         l.type,
+      label:        loanLabel(l),
+      amount,
+      balanceAfter: round2(l.outstanding - amount)
+    });
+  }
+  return lines;
+}
+
+// ─── settlement ───────────────────────────────────────────────────────────────
+
+/**
+ * Compute every figure of a FinalSettlement for `emp` (lean Employee).
+ *
+ * @param {Object} emp
+ * @param {Date}   lastWorkingDay
+ * @param {Object} [options]
+ * @param {number} [options.leaveDaysOverride] — encash this many days instead
+ */
+export async function calcSettlement(emp, lastWorkingDay, { leaveDaysOverride = null } = {}) {
+  const range = await unpaidRange(emp, lastWorkingDay);
+
+  let salary = null;
+  if (range) {
+    const { start, end, period } = range;
+    const [logs, inputsFor] = await Promise.all([
+      AttendanceLog.find({
+        empId: emp._id, date: { $gte: start, $lte: end }, isDeleted: false
+      }).sort({ date: 1 }).lean(),
+      loadPayrollInputs([emp._id], period.startDate, period.endDate)
+    ]);
+
+    // Earnings are pro-rated over the full period, so stop them at the exit
+    const leaver = {
+      ...emp,
+      earnings: (emp.earnings || []).map(e => ({
+        ...e,
+        effectiveFrom: maxDate(e.effectiveFrom, start),
+        effectiveTo:   minDate(e.effectiveTo, end)
+      }))
+    };
+
+    salary = calcEmployeeTotals(
+      leaver, logs, workingDaysBetween(period.startDate, period.endDate, emp),
+      { ...inputsFor(emp._id), loans: [] }
+    );
+    salary.periodLabel = period.periodLabel;
+  }
+
+  const leave = await calcLeaveEncashment(emp, lastWorkingDay, leaveDaysOverride);
+
+  const baseSalary      = salary?.baseSalary      || 0;
+  const totalAllowances = salary?.totalAllowances || 0;
+  const totalOtAmount   = salary?.totalOt         || 0;
+  const totalNightDifferential = salary?.totalNightDifferential || 0;
+  const totalDeduction  = salary?.totalDeduction  || 0;
+  const incomeTax       = salary?.incomeTax       || 0;
+
+  const grossSettlement = round2(baseSalary + totalAllowances + totalOtAmount + totalNightDifferential + leave.amount);
+
+  const loanRecoveries    = await loanRecoveryLines(emp._id, grossSettlement - totalDeduction - incomeTax);
+  const totalLoanRecovery = round2(loanRecoveries.reduce((s, l) => s + l.amount, 0));
+  const netSettlement     = round2(grossSettlement - totalDeduction - incomeTax - totalLoanRecovery);
+
+  return {
+    empId:            emp._id,
+    empNumber:        emp.employeeNumber,
+    empName:          `${emp.firstName} ${emp.lastName}`,
+    department:       emp.department,
+    salaryType:       emp.salaryType || 'hourly',
+    joiningDate:      emp.joiningDate,
+    lastWorkingDay:   startOfDay(lastWorkingDay),
+    periodStart:      range?.start || null,
+    periodEnd:        range?.end   || null,
+    periodLabel:      salary?.periodLabel || null,
+    totalWorkingDays: salary?.workingDays      || 0,
+    presentDays:      salary?.presentDays      || 0,
+    lateDays:         salary?.lateDays         || 0,
+    absentDays:       salary?.absentDays       || 0,
+    leaveDays:        salary?.leaveDays        || 0,
+    totalHoursWorked: salary?.totalHoursWorked || 0,
+    baseSalary,
+    earnings:         salary?.earnings || [],
+    totalAllowances,
+    totalOtHours:     salary?.totalOtHours || 0,
+    totalOtAmount,
+    totalNightHours:  salary?.totalNightHours || 0,
+    totalNightDifferential,
+    totalDeduction,
+    incomeTax,
+    leave,
+    loanRecoveries,
+    totalLoanRecovery,
+    grossSettlement,
+    netSettlement
+  };
+}
+
+// ─── default export ───────────────────────────────────────────────────────────
+export default {
+  unpaidRange,
+  dailyRateFor,
+  calcLeaveEncashment,
+  loanRecoveryLines,
+  calcSettlement
+};
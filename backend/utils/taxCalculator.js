@@ -0,0 +1,129 @@
+/**
+ * utils/taxCalculator.js
+ * Income-tax withholding from the annual slabs stored in TaxYear.
+ *
+ * Method (annualised projection):
+ *   1. Scale the period's taxable income up to a full year.
+ *   2. Apply the fiscal year's slabs to get the annual liability.
+ *   3. Withhold the share that belongs to this period.
+ *
+ * A period of 28+ days counts as one month (12 per year), matching the
+ * company pay cycle; shorter ranges are scaled by days / 365.
+ */
+
+import TaxYear       from '../models/TaxYear.js';
+import PayrollRecord from '../models/PayrollRecord.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const round2 = (v) => parseFloat((Number(v) || 0).toFixed(2));
+
+// ─── slab maths ───────────────────────────────────────────────────────────────
+
+/** Annual tax on `income` under `slabs` (sorted by `from`) */
+export function annualTaxFor(income, slabs = []) {
+  if (!(income > 0)) return 0;
+  const slab = [...slabs]
+    .sort((a, b) => a.from - b.from)
+    .find(s => income > s.from && (s.to == null || income <= s.to));
+  if (!slab) return 0;
+  return round2((slab.fixed || 0) + (income - slab.from) * (slab.rate || 0) / 100);
+}
+
+/**
+ * Slabs must start at 0, be contiguous and only the last may be open-ended.
+ * Returns an error message, or null when valid.
+ */
+export function validateSlabs(slabs) {
+  if (!Array.isArray(slabs) || !slabs.length) return 'At least one slab is required';
+  const sorted = [...slabs].sort((a, b) => a.from - b.from);
+
+  for (const [i, s] of sorted.entries()) {
+    const isLast = i === sorted.length - 1;
+    if ([s.from, s.fixed ?? 0, s.rate ?? 0].some(v => typeof v !== 'number' || v < 0)) {
+      return `Slab ${i + 1}: from, fixed and rate must be non-negative numbers`;
+    }
+    if (s.rate > 100) return `Slab ${i + 1}: rate cannot exceed 100%`;
+    if (i === 0 && s.from !== 0) return 'The first slab must start at 0';
+    if (s.to == null && !isLast) return `Slab ${i + 1}: only the last slab may be open-ended`;
+    if (s.to != null && s.to <= s.from) return `Slab ${i + 1}: "to" must be greater than "from"`;
+    if (!isLast && sorted[i + 1].from !== s.to) {
+      return `Slab ${i + 2} must start where slab ${i + 1} ends (${s.to})`;
+    }
+  }
+  return null;
+}
+
+// ─── period context ───────────────────────────────────────────────────────────
+
+/**
+ * How many periods of this length make a year: 12 for a full company month
+ * (28+ days, so February and 31-day months withhold the same share), 365/days
+ * for anything shorter.
+ */
+export function periodsPerYear(start, end) {
+  const days = Math.floor((end - start) / MS_PER_DAY) + 1;
+  return days >= 28 ? 12 : 365 / Math.max(days, 1);
+}
+
+/**
+ * Load what the engine needs for one pay period: the TaxYear covering the
+ * period end (the pay date) and the annualisation factor.
+ * Returns null when no fiscal year is configured — callers then withhold 0.
+ */
+export async function loadTaxContext(start, end) {
+  const taxYear = await TaxYear.findOne({
+    startDate: { $lte: end },
+    endDate:   { $gte: end }
+  }).lean();
+  if (!taxYear) return null;
+  return { taxYear, start, end, periodsPerYear: periodsPerYear(start, end) };
+}
+
+/** Tax to withhold this period on `periodTaxable` income */
+export function withholdingFor(periodTaxable, ctx) {
+  if (!ctx || !(periodTaxable > 0)) return 0;
+  const projectedAnnual = periodTaxable * ctx.periodsPerYear;
+  return round2(annualTaxFor(projectedAnnual, ctx.taxYear.slabs) / ctx.periodsPerYear);
+}
+
+// ─── year-to-date ─────────────────────────────────────────────────────────────
+
+/**
+ * Tax already withheld this fiscal year, per employee, from approved / paid
+ * PayrollRecords that end before `before` (normally the current period start).
+ *
+ * @returns {Promise<Map<string, { ytdTax, ytdTaxable }>>}
+ */
+export async function loadYtdTax(empIds, ctx, before) {
+  const ytd = new Map();
+  if (!ctx) return ytd;
+
+  const rows = await PayrollRecord.aggregate([
+    {
+      $match: {
+        empId:       { $in: empIds },
+        status:      { $in: ['approved', 'paid'] },
+        isDeleted:   false,
+        periodStart: { $gte: ctx.taxYear.startDate },
+        periodEnd:   { $lt: before }
+      }
+    },
+    { $group: { _id: '$empId', ytdTax: { $sum: '$incomeTax' }, ytdTaxable: { $sum: '$taxableIncome' } } }
+  ]);
+
+  for (const r of rows) {
+    ytd.set(String(r._id), { ytdTax: round2(r.ytdTax), ytdTaxable: round2(r.ytdTaxable) });
+  }
+  return ytd;
+}
+
+// ─── default export ───────────────────────────────────────────────────────────
+export default {
+  annualTaxFor,
+  validateSlabs,
+  periodsPerYear,
+  loadTaxContext,
+  withholdingFor,
+  loadYtdTax
+};
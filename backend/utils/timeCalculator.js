@@ -6,6 +6,8 @@
  * utils/dateUtils.js. This file handles HH:mm time arithmetic only.
  */
 
+import { getSettings } from './companySettings.js';
+
 // ─── validation ───────────────────────────────────────────────────────────────
 
 /**
@@ -78,6 +80,87 @@ export function calculateHours(startTime, endTime, outNextDay = false) {
   return Math.max(0, (endMin - startMin) / 60);
 }
 
+/**
+ * Worked and break time of a day's punch pairs (AttendanceLog.punches).
+ * Pairs are placed on one timeline from the attendance date (a *NextDay
+ * punch adds 24 h); pairs missing a punch count as neither.
+ * Returns { workedHours, breakHours }.
+ */
+export function summarisePunches(punches = []) {
+  const at = (time, nextDay) => timeToMinutes(time) + (nextDay ? 1440 : 0);
+
+  const pairs = punches
+    .filter(p => p.in && p.out)
+    .map(p => ({ start: at(p.in, p.inNextDay), end: at(p.out, p.outNextDay) }))
+    .sort((a, b) => a.start - b.start);
+
+  let worked = 0, brk = 0;
+  pairs.forEach((p, i) => {
+    worked += Math.max(0, p.end - p.start);
+    if (i > 0) brk += Math.max(0, p.start - pairs[i - 1].end);
+  });
+
+  return { workedHours: worked / 60, breakHours: brk / 60 };
+}
+
+/**
+ * Paid hours of a worked day. With more than one complete punch pair the
+ * pairs are summed and the gaps between them are the break; otherwise it is
+ * first IN to last OUT. The company break allowance then applies:
+ *   paid breaks   → punched break up to the allowance is added back
+ *   unpaid breaks → the allowance is always unpaid; only the part not
+ *                   already taken as a punched break is deducted
+ * Returns { hoursWorked, breakHours }.
+ */
+export function workedDayHours({ inTime, outTime, outNextDay = false, punches = [] }) {
+  let worked     = calculateHours(inTime, outTime, outNextDay);
+  let breakHours = 0;
+  if (punches.filter(p => p.in && p.out).length > 1) {
+    ({ workedHours: worked, breakHours } = summarisePunches(punches));
+  }
+
+  const { breakAllowanceMinutes, breakPaid } = getSettings();
+  const allowance   = breakAllowanceMinutes / 60;
+  const hoursWorked = breakPaid
+    ? worked + Math.min(breakHours, allowance)
+    : Math.max(0, worked - Math.max(0, allowance - breakHours));
+
+  return { hoursWorked, breakHours };
+}
+
+/**
+ * Hours of a worked day inside a daily time window, e.g. the night window
+ * 22:00–06:00 (CompanySettings.nightWindowStart / nightWindowEnd). The day
+ * is placed on one timeline like summarisePunches — the complete punch
+ * pairs when there is more than one, else first IN to last OUT — and a
+ * window crossing midnight is matched on both sides of the attendance date,
+ * so an 03:00 check-in and a 23:00 check-out both count.
+ */
+export function hoursInWindow({ inTime, outTime, outNextDay = false, punches = [] }, windowStart, windowEnd) {
+  const at = (time, nextDay) => timeToMinutes(time) + (nextDay ? 1440 : 0);
+
+  const complete = punches.filter(p => p.in && p.out);
+  let spans = [];
+  if (complete.length > 1) {
+    spans = complete.map(p => ({ start: at(p.in, p.inNextDay), end: at(p.out, p.outNextDay) }));
+  } else if (inTime && outTime) {
+    const start = timeToMinutes(inTime);
+    spans = [{ start, end: start + calculateHours(inTime, outTime, outNextDay) * 60 }];
+  }
+
+  const winStart = timeToMinutes(windowStart);
+  let   winEnd   = timeToMinutes(windowEnd);
+  if (winEnd <= winStart) winEnd += 1440;
+
+  let minutes = 0;
+  for (const s of spans) {
+    for (const offset of [-1440, 0, 1440]) {
+      minutes += Math.max(0, Math.min(s.end, winEnd + offset) - Math.max(s.start, winStart + offset));
+    }
+  }
+  return minutes / 60;
+}
+
 /**
  * Scheduled shift duration in hours.
  * Convenience wrapper — always passes the shift pair so callers don't
@@ -87,10 +170,76 @@ export function shiftDurationHours(shift) {
   return calculateHours(shift.start, shift.end);
 }
 
-/** True if inTime is strictly after shiftStart */
-export function isLate(inTime, shiftStart) {
+// ─── attendance status ────────────────────────────────────────────────────────
+
+/** Statuses of a day the employee worked (with or without both punches) */
+export const WORKED_STATUSES = ['Present', 'Late', 'Early Leave', 'Half Day'];
+
+/** A day with one punch held unpaid under the 'pending' missing-punch policy */
+export const PENDING_REGULARIZATION = 'Pending Regularization';
+
+/**
+ * True if inTime is more than the grace period after shiftStart
+ * (CompanySettings.lateGraceMinutes — 0 means any minute late).
+ */
+export function isLate(inTime, shiftStart, graceMinutes = getSettings().lateGraceMinutes) {
   if (!inTime || !shiftStart) return false;
-  return timeToMinutes(inTime) > timeToMinutes(shiftStart);
+  return timeToMinutes(inTime) > timeToMinutes(shiftStart) + graceMinutes;
+}
+
+/**
+ * True if outTime is more than `thresholdMinutes` before the shift ends
+ * (CompanySettings.earlyLeaveMinutes — 0 turns detection off).
+ * Both times are placed on the shift's timeline, so a 22:00–06:00 shift
+ * checked out at 04:30 (outNextDay) is 90 minutes early.
+ */
+export function isEarlyLeave(outTime, shift, outNextDay = false,
+                             thresholdMinutes = getSettings().earlyLeaveMinutes) {
+  if (!outTime || !shift?.start || !shift?.end || !thresholdMinutes) return false;
+  const start = timeToMinutes(shift.start);
+  let end = timeToMinutes(shift.end);
+  if (end <= start) end += 1440;
+  let out = timeToMinutes(outTime);
+  if (outNextDay || out < start) out += 1440;
+  return end - out > thresholdMinutes;
+}
+
+/**
+ * Status of a worked day from its punches and the company thresholds.
+ * Precedence: Half Day → Early Leave → Late → Present. Half Day and Early
+ * Leave need both punches; a day with neither is Absent, and a day with one
+ * is Pending Regularization under the 'pending' missing-punch policy.
+ */
+export function dayStatus({ inTime, outTime, outNextDay = false, hoursWorked = 0, shift }) {
+  if (!inTime && !outTime) return 'Absent';
+  const { halfDayMinHours, missingPunchPolicy } = getSettings();
+  if ((!inTime || !outTime) && missingPunchPolicy === 'pending') return PENDING_REGULARIZATION;
+  if (inTime && outTime) {
+    if (halfDayMinHours > 0 && hoursWorked < halfDayMinHours) return 'Half Day';
+    if (isEarlyLeave(outTime, shift, outNextDay)) return 'Early Leave';
+  }
+  return isLate(inTime, shift?.start) ? 'Late' : 'Present';
+}
+
+/**
+ * Day counts for a set of attendance logs (or daily breakdown rows).
+ * presentDays counts every worked day; a Half Day also counts in halfDays,
+ * and pay and attendance rates treat it as half a day.
+ */
+export function countAttendance(records = []) {
+  const counts = {
+    presentDays: 0, lateDays: 0, earlyLeaveDays: 0, halfDays: 0, pendingDays: 0, leaveDays: 0, absentDays: 0
+  };
+  for (const r of records) {
+    if (WORKED_STATUSES.includes(r.status)) counts.presentDays++;
+    if (r.status === 'Late')        counts.lateDays++;
+    if (r.status === 'Early Leave') counts.earlyLeaveDays++;
+    if (r.status === 'Half Day')    counts.halfDays++;
+    if (r.status === PENDING_REGULARIZATION) counts.pendingDays++;
+    if (r.status === 'Leave')       counts.leaveDays++;
+    if (r.status === 'Absent')      counts.absentDays++;
+  }
+  return counts;
 }
 
 /** Minutes an employee was late (0 if on time) */
@@ -99,6 +248,27 @@ export function calculateDelayMinutes(inTime, shiftStart) {
   return Math.max(0, timeToMinutes(inTime) - timeToMinutes(shiftStart));
 }
 
+/**
+ * Hours and base pay for a day with only a check-in or only a check-out,
+ * by CompanySettings.missingPunchPolicy:
+ *   unpaid  → nothing          half → 50 % of the shift     full → the shift
+ *   deduct  → the shift less missingPunchDeduction
+ *   pending → nothing until a correction supplies the other punch
+ * Returns { hoursWorked, basePay }.
+ */
+export function missingPunchPay(scheduledHours, hourlyRate) {
+  const { missingPunchPolicy, missingPunchDeduction } = getSettings();
+  const shiftPay = scheduledHours * hourlyRate;
+
+  switch (missingPunchPolicy) {
+    case 'unpaid':
+    case 'pending': return { hoursWorked: 0, basePay: 0 };
+    case 'full':    return { hoursWorked: scheduledHours, basePay: shiftPay };
+    case 'deduct':  return { hoursWorked: scheduledHours, basePay: Math.max(0, shiftPay - missingPunchDeduction) };
+    default:        return { hoursWorked: scheduledHours, basePay: shiftPay * 0.5 };
+  }
+}
+
 /** Base pay for hours worked at a given hourly rate */
 export function calculateEarning(hours, hourlyRate) {
   return Math.max(0, (hours || 0) * (hourlyRate || 0));
@@ -135,31 +305,28 @@ export function formatTimeDisplay(time) {
 
 /**
  * Get the company pay-period boundaries for a given date.
- * Pay period runs from the 18th of one month to the 17th of the next.
+ * A period starts on CompanySettings.payCycleStartDay (default the 18th) and
+ * ends the day before it in the next month; a start day of 1 gives calendar months.
  *
- *   e.g. if date is 2025-01-20  →  start: 2025-01-18, end: 2025-02-17
- *        if date is 2025-01-10  →  start: 2024-12-18, end: 2025-01-17
+ *   e.g. with the 18th, 2025-01-20  →  start: 2025-01-18, end: 2025-02-17
+ *                       2025-01-10  →  start: 2024-12-18, end: 2025-01-17
  *
  * Returns { startDate, endDate, periodLabel } where periodLabel is a
  * human-readable string like "18 Jan – 17 Feb 2025" for display in the
  * payroll page date picker.
  */
 export function getCompanyMonthDates(date = new Date()) {
+  const { payCycleStartDay: startDay, locale } = getSettings();
+
   const y   = date.getFullYear();
   const m   = date.getMonth();   // 0-based
-  const day = date.getDate();
-
-  let startDate, endDate;
+  const first = date.getDate() >= startDay ? m : m - 1;
 
-  if (day >= 18) {
-    startDate = new Date(y, m,     18, 0,  0,  0,   0);
-    endDate   = new Date(y, m + 1, 17, 23, 59, 59, 999);
-  } else {
-    startDate = new Date(y, m - 1, 18, 0,  0,  0,   0);
-    endDate   = new Date(y, m,     17, 23, 59, 59, 999);
-  }
+  // Day 0 of a month is the last day of the one before, so startDay 1 ends on the month end
+  const startDate = new Date(y, first,     startDay,     0,  0,  0,   0);
+  const endDate   = new Date(y, first + 1, startDay - 1, 23, 59, 59, 999);
 
-  const fmt = (d) => d.toLocaleDateString('en-PK', { day: 'numeric', month: 'short', year: 'numeric' });
+  const fmt = (d) => d.toLocaleDateString(locale, { day: 'numeric', month: 'short', year: 'numeric' });
   const periodLabel = `${fmt(startDate)} – ${fmt(endDate)}`;
 
   return { startDate, endDate, periodLabel };
@@ -175,12 +342,12 @@ export function getCompanyMonthDates(date = new Date()) {
 export function getRecentPayPeriods(count = 3) {
   const periods = [];
   // Start from the period BEFORE the current one
-  let anchor = new Date();
-  anchor.setDate(anchor.getDate() - 30);   // step back one period
+  let anchor = new Date(getCompanyMonthDates().startDate.getTime() - 1);
 
   for (let i = 0; i < count; i++) {
-    periods.push(getCompanyMonthDates(anchor));
-    anchor.setDate(anchor.getDate() - 30); // step back another period
+    const period = getCompanyMonthDates(anchor);
+    periods.push(period);
+    anchor = new Date(period.startDate.getTime() - 1);   // last moment of the period before
   }
 
   return periods;
@@ -193,9 +360,18 @@ export default {
   timeToMinutes,
   minutesToTime,
   calculateHours,
+  summarisePunches,
+  workedDayHours,
+  hoursInWindow,
   shiftDurationHours,
+  WORKED_STATUSES,
+  PENDING_REGULARIZATION,
   isLate,
+  isEarlyLeave,
+  dayStatus,
+  countAttendance,
   calculateDelayMinutes,
+  missingPunchPay,
   calculateEarning,
   calculateOtAmount,
   calculateFinalDayEarning,
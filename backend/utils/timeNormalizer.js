@@ -71,6 +71,57 @@ export function normalizeTime(timeInput) {
   return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
 }
 
+// ─── custom layouts ───────────────────────────────────────────────────────────
+
+/**
+ * Parse a time written in a custom layout (attendance import profiles).
+ *
+ * Tokens: HH / H (24-hour), hh / h (12-hour), mm, ss, a (AM/PM). Anything
+ * else is matched literally:
+ *   parseTimeFormat('08:55:12',   'HH:mm:ss') → "08:55"
+ *   parseTimeFormat('8.55 PM',    'h.mm a')   → "20:55"
+ *
+ * A blank format falls back to normalizeTime. Returns "HH:mm" or null.
+ */
+const TIME_TOKENS = {
+  HH: '(\\d{1,2})', H: '(\\d{1,2})', hh: '(\\d{1,2})', h: '(\\d{1,2})',
+  mm: '(\\d{1,2})', ss: '(\\d{1,2})', a: '([AaPp][Mm])'
+};
+
+export function parseTimeFormat(timeInput, format) {
+  if (!format) return normalizeTime(timeInput);
+  if (!timeInput && timeInput !== 0) return null;
+
+  const order   = [];
+  const pattern = format.replace(/HH|H|hh|h|mm|ss|a|[^A-Za-z]/g, (t) => {
+    if (TIME_TOKENS[t]) {
+      order.push(t);
+      return TIME_TOKENS[t];
+    }
+    return t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  });
+
+  const match = String(timeInput).trim().match(new RegExp(`^${pattern}$`));
+  if (!match) return null;
+
+  let hours = null, minutes = 0, ampm = null;
+  order.forEach((token, i) => {
+    const v = match[i + 1];
+    if (token === 'mm')      minutes = Number(v);
+    else if (token === 'a')  ampm    = v.toLowerCase();
+    else if (token !== 'ss') hours   = Number(v);
+  });
+  if (hours === null) return null;
+
+  const twelveHour = order.some(t => t[0] === 'h');
+  if (twelveHour && (hours < 1 || hours > 12)) return null;
+  if (ampm === 'pm' && hours !== 12) hours += 12;
+  if (ampm === 'am' && hours === 12) hours  = 0;
+
+  if (hours > 23 || minutes > 59) return null;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
 // ─── validation ───────────────────────────────────────────────────────────────
 
 /**
@@ -109,6 +160,7 @@ export function normalizeBatch(rawTimes) {
 // ─── default export ───────────────────────────────────────────────────────────
 export default {
   normalizeTime,
+  parseTimeFormat,
   isValidNormalizedTime,
   formatTimeForDisplay,
   normalizeBatch
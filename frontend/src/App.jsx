@@ -5,6 +5,7 @@ import { Toaster } from 'react-hot-toast';   // ← ADD THIS
 // ── Providers ──────────────────────────────────────────────────────────────
 import { AuthProvider, useAuth }             from './context/AuthContext.js';
 import { NotificationProvider }              from './context/NotificationContext.js';
+import { SettingsProvider }                  from './context/SettingsContext.js';
 
 // ── Auth ───────────────────────────────────────────────────────────────────
 import Login               from './components/Auth/Login';
@@ -21,6 +22,9 @@ import ManageEmployees     from './components/Admin/ManageEmployees';
 import ManualAttendance    from './components/Admin/ManualAttendance';
 import PayrollReports      from './components/Admin/PayrollReports';
 import NotificationCenter  from './components/Admin/NotificationCenter';
+import CompanySettings     from './components/Admin/CompanySettings';
+import ShiftRoster         from './components/Admin/ShiftRoster';
+import ImportHistory       from './components/Admin/ImportHistory';
 
 // ── Employee ───────────────────────────────────────────────────────────────
 import EmployeeSidebar     from './components/Employee/EmployeeSidebar';
@@ -68,8 +72,11 @@ function AdminLayoutWrapper() {
         <Route path="dashboard"     element={<AdminDashboard />} />
         <Route path="employees"     element={<ManageEmployees />} />
         <Route path="attendance"    element={<ManualAttendance />} />
+        <Route path="roster"        element={<ShiftRoster />} />
+        <Route path="imports"       element={<ImportHistory />} />
         <Route path="payroll"       element={<PayrollReports />} />
         <Route path="notifications" element={<NotificationCenter />} />
+        <Route path="settings"      element={<CompanySettings />} />
         <Route path="/"             element={<Navigate to="dashboard" replace />} />
         <Route path="*"             element={<Navigate to="dashboard" replace />} />
       </Routes>
@@ -111,6 +118,7 @@ function RootRedirect() {
 export default function App() {
   return (
     <AuthProvider>
+      <SettingsProvider>
       <NotificationProvider>
         <Router>
 
@@ -164,6 +172,7 @@ export default function App() {
 
         </Router>
       </NotificationProvider>
+      </SettingsProvider>
     </AuthProvider>
   );
 }
\ No newline at end of file
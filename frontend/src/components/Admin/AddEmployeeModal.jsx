@@ -3,11 +3,14 @@ import axios from 'axios';
 import { X, Save, AlertCircle, Calendar, Shield } from 'lucide-react';
 import toast from 'react-hot-toast';
 import EmployeeLinkDialog from './EmployeeLinkDialog';
+import WeeklyOffPicker from './WeeklyOffPicker.jsx';
+import { useSettings } from '../../context/SettingsContext.js';
 import { formatToDDMMYYYY } from '../../utils/dateFormatter';
 
 // currentUserRole is passed from ManageEmployees
 export default function AddEmployeeModal({ onClose, onSave, currentUserRole }) {
   const isSuperAdmin = currentUserRole === 'superadmin';
+  const { settings, formatMoney } = useSettings();
 
   const [activeTab, setActiveTab] = useState('basic');
   const [loading, setLoading] = useState(false);
@@ -26,6 +29,7 @@ export default function AddEmployeeModal({ onClose, onSave, currentUserRole }) {
     role:           'employee',
     joiningDate:    new Date().toISOString().split('T')[0],
     shift:          { start: '09:00', end: '18:00' },
+    weeklyOff:      null,   // null = company weekend
     salaryType:     'hourly',
     hourlyRate:     0,
     monthlySalary:  '',
@@ -116,6 +120,7 @@ export default function AddEmployeeModal({ onClose, onSave, currentUserRole }) {
         role:           isSuperAdmin ? formData.role : 'employee',
         joiningDate:    formatToDDMMYYYY(formData.joiningDate),
         shift:          formData.shift,
+        weeklyOff:      formData.weeklyOff,
         salaryType:     formData.salaryType,
         hourlyRate:     parseFloat(formData.hourlyRate) || 0,
         monthlySalary:  formData.salaryType === 'monthly' ? parseFloat(formData.monthlySalary) : null,
@@ -337,6 +342,9 @@ export default function AddEmployeeModal({ onClose, onSave, currentUserRole }) {
                   </div>
                 </div>
 
+                <WeeklyOffPicker value={formData.weeklyOff} disabled={loading}
+                  onChange={weeklyOff => setFormData(prev => ({ ...prev, weeklyOff }))} />
+
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-2">
                     Salary Type <span className="text-red-500">*</span>
@@ -352,7 +360,7 @@ export default function AddEmployeeModal({ onClose, onSave, currentUserRole }) {
                 {formData.salaryType === 'hourly' && (
                   <div>
                     <label className="block text-sm font-medium text-gray-700 mb-2">
-                      Hourly Rate (PKR) <span className="text-red-500">*</span>
+                      Hourly Rate ({settings.currency}) <span className="text-red-500">*</span>
                     </label>
                     <input type="number" name="hourlyRate" value={formData.hourlyRate}
                       onChange={handleInputChange} disabled={loading} step="10" min="0"
@@ -364,7 +372,7 @@ export default function AddEmployeeModal({ onClose, onSave, currentUserRole }) {
                 {formData.salaryType === 'monthly' && (
                   <div>
                     <label className="block text-sm font-medium text-gray-700 mb-2">
-                      Monthly Salary (PKR) <span className="text-red-500">*</span>
+                      Monthly Salary ({settings.currency}) <span className="text-red-500">*</span>
                     </label>
                     <input type="number" name="monthlySalary" value={formData.monthlySalary}
                       onChange={handleInputChange} disabled={loading} step="100" min="0" placeholder="e.g. 50000"
@@ -378,9 +386,9 @@ export default function AddEmployeeModal({ onClose, onSave, currentUserRole }) {
                   {formData.salaryType === 'hourly' ? (
                     <>
                       <p className="text-sm text-gray-600 mb-1">Estimated Monthly Salary:</p>
-                      <p className="text-3xl font-bold text-blue-600">PKR {calculateMonthlySalary()}</p>
+                      <p className="text-3xl font-bold text-blue-600">{formatMoney(calculateMonthlySalary())}</p>
                       <p className="text-xs text-gray-500 mt-2">
-                        Based on {formData.shift.start}–{formData.shift.end} × PKR {formData.hourlyRate}/hr × 22 days
+                        Based on {formData.shift.start}–{formData.shift.end} × {formatMoney(formData.hourlyRate)}/hr × 22 days
                       </p>
                       <p className="text-xs text-amber-600 mt-1">
                         ⚠️ Estimate only — actual pay depends on working days in the pay period.
@@ -390,7 +398,7 @@ export default function AddEmployeeModal({ onClose, onSave, currentUserRole }) {
                     <>
                       <p className="text-sm text-gray-600 mb-1">Fixed Monthly Salary:</p>
                       <p className="text-3xl font-bold text-blue-600">
-                        PKR {formData.monthlySalary ? parseFloat(formData.monthlySalary).toFixed(2) : '0.00'}
+                        {formatMoney(formData.monthlySalary)}
                       </p>
                       <p className="text-xs text-gray-500 mt-2">Pro-rated by actual working days attended each pay period.</p>
                     </>
@@ -4,8 +4,10 @@ import axios from 'axios';
 import { Users, Clock, DollarSign, Menu, X } from 'lucide-react';
 import Sidebar from './Sidebar';
 import DashboardStats from './DashboardStats';
+import { useSettings } from '../../context/SettingsContext.js';
 
 export default function AdminDashboard() {
+  const { formatMoney } = useSettings();
   const [sidebarOpen, setSidebarOpen] = useState(true);
   const [stats, setStats] = useState(null);
   const [loading, setLoading] = useState(true);
@@ -89,7 +91,7 @@ export default function AdminDashboard() {
 
               <DashboardStats
                 title="Live Payroll report"
-                value="PKR 12,450.00"
+                value={formatMoney(12450)}
                 
                 color="bg-purple-500"
                 onClick={() => navigate('/admin/payroll')}
@@ -1,9 +1,50 @@
-import React, { useRef, useState, useEffect } from 'react';
-import { Upload, X, AlertCircle, Download, Loader } from 'lucide-react';
+import React, { useRef, useState, useEffect, useCallback } from 'react';
+import { Upload, X, AlertCircle, Download, Loader, Eye } from 'lucide-react';
 import toast from 'react-hot-toast';
-import { uploadCSVFile } from '../../services/csvService.js';
+import { uploadCSVFile, previewCSVFile, getImportProfiles } from '../../services/csvService.js';
 import { downloadCSVTemplate } from '../../utils/csvHelpers.js';
 
+// File formats the importer reads (utils/importAdapters.js on the backend)
+const ACCEPTED_EXTENSIONS = ['.csv', '.txt', '.dat', '.xlsx'];
+
+const FORMATS = [
+  { value: '',       label: 'Detect automatically' },
+  { value: 'csv',    label: 'CSV (six-column layout)' },
+  { value: 'zkteco', label: 'ZKTeco attlog.dat' },
+  { value: 'xlsx',   label: 'Excel report (.xlsx)' }
+];
+
+const ACTION_STYLES = {
+  create: 'bg-green-100 text-green-800',
+  update: 'bg-blue-100 text-blue-800',
+  skip:   'bg-gray-100 text-gray-600'
+};
+
+// One side of the preview diff, as shown in a cell
+const DIFF_CELLS = [
+  { key: 'status', label: 'Status', show: d => d.status },
+  { key: 'inOut',  label: 'In / Out',
+    show: d => `${d.in || '--'} – ${d.out || '--'}${d.outNextDay ? ' (+1)' : ''}` },
+  { key: 'hours',  label: 'Hours', show: d => Number(d.hoursWorked).toFixed(2) },
+  { key: 'pay',    label: 'Pay',   show: d => Number(d.finalDayEarning).toFixed(2) }
+];
+
+function DiffCell({ cell, before, after }) {
+  if (!after) return <span className="text-gray-400">{before ? cell.show(before) : '—'}</span>;
+  if (!before) return <span className="text-green-700">{cell.show(after)}</span>;
+
+  const from = cell.show(before);
+  const to   = cell.show(after);
+  if (from === to) return <span className="text-gray-600">{to}</span>;
+  return (
+    <span>
+      <span className="text-red-600 line-through">{from}</span>
+      {' → '}
+      <span className="text-green-700 font-semibold">{to}</span>
+    </span>
+  );
+}
+
 export default function CSVImportModal({ onClose, onSuccess }) {
   const fileInputRef = useRef(null);
   const logEndRef = useRef(null);
@@ -11,6 +52,19 @@ export default function CSVImportModal({ onClose, onSuccess }) {
   const [loading, setLoading] = useState(false);
   const [processingLog, setProcessingLog] = useState([]);
   const [importSummary, setImportSummary] = useState(null);
+  const [preview, setPreview] = useState(null);   // { batchHash, rows, duplicateOf } from the dry run
+  const [hideSkipped, setHideSkipped] = useState(false);
+  const [format, setFormat] = useState('');
+  const [profiles, setProfiles] = useState([]);
+  const [profileId, setProfileId] = useState('');
+  const [deviceSerial, setDeviceSerial] = useState('');
+
+  const fetchProfiles = useCallback(async () => {
+    const result = await getImportProfiles();
+    if (result.success) setProfiles(result.profiles);
+  }, []);
+
+  useEffect(() => { fetchProfiles(); }, [fetchProfiles]);
 
   // Auto-scroll to bottom of log
   useEffect(() => {
@@ -22,8 +76,8 @@ export default function CSVImportModal({ onClose, onSuccess }) {
   const handleFileSelect = (e) => {
     const file = e.target.files?.[0];
     if (file) {
-      if (!file.name.toLowerCase().endsWith('.csv')) {
-        toast.error('Please select a CSV file with .csv extension');
+      if (!ACCEPTED_EXTENSIONS.some(ext => file.name.toLowerCase().endsWith(ext))) {
+        toast.error(`Please select a ${ACCEPTED_EXTENSIONS.join(', ')} file`);
         setSelectedFile(null);
         return;
       }
@@ -39,6 +93,7 @@ export default function CSVImportModal({ onClose, onSuccess }) {
       setSelectedFile(file);
       setProcessingLog([]);
       setImportSummary(null);
+      setPreview(null);
     }
   };
 
@@ -51,9 +106,50 @@ export default function CSVImportModal({ onClose, onSuccess }) {
     }
   };
 
-  const handleUpload = async () => {
+  // Dry run — shows what the import would do per employee-day; nothing is saved
+  const handlePreview = async () => {
     if (!selectedFile) {
-      toast.error('Please select a CSV file');
+      toast.error('Please select a file to import');
+      return;
+    }
+
+    setLoading(true);
+    setProcessingLog([
+      {
+        type: 'INFO',
+        message: `🔍 Previewing: ${selectedFile.name} (${(selectedFile.size / 1024).toFixed(2)} KB)`
+      }
+    ]);
+    setImportSummary(null);
+    setPreview(null);
+
+    const result = await previewCSVFile(selectedFile, {
+      format:       format || null,
+      profileId:    profileId || null,
+      deviceSerial: deviceSerial.trim() || null
+    });
+
+    if (result.success) {
+      setProcessingLog(result.data?.processingLog || []);
+      setImportSummary(result.data?.summary);
+      setPreview({
+        batchHash:   result.data?.batchHash,
+        rows:        result.data?.preview || [],
+        duplicateOf: result.data?.duplicateOf || null,
+        unmapped:    result.data?.unmapped || []
+      });
+    } else {
+      setProcessingLog(result.processingLog);
+      toast.error(result.error || 'CSV preview failed');
+    }
+
+    setLoading(false);
+  };
+
+  // Applies the previewed batch — the server rejects it if anything changed since
+  const handleUpload = async () => {
+    if (!selectedFile || !preview) {
+      toast.error('Preview the file first');
       return;
     }
 
@@ -71,12 +167,18 @@ export default function CSVImportModal({ onClose, onSuccess }) {
     setProcessingLog(initialLog);
     setImportSummary(null);
 
-    const result = await uploadCSVFile(selectedFile);
+    const result = await uploadCSVFile(selectedFile, {
+      batchHash: preview.batchHash,
+      format:       format || null,
+      profileId:    profileId || null,
+      deviceSerial: deviceSerial.trim() || null
+    });
 
     if (result.success) {
       const logs = result.data?.processingLog || result.processingLog || [];
       setProcessingLog(logs);
       setImportSummary(result.data?.summary);
+      setPreview(null);
       
       toast.success('CSV imported successfully!');
       
@@ -93,6 +195,8 @@ export default function CSVImportModal({ onClose, onSuccess }) {
         }
       ];
       setProcessingLog(errorLogs);
+      // A stale preview no longer describes what would be saved
+      if (result.stale) setPreview(null);
       toast.error(result.error || 'CSV import failed');
     }
 
@@ -138,7 +242,7 @@ export default function CSVImportModal({ onClose, onSuccess }) {
       <div className="bg-white rounded-lg max-w-3xl w-full max-h-[90vh] overflow-y-auto flex flex-col">
         {/* Header */}
         <div className="sticky top-0 bg-white border-b p-4 md:p-6 flex items-center justify-between">
-          <h2 className="text-xl md:text-2xl font-bold text-gray-800">Import CSV Attendance</h2>
+          <h2 className="text-xl md:text-2xl font-bold text-gray-800">Import Attendance</h2>
           <button
             onClick={onClose}
             disabled={loading}
@@ -166,6 +270,10 @@ export default function CSVImportModal({ onClose, onSuccess }) {
               <p>✓ Time formats accepted: 09:00, 9:00, 9:5, 900, 0900, etc.</p>
               <p>✓ Date must be in dd/mm/yyyy format (e.g., 23/02/2026)</p>
               <p>✓ Status: 0 = check-in, 1 = check-out</p>
+              <p>✓ You preview the changes first — nothing is saved until you confirm</p>
+              <p>✓ Device exports are accepted too: ZKTeco attlog.dat and Excel (.xlsx) reports with
+                employee ID, date/time and (optionally) in/out columns. Punches without an in/out
+                state are paired from the employee's shift.</p>
             </div>
 
             <button
@@ -191,9 +299,9 @@ export default function CSVImportModal({ onClose, onSuccess }) {
           >
             <Upload size={40} className="mx-auto mb-3 text-gray-400" />
             <p className="text-gray-700 font-semibold mb-1">
-              {loading ? 'Processing file...' : 'Click to select CSV file'}
+              {loading ? 'Processing file...' : 'Click to select an attendance file'}
             </p>
-            <p className="text-sm text-gray-500 mb-3">or drag and drop CSV file here</p>
+            <p className="text-sm text-gray-500 mb-3">.csv, .dat (ZKTeco) or .xlsx — up to 5 MB</p>
             
             {selectedFile && (
               <div className="text-sm text-green-700 bg-green-100 px-3 py-2 rounded inline-block">
@@ -206,13 +314,42 @@ export default function CSVImportModal({ onClose, onSuccess }) {
             <input
               ref={fileInputRef}
               type="file"
-              accept=".csv"
+              accept={ACCEPTED_EXTENSIONS.join(',')}
               onChange={handleFileSelect}
               className="hidden"
               disabled={loading}
             />
           </div>
 
+          {/* Format & profile */}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <label className="block text-sm text-gray-700">Import profile
+              <select value={profileId} disabled={loading}
+                onChange={e => { setProfileId(e.target.value); setPreview(null); }}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg">
+                <option value="">None — standard layout</option>
+                {profiles.map(p => <option key={p._id} value={p._id}>{p.name}</option>)}
+              </select>
+              <span className="block text-xs text-gray-400 mt-1">Column layouts are managed under Imports.</span>
+            </label>
+            <label className="block text-sm text-gray-700">File format
+              <select value={profileId ? 'csv' : format} disabled={loading || Boolean(profileId)}
+                onChange={e => { setFormat(e.target.value); setPreview(null); }}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg disabled:bg-gray-100">
+                {FORMATS.map(f => <option key={f.value} value={f.value}>{f.label}</option>)}
+              </select>
+            </label>
+            <label className="block text-sm text-gray-700 md:col-span-2">Device serial (optional)
+              <input value={deviceSerial} disabled={loading}
+                onChange={e => { setDeviceSerial(e.target.value); setPreview(null); }}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg disabled:bg-gray-100"
+                placeholder="e.g. CQZ7224560123" />
+              <span className="block text-xs text-gray-400 mt-1">
+                The terminal this file came from — used when device IDs are mapped per device.
+              </span>
+            </label>
+          </div>
+
           {/* Processing Log */}
           {processingLog.length > 0 && (
             <div className="bg-gray-50 rounded-lg border border-gray-200 p-4 max-h-80 overflow-y-auto">
@@ -231,10 +368,89 @@ export default function CSVImportModal({ onClose, onSuccess }) {
             </div>
           )}
 
+          {/* Same file already imported */}
+          {preview?.duplicateOf && (
+            <div className="flex gap-3 bg-amber-50 border border-amber-300 text-amber-800 rounded-lg p-4 text-sm">
+              <AlertCircle size={20} className="shrink-0" />
+              <p>
+                This exact file was already imported as <b>{preview.duplicateOf.fileName}</b> on{' '}
+                {new Date(preview.duplicateOf.importedAt).toLocaleString()}
+                {preview.duplicateOf.importedBy ? ` by ${preview.duplicateOf.importedBy}` : ''}.
+                Importing it again overwrites those days — check Import History before confirming.
+              </p>
+            </div>
+          )}
+
+          {/* Device IDs with no employee */}
+          {preview?.unmapped?.length > 0 && (
+            <div className="flex gap-3 bg-amber-50 border border-amber-300 text-amber-800 rounded-lg p-4 text-sm">
+              <AlertCircle size={20} className="shrink-0" />
+              <p>
+                {preview.unmapped.length} device ID(s) are not mapped to an employee:{' '}
+                <b>{preview.unmapped.map(u => `${u.deviceId}${u.name ? ` (${u.name})` : ''}`).join(', ')}</b>.
+                Their punches are skipped and queued — map them under Imports and reprocess, no re-upload needed.
+              </p>
+            </div>
+          )}
+
+          {/* Preview Diff */}
+          {preview && (
+            <div className="border border-gray-200 rounded-lg">
+              <div className="flex items-center justify-between p-3 border-b bg-gray-50">
+                <p className="text-sm font-bold text-gray-800">🔍 Preview — nothing has been saved yet</p>
+                <label className="flex items-center gap-2 text-xs text-gray-600">
+                  <input type="checkbox" checked={hideSkipped} onChange={e => setHideSkipped(e.target.checked)} />
+                  Hide skipped
+                </label>
+              </div>
+              <div className="max-h-80 overflow-auto">
+                <table className="w-full text-xs">
+                  <thead className="bg-gray-100 sticky top-0">
+                    <tr>
+                      <th className="px-3 py-2 text-left">Employee</th>
+                      <th className="px-3 py-2 text-left">Date</th>
+                      <th className="px-3 py-2 text-left">Action</th>
+                      {DIFF_CELLS.map(c => <th key={c.key} className="px-3 py-2 text-left">{c.label}</th>)}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {preview.rows
+                      .filter(r => !hideSkipped || r.action !== 'skip')
+                      .map((r, idx) => (
+                        <tr key={idx} className="border-t align-top">
+                          <td className="px-3 py-2">
+                            <div className="font-medium text-gray-800">{r.empName}</div>
+                            <div className="text-gray-500">#{r.empNumber}</div>
+                          </td>
+                          <td className="px-3 py-2 whitespace-nowrap">{r.date}</td>
+                          <td className="px-3 py-2">
+                            <span className={`px-2 py-0.5 rounded-full font-semibold capitalize ${ACTION_STYLES[r.action]}`}>
+                              {r.action}
+                            </span>
+                            {r.reason && <div className="text-gray-500 mt-1">{r.reason}</div>}
+                          </td>
+                          {DIFF_CELLS.map(c => (
+                            <td key={c.key} className="px-3 py-2 whitespace-nowrap">
+                              <DiffCell cell={c} before={r.before} after={r.after} />
+                            </td>
+                          ))}
+                        </tr>
+                      ))}
+                  </tbody>
+                </table>
+                {preview.rows.length === 0 && (
+                  <p className="p-4 text-center text-sm text-gray-500">No employee-days found in the file.</p>
+                )}
+              </div>
+            </div>
+          )}
+
           {/* Import Summary */}
           {importSummary && (
             <div className="bg-gradient-to-r from-purple-50 to-purple-100 border border-purple-300 rounded-lg p-4">
-              <p className="text-sm font-bold text-purple-900 mb-3">📈 Import Summary:</p>
+              <p className="text-sm font-bold text-purple-900 mb-3">
+                {preview ? '📈 Preview Summary (would be saved):' : '📈 Import Summary:'}
+              </p>
               <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
                 <div className="bg-white p-3 rounded text-center">
                   <p className="text-xs text-gray-600">Total Rows</p>
@@ -276,23 +492,43 @@ export default function CSVImportModal({ onClose, onSuccess }) {
           >
             Cancel
           </button>
-          <button
-            onClick={handleUpload}
-            disabled={!selectedFile || loading}
-            className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition font-medium disabled:opacity-50 flex items-center justify-center gap-2"
-          >
-            {loading ? (
-              <>
-                <Loader size={18} className="animate-spin" />
-                Importing...
-              </>
-            ) : (
-              <>
-                <Upload size={18} />
-                Import CSV
-              </>
-            )}
-          </button>
+          {!preview ? (
+            <button
+              onClick={handlePreview}
+              disabled={!selectedFile || loading}
+              className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition font-medium disabled:opacity-50 flex items-center justify-center gap-2"
+            >
+              {loading ? (
+                <>
+                  <Loader size={18} className="animate-spin" />
+                  Processing...
+                </>
+              ) : (
+                <>
+                  <Eye size={18} />
+                  Preview Import
+                </>
+              )}
+            </button>
+          ) : (
+            <button
+              onClick={handleUpload}
+              disabled={loading || (importSummary?.recordsCreated ?? 0) + (importSummary?.recordsUpdated ?? 0) === 0}
+              className="flex-1 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition font-medium disabled:opacity-50 flex items-center justify-center gap-2"
+            >
+              {loading ? (
+                <>
+                  <Loader size={18} className="animate-spin" />
+                  Importing...
+                </>
+              ) : (
+                <>
+                  <Upload size={18} />
+                  Confirm Import
+                </>
+              )}
+            </button>
+          )}
         </div>
       </div>
     </div>
@@ -0,0 +1,322 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { Save, RotateCcw } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../context/AuthContext.js';
+import { useSettings, DEFAULT_SETTINGS } from '../../context/SettingsContext.js';
+import HolidayCalendar from './HolidayCalendar.jsx';
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const NUMBER_FIELDS = [
+  { key: 'payCycleStartDay',     label: 'Pay Cycle Start Day', min: 1, max: 28, step: 1,
+    hint: 'A period runs from this day to the day before it next month. 1 = calendar months.' },
+  { key: 'workingDaysPerMonth',  label: 'Working Days / Month', min: 1, max: 31, step: 1,
+    hint: 'Monthly salary ÷ (days × hours) gives the hourly rate.' },
+  { key: 'hoursPerDay',          label: 'Hours / Day', min: 1, max: 24, step: 0.5,
+    hint: 'Standard day used for the hourly rate and leave encashment.' },
+  { key: 'breakAllowanceMinutes', label: 'Break Allowance (minutes / day)', min: 0, max: 240, step: 5,
+    hint: 'Lunch and prayer breaks between punch pairs, see "Breaks are paid" below.' },
+  { key: 'leaveEligibilityDays', label: 'Leave Eligibility (days of service)', min: 0, step: 1,
+    hint: 'Employees may request leave once they have served this many days.' },
+  { key: 'annualLeaveDays',      label: 'Annual Leave (days / year)', min: 0, step: 0.5,
+    hint: 'Paid leave entitlement; unused days are encashed in final settlements.' }
+];
+
+const STATUS_FIELDS = [
+  { key: 'lateGraceMinutes',  label: 'Late Grace (minutes)', min: 0, max: 240, step: 1,
+    hint: 'Checking in up to this many minutes after shift start is still on time.' },
+  { key: 'earlyLeaveMinutes', label: 'Early Leave Threshold (minutes)', min: 0, max: 720, step: 5,
+    hint: 'Checking out more than this many minutes before shift end is Early Leave. 0 = off.' },
+  { key: 'halfDayMinHours',   label: 'Full Day Minimum (hours)', min: 0, max: 24, step: 0.5,
+    hint: 'Days with fewer hours worked are a Half Day, paid and counted as half. 0 = off.' }
+];
+
+const OVERTIME_FIELDS = [
+  { key: 'otThresholdMinutes',    label: 'OT Threshold (minutes)', min: 0, max: 240, step: 5,
+    hint: 'Time beyond the shift below this is not overtime; above it, all of it is.' },
+  { key: 'otDailyCapHours',       label: 'Daily Cap (hours)', min: 0, max: 24, step: 0.5,
+    hint: 'Most automatic overtime paid for one day. 0 = no cap.' },
+  { key: 'otMonthlyCapHours',     label: 'Pay Period Cap (hours)', min: 0, max: 400, step: 1,
+    hint: 'Most automatic overtime paid in one pay period. 0 = no cap.' },
+  { key: 'otMultiplierWeekday',   label: 'Weekday Multiplier', min: 1, max: 5, step: 0.25,
+    hint: 'Hours beyond the shift on a working day.' },
+  { key: 'otMultiplierWeeklyOff', label: 'Weekly Off Multiplier', min: 1, max: 5, step: 0.25,
+    hint: 'Every hour worked on a weekly day off.' },
+  { key: 'otMultiplierHoliday',   label: 'Public Holiday Multiplier', min: 1, max: 5, step: 0.25,
+    hint: 'Every hour worked on a public holiday.' }
+];
+
+const NIGHT_DIFF_TYPES = [
+  { value: 'off',     label: 'Off' },
+  { value: 'percent', label: 'Percentage of the hourly rate' },
+  { value: 'fixed',   label: 'Fixed amount per hour' }
+];
+
+const MISSING_PUNCH_POLICIES = [
+  { value: 'unpaid',  label: 'Unpaid' },
+  { value: 'half',    label: 'Pay 50% of the shift' },
+  { value: 'full',    label: 'Pay the full shift' },
+  { value: 'deduct',  label: 'Pay the shift less a fixed amount' },
+  { value: 'pending', label: 'Hold as Pending Regularization' }
+];
+
+// ─────────────────────────────────────────────────────────────────────────────
+
+export default function CompanySettings() {
+  const { role } = useAuth();
+  const { applySettings } = useSettings();
+  const canEdit = role === 'superadmin';
+
+  const [form,    setForm]    = useState(null);
+  const [meta,    setMeta]    = useState({});
+  const [saving,  setSaving]  = useState(false);
+
+  const authHeader = () => ({ headers: { Authorization: `Bearer ${localStorage.getItem('token')}` } });
+
+  const loadFrom = useCallback((data) => {
+    setForm({ ...data.settings });
+    setMeta({ currentPeriod: data.currentPeriod, updatedAt: data.updatedAt, updatedBy: data.updatedBy });
+    applySettings(data.settings);
+  }, [applySettings]);
+
+  const fetchSettings = useCallback(async () => {
+    try {
+      const res = await axios.get('/api/settings', {
+        headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
+      });
+      loadFrom(res.data);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load company settings');
+    }
+  }, [loadFrom]);
+
+  useEffect(() => { fetchSettings(); }, [fetchSettings]);
+
+  // ── form ───────────────────────────────────────────────────────────────────
+
+  const toggleWeekend = (day) => setForm(f => ({
+    ...f,
+    weekendDays: f.weekendDays.includes(day)
+      ? f.weekendDays.filter(d => d !== day)
+      : [...f.weekendDays, day].sort()
+  }));
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const res = await axios.put('/api/settings', form, authHeader());
+      toast.success(res.data.message);
+      loadFrom(res.data);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to save company settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // ── render ─────────────────────────────────────────────────────────────────
+
+  if (!form) {
+    return <div className="p-6 text-gray-500">Loading settings…</div>;
+  }
+
+  return (
+    <div className="p-4 md:p-6 bg-gray-50 min-h-screen">
+      <div className="flex flex-col md:flex-row justify-between items-start md:items-center mb-6 gap-4">
+        <h1 className="text-2xl md:text-3xl font-bold text-gray-800">Company Settings</h1>
+        {canEdit && (
+          <div className="flex gap-2">
+            <button onClick={() => setForm({ ...DEFAULT_SETTINGS })}
+              className="flex items-center gap-1 px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-100">
+              <RotateCcw size={14} /> Defaults
+            </button>
+            <button onClick={handleSave} disabled={saving}
+              className="flex items-center gap-1 px-4 py-2 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50">
+              <Save size={14} /> {saving ? 'Saving…' : 'Save Settings'}
+            </button>
+          </div>
+        )}
+      </div>
+
+      {!canEdit && (
+        <div className="bg-amber-50 border border-amber-200 text-amber-800 text-sm rounded-lg p-3 mb-6">
+          Only a superadmin can change company settings.
+        </div>
+      )}
+
+      <section className="bg-white rounded-lg shadow p-6 mb-6">
+        <h2 className="text-xl font-bold text-gray-800 mb-2">Pay Cycle & Working Time</h2>
+        {meta.currentPeriod && (
+          <p className="text-sm text-gray-500 mb-6">
+            Current pay period: <b>{meta.currentPeriod.startDate} – {meta.currentPeriod.endDate}</b>
+            {' '}({meta.currentPeriod.periodLabel}). Changes apply to payroll generated afterwards;
+            regenerate draft records to pick them up.
+          </p>
+        )}
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+          {NUMBER_FIELDS.map(f => (
+            <label key={f.key} className="text-sm text-gray-700">{f.label}
+              <input type="number" min={f.min} max={f.max} step={f.step} value={form[f.key]}
+                disabled={!canEdit}
+                onChange={e => setForm({ ...form, [f.key]: e.target.value })}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg disabled:bg-gray-100" />
+              <span className="block text-xs text-gray-400 mt-1">{f.hint}</span>
+            </label>
+          ))}
+        </div>
+
+        <label className="flex items-center gap-2 text-sm text-gray-700 mb-6">
+          <input type="checkbox" checked={form.breakPaid} disabled={!canEdit}
+            onChange={e => setForm({ ...form, breakPaid: e.target.checked })} />
+          Breaks are paid — punched breaks up to the allowance count as worked time. When unchecked the
+          allowance is unpaid every day, even if no break was punched.
+        </label>
+
+        <p className="text-sm font-medium text-gray-700 mb-2">Weekend Days</p>
+        <div className="flex flex-wrap gap-3">
+          {WEEKDAYS.map((name, day) => (
+            <label key={day} className="flex items-center gap-2 text-sm text-gray-700">
+              <input type="checkbox" checked={form.weekendDays.includes(day)} disabled={!canEdit}
+                onChange={() => toggleWeekend(day)} />
+              {name}
+            </label>
+          ))}
+        </div>
+      </section>
+
+      <section className="bg-white rounded-lg shadow p-6 mb-6">
+        <h2 className="text-xl font-bold text-gray-800 mb-2">Attendance Status</h2>
+        <p className="text-sm text-gray-500 mb-6">
+          Applied when attendance is imported or saved. Existing days keep their status until they are
+          re-imported or edited.
+        </p>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          {STATUS_FIELDS.map(f => (
+            <label key={f.key} className="text-sm text-gray-700">{f.label}
+              <input type="number" min={f.min} max={f.max} step={f.step} value={form[f.key]}
+                disabled={!canEdit}
+                onChange={e => setForm({ ...form, [f.key]: e.target.value })}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg disabled:bg-gray-100" />
+              <span className="block text-xs text-gray-400 mt-1">{f.hint}</span>
+            </label>
+          ))}
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mt-6">
+          <label className="text-sm text-gray-700 md:col-span-2">Missing Punch Pay
+            <select value={form.missingPunchPolicy} disabled={!canEdit}
+              onChange={e => setForm({ ...form, missingPunchPolicy: e.target.value })}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg disabled:bg-gray-100">
+              {MISSING_PUNCH_POLICIES.map(p => <option key={p.value} value={p.value}>{p.label}</option>)}
+            </select>
+            <span className="block text-xs text-gray-400 mt-1">
+              A day with only a check-in or only a check-out. Pending days are unpaid until an approved
+              correction supplies the missing punch.
+            </span>
+          </label>
+          {form.missingPunchPolicy === 'deduct' && (
+            <label className="text-sm text-gray-700">Missing Punch Deduction ({form.currency})
+              <input type="number" min={0} step="any" value={form.missingPunchDeduction} disabled={!canEdit}
+                onChange={e => setForm({ ...form, missingPunchDeduction: e.target.value })}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg disabled:bg-gray-100" />
+              <span className="block text-xs text-gray-400 mt-1">Taken off the day's shift pay.</span>
+            </label>
+          )}
+        </div>
+      </section>
+
+      <section className="bg-white rounded-lg shadow p-6 mb-6">
+        <h2 className="text-xl font-bold text-gray-800 mb-2">Overtime</h2>
+        <p className="text-sm text-gray-500 mb-6">
+          Payroll pays the hours worked beyond the schedule as overtime, at the day&apos;s hourly rate times
+          the multiplier, on top of any OT entered by hand. Hours base pay already covers get only the premium
+          above it (multiplier − 1): every hour for hourly employees, and days off and holidays worked by monthly
+          employees, which their salary pays as present days. A day with manual OT keeps it and gets no
+          automatic overtime.
+        </p>
+        <label className="flex items-center gap-2 text-sm text-gray-700 mb-4">
+          <input type="checkbox" checked={form.autoOtEnabled} disabled={!canEdit}
+            onChange={e => setForm({ ...form, autoOtEnabled: e.target.checked })} />
+          Calculate overtime automatically
+        </label>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          {OVERTIME_FIELDS.map(f => (
+            <label key={f.key} className="text-sm text-gray-700">{f.label}
+              <input type="number" min={f.min} max={f.max} step={f.step} value={form[f.key]}
+                disabled={!canEdit || !form.autoOtEnabled}
+                onChange={e => setForm({ ...form, [f.key]: e.target.value })}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg disabled:bg-gray-100" />
+              <span className="block text-xs text-gray-400 mt-1">{f.hint}</span>
+            </label>
+          ))}
+        </div>
+      </section>
+
+      <section className="bg-white rounded-lg shadow p-6 mb-6">
+        <h2 className="text-xl font-bold text-gray-800 mb-2">Night Differential</h2>
+        <p className="text-sm text-gray-500 mb-6">
+          Extra pay for every hour worked inside the night window, measured from the actual check-in and
+          check-out. It is listed as its own earnings line in payroll and on payslips.
+        </p>
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <label className="text-sm text-gray-700">Differential
+            <select value={form.nightDiffType} disabled={!canEdit}
+              onChange={e => setForm({ ...form, nightDiffType: e.target.value })}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg disabled:bg-gray-100">
+              {NIGHT_DIFF_TYPES.map(t => <option key={t.value} value={t.value}>{t.label}</option>)}
+            </select>
+          </label>
+          <label className="text-sm text-gray-700">
+            {form.nightDiffType === 'fixed' ? `Amount per Hour (${form.currency})` : 'Uplift (%)'}
+            <input type="number" min={0} step="any" value={form.nightDiffValue}
+              disabled={!canEdit || form.nightDiffType === 'off'}
+              onChange={e => setForm({ ...form, nightDiffValue: e.target.value })}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg disabled:bg-gray-100" />
+          </label>
+          <label className="text-sm text-gray-700">Night Window Starts
+            <input type="time" value={form.nightWindowStart}
+              disabled={!canEdit || form.nightDiffType === 'off'}
+              onChange={e => setForm({ ...form, nightWindowStart: e.target.value })}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg disabled:bg-gray-100" />
+          </label>
+          <label className="text-sm text-gray-700">Night Window Ends
+            <input type="time" value={form.nightWindowEnd}
+              disabled={!canEdit || form.nightDiffType === 'off'}
+              onChange={e => setForm({ ...form, nightWindowEnd: e.target.value })}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg disabled:bg-gray-100" />
+            <span className="block text-xs text-gray-400 mt-1">Before the start time means the next morning.</span>
+          </label>
+        </div>
+      </section>
+
+      <section className="bg-white rounded-lg shadow p-6">
+        <h2 className="text-xl font-bold text-gray-800 mb-2">Currency</h2>
+        <p className="text-sm text-gray-500 mb-6">
+          Used on payslips, settlement statements and amounts formatted by the backend.
+        </p>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <label className="text-sm text-gray-700">Currency Code
+            <input value={form.currency} maxLength={3} disabled={!canEdit}
+              onChange={e => setForm({ ...form, currency: e.target.value.toUpperCase() })}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg disabled:bg-gray-100" placeholder="PKR" />
+          </label>
+          <label className="text-sm text-gray-700">Number Locale
+            <input value={form.locale} disabled={!canEdit}
+              onChange={e => setForm({ ...form, locale: e.target.value })}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg disabled:bg-gray-100" placeholder="en-PK" />
+          </label>
+        </div>
+      </section>
+
+      {meta.updatedAt && (
+        <p className="text-xs text-gray-400 mt-4">
+          Last updated {new Date(meta.updatedAt).toLocaleString()}{meta.updatedBy ? ` by ${meta.updatedBy}` : ''}
+        </p>
+      )}
+
+      <HolidayCalendar />
+    </div>
+  );
+}
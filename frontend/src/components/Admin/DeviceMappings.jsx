@@ -0,0 +1,270 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { Plus, Trash2, Edit2, RefreshCw, EyeOff } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const EMPTY_MAPPING = { id: null, deviceId: '', deviceSerial: '', employeeId: '', notes: '' };
+
+const employeeLabel = (e) => (e ? `${e.firstName} ${e.lastName} (#${e.employeeNumber})` : 'Employee removed');
+
+const dateRange = (from, to) => {
+  if (!from) return '—';
+  const a = new Date(from).toLocaleDateString();
+  const b = new Date(to).toLocaleDateString();
+  return a === b ? a : `${a} – ${b}`;
+};
+
+/**
+ * Device enrollment ID → employee links (models/DeviceMapping.js) and the
+ * queue of IDs imports could not match (models/PendingMapping.js).
+ * Mapping a queued ID reprocesses its stored punches. Shown on the Import History page.
+ */
+export default function DeviceMappings() {
+  const [mappings,  setMappings]  = useState([]);
+  const [pending,   setPending]   = useState([]);
+  const [employees, setEmployees] = useState([]);
+  const [choice,    setChoice]    = useState({});     // pending _id → employee _id
+  const [form,      setForm]      = useState(null);   // null = form closed
+  const [busy,      setBusy]      = useState(false);
+
+  const authHeader = () => ({ headers: { Authorization: `Bearer ${localStorage.getItem('token')}` } });
+
+  const fetchAll = useCallback(async () => {
+    const headers = { Authorization: `Bearer ${localStorage.getItem('token')}` };
+    try {
+      const [mapRes, pendRes, empRes] = await Promise.all([
+        axios.get('/api/device-mappings', { headers }),
+        axios.get('/api/device-mappings/pending', { headers }),
+        axios.get('/api/employees?status=Active', { headers })
+      ]);
+      setMappings(mapRes.data.mappings || []);
+      setPending(pendRes.data.pending || []);
+      setEmployees(empRes.data.employees || []);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load device mappings');
+    }
+  }, []);
+
+  useEffect(() => { fetchAll(); }, [fetchAll]);
+
+  // ── pending queue ──────────────────────────────────────────────────────────
+
+  const mapAndReprocess = async (entry) => {
+    if (!choice[entry._id]) {
+      toast.error('Pick the employee this device ID belongs to');
+      return;
+    }
+    setBusy(true);
+    try {
+      await axios.post(`/api/device-mappings/pending/${entry._id}/resolve`, { employeeId: choice[entry._id] }, authHeader());
+      const res = await axios.post('/api/attendance/reprocess-pending', { ids: [entry._id] }, authHeader());
+      const { recordsCreated = 0, recordsUpdated = 0 } = res.data.summary || {};
+      toast.success(`${res.data.message} — ${recordsCreated} created, ${recordsUpdated} updated`);
+      fetchAll();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to reprocess device ID');
+      fetchAll();
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const ignore = async (entry) => {
+    if (!window.confirm(`Ignore device ID ${entry.deviceId}? Its ${entry.punchCount} punch(es) will not be imported.`)) return;
+    try {
+      const res = await axios.post(`/api/device-mappings/pending/${entry._id}/ignore`, {}, authHeader());
+      toast.success(res.data.message);
+      fetchAll();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to ignore device ID');
+    }
+  };
+
+  // ── mappings ───────────────────────────────────────────────────────────────
+
+  const editMapping = (m) => setForm({
+    id:           m._id,
+    deviceId:     m.deviceId,
+    deviceSerial: m.deviceSerial || '',
+    employeeId:   m.employee?._id || '',
+    notes:        m.notes || ''
+  });
+
+  const saveMapping = async () => {
+    const { id, ...body } = form;
+    setBusy(true);
+    try {
+      const res = id
+        ? await axios.put(`/api/device-mappings/${id}`, body, authHeader())
+        : await axios.post('/api/device-mappings', body, authHeader());
+      toast.success(res.data.message);
+      setForm(null);
+      fetchAll();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to save device mapping');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const deleteMapping = async (m) => {
+    if (!window.confirm(`Remove the mapping for device ID ${m.deviceId}? Attendance already imported is kept.`)) return;
+    try {
+      const res = await axios.delete(`/api/device-mappings/${m._id}`, authHeader());
+      toast.success(res.data.message);
+      fetchAll();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to remove device mapping');
+    }
+  };
+
+  const employeeOptions = employees.map(e => (
+    <option key={e._id} value={e._id}>{e.firstName} {e.lastName} (#{e.employeeNumber})</option>
+  ));
+
+  // ── render ─────────────────────────────────────────────────────────────────
+
+  return (
+    <section className="bg-white rounded-lg shadow p-6 mt-6">
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="text-xl font-bold text-gray-800">Device ID Mapping</h2>
+        {!form && (
+          <button onClick={() => setForm({ ...EMPTY_MAPPING })}
+            className="flex items-center gap-1 px-3 py-2 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700">
+            <Plus size={14} /> New Mapping
+          </button>
+        )}
+      </div>
+      <p className="text-sm text-gray-500 mb-4">
+        Biometric devices number people with their own enrollment IDs. Imports look the ID up here first, then
+        fall back to the employee number. Leave the serial blank for a mapping that applies to every device.
+      </p>
+
+      {/* Pending queue */}
+      {pending.length > 0 && (
+        <div className="border border-amber-300 bg-amber-50 rounded-lg p-4 mb-6">
+          <p className="text-sm font-medium text-amber-800 mb-3">
+            {pending.length} unknown device ID(s) from imports — map them to import their punches
+          </p>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="text-amber-900">
+                <tr>
+                  <th className="px-3 py-2 text-left">Device ID</th>
+                  <th className="px-3 py-2 text-left">Serial</th>
+                  <th className="px-3 py-2 text-left">Name in file</th>
+                  <th className="px-3 py-2 text-right">Punches</th>
+                  <th className="px-3 py-2 text-left">Dates</th>
+                  <th className="px-3 py-2 text-left">Employee</th>
+                  <th className="px-3 py-2"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {pending.map(p => (
+                  <tr key={p._id} className="border-t border-amber-200">
+                    <td className="px-3 py-2 font-medium">{p.deviceId}</td>
+                    <td className="px-3 py-2 text-gray-600">{p.deviceSerial || 'any'}</td>
+                    <td className="px-3 py-2 text-gray-600">{p.nameInFile || '—'}</td>
+                    <td className="px-3 py-2 text-right">{p.punchCount}</td>
+                    <td className="px-3 py-2 text-gray-600 whitespace-nowrap">{dateRange(p.fromDate, p.toDate)}</td>
+                    <td className="px-3 py-2">
+                      <select value={choice[p._id] || ''} disabled={busy}
+                        onChange={e => setChoice(c => ({ ...c, [p._id]: e.target.value }))}
+                        className="w-full px-2 py-1.5 border border-gray-300 rounded-lg text-sm bg-white">
+                        <option value="">Select employee…</option>
+                        {employeeOptions}
+                      </select>
+                    </td>
+                    <td className="px-3 py-2">
+                      <div className="flex gap-2 justify-end whitespace-nowrap">
+                        <button onClick={() => mapAndReprocess(p)} disabled={busy}
+                          className="flex items-center gap-1 px-3 py-1.5 bg-blue-600 text-white rounded-lg text-xs hover:bg-blue-700 disabled:opacity-50">
+                          <RefreshCw size={12} /> Map & reprocess
+                        </button>
+                        <button onClick={() => ignore(p)} disabled={busy}
+                          className="flex items-center gap-1 px-3 py-1.5 border border-gray-300 rounded-lg text-xs text-gray-700 hover:bg-gray-100 disabled:opacity-50">
+                          <EyeOff size={12} /> Ignore
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {form && (
+        <div className="border border-gray-200 rounded-lg p-4 mb-6 space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+            <label className="text-sm text-gray-700">Device ID
+              <input value={form.deviceId} onChange={e => setForm({ ...form, deviceId: e.target.value })}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg" placeholder="17" />
+            </label>
+            <label className="text-sm text-gray-700">Device serial
+              <input value={form.deviceSerial} onChange={e => setForm({ ...form, deviceSerial: e.target.value })}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg" placeholder="blank = any device" />
+            </label>
+            <label className="text-sm text-gray-700 md:col-span-2">Employee
+              <select value={form.employeeId} onChange={e => setForm({ ...form, employeeId: e.target.value })}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg">
+                <option value="">Select employee…</option>
+                {employeeOptions}
+              </select>
+            </label>
+            <label className="text-sm text-gray-700 md:col-span-4">Notes
+              <input value={form.notes} onChange={e => setForm({ ...form, notes: e.target.value })}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg" placeholder="Re-enrolled after finger injury…" />
+            </label>
+          </div>
+
+          <div className="flex gap-2">
+            <button onClick={saveMapping} disabled={busy}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50">
+              {busy ? 'Saving…' : form.id ? 'Update Mapping' : 'Add Mapping'}
+            </button>
+            <button onClick={() => setForm(null)}
+              className="px-4 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-100">
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {mappings.length === 0 ? (
+        <p className="text-sm text-gray-500">No device mappings yet — IDs are matched to employee numbers.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-100 text-gray-700">
+              <tr>
+                <th className="px-3 py-2 text-left">Device ID</th>
+                <th className="px-3 py-2 text-left">Serial</th>
+                <th className="px-3 py-2 text-left">Employee</th>
+                <th className="px-3 py-2 text-left">Notes</th>
+                <th className="px-3 py-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {mappings.map(m => (
+                <tr key={m._id} className="border-t">
+                  <td className="px-3 py-2 font-medium text-gray-800">{m.deviceId}</td>
+                  <td className="px-3 py-2 text-gray-600">{m.deviceSerial || 'any'}</td>
+                  <td className="px-3 py-2 text-gray-700">{employeeLabel(m.employee)}</td>
+                  <td className="px-3 py-2 text-xs text-gray-500">{m.notes}</td>
+                  <td className="px-3 py-2">
+                    <div className="flex gap-2 justify-end">
+                      <button onClick={() => editMapping(m)} className="text-blue-600 hover:text-blue-800"><Edit2 size={14} /></button>
+                      <button onClick={() => deleteMapping(m)} className="text-red-600 hover:text-red-800"><Trash2 size={14} /></button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,213 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { Plus, Trash2, Edit2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useSettings } from '../../context/SettingsContext.js';
+
+// ── helpers ───────────────────────────────────────────────────────────────────
+
+const emptyForm = () => ({
+  id:           null,
+  name:         '',
+  code:         '',
+  calcType:     'fixed',
+  defaultValue: 0,
+  taxable:      true,
+  isActive:     true
+});
+
+const describeValue = (c, formatMoney) =>
+  c.calcType === 'percentOfBasic' ? `${c.defaultValue}% of basic` : `${formatMoney(c.defaultValue)} / month`;
+
+// ─────────────────────────────────────────────────────────────────────────────
+
+export default function EarningComponents() {
+  const { settings, formatMoney } = useSettings();
+  const [components, setComponents] = useState([]);
+  const [form,       setForm]       = useState(null);     // null = form closed
+  const [saving,     setSaving]     = useState(false);
+
+  const authHeader = () => ({ headers: { Authorization: `Bearer ${localStorage.getItem('token')}` } });
+
+  const fetchComponents = useCallback(async () => {
+    try {
+      const res = await axios.get('/api/earning-components', {
+        headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
+      });
+      setComponents(res.data.components || []);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load earnings components');
+    }
+  }, []);
+
+  useEffect(() => { fetchComponents(); }, [fetchComponents]);
+
+  // ── actions ────────────────────────────────────────────────────────────────
+
+  const editComponent = (c) => setForm({
+    id:           c._id,
+    name:         c.name,
+    code:         c.code,
+    calcType:     c.calcType,
+    defaultValue: c.defaultValue,
+    taxable:      c.taxable,
+    isActive:     c.isActive
+  });
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const body = {
+        name:         form.name,
+        code:         form.code,
+        calcType:     form.calcType,
+        defaultValue: Number(form.defaultValue || 0),
+        taxable:      form.taxable,
+        isActive:     form.isActive
+      };
+      const res = form.id
+        ? await axios.put(`/api/earning-components/${form.id}`, body, authHeader())
+        : await axios.post('/api/earning-components', body, authHeader());
+      toast.success(res.data.message);
+      setForm(null);
+      fetchComponents();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to save earnings component');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleActive = async (c) => {
+    try {
+      await axios.put(`/api/earning-components/${c._id}`, { isActive: !c.isActive }, authHeader());
+      toast.success(`${c.name} ${c.isActive ? 'deactivated' : 'activated'}`);
+      fetchComponents();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to update earnings component');
+    }
+  };
+
+  const handleDelete = async (c) => {
+    if (!window.confirm(`Delete ${c.name}? This only works while no employee has it assigned.`)) return;
+    try {
+      const res = await axios.delete(`/api/earning-components/${c._id}`, authHeader());
+      toast.success(res.data.message);
+      fetchComponents();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to delete earnings component');
+    }
+  };
+
+  // ── render ─────────────────────────────────────────────────────────────────
+
+  return (
+    <section className="bg-white rounded-lg shadow p-6">
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="text-xl font-bold text-gray-800">Section 6: Earnings Components</h2>
+        {!form && (
+          <button onClick={() => setForm(emptyForm())}
+            className="flex items-center gap-1 px-3 py-1.5 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700">
+            <Plus size={14} /> Add Component
+          </button>
+        )}
+      </div>
+      <p className="text-sm text-gray-500 mb-6">
+        Recurring allowances paid on top of basic salary. Assign them per employee from the Edit Employee
+        dialog; an employee-specific value overrides the default. Inactive components are skipped by payroll.
+      </p>
+
+      {/* Create / edit form */}
+      {form && (
+        <div className="border border-blue-200 bg-blue-50 rounded-lg p-4 mb-6">
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-4">
+            <label className="text-sm text-gray-700">Name
+              <input value={form.name} onChange={e => setForm({ ...form, name: e.target.value })}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg" placeholder="House Rent" />
+            </label>
+            <label className="text-sm text-gray-700">Code
+              <input value={form.code} onChange={e => setForm({ ...form, code: e.target.value.toUpperCase() })}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg" placeholder="HRA" />
+            </label>
+            <label className="text-sm text-gray-700">Calculation
+              <select value={form.calcType} onChange={e => setForm({ ...form, calcType: e.target.value })}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg bg-white">
+                <option value="fixed">Fixed amount / month</option>
+                <option value="percentOfBasic">% of basic salary</option>
+              </select>
+            </label>
+            <label className="text-sm text-gray-700">
+              Default {form.calcType === 'percentOfBasic' ? '(%)' : `(${settings.currency})`}
+              <input type="number" min="0" max={form.calcType === 'percentOfBasic' ? 100 : undefined}
+                value={form.defaultValue}
+                onChange={e => setForm({ ...form, defaultValue: e.target.value })}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg" />
+            </label>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-4">
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input type="checkbox" checked={form.taxable}
+                onChange={e => setForm({ ...form, taxable: e.target.checked })} />
+              Taxable
+            </label>
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input type="checkbox" checked={form.isActive}
+                onChange={e => setForm({ ...form, isActive: e.target.checked })} />
+              Active
+            </label>
+            <div className="flex-1" />
+            <button onClick={() => setForm(null)}
+              className="px-3 py-1.5 bg-gray-200 text-gray-700 rounded-lg text-sm hover:bg-gray-300">Cancel</button>
+            <button onClick={handleSave} disabled={saving}
+              className="px-3 py-1.5 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50">
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Catalogue */}
+      {components.length > 0 ? (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50">
+              <tr className="text-left text-gray-600">
+                <th className="px-3 py-2">Name</th>
+                <th className="px-3 py-2">Code</th>
+                <th className="px-3 py-2">Default</th>
+                <th className="px-3 py-2">Tax</th>
+                <th className="px-3 py-2">Status</th>
+                <th className="px-3 py-2" />
+              </tr>
+            </thead>
+            <tbody className="divide-y">
+              {components.map(c => (
+                <tr key={c._id} className={c.isActive ? '' : 'text-gray-400'}>
+                  <td className="px-3 py-2 font-medium">{c.name}</td>
+                  <td className="px-3 py-2 font-mono text-xs">{c.code}</td>
+                  <td className="px-3 py-2">{describeValue(c, formatMoney)}</td>
+                  <td className="px-3 py-2">{c.taxable ? 'Taxable' : 'Non-taxable'}</td>
+                  <td className="px-3 py-2">
+                    <button onClick={() => toggleActive(c)}
+                      className={`px-2 py-0.5 rounded-full text-xs font-medium ${
+                        c.isActive ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-500'
+                      }`}>
+                      {c.isActive ? 'Active' : 'Inactive'}
+                    </button>
+                  </td>
+                  <td className="px-3 py-2 text-right whitespace-nowrap">
+                    <button onClick={() => editComponent(c)} className="text-blue-600 hover:text-blue-800 mr-2"><Edit2 size={16} /></button>
+                    <button onClick={() => handleDelete(c)} className="text-red-500 hover:text-red-700"><Trash2 size={16} /></button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <div className="text-center py-6 text-gray-400">No earnings components yet — payroll pays basic salary and overtime only</div>
+      )}
+    </section>
+  );
+}
@@ -1,20 +1,24 @@
 import React, { useState, useEffect, useRef } from 'react';
 import axios from 'axios';
-import { X, Save, AlertCircle, Calendar, Shield } from 'lucide-react';
+import { X, Save, AlertCircle, Calendar, Shield, Plus, Trash2 } from 'lucide-react';
 import toast from 'react-hot-toast';
-import { formatToDDMMYYYY } from '../../utils/dateFormatter';
+import { formatToDDMMYYYY, formatToYYYYMMDD, formatDate } from '../../utils/dateFormatter';
+import WeeklyOffPicker from './WeeklyOffPicker.jsx';
+import { useSettings } from '../../context/SettingsContext.js';
 
 // currentUserRole passed from ManageEmployees
 export default function EditEmployeeModal({ employee, onClose, onSave, currentUserRole }) {
   const isSuperAdmin = currentUserRole === 'superadmin';
   // The role of the employee being edited (not the logged-in user)
   const targetRole   = employee?.role || 'employee';
+  const { settings, formatMoney } = useSettings();
 
   const [activeTab, setActiveTab] = useState('basic');
   const [loading, setLoading] = useState(false);
   const [dataLoading, setDataLoading] = useState(true);
   const [error, setError] = useState(null);
   const dateInputRef = useRef(null);
+  const [components, setComponents] = useState([]);   // earnings catalogue
 
   const [formData, setFormData] = useState({
     firstName:      '',
@@ -25,10 +29,12 @@ export default function EditEmployeeModal({ employee, onClose, onSave, currentUs
     role:           'employee',
     joiningDate:    '',
     shift:          { start: '09:00', end: '18:00' },
+    weeklyOff:      null,   // null = company weekend
     salaryType:     'hourly',
     hourlyRate:     0,
     monthlySalary:  '',
-    bank:           { bankName: '', accountName: '', accountNumber: '' }
+    bank:           { bankName: '', accountName: '', accountNumber: '' },
+    earnings:       []
   });
 
   const [errors, setErrors] = useState({});
@@ -39,11 +45,14 @@ export default function EditEmployeeModal({ employee, onClose, onSave, currentUs
       setError(null);
       try {
         const token = localStorage.getItem('token');
-        const response = await axios.get(`/api/employees/${employee._id}`, {
-          headers: { Authorization: `Bearer ${token}` }
-        });
+        const headers = { Authorization: `Bearer ${token}` };
+        const [response, catalogue] = await Promise.all([
+          axios.get(`/api/employees/${employee._id}`, { headers }),
+          axios.get('/api/earning-components', { headers })
+        ]);
 
         const emp = response.data.employee;
+        setComponents(catalogue.data.components || []);
 
         setFormData({
           firstName:      emp.firstName      || '',
@@ -56,10 +65,17 @@ export default function EditEmployeeModal({ employee, onClose, onSave, currentUs
             ? new Date(emp.joiningDate).toISOString().split('T')[0]
             : '',
           shift:          emp.shift          || { start: '09:00', end: '18:00' },
+          weeklyOff:      emp.weeklyOff      ?? null,
           salaryType:     emp.salaryType     || 'hourly',
           hourlyRate:     emp.hourlyRate     || 0,
           monthlySalary:  emp.monthlySalary  || '',
-          bank:           emp.bank           || { bankName: '', accountName: '', accountNumber: '' }
+          bank:           emp.bank           || { bankName: '', accountName: '', accountNumber: '' },
+          earnings:       (emp.earnings || []).map(e => ({
+            component:     String(e.component),
+            value:         e.value ?? '',
+            effectiveFrom: formatToYYYYMMDD(formatDate(e.effectiveFrom)),
+            effectiveTo:   e.effectiveTo ? formatToYYYYMMDD(formatDate(e.effectiveTo)) : ''
+          }))
         });
       } catch {
         setError('Failed to load employee data. Employee may no longer exist.');
@@ -83,6 +99,30 @@ export default function EditEmployeeModal({ employee, onClose, onSave, currentUs
     }
   };
 
+  // ── earnings rows ──────────────────────────────────────────────────────────
+  const updateEarning = (i, key, value) =>
+    setFormData(prev => ({
+      ...prev,
+      earnings: prev.earnings.map((e, j) => (j === i ? { ...e, [key]: value } : e))
+    }));
+
+  const addEarning = () => {
+    const first = components.find(c => c.isActive);
+    if (!first) return toast.error('Create an active earnings component first (Payroll Reports → Section 6)');
+    setFormData(prev => ({
+      ...prev,
+      earnings: [...prev.earnings, {
+        component:     first._id,
+        value:         '',
+        effectiveFrom: new Date().toISOString().slice(0, 10),
+        effectiveTo:   ''
+      }]
+    }));
+  };
+
+  const removeEarning = (i) =>
+    setFormData(prev => ({ ...prev, earnings: prev.earnings.filter((_, j) => j !== i) }));
+
   const isValidTime = (time) => /^([0-1][0-9]|2[0-3]):[0-5][0-9]$/.test(time);
 
   const calculateMonthlySalary = () => {
@@ -141,11 +181,18 @@ export default function EditEmployeeModal({ employee, onClose, onSave, currentUs
         lastName:      formData.lastName,
         department:    formData.department,
         shift:         formData.shift,
+        weeklyOff:     formData.weeklyOff,
         salaryType:    formData.salaryType,
         hourlyRate:    parseFloat(formData.hourlyRate) || 0,
         monthlySalary: formData.salaryType === 'monthly' ? parseFloat(formData.monthlySalary) : null,
         bank:          formData.bank,
         joiningDate:   formatToDDMMYYYY(formData.joiningDate),
+        earnings:      formData.earnings.map(e => ({
+          component:     e.component,
+          value:         e.value === '' ? null : parseFloat(e.value),
+          effectiveFrom: formatToDDMMYYYY(e.effectiveFrom),
+          effectiveTo:   e.effectiveTo ? formatToDDMMYYYY(e.effectiveTo) : null
+        })),
         // Only superadmin can change the role field
         ...(isSuperAdmin && { role: formData.role })
       };
@@ -235,7 +282,8 @@ export default function EditEmployeeModal({ employee, onClose, onSave, currentUs
             {[
               { key: 'basic', label: 'Basic Info' },
               { key: 'shift', label: 'Shift & Salary' },
-              { key: 'bank',  label: 'Bank Details' }
+              { key: 'bank',  label: 'Bank Details' },
+              { key: 'earnings', label: 'Earnings' }
             ].map(tab => (
               <button key={tab.key} type="button" onClick={() => setActiveTab(tab.key)}
                 className={`flex-1 px-4 py-3 font-medium border-b-2 transition ${
@@ -362,6 +410,9 @@ export default function EditEmployeeModal({ employee, onClose, onSave, currentUs
                 </div>
               </div>
 
+              <WeeklyOffPicker value={formData.weeklyOff} disabled={loading}
+                onChange={weeklyOff => setFormData(prev => ({ ...prev, weeklyOff }))} />
+
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">Salary Type *</label>
                 <select name="salaryType" value={formData.salaryType}
@@ -374,7 +425,7 @@ export default function EditEmployeeModal({ employee, onClose, onSave, currentUs
 
               {formData.salaryType === 'hourly' && (
                 <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-2">Hourly Rate (PKR) *</label>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Hourly Rate ({settings.currency}) *</label>
                   <input type="number" name="hourlyRate" value={formData.hourlyRate}
                     onChange={handleInputChange} disabled={loading} step="10" min="0"
                     className={`w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100 ${errors.hourlyRate ? 'border-red-500' : 'border-gray-300'}`} />
@@ -384,7 +435,7 @@ export default function EditEmployeeModal({ employee, onClose, onSave, currentUs
 
               {formData.salaryType === 'monthly' && (
                 <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-2">Monthly Salary (PKR) *</label>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Monthly Salary ({settings.currency}) *</label>
                   <input type="number" name="monthlySalary" value={formData.monthlySalary}
                     onChange={handleInputChange} disabled={loading} step="100" min="0" placeholder="e.g. 50000"
                     className={`w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100 ${errors.monthlySalary ? 'border-red-500' : 'border-gray-300'}`} />
@@ -397,9 +448,9 @@ export default function EditEmployeeModal({ employee, onClose, onSave, currentUs
                 {formData.salaryType === 'hourly' ? (
                   <>
                     <p className="text-sm text-gray-600 mb-1">Estimated Monthly Salary:</p>
-                    <p className="text-3xl font-bold text-blue-600">PKR {calculateMonthlySalary()}</p>
+                    <p className="text-3xl font-bold text-blue-600">{formatMoney(calculateMonthlySalary())}</p>
                     <p className="text-xs text-gray-500 mt-2">
-                      {formData.shift.start}–{formData.shift.end} × PKR {formData.hourlyRate}/hr × 22 days
+                      {formData.shift.start}–{formData.shift.end} × {formatMoney(formData.hourlyRate)}/hr × 22 days
                     </p>
                     <p className="text-xs text-amber-600 mt-1">
                       ⚠️ Estimate only — actual pay depends on working days in the pay period.
@@ -409,7 +460,7 @@ export default function EditEmployeeModal({ employee, onClose, onSave, currentUs
                   <>
                     <p className="text-sm text-gray-600 mb-1">Fixed Monthly Salary:</p>
                     <p className="text-3xl font-bold text-blue-600">
-                      PKR {formData.monthlySalary ? parseFloat(formData.monthlySalary).toFixed(2) : '0.00'}
+                      {formatMoney(formData.monthlySalary)}
                     </p>
                     <p className="text-xs text-gray-500 mt-2">Pro-rated by actual working days attended each pay period.</p>
                   </>
@@ -449,6 +500,78 @@ export default function EditEmployeeModal({ employee, onClose, onSave, currentUs
             </div>
           )}
 
+          {/* ── Earnings Tab ─────────────────────────────────────────────── */}
+          {activeTab === 'earnings' && (
+            <div className="space-y-4">
+              {formData.earnings.length > 0 ? (
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-600">
+                      <th className="py-1 pr-2">Component</th>
+                      <th className="py-1 pr-2">Value</th>
+                      <th className="py-1 pr-2">From</th>
+                      <th className="py-1 pr-2">To</th>
+                      <th />
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {formData.earnings.map((e, i) => {
+                      const comp = components.find(c => c._id === e.component);
+                      return (
+                        <tr key={i}>
+                          <td className="py-1 pr-2">
+                            <select value={e.component} onChange={ev => updateEarning(i, 'component', ev.target.value)}
+                              disabled={loading}
+                              className="w-full px-2 py-1 border border-gray-300 rounded bg-white">
+                              {components.map(c => (
+                                <option key={c._id} value={c._id} disabled={!c.isActive && c._id !== e.component}>
+                                  {c.name}{c.isActive ? '' : ' (inactive)'}
+                                </option>
+                              ))}
+                            </select>
+                          </td>
+                          <td className="py-1 pr-2">
+                            <input type="number" min="0" max={comp?.calcType === 'percentOfBasic' ? 100 : undefined}
+                              value={e.value} disabled={loading}
+                              onChange={ev => updateEarning(i, 'value', ev.target.value)}
+                              placeholder={comp ? `${comp.defaultValue}${comp.calcType === 'percentOfBasic' ? '%' : ''}` : ''}
+                              className="w-24 px-2 py-1 border border-gray-300 rounded" />
+                          </td>
+                          <td className="py-1 pr-2">
+                            <input type="date" value={e.effectiveFrom} disabled={loading}
+                              onChange={ev => updateEarning(i, 'effectiveFrom', ev.target.value)}
+                              className="px-2 py-1 border border-gray-300 rounded" />
+                          </td>
+                          <td className="py-1 pr-2">
+                            <input type="date" value={e.effectiveTo} min={e.effectiveFrom} disabled={loading}
+                              onChange={ev => updateEarning(i, 'effectiveTo', ev.target.value)}
+                              className="px-2 py-1 border border-gray-300 rounded" />
+                          </td>
+                          <td className="py-1 text-right">
+                            <button type="button" onClick={() => removeEarning(i)} disabled={loading}
+                              className="text-red-500 hover:text-red-700">
+                              <Trash2 size={16} />
+                            </button>
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              ) : (
+                <p className="text-sm text-gray-500">No recurring earnings assigned.</p>
+              )}
+              <button type="button" onClick={addEarning} disabled={loading}
+                className="flex items-center gap-1 px-3 py-1.5 bg-white border border-gray-300 rounded-lg text-sm hover:bg-gray-50">
+                <Plus size={14} /> Add Earning
+              </button>
+              <p className="text-xs text-gray-500">
+                Leave Value blank to use the component default. Fixed amounts are monthly; percentages apply to
+                basic salary. Leave To blank for an open-ended assignment.
+              </p>
+            </div>
+          )}
+
           {/* Action Buttons */}
           <div className="flex gap-4 mt-8 pt-6 border-t">
             <button type="button" onClick={onClose} disabled={loading}
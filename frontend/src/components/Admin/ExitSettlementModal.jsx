@@ -0,0 +1,306 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { X, Calculator, Save, CheckCircle, Download, Trash2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useSettings } from '../../context/SettingsContext.js';
+
+// ── helpers ───────────────────────────────────────────────────────────────────
+
+/** "YYYY-MM-DD" → "dd/mm/yyyy" */
+const toBackendDate = (isoStr) => {
+  if (!isoStr) return '';
+  const [year, month, day] = isoStr.split('-');
+  return `${day}/${month}/${year}`;
+};
+
+/** "dd/mm/yyyy" → "YYYY-MM-DD" */
+const toISO = (ddmmyyyy) => {
+  if (!ddmmyyyy) return '';
+  const [day, month, year] = ddmmyyyy.split('/');
+  return `${year}-${month}-${day}`;
+};
+
+const EXIT_REASONS = [
+  { value: 'resignation',  label: 'Resignation'  },
+  { value: 'termination',  label: 'Termination'  },
+  { value: 'retirement',   label: 'Retirement'   },
+  { value: 'contract-end', label: 'Contract end' },
+  { value: 'other',        label: 'Other'        }
+];
+
+function Row({ label, value, negative = false, bold = false }) {
+  const { formatAmount: money } = useSettings();
+  return (
+    <div className={`flex justify-between py-1 text-sm text-gray-700 ${bold ? 'font-semibold border-t mt-1 pt-2' : ''}`}>
+      <span>{label}</span>
+      <span className={negative ? 'text-red-600' : ''}>{negative ? '−' : ''}{money(value)}</span>
+    </div>
+  );
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+
+export default function ExitSettlementModal({ employee, onClose, onSave }) {
+  const { formatMoney, formatAmount: money } = useSettings();
+  const [form, setForm] = useState({
+    lastWorkingDay: new Date().toISOString().slice(0, 10),
+    reason:         'resignation',
+    notes:          '',
+    leaveDays:      ''
+  });
+  const [saved,   setSaved]   = useState(null);   // stored draft / finalized settlement
+  const [preview, setPreview] = useState(null);   // unsaved calculation
+  const [busy,    setBusy]    = useState(false);
+
+  const authHeader = () => ({ headers: { Authorization: `Bearer ${localStorage.getItem('token')}` } });
+
+  const isFinal = saved?.status === 'finalized';
+
+  // Load an existing settlement for this employee, if any
+  const fetchSettlement = useCallback(async () => {
+    try {
+      const headers = { Authorization: `Bearer ${localStorage.getItem('token')}` };
+      const list = await axios.get('/api/settlements', { params: { empId: employee._id }, headers });
+      const found = list.data.settlements?.[0];
+      if (!found) return;
+
+      const res = await axios.get(`/api/settlements/${found._id}`, { headers });
+      const s   = res.data.settlement;
+      setSaved(s);
+      setForm({
+        lastWorkingDay: toISO(s.lastWorkingDayFormatted),
+        reason:         s.exitReason || 'resignation',
+        notes:          s.notes || '',
+        leaveDays:      s.leave?.overridden ? String(s.leave.balanceDays) : ''
+      });
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load settlement');
+    }
+  }, [employee._id]);
+
+  useEffect(() => { fetchSettlement(); }, [fetchSettlement]);
+
+  // ── actions ────────────────────────────────────────────────────────────────
+
+  const body = () => ({
+    empId:          employee._id,
+    lastWorkingDay: toBackendDate(form.lastWorkingDay),
+    reason:         form.reason,
+    notes:          form.notes,
+    leaveDays:      form.leaveDays
+  });
+
+  const handlePreview = async () => {
+    setBusy(true);
+    try {
+      const res = await axios.post('/api/settlements/preview', body(), authHeader());
+      setPreview(res.data.settlement);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to calculate settlement');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSave = async () => {
+    setBusy(true);
+    try {
+      const res = await axios.post('/api/settlements', body(), authHeader());
+      toast.success(res.data.message);
+      setSaved(res.data.settlement);
+      setPreview(null);
+      onSave?.();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to save settlement');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleFinalize = async () => {
+    if (!window.confirm(
+      `Finalize the settlement for ${employee.firstName} ${employee.lastName}?\n\n` +
+      'Outstanding loans will be closed and the employee deactivated and archived. This cannot be undone.'
+    )) return;
+    setBusy(true);
+    try {
+      const res = await axios.post(`/api/settlements/${saved._id}/finalize`, {}, authHeader());
+      toast.success(res.data.message);
+      setSaved(res.data.settlement);
+      setPreview(null);
+      onSave?.();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to finalize settlement');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDiscard = async () => {
+    if (!window.confirm('Discard this draft and clear the recorded exit?')) return;
+    setBusy(true);
+    try {
+      const res = await axios.delete(`/api/settlements/${saved._id}`, authHeader());
+      toast.success(res.data.message);
+      setSaved(null);
+      setPreview(null);
+      onSave?.();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to discard settlement');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handlePdf = async () => {
+    try {
+      const res = await axios.get(`/api/settlements/${saved._id}/pdf`, { ...authHeader(), responseType: 'blob' });
+      const url = window.URL.createObjectURL(new Blob([res.data], { type: 'application/pdf' }));
+      const a   = document.createElement('a');
+      a.href = url;
+      a.download = `settlement-${employee.employeeNumber}${isFinal ? `-${saved.statementNumber}` : '-draft'}.pdf`;
+      a.click();
+      window.URL.revokeObjectURL(url);
+    } catch {
+      toast.error('Failed to download statement');
+    }
+  };
+
+  // ── render ─────────────────────────────────────────────────────────────────
+
+  const s = preview || saved;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+      <div className="bg-white rounded-lg max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+
+        {/* Header */}
+        <div className="sticky top-0 bg-white border-b p-6 flex items-center justify-between">
+          <div>
+            <h2 className="text-2xl font-bold text-gray-800">Exit &amp; Final Settlement</h2>
+            <p className="text-sm text-gray-600 mt-1">
+              {employee.firstName} {employee.lastName} ({employee.employeeNumber})
+              {saved?.status === 'draft' && <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-amber-100 text-amber-700">Draft saved</span>}
+              {isFinal && <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-green-100 text-green-700">{saved.statementNumber}</span>}
+            </p>
+          </div>
+          <button onClick={onClose} disabled={busy}
+            className="text-gray-400 hover:text-gray-600 disabled:opacity-50">
+            <X size={24} />
+          </button>
+        </div>
+
+        <div className="p-6">
+          {/* Exit details */}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+            <label className="text-sm text-gray-700">Last Working Day
+              <input type="date" value={form.lastWorkingDay} disabled={isFinal}
+                onChange={e => setForm({ ...form, lastWorkingDay: e.target.value })}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg disabled:bg-gray-100" />
+            </label>
+            <label className="text-sm text-gray-700">Reason
+              <select value={form.reason} disabled={isFinal}
+                onChange={e => setForm({ ...form, reason: e.target.value })}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg bg-white disabled:bg-gray-100">
+                {EXIT_REASONS.map(r => <option key={r.value} value={r.value}>{r.label}</option>)}
+              </select>
+            </label>
+            <label className="text-sm text-gray-700">Leave Days to Encash
+              <input type="number" min="0" step="0.5" value={form.leaveDays} disabled={isFinal}
+                onChange={e => setForm({ ...form, leaveDays: e.target.value })}
+                placeholder="Blank = calculated balance"
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg disabled:bg-gray-100" />
+            </label>
+            <label className="text-sm text-gray-700">Notes
+              <input value={form.notes} disabled={isFinal}
+                onChange={e => setForm({ ...form, notes: e.target.value })}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg disabled:bg-gray-100" placeholder="Optional" />
+            </label>
+          </div>
+          <p className="text-xs text-gray-500 mb-6">
+            Saving records the exit: payroll runs for periods ending on or after the last working day skip this
+            employee, and their final days are paid here instead.
+          </p>
+
+          {/* Figures */}
+          {s && (
+            <div className="border rounded-lg p-4 mb-6 bg-gray-50">
+              {preview && saved && (
+                <p className="text-xs text-amber-700 mb-2">Unsaved calculation — save to update the draft.</p>
+              )}
+              <p className="text-xs text-gray-500 mb-3">
+                {s.periodStart
+                  ? <>Unpaid days <b>{s.periodStartFormatted} – {s.periodEndFormatted}</b> ({s.presentDays} present, {s.leaveDays} leave, {s.absentDays} absent)</>
+                  : 'Approved payroll already covers every day up to the last working day.'}
+              </p>
+
+              <Row label="Salary to last working day" value={s.baseSalary} />
+              {(s.earnings || []).map(e => <Row key={e.code || e.name} label={e.name} value={e.amount} />)}
+              <Row label={`Unpaid overtime (${s.totalOtHours} hrs)`} value={s.totalOtAmount} />
+              {s.totalNightDifferential > 0 && (
+                <Row label={`Night differential (${s.totalNightHours} hrs)`} value={s.totalNightDifferential} />
+              )}
+              <Row label={`Leave encashment (${s.leave.balanceDays} days × ${money(s.leave.dailyRate)})`} value={s.leave.amount} />
+              <p className="text-xs text-gray-400 -mt-1 mb-1">
+                {s.leave.overridden
+                  ? 'Balance entered manually'
+                  : `Entitled ${s.leave.entitledDays} days this year, taken ${s.leave.takenDays}`}
+              </p>
+              <Row label="Gross settlement" value={s.grossSettlement} bold />
+
+              {s.totalDeduction > 0 && <Row label="Attendance deductions" value={s.totalDeduction} negative />}
+              {s.incomeTax > 0      && <Row label="Income tax"            value={s.incomeTax}      negative />}
+              {(s.loanRecoveries || []).map(l => (
+                <Row key={l.loan} negative value={l.amount}
+                  label={l.balanceAfter > 0
+                    ? `${l.label} (partly recovered — ${formatMoney(l.balanceAfter)} stays outstanding)`
+                    : `${l.label} (outstanding)`} />
+              ))}
+
+              <div className={`flex justify-between mt-3 p-3 rounded-lg font-bold ${
+                s.netSettlement < 0 ? 'bg-red-50 text-red-700' : 'bg-indigo-50 text-indigo-700'
+              }`}>
+                <span>{s.netSettlement < 0 ? 'Payable by employee' : 'Net settlement'}</span>
+                <span>{formatMoney(Math.abs(s.netSettlement))}</span>
+              </div>
+            </div>
+          )}
+
+          {/* Actions */}
+          <div className="flex flex-wrap gap-2 justify-end pt-4 border-t">
+            {!isFinal && (
+              <>
+                <button onClick={handlePreview} disabled={busy}
+                  className="flex items-center gap-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 disabled:opacity-50">
+                  <Calculator size={16} /> Calculate
+                </button>
+                <button onClick={handleSave} disabled={busy}
+                  className="flex items-center gap-1 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50">
+                  <Save size={16} /> {saved ? 'Recalculate & Save' : 'Record Exit'}
+                </button>
+              </>
+            )}
+            {saved && (
+              <button onClick={handlePdf} disabled={busy}
+                className="flex items-center gap-1 px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 disabled:opacity-50">
+                <Download size={16} /> Statement PDF
+              </button>
+            )}
+            {saved?.status === 'draft' && (
+              <>
+                <button onClick={handleDiscard} disabled={busy}
+                  className="flex items-center gap-1 px-4 py-2 text-red-600 border border-red-200 rounded-lg hover:bg-red-50 disabled:opacity-50">
+                  <Trash2 size={16} /> Discard
+                </button>
+                <button onClick={handleFinalize} disabled={busy}
+                  className="flex items-center gap-1 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50">
+                  <CheckCircle size={16} /> Finalize
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -2,8 +2,10 @@ import React, { useState, useEffect } from 'react';
 import axios from 'axios';
 import { X } from 'lucide-react';
 import toast from 'react-hot-toast';
+import { useSettings } from '../../context/SettingsContext.js';
 
 export default function GhostModeView({ employee, onClose }) {
+  const { payPeriodFor, formatMoney, settings } = useSettings();
   const [activeSection, setActiveSection] = useState('dashboard');
   const [dashboardData,  setDashboardData]  = useState(null);
   const [attendanceData, setAttendanceData] = useState([]);
@@ -20,18 +22,9 @@ export default function GhostModeView({ employee, onClose }) {
     try {
       const token = localStorage.getItem('token');
 
-      // Current pay-period dates (18th–17th cycle)
+      // Current company pay period (cycle from Company Settings)
       const today = new Date();
-      const year  = today.getFullYear();
-      const month = today.getMonth();
-      const day   = today.getDate();
-
-      const periodStart = day >= 18
-        ? new Date(year, month, 18)
-        : new Date(year, month - 1, 18);
-      const periodEnd = day >= 18
-        ? new Date(year, month + 1, 17)
-        : new Date(year, month, 17);
+      const { start: periodStart, end: periodEnd } = payPeriodFor(today);
 
       // Cap toDate at today so we don't request future dates
       const toDate = periodEnd > today ? today : periodEnd;
@@ -125,7 +118,7 @@ export default function GhostModeView({ employee, onClose }) {
                     <div className="bg-blue-50 p-6 rounded-lg border border-blue-200">
                       <p className="text-sm text-gray-600 mb-2">Current Earning (This Month)</p>
                       <p className="text-3xl font-bold text-blue-600">
-                        PKR {dashboardData.totalEarning.toFixed(2)}
+                        {formatMoney(dashboardData.totalEarning)}
                       </p>
                     </div>
                     <div className="bg-green-50 p-6 rounded-lg border border-green-200">
@@ -133,10 +126,10 @@ export default function GhostModeView({ employee, onClose }) {
                       <p className="text-3xl font-bold text-green-600">{dashboardData.daysWorked}</p>
                     </div>
                     <div className="bg-purple-50 p-6 rounded-lg border border-purple-200">
-                      <p className="text-sm text-gray-600 mb-2">OT Earned (PKR)</p>
+                      <p className="text-sm text-gray-600 mb-2">OT Earned ({settings.currency})</p>
                       {/* FIX #4: was showing a count of OT days — now shows actual OT amount */}
                       <p className="text-3xl font-bold text-purple-600">
-                        PKR {dashboardData.otTotal.toFixed(2)}
+                        {formatMoney(dashboardData.otTotal)}
                       </p>
                     </div>
                   </div>
@@ -149,9 +142,9 @@ export default function GhostModeView({ employee, onClose }) {
                       <p><span className="font-medium">Department:</span> {employee.department}</p>
                       {/* FIX #5: display salary correctly for both types */}
                       {employee.salaryType === 'monthly' ? (
-                        <p><span className="font-medium">Monthly Salary:</span> PKR {employee.monthlySalary?.toLocaleString()}</p>
+                        <p><span className="font-medium">Monthly Salary:</span> {formatMoney(employee.monthlySalary)}</p>
                       ) : (
-                        <p><span className="font-medium">Hourly Rate:</span> PKR {employee.hourlyRate}/hr</p>
+                        <p><span className="font-medium">Hourly Rate:</span> {formatMoney(employee.hourlyRate)}/hr</p>
                       )}
                       <p><span className="font-medium">Shift:</span> {employee.shift?.start} - {employee.shift?.end}</p>
                     </div>
@@ -191,7 +184,7 @@ export default function GhostModeView({ employee, onClose }) {
                               </td>
                               {/* FIX #6: backend returns finalDayEarning (not dailyEarning) */}
                               <td className="px-4 py-2 text-right border border-gray-300 font-semibold">
-                                PKR {(day.finalDayEarning || 0).toFixed(2)}
+                                {formatMoney(day.finalDayEarning)}
                               </td>
                             </tr>
                           ))
@@ -212,32 +205,46 @@ export default function GhostModeView({ employee, onClose }) {
               {activeSection === 'salary' && salaryData && (
                 <div className="space-y-6">
                   <h3 className="text-xl font-bold text-gray-800">My Salary Details</h3>
-                  <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                  <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4">
                     <div className="bg-blue-50 p-4 rounded-lg border border-blue-200">
                       <p className="text-sm text-gray-600 mb-1">Basic Earned</p>
                       {/* FIX #2: field is baseSalary not basicEarned */}
                       <p className="text-2xl font-bold text-blue-600">
-                        PKR {(salaryData.baseSalary || 0).toFixed(2)}
+                        {formatMoney(salaryData.baseSalary)}
                       </p>
                     </div>
                     <div className="bg-green-50 p-4 rounded-lg border border-green-200">
                       <p className="text-sm text-gray-600 mb-1">OT Total</p>
                       {/* FIX #2: field is totalOt not otTotal */}
                       <p className="text-2xl font-bold text-green-600">
-                        PKR {(salaryData.totalOt || 0).toFixed(2)}
+                        {formatMoney(salaryData.totalOt)}
                       </p>
                     </div>
                     <div className="bg-red-50 p-4 rounded-lg border border-red-200">
                       <p className="text-sm text-gray-600 mb-1">Deductions</p>
                       {/* FIX #2: field is totalDeduction not deductionTotal */}
                       <p className="text-2xl font-bold text-red-600">
-                        PKR {(salaryData.totalDeduction || 0).toFixed(2)}
+                        {formatMoney(salaryData.totalDeduction)}
+                      </p>
+                    </div>
+                    <div className="bg-amber-50 p-4 rounded-lg border border-amber-200">
+                      <p className="text-sm text-gray-600 mb-1">Income Tax</p>
+                      <p className="text-2xl font-bold text-amber-600">
+                        {formatMoney(salaryData.incomeTax)}
+                      </p>
+                      <p className="text-xs text-gray-500 mt-1">YTD {formatMoney(salaryData.ytdTax)}</p>
+                    </div>
+                    <div className="bg-red-50 p-4 rounded-lg border border-red-200">
+                      <p className="text-sm text-gray-600 mb-1">Loan Recovery</p>
+                      <p className="text-2xl font-bold text-red-600">
+                        {formatMoney(salaryData.totalLoanDeduction)}
                       </p>
+                      <p className="text-xs text-gray-500 mt-1">Outstanding {formatMoney(salaryData.loanBalance)}</p>
                     </div>
                     <div className="bg-purple-50 p-4 rounded-lg border border-purple-200">
                       <p className="text-sm text-gray-600 mb-1">Net Payable</p>
                       <p className="text-2xl font-bold text-purple-600">
-                        PKR {(salaryData.netPayable || 0).toFixed(2)}
+                        {formatMoney(salaryData.netPayable)}
                       </p>
                     </div>
                   </div>
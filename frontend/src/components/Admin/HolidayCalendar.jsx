@@ -0,0 +1,218 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { Plus, Trash2, Edit2, Copy } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+// ── helpers ───────────────────────────────────────────────────────────────────
+
+/** "YYYY-MM-DD" → "dd/mm/yyyy" */
+const toBackendDate = (isoStr) => {
+  if (!isoStr) return '';
+  const [year, month, day] = isoStr.split('-');
+  return `${day}/${month}/${year}`;
+};
+
+/** "dd/mm/yyyy" → "YYYY-MM-DD" */
+const toISO = (ddmmyyyy) => {
+  if (!ddmmyyyy) return '';
+  const [day, month, year] = ddmmyyyy.split('/');
+  return `${year}-${month}-${day}`;
+};
+
+const EMPTY_FORM = { id: null, name: '', date: '', type: 'public', recurring: false, notes: '' };
+
+const TYPE_BADGE = {
+  public:   'bg-purple-100 text-purple-700',
+  optional: 'bg-gray-100 text-gray-700'
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+
+export default function HolidayCalendar() {
+  const [year,     setYear]     = useState(() => new Date().getFullYear());
+  const [holidays, setHolidays] = useState([]);
+  const [counts,   setCounts]   = useState({ public: 0, optional: 0 });
+  const [form,     setForm]     = useState(null);     // null = form closed
+  const [saving,   setSaving]   = useState(false);
+
+  const authHeader = () => ({ headers: { Authorization: `Bearer ${localStorage.getItem('token')}` } });
+
+  const fetchHolidays = useCallback(async () => {
+    try {
+      const res = await axios.get('/api/holidays', {
+        params:  { year },
+        headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
+      });
+      setHolidays(res.data.holidays || []);
+      setCounts(res.data.counts || { public: 0, optional: 0 });
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load holidays');
+    }
+  }, [year]);
+
+  useEffect(() => { fetchHolidays(); }, [fetchHolidays]);
+
+  // ── actions ────────────────────────────────────────────────────────────────
+
+  const editHoliday = (h) => setForm({
+    id:        h._id,
+    name:      h.name,
+    date:      toISO(h.dateFormatted),
+    type:      h.type,
+    recurring: h.recurring,
+    notes:     h.notes || ''
+  });
+
+  const handleSave = async () => {
+    if (!form.name.trim() || !form.date) return toast.error('Name and date are required');
+    setSaving(true);
+    try {
+      const body = { ...form, date: toBackendDate(form.date) };
+      const res = form.id
+        ? await axios.put(`/api/holidays/${form.id}`, body, authHeader())
+        : await axios.post('/api/holidays', body, authHeader());
+      toast.success(res.data.message);
+      setForm(null);
+      fetchHolidays();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to save holiday');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (h) => {
+    if (!window.confirm(`Remove ${h.name} (${h.dateFormatted}) from the calendar?`)) return;
+    try {
+      const res = await axios.delete(`/api/holidays/${h._id}`, authHeader());
+      toast.success(res.data.message);
+      fetchHolidays();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to remove holiday');
+    }
+  };
+
+  const handleCopyYear = async () => {
+    if (!window.confirm(`Copy recurring holidays from ${year - 1} into ${year}?`)) return;
+    try {
+      const res = await axios.post('/api/holidays/copy-year', { fromYear: year - 1, toYear: year }, authHeader());
+      toast.success(res.data.message);
+      fetchHolidays();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to copy holidays');
+    }
+  };
+
+  // ── render ─────────────────────────────────────────────────────────────────
+
+  return (
+    <section className="bg-white rounded-lg shadow p-6 mt-6">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-2">
+        <h2 className="text-xl font-bold text-gray-800">Holiday Calendar</h2>
+        <div className="flex items-center gap-2">
+          <select value={year} onChange={e => setYear(Number(e.target.value))}
+            className="px-3 py-1.5 border border-gray-300 rounded-lg bg-white text-sm">
+            {[-1, 0, 1, 2].map(o => {
+              const y = new Date().getFullYear() + o;
+              return <option key={y} value={y}>{y}</option>;
+            })}
+          </select>
+          <button onClick={handleCopyYear}
+            className="flex items-center gap-1 px-3 py-1.5 bg-white border border-gray-300 rounded-lg text-sm hover:bg-gray-50">
+            <Copy size={14} /> Copy from {year - 1}
+          </button>
+          {!form && (
+            <button onClick={() => setForm({ ...EMPTY_FORM, date: `${year}-01-01` })}
+              className="flex items-center gap-1 px-3 py-1.5 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700">
+              <Plus size={14} /> Add Holiday
+            </button>
+          )}
+        </div>
+      </div>
+      <p className="text-sm text-gray-500 mb-6">
+        Public holidays are days off for everyone: they are not working days in payroll, show as "Holiday" on the
+        attendance worksheet and are not counted as leave. Optional holidays stay working days — employees take
+        them as leave. {counts.public} public · {counts.optional} optional in {year}.
+      </p>
+
+      {/* Create / edit form */}
+      {form && (
+        <div className="border border-blue-200 bg-blue-50 rounded-lg p-4 mb-6">
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-4">
+            <label className="text-sm text-gray-700 md:col-span-2">Name
+              <input value={form.name} onChange={e => setForm({ ...form, name: e.target.value })}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg" placeholder="Independence Day" />
+            </label>
+            <label className="text-sm text-gray-700">Date
+              <input type="date" value={form.date} onChange={e => setForm({ ...form, date: e.target.value })}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg" />
+            </label>
+            <label className="text-sm text-gray-700">Type
+              <select value={form.type} onChange={e => setForm({ ...form, type: e.target.value })}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg bg-white">
+                <option value="public">Public</option>
+                <option value="optional">Optional</option>
+              </select>
+            </label>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2">
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input type="checkbox" checked={form.recurring}
+                onChange={e => setForm({ ...form, recurring: e.target.checked })} />
+              Same date every year
+            </label>
+            <input value={form.notes} onChange={e => setForm({ ...form, notes: e.target.value })}
+              placeholder="Notes (e.g. gazette notification)"
+              className="flex-1 min-w-[12rem] px-3 py-1.5 border border-gray-300 rounded-lg text-sm" />
+            <button onClick={() => setForm(null)}
+              className="px-3 py-1.5 bg-gray-200 text-gray-700 rounded-lg text-sm hover:bg-gray-300">Cancel</button>
+            <button onClick={handleSave} disabled={saving}
+              className="px-3 py-1.5 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50">
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Calendar */}
+      {holidays.length > 0 ? (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-600 border-b">
+              <th className="py-2 pr-2">Date</th>
+              <th className="py-2 pr-2">Day</th>
+              <th className="py-2 pr-2">Holiday</th>
+              <th className="py-2 pr-2">Type</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody className="divide-y">
+            {holidays.map(h => (
+              <tr key={h._id}>
+                <td className="py-2 pr-2 whitespace-nowrap">{h.dateFormatted}</td>
+                <td className="py-2 pr-2 text-gray-500">{h.weekday}</td>
+                <td className="py-2 pr-2">
+                  <span className="font-medium text-gray-800">{h.name}</span>
+                  {h.recurring && <span className="ml-2 text-xs text-gray-400">every year</span>}
+                  {h.notes && <p className="text-xs text-gray-400">{h.notes}</p>}
+                </td>
+                <td className="py-2 pr-2">
+                  <span className={`px-2 py-0.5 rounded-full text-xs font-semibold capitalize ${TYPE_BADGE[h.type]}`}>
+                    {h.type}
+                  </span>
+                </td>
+                <td className="py-2 text-right whitespace-nowrap">
+                  <button onClick={() => editHoliday(h)} className="text-blue-600 hover:text-blue-800 mr-2"><Edit2 size={16} /></button>
+                  <button onClick={() => handleDelete(h)} className="text-red-500 hover:text-red-700"><Trash2 size={16} /></button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : (
+        <div className="text-center py-6 text-gray-400">No holidays on the {year} calendar</div>
+      )}
+    </section>
+  );
+}
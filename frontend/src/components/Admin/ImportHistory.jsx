@@ -0,0 +1,229 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { RotateCcw, ChevronDown, ChevronRight, AlertTriangle } from 'lucide-react';
+import toast from 'react-hot-toast';
+import ImportProfiles from './ImportProfiles.jsx';
+import DeviceMappings from './DeviceMappings.jsx';
+
+const PAGE_SIZE = 20;
+
+const STATUS_STYLES = {
+  applied:    'bg-green-100 text-green-800',
+  rolledBack: 'bg-gray-200 text-gray-700'
+};
+
+const ACTION_STYLES = {
+  created: 'bg-green-100 text-green-800',
+  updated: 'bg-blue-100 text-blue-800'
+};
+
+const dayLabel = (d) => (d ? `${d.status} · ${d.in || '--'} – ${d.out || '--'}` : '—');
+
+// ─────────────────────────────────────────────────────────────────────────────
+
+export default function ImportHistory() {
+  const [batches,  setBatches]  = useState([]);
+  const [page,     setPage]     = useState(1);
+  const [total,    setTotal]    = useState(0);
+  const [expanded, setExpanded] = useState(null);   // batch detail incl. changes
+  const [busy,     setBusy]     = useState(false);
+
+  const authHeader = () => ({ headers: { Authorization: `Bearer ${localStorage.getItem('token')}` } });
+
+  const fetchBatches = useCallback(async () => {
+    try {
+      const res = await axios.get('/api/import-batches', {
+        params:  { page, limit: PAGE_SIZE },
+        headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
+      });
+      setBatches(res.data.batches || []);
+      setTotal(res.data.total || 0);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load import history');
+    }
+  }, [page]);
+
+  useEffect(() => { fetchBatches(); }, [fetchBatches]);
+
+  const toggleDetail = async (batch) => {
+    if (expanded?._id === batch._id) {
+      setExpanded(null);
+      return;
+    }
+    try {
+      const res = await axios.get(`/api/import-batches/${batch._id}`, authHeader());
+      setExpanded(res.data.batch);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load import details');
+    }
+  };
+
+  // ── rollback ───────────────────────────────────────────────────────────────
+
+  const rollback = async (batch, force = false) => {
+    if (!force && !window.confirm(
+      `Roll back ${batch.fileName}? Records it created are deleted and records it changed are restored.`
+    )) return;
+
+    setBusy(true);
+    try {
+      const res = await axios.post(`/api/import-batches/${batch._id}/rollback`, { force }, authHeader());
+      toast.success(res.data.message);
+      setExpanded(null);
+      fetchBatches();
+    } catch (err) {
+      const data = err.response?.data;
+      if (data?.error === 'EDITED_SINCE_IMPORT' && !force) {
+        const list = data.conflicts.slice(0, 10).map(c => `#${c.empNumber} ${c.date}`).join('\n');
+        const more = data.conflicts.length > 10 ? `\n…and ${data.conflicts.length - 10} more` : '';
+        if (window.confirm(`${data.message}\n\n${list}${more}\n\nRoll back anyway?`)) {
+          setBusy(false);
+          return rollback(batch, true);
+        }
+      } else {
+        toast.error(data?.message || 'Rollback failed');
+      }
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // ── render ─────────────────────────────────────────────────────────────────
+
+  const pages = Math.max(1, Math.ceil(total / PAGE_SIZE));
+
+  return (
+    <div className="p-4 md:p-6 bg-gray-50 min-h-screen">
+      <div className="mb-6">
+        <h1 className="text-2xl md:text-3xl font-bold text-gray-800">Import History</h1>
+        <p className="text-sm text-gray-500 mt-1">
+          Every attendance import is kept with the records it changed. Rolling one back deletes the
+          records it created and restores the ones it overwrote.
+        </p>
+      </div>
+
+      <div className="bg-white rounded-lg shadow overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead className="bg-gray-100 text-gray-700">
+            <tr>
+              <th className="px-4 py-3 text-left w-8"></th>
+              <th className="px-4 py-3 text-left">File</th>
+              <th className="px-4 py-3 text-left">Imported</th>
+              <th className="px-4 py-3 text-left">Dates</th>
+              <th className="px-4 py-3 text-right">Created</th>
+              <th className="px-4 py-3 text-right">Updated</th>
+              <th className="px-4 py-3 text-right">Skipped</th>
+              <th className="px-4 py-3 text-left">Status</th>
+              <th className="px-4 py-3"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {batches.map(b => (
+              <React.Fragment key={b._id}>
+                <tr className="border-t hover:bg-gray-50">
+                  <td className="px-4 py-3">
+                    <button onClick={() => toggleDetail(b)} className="text-gray-500 hover:text-gray-800">
+                      {expanded?._id === b._id ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+                    </button>
+                  </td>
+                  <td className="px-4 py-3">
+                    <div className="font-medium text-gray-800">{b.fileName}</div>
+                    {b.duplicate && (
+                      <div className="flex items-center gap-1 text-xs text-amber-700 mt-1">
+                        <AlertTriangle size={12} /> Same file imported more than once
+                      </div>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 text-gray-600">
+                    <div>{b.importedAt}</div>
+                    {b.uploadedBy && <div className="text-xs text-gray-400">by {b.uploadedBy}</div>}
+                  </td>
+                  <td className="px-4 py-3 text-gray-600 whitespace-nowrap">
+                    {b.fromDate}{b.toDate && b.toDate !== b.fromDate ? ` – ${b.toDate}` : ''}
+                  </td>
+                  <td className="px-4 py-3 text-right">{b.counts?.created ?? 0}</td>
+                  <td className="px-4 py-3 text-right">{b.counts?.updated ?? 0}</td>
+                  <td className="px-4 py-3 text-right">{b.counts?.skipped ?? 0}</td>
+                  <td className="px-4 py-3">
+                    <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${STATUS_STYLES[b.status]}`}>
+                      {b.status === 'rolledBack' ? 'Rolled back' : 'Applied'}
+                    </span>
+                    {b.rolledBackAt && (
+                      <div className="text-xs text-gray-400 mt-1">
+                        {b.rolledBackAt}{b.rolledBackBy ? ` by ${b.rolledBackBy}` : ''}
+                      </div>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 text-right">
+                    {b.status === 'applied' && (
+                      <button onClick={() => rollback(b)} disabled={busy}
+                        className="flex items-center gap-1 px-3 py-1.5 border border-red-300 text-red-700 rounded-lg text-xs hover:bg-red-50 disabled:opacity-50">
+                        <RotateCcw size={12} /> Roll back
+                      </button>
+                    )}
+                  </td>
+                </tr>
+
+                {expanded?._id === b._id && (
+                  <tr className="bg-gray-50">
+                    <td colSpan={9} className="px-4 py-3">
+                      {expanded.changes.length === 0 ? (
+                        <p className="text-sm text-gray-500">This import did not write any records.</p>
+                      ) : (
+                        <table className="w-full text-xs">
+                          <thead className="text-gray-600">
+                            <tr>
+                              <th className="py-1 text-left">Employee</th>
+                              <th className="py-1 text-left">Date</th>
+                              <th className="py-1 text-left">Action</th>
+                              <th className="py-1 text-left">Before import</th>
+                              <th className="py-1 text-left">Now</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {expanded.changes.map((c, idx) => (
+                              <tr key={idx} className="border-t">
+                                <td className="py-1">#{c.empNumber}</td>
+                                <td className="py-1">{c.date}</td>
+                                <td className="py-1">
+                                  <span className={`px-2 py-0.5 rounded-full font-semibold capitalize ${ACTION_STYLES[c.action]}`}>
+                                    {c.action}
+                                  </span>
+                                </td>
+                                <td className="py-1 text-gray-600">{dayLabel(c.before)}</td>
+                                <td className="py-1 text-gray-600">
+                                  {c.current ? dayLabel(c.current) : <span className="text-gray-400">deleted</span>}
+                                  {c.editedSince && <span className="ml-2 text-amber-700">edited since import</span>}
+                                </td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      )}
+                    </td>
+                  </tr>
+                )}
+              </React.Fragment>
+            ))}
+          </tbody>
+        </table>
+        {batches.length === 0 && (
+          <p className="p-6 text-center text-gray-500">No attendance imports yet.</p>
+        )}
+      </div>
+
+      {pages > 1 && (
+        <div className="flex items-center justify-end gap-2 mt-4 text-sm">
+          <button onClick={() => setPage(p => p - 1)} disabled={page <= 1}
+            className="px-3 py-1.5 border border-gray-300 rounded-lg disabled:opacity-50">Previous</button>
+          <span className="text-gray-600">Page {page} of {pages}</span>
+          <button onClick={() => setPage(p => p + 1)} disabled={page >= pages}
+            className="px-3 py-1.5 border border-gray-300 rounded-lg disabled:opacity-50">Next</button>
+        </div>
+      )}
+
+      <DeviceMappings />
+      <ImportProfiles />
+    </div>
+  );
+}
@@ -0,0 +1,253 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { Plus, Trash2, Edit2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const DELIMITERS = [
+  { value: 'auto', label: 'Detect' },
+  { value: ',',    label: 'Comma ( , )' },
+  { value: '|',    label: 'Pipe ( | )' },
+  { value: ';',    label: 'Semicolon ( ; )' },
+  { value: '\t',   label: 'Tab' }
+];
+
+const COLUMN_FIELDS = [
+  { key: 'empId',     label: 'Employee ID *' },
+  { key: 'firstName', label: 'First name' },
+  { key: 'lastName',  label: 'Last name' },
+  { key: 'name',      label: 'Full name' },
+  { key: 'date',      label: 'Date' },
+  { key: 'time',      label: 'Time' },
+  { key: 'dateTime',  label: 'Date + time' },
+  { key: 'status',    label: 'In / out status' },
+  { key: 'deviceSerial', label: 'Device serial' }
+];
+
+const EMPTY_PROFILE = {
+  id: null, name: '', description: '', delimiter: 'auto', hasHeader: true, skipRows: 0,
+  columns: {}, dateFormat: '', timeFormat: '', statusIn: '', statusOut: ''
+};
+
+const delimiterLabel = (d) => DELIMITERS.find(x => x.value === d)?.label || d;
+
+/**
+ * Saved column layouts for attendance files (models/ImportProfile.js),
+ * picked in the import modal. Shown on the Import History page.
+ */
+export default function ImportProfiles() {
+  const [profiles, setProfiles] = useState([]);
+  const [form,     setForm]     = useState(null);   // null = form closed
+  const [saving,   setSaving]   = useState(false);
+
+  const authHeader = () => ({ headers: { Authorization: `Bearer ${localStorage.getItem('token')}` } });
+
+  const fetchProfiles = useCallback(async () => {
+    try {
+      const res = await axios.get('/api/import-profiles', {
+        headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
+      });
+      setProfiles(res.data.profiles || []);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load import profiles');
+    }
+  }, []);
+
+  useEffect(() => { fetchProfiles(); }, [fetchProfiles]);
+
+  // ── form ───────────────────────────────────────────────────────────────────
+
+  const editProfile = (p) => setForm({
+    ...EMPTY_PROFILE,
+    ...p,
+    id:        p._id,
+    columns:   { ...p.columns },
+    statusIn:  (p.statusMap?.in  || []).join(', '),
+    statusOut: (p.statusMap?.out || []).join(', ')
+  });
+
+  const setColumn = (key, value) => setForm(f => ({ ...f, columns: { ...f.columns, [key]: value } }));
+
+  const saveProfile = async () => {
+    const { id, statusIn, statusOut, ...rest } = form;
+    const body = { ...rest, statusMap: { in: statusIn, out: statusOut } };
+    setSaving(true);
+    try {
+      const res = id
+        ? await axios.put(`/api/import-profiles/${id}`, body, authHeader())
+        : await axios.post('/api/import-profiles', body, authHeader());
+      toast.success(res.data.message);
+      setForm(null);
+      fetchProfiles();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to save import profile');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleProfile = async (p) => {
+    try {
+      const res = await axios.put(`/api/import-profiles/${p._id}`, { isActive: !p.isActive }, authHeader());
+      toast.success(res.data.message);
+      fetchProfiles();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to update import profile');
+    }
+  };
+
+  const deleteProfile = async (p) => {
+    if (!window.confirm(`Delete the ${p.name} import profile?`)) return;
+    try {
+      const res = await axios.delete(`/api/import-profiles/${p._id}`, authHeader());
+      toast.success(res.data.message);
+      fetchProfiles();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to delete import profile');
+    }
+  };
+
+  // ── render ─────────────────────────────────────────────────────────────────
+
+  return (
+    <section className="bg-white rounded-lg shadow p-6 mt-6">
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="text-xl font-bold text-gray-800">Import Profiles</h2>
+        {!form && (
+          <button onClick={() => setForm({ ...EMPTY_PROFILE })}
+            className="flex items-center gap-1 px-3 py-2 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700">
+            <Plus size={14} /> New Profile
+          </button>
+        )}
+      </div>
+      <p className="text-sm text-gray-500 mb-4">
+        Column layouts for device exports that differ from the standard six-column CSV. Pick one in the
+        import dialog. Columns are positions (1, 2, 3 …) or, when the file has a header row, the header text.
+      </p>
+
+      {form && (
+        <div className="border border-gray-200 rounded-lg p-4 mb-6 space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <label className="text-sm text-gray-700">Name
+              <input value={form.name} onChange={e => setForm({ ...form, name: e.target.value })}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg" placeholder="Lahore branch" />
+            </label>
+            <label className="text-sm text-gray-700 md:col-span-2">Description
+              <input value={form.description || ''} onChange={e => setForm({ ...form, description: e.target.value })}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg" placeholder="Device software, branch…" />
+            </label>
+            <label className="text-sm text-gray-700">Delimiter
+              <select value={form.delimiter} onChange={e => setForm({ ...form, delimiter: e.target.value })}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg">
+                {DELIMITERS.map(d => <option key={d.label} value={d.value}>{d.label}</option>)}
+              </select>
+            </label>
+            <label className="text-sm text-gray-700">Lines to skip before the data
+              <input type="number" min={0} max={50} value={form.skipRows}
+                onChange={e => setForm({ ...form, skipRows: e.target.value })}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg" />
+            </label>
+            <label className="flex items-center gap-2 text-sm text-gray-700 mt-6">
+              <input type="checkbox" checked={form.hasHeader}
+                onChange={e => setForm({ ...form, hasHeader: e.target.checked })} />
+              First line (after skipped lines) is a header row
+            </label>
+          </div>
+
+          <div>
+            <p className="text-sm font-medium text-gray-700 mb-2">Columns</p>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+              {COLUMN_FIELDS.map(c => (
+                <label key={c.key} className="text-xs text-gray-600">{c.label}
+                  <input value={form.columns[c.key] || ''} onChange={e => setColumn(c.key, e.target.value)}
+                    className="mt-1 w-full px-2 py-1.5 border border-gray-300 rounded-lg text-sm"
+                    placeholder={form.hasHeader ? 'name or #' : '#'} />
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+            <label className="text-sm text-gray-700">Date format
+              <input value={form.dateFormat} onChange={e => setForm({ ...form, dateFormat: e.target.value })}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg" placeholder="dd/mm/yyyy" />
+              <span className="block text-xs text-gray-400 mt-1">dd, mm, MMM, yy, yyyy</span>
+            </label>
+            <label className="text-sm text-gray-700">Time format
+              <input value={form.timeFormat} onChange={e => setForm({ ...form, timeFormat: e.target.value })}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg" placeholder="flexible" />
+              <span className="block text-xs text-gray-400 mt-1">HH, hh, mm, ss, a</span>
+            </label>
+            <label className="text-sm text-gray-700">Check-in values
+              <input value={form.statusIn} onChange={e => setForm({ ...form, statusIn: e.target.value })}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg" placeholder="C/In, I" />
+            </label>
+            <label className="text-sm text-gray-700">Check-out values
+              <input value={form.statusOut} onChange={e => setForm({ ...form, statusOut: e.target.value })}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg" placeholder="C/Out, O" />
+            </label>
+          </div>
+          <p className="text-xs text-gray-500">
+            Without a status column, each day's punches are paired from the employee's shift.
+          </p>
+
+          <div className="flex gap-2">
+            <button onClick={saveProfile} disabled={saving}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50">
+              {saving ? 'Saving…' : form.id ? 'Update Profile' : 'Add Profile'}
+            </button>
+            <button onClick={() => setForm(null)}
+              className="px-4 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-100">
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {profiles.length === 0 ? (
+        <p className="text-sm text-gray-500">No import profiles yet.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-100 text-gray-700">
+              <tr>
+                <th className="px-3 py-2 text-left">Name</th>
+                <th className="px-3 py-2 text-left">Delimiter</th>
+                <th className="px-3 py-2 text-left">Columns</th>
+                <th className="px-3 py-2 text-left">Date / Time</th>
+                <th className="px-3 py-2 text-left">Active</th>
+                <th className="px-3 py-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {profiles.map(p => (
+                <tr key={p._id} className="border-t">
+                  <td className="px-3 py-2">
+                    <div className="font-medium text-gray-800">{p.name}</div>
+                    {p.description && <div className="text-xs text-gray-500">{p.description}</div>}
+                  </td>
+                  <td className="px-3 py-2 text-gray-600">{delimiterLabel(p.delimiter)}</td>
+                  <td className="px-3 py-2 text-xs text-gray-600">
+                    {COLUMN_FIELDS.filter(c => p.columns?.[c.key])
+                      .map(c => `${c.label.replace(' *', '')}: ${p.columns[c.key]}`).join(' · ')}
+                  </td>
+                  <td className="px-3 py-2 text-xs text-gray-600">
+                    {p.dateFormat || 'dd/mm/yyyy'} · {p.timeFormat || 'flexible'}
+                  </td>
+                  <td className="px-3 py-2">
+                    <input type="checkbox" checked={p.isActive} onChange={() => toggleProfile(p)} />
+                  </td>
+                  <td className="px-3 py-2">
+                    <div className="flex gap-2 justify-end">
+                      <button onClick={() => editProfile(p)} className="text-blue-600 hover:text-blue-800"><Edit2 size={14} /></button>
+                      <button onClick={() => deleteProfile(p)} className="text-red-600 hover:text-red-800"><Trash2 size={14} /></button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+}
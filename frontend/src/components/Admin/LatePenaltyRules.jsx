@@ -0,0 +1,214 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { Plus, Trash2, Edit2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+// ── helpers ───────────────────────────────────────────────────────────────────
+
+const emptyForm = () => ({
+  id:             null,
+  name:           '',
+  basis:          'occurrences',
+  everyLates:     3,
+  penaltyDays:    0.5,
+  rateMultiplier: 1,
+  isActive:       true
+});
+
+const describeRule = (r) =>
+  r.basis === 'minutes'
+    ? `Minutes late beyond grace × ${r.rateMultiplier} per-minute pay`
+    : `Every ${r.everyLates} late${r.everyLates === 1 ? '' : 's'} → ${r.penaltyDays} day's pay`;
+
+// ─────────────────────────────────────────────────────────────────────────────
+
+export default function LatePenaltyRules() {
+  const [rules,  setRules]  = useState([]);
+  const [form,   setForm]   = useState(null);     // null = form closed
+  const [saving, setSaving] = useState(false);
+
+  const authHeader = () => ({ headers: { Authorization: `Bearer ${localStorage.getItem('token')}` } });
+
+  const fetchRules = useCallback(async () => {
+    try {
+      const res = await axios.get('/api/late-penalty-rules', {
+        headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
+      });
+      setRules(res.data.rules || []);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load late penalty rules');
+    }
+  }, []);
+
+  useEffect(() => { fetchRules(); }, [fetchRules]);
+
+  // ── actions ────────────────────────────────────────────────────────────────
+
+  const editRule = (r) => setForm({
+    id:             r._id,
+    name:           r.name,
+    basis:          r.basis,
+    everyLates:     r.everyLates,
+    penaltyDays:    r.penaltyDays,
+    rateMultiplier: r.rateMultiplier,
+    isActive:       r.isActive
+  });
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const body = {
+        name:     form.name,
+        basis:    form.basis,
+        isActive: form.isActive,
+        ...(form.basis === 'minutes'
+          ? { rateMultiplier: Number(form.rateMultiplier) }
+          : { everyLates: Number(form.everyLates), penaltyDays: Number(form.penaltyDays) })
+      };
+      const res = form.id
+        ? await axios.put(`/api/late-penalty-rules/${form.id}`, body, authHeader())
+        : await axios.post('/api/late-penalty-rules', body, authHeader());
+      toast.success(res.data.message);
+      setForm(null);
+      fetchRules();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to save late penalty rule');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleActive = async (r) => {
+    try {
+      await axios.put(`/api/late-penalty-rules/${r._id}`, { isActive: !r.isActive }, authHeader());
+      toast.success(`${r.name} ${r.isActive ? 'deactivated' : 'activated'}`);
+      fetchRules();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to update late penalty rule');
+    }
+  };
+
+  const handleDelete = async (r) => {
+    if (!window.confirm(`Delete ${r.name}? Payroll records already generated keep their penalty lines.`)) return;
+    try {
+      const res = await axios.delete(`/api/late-penalty-rules/${r._id}`, authHeader());
+      toast.success(res.data.message);
+      fetchRules();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to delete late penalty rule');
+    }
+  };
+
+  // ── render ─────────────────────────────────────────────────────────────────
+
+  return (
+    <section className="bg-white rounded-lg shadow p-6">
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="text-xl font-bold text-gray-800">Section 9: Late Penalty Rules</h2>
+        {!form && (
+          <button onClick={() => setForm(emptyForm())}
+            className="flex items-center gap-1 px-3 py-1.5 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700">
+            <Plus size={14} /> Add Rule
+          </button>
+        )}
+      </div>
+      <p className="text-sm text-gray-500 mb-6">
+        Deductions payroll adds automatically for late arrivals, listed apart from the deductions entered on
+        attendance. A day is late when check-in is past shift start plus the grace period in Company Settings.
+        Every active rule applies.
+      </p>
+
+      {/* Create / edit form */}
+      {form && (
+        <div className="border border-blue-200 bg-blue-50 rounded-lg p-4 mb-6">
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-4">
+            <label className="text-sm text-gray-700">Name
+              <input value={form.name} onChange={e => setForm({ ...form, name: e.target.value })}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg" placeholder="3 lates = half day" />
+            </label>
+            <label className="text-sm text-gray-700">Basis
+              <select value={form.basis} onChange={e => setForm({ ...form, basis: e.target.value })}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg bg-white">
+                <option value="occurrences">Number of lates</option>
+                <option value="minutes">Minutes late</option>
+              </select>
+            </label>
+            {form.basis === 'minutes' ? (
+              <label className="text-sm text-gray-700">Rate multiplier
+                <input type="number" min="0" step="0.25" value={form.rateMultiplier}
+                  onChange={e => setForm({ ...form, rateMultiplier: e.target.value })}
+                  className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg" />
+              </label>
+            ) : (
+              <>
+                <label className="text-sm text-gray-700">Every … lates
+                  <input type="number" min="1" step="1" value={form.everyLates}
+                    onChange={e => setForm({ ...form, everyLates: e.target.value })}
+                    className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg" />
+                </label>
+                <label className="text-sm text-gray-700">Deduct (days&apos; pay)
+                  <input type="number" min="0" step="0.5" value={form.penaltyDays}
+                    onChange={e => setForm({ ...form, penaltyDays: e.target.value })}
+                    className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg" />
+                </label>
+              </>
+            )}
+          </div>
+
+          <div className="flex flex-wrap items-center gap-4">
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input type="checkbox" checked={form.isActive}
+                onChange={e => setForm({ ...form, isActive: e.target.checked })} />
+              Active
+            </label>
+            <div className="flex-1" />
+            <button onClick={() => setForm(null)}
+              className="px-3 py-1.5 bg-gray-200 text-gray-700 rounded-lg text-sm hover:bg-gray-300">Cancel</button>
+            <button onClick={handleSave} disabled={saving}
+              className="px-3 py-1.5 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50">
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Rules */}
+      {rules.length > 0 ? (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50">
+              <tr className="text-left text-gray-600">
+                <th className="px-3 py-2">Name</th>
+                <th className="px-3 py-2">Rule</th>
+                <th className="px-3 py-2">Status</th>
+                <th className="px-3 py-2" />
+              </tr>
+            </thead>
+            <tbody className="divide-y">
+              {rules.map(r => (
+                <tr key={r._id} className={r.isActive ? '' : 'text-gray-400'}>
+                  <td className="px-3 py-2 font-medium">{r.name}</td>
+                  <td className="px-3 py-2">{describeRule(r)}</td>
+                  <td className="px-3 py-2">
+                    <button onClick={() => toggleActive(r)}
+                      className={`px-2 py-0.5 rounded-full text-xs font-medium ${
+                        r.isActive ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-500'
+                      }`}>
+                      {r.isActive ? 'Active' : 'Inactive'}
+                    </button>
+                  </td>
+                  <td className="px-3 py-2 text-right whitespace-nowrap">
+                    <button onClick={() => editRule(r)} className="text-blue-600 hover:text-blue-800 mr-2"><Edit2 size={16} /></button>
+                    <button onClick={() => handleDelete(r)} className="text-red-500 hover:text-red-700"><Trash2 size={16} /></button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <div className="text-center py-6 text-gray-400">No late penalty rules — lateness is only deducted by hand</div>
+      )}
+    </section>
+  );
+}
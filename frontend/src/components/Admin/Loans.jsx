@@ -0,0 +1,301 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { Plus, Edit2, XCircle, History } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useSettings } from '../../context/SettingsContext.js';
+
+// ── helpers ───────────────────────────────────────────────────────────────────
+
+/** "YYYY-MM-DD" → "dd/mm/yyyy" */
+const toBackendDate = (isoStr) => {
+  if (!isoStr) return '';
+  const [year, month, day] = isoStr.split('-');
+  return `${day}/${month}/${year}`;
+};
+
+/** "dd/mm/yyyy" → "YYYY-MM-DD" */
+const toISO = (ddmmyyyy) => {
+  if (!ddmmyyyy) return '';
+  const [day, month, year] = ddmmyyyy.split('/');
+  return `${year}-${month}-${day}`;
+};
+
+const STATUS_BADGE = {
+  active:    'bg-blue-100 text-blue-700',
+  closed:    'bg-green-100 text-green-700',
+  cancelled: 'bg-gray-100 text-gray-500'
+};
+
+const emptyForm = () => ({
+  id:                null,
+  empId:             '',
+  type:              'loan',
+  principal:         '',
+  installmentAmount: '',
+  startDate:         new Date().toISOString().slice(0, 10),
+  reason:            ''
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+
+export default function Loans() {
+  const { settings, formatMoney, formatAmount: money } = useSettings();
+  const [loans,        setLoans]        = useState([]);
+  const [employees,    setEmployees]    = useState([]);
+  const [statusFilter, setStatusFilter] = useState('active');
+  const [form,         setForm]         = useState(null);     // null = form closed
+  const [saving,       setSaving]       = useState(false);
+  const [history,      setHistory]      = useState({});       // loanId → rows
+
+  const authHeader = () => ({ headers: { Authorization: `Bearer ${localStorage.getItem('token')}` } });
+
+  const fetchLoans = useCallback(async () => {
+    try {
+      const res = await axios.get('/api/loans', {
+        params:  statusFilter ? { status: statusFilter } : {},
+        headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
+      });
+      setLoans(res.data.loans || []);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load loans');
+    }
+  }, [statusFilter]);
+
+  useEffect(() => { fetchLoans(); }, [fetchLoans]);
+
+  const openForm = async (initial) => {
+    if (!employees.length) {
+      try {
+        const res = await axios.get('/api/employees', authHeader());
+        setEmployees((res.data.employees || []).filter(e => e.status === 'Active'));
+      } catch {
+        toast.error('Failed to load employees');
+      }
+    }
+    setForm(initial);
+  };
+
+  // ── actions ────────────────────────────────────────────────────────────────
+
+  const editLoan = (l) => openForm({
+    id:                l._id,
+    empId:             l.empId,
+    type:              l.type,
+    principal:         l.principal,
+    installmentAmount: l.installmentAmount,
+    startDate:         toISO(l.startDateFormatted),
+    reason:            l.reason || ''
+  });
+
+  const handleSave = async () => {
+    if (!form.empId) return toast.error('Select an employee');
+    setSaving(true);
+    try {
+      const body = {
+        principal:         form.principal,
+        installmentAmount: form.installmentAmount,
+        startDate:         toBackendDate(form.startDate),
+        reason:            form.reason
+      };
+      const res = form.id
+        ? await axios.put(`/api/loans/${form.id}`, body, authHeader())
+        : await axios.post('/api/loans', { ...body, empId: form.empId, type: form.type }, authHeader());
+      toast.success(res.data.message);
+      setForm(null);
+      fetchLoans();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to save loan');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCancel = async (l) => {
+    const reason = window.prompt(
+      `Cancel ${l.type} for ${l.empName}? ${formatMoney(l.outstanding)} outstanding will no longer be recovered.\n\nReason (optional):`
+    );
+    if (reason === null) return;
+    try {
+      const res = await axios.post(`/api/loans/${l._id}/cancel`, { reason }, authHeader());
+      toast.success(res.data.message);
+      fetchLoans();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to cancel loan');
+    }
+  };
+
+  const toggleHistory = async (l) => {
+    if (history[l._id]) {
+      setHistory(prev => { const next = { ...prev }; delete next[l._id]; return next; });
+      return;
+    }
+    try {
+      const res = await axios.get(`/api/loans/${l._id}`, authHeader());
+      setHistory(prev => ({ ...prev, [l._id]: res.data.history || [] }));
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load recovery history');
+    }
+  };
+
+  // ── render ─────────────────────────────────────────────────────────────────
+
+  return (
+    <section className="bg-white rounded-lg shadow p-6">
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="text-xl font-bold text-gray-800">Section 7: Loans &amp; Advances</h2>
+        <div className="flex items-center gap-2">
+          <select value={statusFilter} onChange={e => setStatusFilter(e.target.value)}
+            className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm bg-white">
+            <option value="active">Active</option>
+            <option value="closed">Closed</option>
+            <option value="cancelled">Cancelled</option>
+            <option value="">All</option>
+          </select>
+          {!form && (
+            <button onClick={() => openForm(emptyForm())}
+              className="flex items-center gap-1 px-3 py-1.5 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700">
+              <Plus size={14} /> New Loan / Advance
+            </button>
+          )}
+        </div>
+      </div>
+      <p className="text-sm text-gray-500 mb-6">
+        Each payroll run deducts the installment after tax, oldest loan first. Balances only move once the
+        payroll record is approved; a loan closes itself when fully recovered.
+      </p>
+
+      {/* Create / edit form */}
+      {form && (
+        <div className="border border-blue-200 bg-blue-50 rounded-lg p-4 mb-6">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+            <label className="text-sm text-gray-700">Employee
+              <select value={form.empId} disabled={!!form.id}
+                onChange={e => setForm({ ...form, empId: e.target.value })}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg bg-white disabled:bg-gray-100">
+                <option value="">Select…</option>
+                {employees.map(e => (
+                  <option key={e._id} value={e._id}>{e.firstName} {e.lastName} ({e.employeeNumber})</option>
+                ))}
+              </select>
+            </label>
+            <label className="text-sm text-gray-700">Type
+              <select value={form.type} disabled={!!form.id}
+                onChange={e => setForm({ ...form, type: e.target.value })}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg bg-white disabled:bg-gray-100">
+                <option value="loan">Loan</option>
+                <option value="advance">Salary advance</option>
+              </select>
+            </label>
+            <label className="text-sm text-gray-700">First Recovery On or After
+              <input type="date" value={form.startDate} onChange={e => setForm({ ...form, startDate: e.target.value })}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg" />
+            </label>
+            <label className="text-sm text-gray-700">Principal ({settings.currency})
+              <input type="number" min="0" value={form.principal}
+                onChange={e => setForm({ ...form, principal: e.target.value })}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg" />
+            </label>
+            <label className="text-sm text-gray-700">Installment per Period ({settings.currency})
+              <input type="number" min="0" value={form.installmentAmount}
+                onChange={e => setForm({ ...form, installmentAmount: e.target.value })}
+                placeholder={form.type === 'advance' ? 'Blank = recover in full' : ''}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg" />
+            </label>
+            <label className="text-sm text-gray-700">Reason
+              <input value={form.reason} onChange={e => setForm({ ...form, reason: e.target.value })}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg" placeholder="Optional" />
+            </label>
+          </div>
+          <div className="flex justify-end gap-2">
+            <button onClick={() => setForm(null)}
+              className="px-3 py-1.5 bg-gray-200 text-gray-700 rounded-lg text-sm hover:bg-gray-300">Cancel</button>
+            <button onClick={handleSave} disabled={saving}
+              className="px-3 py-1.5 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50">
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Loans */}
+      {loans.length > 0 ? (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50">
+              <tr className="text-left text-gray-600">
+                <th className="px-3 py-2">Employee</th>
+                <th className="px-3 py-2">Type</th>
+                <th className="px-3 py-2">From</th>
+                <th className="px-3 py-2 text-right">Principal</th>
+                <th className="px-3 py-2 text-right">Installment</th>
+                <th className="px-3 py-2 text-right">Recovered</th>
+                <th className="px-3 py-2 text-right">Outstanding</th>
+                <th className="px-3 py-2">Status</th>
+                <th className="px-3 py-2" />
+              </tr>
+            </thead>
+            <tbody className="divide-y">
+              {loans.map(l => (
+                <React.Fragment key={l._id}>
+                  <tr className="hover:bg-gray-50">
+                    <td className="px-3 py-2 font-medium">
+                      {l.empName} <span className="text-xs text-gray-500">({l.empNumber})</span>
+                      {l.reason && <span className="block text-xs text-gray-400">{l.reason}</span>}
+                    </td>
+                    <td className="px-3 py-2 capitalize">{l.type}</td>
+                    <td className="px-3 py-2">{l.startDateFormatted}</td>
+                    <td className="px-3 py-2 text-right">{money(l.principal)}</td>
+                    <td className="px-3 py-2 text-right">{money(l.installmentAmount)}</td>
+                    <td className="px-3 py-2 text-right text-green-600">{money(l.recovered)}</td>
+                    <td className="px-3 py-2 text-right font-semibold text-red-600">{money(l.outstanding)}</td>
+                    <td className="px-3 py-2">
+                      <span className={`px-2 py-0.5 rounded-full text-xs font-semibold capitalize ${STATUS_BADGE[l.status]}`}>
+                        {l.status}
+                      </span>
+                    </td>
+                    <td className="px-3 py-2 text-right whitespace-nowrap space-x-2">
+                      <button onClick={() => toggleHistory(l)} title="Recovery history"
+                        className="text-gray-600 hover:text-gray-800"><History size={16} /></button>
+                      {l.status === 'active' && (
+                        <>
+                          <button onClick={() => editLoan(l)} title="Edit"
+                            className="text-blue-600 hover:text-blue-800"><Edit2 size={16} /></button>
+                          <button onClick={() => handleCancel(l)} title="Cancel"
+                            className="text-red-500 hover:text-red-700"><XCircle size={16} /></button>
+                        </>
+                      )}
+                    </td>
+                  </tr>
+                  {history[l._id] && (
+                    <tr>
+                      <td colSpan={9} className="bg-blue-50 px-4 py-3">
+                        {history[l._id].length ? (
+                          <table className="w-full text-xs">
+                            <tbody>
+                              {history[l._id].map(h => (
+                                <tr key={h.recordId} className="bg-white">
+                                  <td className="px-3 py-1 border">{h.periodLabel || h.period}</td>
+                                  <td className="px-3 py-1 border capitalize">{h.status}</td>
+                                  <td className="px-3 py-1 border text-right">{formatMoney(h.amount)}</td>
+                                  <td className="px-3 py-1 border text-right text-gray-500">Balance {money(h.balanceAfter)}</td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        ) : (
+                          <p className="text-xs text-gray-500">No payroll records have deducted this loan yet.</p>
+                        )}
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <div className="text-center py-6 text-gray-400">No {statusFilter || ''} loans or advances</div>
+      )}
+    </section>
+  );
+}
@@ -4,7 +4,9 @@ import { Plus, MoreVertical, AlertCircle, Shield } from 'lucide-react';
 import AddEmployeeModal  from './AddEmployeeModal';
 import EditEmployeeModal from './EditEmployeeModal';
 import GhostModeView     from './GhostModeView';
+import ExitSettlementModal from './ExitSettlementModal';
 import toast from 'react-hot-toast';
+import { useSettings } from '../../context/SettingsContext.js';
 
 // ─── Role helpers ─────────────────────────────────────────────────────────────
 const PRIVILEGED_ROLES = ['admin', 'superadmin'];
@@ -30,12 +32,14 @@ function getRoleBadge(role) {
 }
 
 export default function ManageEmployees() {
+  const { formatMoney } = useSettings();
   const [employees,         setEmployees]         = useState([]);
   const [filteredEmployees, setFilteredEmployees] = useState([]);
   const [loading,           setLoading]           = useState(true);
   const [showAddModal,      setShowAddModal]      = useState(false);
   const [showEditModal,     setShowEditModal]     = useState(false);
   const [showGhostMode,     setShowGhostMode]     = useState(false);
+  const [showExitModal,     setShowExitModal]     = useState(false);
   const [selectedEmployee,  setSelectedEmployee]  = useState(null);
   const [searchTerm,        setSearchTerm]        = useState('');
   const [statusFilter,      setStatusFilter]      = useState('All');
@@ -129,6 +133,13 @@ export default function ManageEmployees() {
     setOpenMenuId(null);
   };
 
+  const handleExit = (employee) => {
+    if (!guardAction(employee, 'record an exit for')) return;
+    setSelectedEmployee(employee);
+    setShowExitModal(true);
+    setOpenMenuId(null);
+  };
+
   const handleGhostMode = (employee) => {
     // Ghost mode: admins can ghost employees only, superadmin can ghost anyone except themselves
     if (employee._id === currentUserId) {
@@ -323,8 +334,8 @@ export default function ManageEmployees() {
                         </td>
                         <td className="px-4 py-3 text-gray-600">
                           {employee.salaryType === 'monthly'
-                            ? `PKR ${employee.monthlySalary?.toLocaleString()}/mo`
-                            : `PKR ${employee.hourlyRate}/hr`}
+                            ? `${formatMoney(employee.monthlySalary)}/mo`
+                            : `${formatMoney(employee.hourlyRate)}/hr`}
                         </td>
                         <td className="px-4 py-3 relative text-center">
                           <button
@@ -365,6 +376,15 @@ export default function ManageEmployees() {
                                 🔒 {employee.status === 'Frozen' ? 'Unfreeze' : 'Freeze'} Account
                               </button>
 
+                              {/* Exit & Settlement */}
+                              <button onClick={() => handleExit(employee)}
+                                disabled={!manageable}
+                                className={`w-full flex items-center gap-2 px-4 py-3 text-left text-sm border-b transition ${
+                                  !manageable ? 'opacity-40 cursor-not-allowed text-gray-400' : 'text-gray-700 hover:bg-gray-50'
+                                }`}>
+                                🚪 Exit &amp; Settlement
+                              </button>
+
                               {/* Archive */}
                               <button onClick={() => handleArchive(employee)}
                                 disabled={!manageable}
@@ -417,8 +437,8 @@ export default function ManageEmployees() {
                       <p className="text-gray-600">{employee.department}</p>
                       <p className="text-gray-600">
                         {employee.salaryType === 'monthly'
-                          ? `PKR ${employee.monthlySalary?.toLocaleString()}/mo`
-                          : `PKR ${employee.hourlyRate}/hr`}
+                          ? `${formatMoney(employee.monthlySalary)}/mo`
+                          : `${formatMoney(employee.hourlyRate)}/hr`}
                       </p>
                     </div>
                     <div className="relative">
@@ -441,6 +461,10 @@ export default function ManageEmployees() {
                             className={`w-full px-4 py-3 text-left text-sm border-b ${!manageable ? 'opacity-40 cursor-not-allowed text-gray-400' : 'hover:bg-gray-50'}`}>
                             🔒 {employee.status === 'Frozen' ? 'Unfreeze' : 'Freeze'}
                           </button>
+                          <button onClick={() => handleExit(employee)} disabled={!manageable}
+                            className={`w-full px-4 py-3 text-left text-sm border-b ${!manageable ? 'opacity-40 cursor-not-allowed text-gray-400' : 'hover:bg-gray-50'}`}>
+                            🚪 Exit &amp; Settlement
+                          </button>
                           <button onClick={() => handleArchive(employee)} disabled={!manageable}
                             className={`w-full px-4 py-3 text-left text-sm ${!manageable ? 'opacity-40 cursor-not-allowed text-gray-400' : 'hover:bg-red-50 text-red-700'}`}>
                             🗑️ Archive
@@ -480,6 +504,14 @@ export default function ManageEmployees() {
         />
       )}
 
+      {showExitModal && selectedEmployee && (
+        <ExitSettlementModal
+          employee={selectedEmployee}
+          onClose={() => { setShowExitModal(false); setSelectedEmployee(null); }}
+          onSave={() => fetchEmployees()}
+        />
+      )}
+
       {showGhostMode && selectedEmployee && (
         <GhostModeView
           employee={selectedEmployee}
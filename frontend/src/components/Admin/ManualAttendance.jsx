@@ -1,14 +1,32 @@
 import React, { useState, useEffect, useCallback, useRef } from 'react';
 import axios from 'axios';
 import {
-  Plus, Download, Upload, AlertCircle, RefreshCw, X, Save, Pencil, Calendar, Eye
+  Plus, Download, Upload, AlertCircle, RefreshCw, X, Save, Pencil, Calendar, Eye, UserX
 } from 'lucide-react';
 import toast from 'react-hot-toast';
 import CSVImportModal from './CSVImportModal.jsx';
 import { getDateMinusDays, getTodayDate, parseDate } from '../../utils/dateFormatter.js';
+import { WORKED_STATUSES } from '../../utils/constants.js';
+import { useSettings } from '../../context/SettingsContext.js';
 
 const PRIVILEGED_ROLES = ['admin', 'superadmin'];
 
+// "09:00–13:00, 13:45–18:05" — every IN/OUT pair of the day
+const punchSummary = (punches = []) =>
+  punches.map(p => `${p.in || '--'}–${p.out || '--'}${p.outNextDay ? ' (+1)' : ''}`).join(', ');
+
+// AttendanceLog.missingPunch, set by the scheduled absence check
+const MISSING_PUNCH_LABELS = { in: 'No check-in', out: 'No check-out' };
+
+function MissingPunchBadge({ record }) {
+  if (!record.missingPunch) return null;
+  return (
+    <div className="mt-1 inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-medium bg-orange-100 text-orange-800">
+      <AlertCircle size={11} /> {MISSING_PUNCH_LABELS[record.missingPunch]}
+    </div>
+  );
+}
+
 // ─── resolve current user role — always read from the user object in
 //     localStorage so it stays in sync with what the server issued.
 function getCurrentUserRole() {
@@ -24,6 +42,7 @@ function getCurrentUserRole() {
 function AttendanceFormModal({ mode = 'add', record = null, onClose, onSuccess, currentUserRole }) {
   const isEdit        = mode === 'edit';
   const hiddenDateRef = useRef(null);
+  const { settings, formatMoney } = useSettings();
 
   const [form, setForm] = useState({
     empId:            isEdit ? (record?.empId?._id || record?.empId || '') : '',
@@ -134,7 +153,7 @@ function AttendanceFormModal({ mode = 'add', record = null, onClose, onSuccess,
     }
   };
 
-  const showTimes = ['Present', 'Late'].includes(form.status);
+  const showTimes = [...WORKED_STATUSES, 'Pending Regularization'].includes(form.status);
 
   return (
     <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4">
@@ -195,9 +214,19 @@ function AttendanceFormModal({ mode = 'add', record = null, onClose, onSuccess,
               className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-blue-500">
               <option value="Present">Present</option>
               <option value="Late">Late</option>
+              <option value="Early Leave">Early Leave</option>
+              <option value="Half Day">Half Day</option>
+              <option value="Pending Regularization">Pending Regularization</option>
               <option value="Absent">Absent</option>
               <option value="Leave">Leave</option>
+              <option value="Holiday">Holiday</option>
             </select>
+            {showTimes && (
+              <p className="text-xs text-gray-400 mt-1">
+                With times entered, the status is set from the late grace, early-leave, half-day and
+                missing-punch settings.
+              </p>
+            )}
           </div>
 
           {showTimes && (
@@ -240,7 +269,7 @@ function AttendanceFormModal({ mode = 'add', record = null, onClose, onSuccess,
             <div className="space-y-1">
               {form.deductionDetails.map((entry, idx) => (
                 <div key={`d-${idx}`} className="flex justify-between text-xs bg-white border rounded px-2 py-1">
-                  <span>PKR {entry.amount} - {entry.reason}</span>
+                  <span>{formatMoney(entry.amount)} - {entry.reason}</span>
                   <button type="button" onClick={() => removeDetail('deductionDetails', idx)} className="text-red-600 hover:text-red-800">Remove</button>
                 </div>
               ))}
@@ -250,6 +279,12 @@ function AttendanceFormModal({ mode = 'add', record = null, onClose, onSuccess,
           {/* OT */}
           <div className="border rounded-lg p-3 bg-gray-50 space-y-2">
             <p className="text-sm font-semibold text-gray-700">Overtime (OT)</p>
+            {settings.autoOtEnabled && (
+              <p className="text-xs text-gray-500">
+                Payroll adds overtime automatically for hours beyond the shift. Entering OT here replaces it
+                for this day.
+              </p>
+            )}
             <div className="grid grid-cols-2 gap-2">
               <select value={otDraft.type} onChange={e => setOtDraft(prev => ({ ...prev, type: e.target.value }))}
                 className="border border-gray-300 rounded-lg px-3 py-2 text-sm">
@@ -282,7 +317,7 @@ function AttendanceFormModal({ mode = 'add', record = null, onClose, onSuccess,
             <div className="space-y-1">
               {form.otDetails.map((entry, idx) => (
                 <div key={`ot-${idx}`} className="flex justify-between text-xs bg-white border rounded px-2 py-1">
-                  <span>{entry.type === 'manual' ? `PKR ${entry.amount}` : `${entry.hours}h x ${entry.rate}x`} - {entry.reason}</span>
+                  <span>{entry.type === 'manual' ? formatMoney(entry.amount) : `${entry.hours}h x ${entry.rate}x`} - {entry.reason}</span>
                   <button type="button" onClick={() => removeDetail('otDetails', idx)} className="text-red-600 hover:text-red-800">Remove</button>
                 </div>
               ))}
@@ -309,12 +344,15 @@ function AttendanceFormModal({ mode = 'add', record = null, onClose, onSuccess,
 
 // ─── Main Component ───────────────────────────────────────────────────────────
 export default function ManualAttendance() {
+  const { formatMoney } = useSettings();
   const [attendance,      setAttendance]      = useState([]);
   const [loading,         setLoading]         = useState(false);
   const [fromDate,        setFromDate]        = useState(getDateMinusDays(30));
   const [toDate,          setToDate]          = useState(getTodayDate());
   const [showImportModal, setShowImportModal] = useState(false);
   const [refreshing,      setRefreshing]      = useState(false);
+  const [missingOnly,     setMissingOnly]     = useState(false);
+  const [sweeping,        setSweeping]        = useState(false);
 
   const hiddenFromDateRef = useRef(null);
   const hiddenToDateRef   = useRef(null);
@@ -375,6 +413,29 @@ export default function ManualAttendance() {
     setTimeout(() => { fetchAttendance(); setRefreshing(false); }, 1500);
   };
 
+  // Runs the scheduled absence check now for the selected range
+  const handleAbsenceSweep = async () => {
+    if (!window.confirm(
+      `Check ${fromDate} – ${toDate} now? Working days with no punches and no approved leave are marked Absent, ` +
+      'and days with a single punch are flagged.'
+    )) return;
+
+    setSweeping(true);
+    try {
+      const res = await axios.post('/api/attendance/absence-sweep', { fromDate, toDate }, {
+        headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
+      });
+      toast.success(res.data.message);
+      fetchAttendance();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Absence check failed');
+    } finally {
+      setSweeping(false);
+    }
+  };
+
+  const visible = missingOnly ? attendance.filter(r => r.missingPunch) : attendance;
+
   const handleShowPicker = (ref) => {
     try { ref.current?.showPicker(); } catch { ref.current?.focus(); }
   };
@@ -409,7 +470,7 @@ export default function ManualAttendance() {
 
     const csv = [
       ['Date','Employee ID','Name','Department','Status','In Time','Out Time',
-       'Hours Worked','OT Amount','Total Deduction','Daily Earning','Last Modified'].join(',')
+       'Hours Worked','Break Hours','Punches','OT Amount','Total Deduction','Daily Earning','Last Modified'].join(',')
     ];
     attendance.forEach(record => {
       csv.push([
@@ -421,6 +482,8 @@ export default function ManualAttendance() {
         record.inTime                                     || '--',
         record.outTime                                    || '--',
         (record.financials?.hoursWorked?.toFixed(2))     || '0.00',
+        (record.financials?.breakHours?.toFixed(2))      || '0.00',
+        punchSummary(record.punches)                     || '--',
         (record.financials?.otAmount?.toFixed(2))        || '0.00',
         (record.financials?.deduction?.toFixed(2))       || '0.00',
         (record.financials?.finalDayEarning?.toFixed(2)) || '0.00',
@@ -440,8 +503,12 @@ export default function ManualAttendance() {
     switch (status) {
       case 'Present': return 'bg-green-100 text-green-800';
       case 'Late':    return 'bg-yellow-100 text-yellow-800';
+      case 'Early Leave': return 'bg-orange-100 text-orange-800';
+      case 'Half Day':    return 'bg-amber-100 text-amber-800';
+      case 'Pending Regularization': return 'bg-pink-100 text-pink-800';
       case 'Leave':   return 'bg-blue-100 text-blue-800';
       case 'Absent':  return 'bg-red-100 text-red-800';
+      case 'Holiday': return 'bg-purple-100 text-purple-800';
       default:        return 'bg-gray-100 text-gray-800';
     }
   };
@@ -463,6 +530,11 @@ export default function ManualAttendance() {
                 className="flex items-center gap-2 px-3 md:px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition disabled:opacity-50 text-sm">
                 <Upload size={18} /><span className="hidden sm:inline">Import CSV</span>
               </button>
+              <button onClick={handleAbsenceSweep} disabled={loading || sweeping}
+                title="Mark absences and flag missing punches for the selected dates"
+                className="flex items-center gap-2 px-3 md:px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition disabled:opacity-50 text-sm">
+                <UserX size={18} /><span className="hidden sm:inline">{sweeping ? 'Checking…' : 'Check Absences'}</span>
+              </button>
             </>
           )}
           <button onClick={handleExport} disabled={loading || !attendance.length}
@@ -513,7 +585,13 @@ export default function ManualAttendance() {
             </button>
           </div>
           <div className="flex items-end md:col-span-2">
-            <div className="w-full text-xs text-gray-600 p-2 bg-gray-50 rounded">Total Records: {attendance.length}</div>
+            <div className="w-full flex items-center justify-between gap-2 text-xs text-gray-600 p-2 bg-gray-50 rounded">
+              <span>Total Records: {attendance.length}</span>
+              <label className="flex items-center gap-1">
+                <input type="checkbox" checked={missingOnly} onChange={e => setMissingOnly(e.target.checked)} />
+                Missing punches only ({attendance.filter(r => r.missingPunch).length})
+              </label>
+            </div>
           </div>
         </div>
       </div>
@@ -553,7 +631,7 @@ export default function ManualAttendance() {
                   </tr>
                 </thead>
                 <tbody className="divide-y">
-                  {attendance.map((record, idx) => {
+                  {visible.map((record, idx) => {
                     const editable = canEditRecord(record);
                     return (
                       <tr key={record._id || idx} className="hover:bg-gray-50">
@@ -565,27 +643,35 @@ export default function ManualAttendance() {
                           <span className={`px-3 py-1 rounded-full text-xs font-semibold ${getStatusColor(record.status)}`}>
                             {record.status}
                           </span>
+                          <MissingPunchBadge record={record} />
                         </td>
                         <td className="px-4 py-3 text-center">{record.inTime}</td>
                         <td className="px-4 py-3 text-center">
                           {record.outTime}
                           {record.outNextDay && <span className="ml-1 text-xs text-orange-500 font-medium">(+1)</span>}
                         </td>
-                        <td className="px-4 py-3 text-right">{(record.financials?.hoursWorked || 0).toFixed(2)}</td>
+                        <td className="px-4 py-3 text-right" title={punchSummary(record.punches) || undefined}>
+                          {(record.financials?.hoursWorked || 0).toFixed(2)}
+                          {record.financials?.breakHours > 0 && (
+                            <div className="text-xs text-gray-500">
+                              {record.punches?.length} pairs · {record.financials.breakHours.toFixed(2)}h break
+                            </div>
+                          )}
+                        </td>
                         <td className="px-4 py-3 text-right">
                           <button type="button" onClick={() => setDetailsModal({ type: 'ot', record })}
                             className="inline-flex items-center gap-1 text-blue-700 hover:text-blue-900">
-                            PKR {(record.financials?.otAmount || 0).toFixed(2)} <Eye size={12} />
+                            {formatMoney(record.financials?.otAmount)} <Eye size={12} />
                           </button>
                         </td>
                         <td className="px-4 py-3 text-right">
                           <button type="button" onClick={() => setDetailsModal({ type: 'deduction', record })}
                             className="inline-flex items-center gap-1 text-red-700 hover:text-red-900">
-                            PKR {(record.financials?.deduction || 0).toFixed(2)} <Eye size={12} />
+                            {formatMoney(record.financials?.deduction)} <Eye size={12} />
                           </button>
                         </td>
                         <td className="px-4 py-3 text-right font-semibold">
-                          PKR {(record.financials?.finalDayEarning || 0).toFixed(2)}
+                          {formatMoney(record.financials?.finalDayEarning)}
                         </td>
                         <td className="px-4 py-3 text-xs text-gray-600">{record.lastModified}</td>
                         {isAdmin && (
@@ -612,7 +698,7 @@ export default function ManualAttendance() {
 
             {/* Mobile */}
             <div className="md:hidden space-y-3 p-4">
-              {attendance.map((record, idx) => {
+              {visible.map((record, idx) => {
                 const editable = canEditRecord(record);
                 return (
                   <div key={record._id || idx} className="border rounded-lg p-4 bg-gray-50">
@@ -641,15 +727,22 @@ export default function ManualAttendance() {
                     </div>
                     <div className="space-y-1 text-sm">
                       <p><span className="font-medium">Date:</span> {record.dateFormatted}</p>
+                      <MissingPunchBadge record={record} />
                       <p><span className="font-medium">Dept:</span> {record.department}</p>
                       <p>
                         <span className="font-medium">In/Out:</span> {record.inTime} - {record.outTime}
                         {record.outNextDay && <span className="ml-1 text-xs text-orange-500">(+1 day)</span>}
                       </p>
                       <p><span className="font-medium">Hours:</span> {(record.financials?.hoursWorked || 0).toFixed(2)}</p>
-                      <p><span className="font-medium">OT:</span> PKR {(record.financials?.otAmount || 0).toFixed(2)}</p>
-                      <p><span className="font-medium">Deduction:</span> PKR {(record.financials?.deduction || 0).toFixed(2)}</p>
-                      <p><span className="font-medium">Earning:</span> PKR {(record.financials?.finalDayEarning || 0).toFixed(2)}</p>
+                      {record.punches?.length > 1 && (
+                        <p className="text-xs text-gray-500">
+                          <span className="font-medium">Punches:</span> {punchSummary(record.punches)}
+                          {record.financials?.breakHours > 0 && ` · ${record.financials.breakHours.toFixed(2)}h break`}
+                        </p>
+                      )}
+                      <p><span className="font-medium">OT:</span> {formatMoney(record.financials?.otAmount)}</p>
+                      <p><span className="font-medium">Deduction:</span> {formatMoney(record.financials?.deduction)}</p>
+                      <p><span className="font-medium">Earning:</span> {formatMoney(record.financials?.finalDayEarning)}</p>
                       <p className="text-xs text-gray-500"><span className="font-medium">Modified:</span> {record.lastModified}</p>
                     </div>
                   </div>
@@ -701,9 +794,9 @@ export default function ManualAttendance() {
                 return entries.map((entry, i) => (
                   <div key={i} className="border rounded-lg p-2 text-sm bg-gray-50">
                     {detailsModal.type === 'ot' ? (
-                      <p>{entry.type === 'manual' ? `Amount: PKR ${entry.amount}` : `Hours: ${entry.hours} x ${entry.rate}x`} · {entry.reason}</p>
+                      <p>{entry.type === 'manual' ? `Amount: ${formatMoney(entry.amount)}` : `Hours: ${entry.hours} x ${entry.rate}x`} · {entry.reason}</p>
                     ) : (
-                      <p>Amount: PKR {entry.amount} · {entry.reason}</p>
+                      <p>Amount: {formatMoney(entry.amount)} · {entry.reason}</p>
                     )}
                   </div>
                 ));
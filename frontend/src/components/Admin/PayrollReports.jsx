@@ -5,8 +5,15 @@ import {
 } from 'recharts';
 import { Calendar, Download } from 'lucide-react';
 import toast from 'react-hot-toast';
-
-const COLORS = ['#10b981', '#f59e0b', '#3b82f6', '#ef4444'];
+import PayrollRuns from './PayrollRuns';
+import TaxSlabs    from './TaxSlabs';
+import EarningComponents from './EarningComponents';
+import Loans             from './Loans';
+import PayrollVariance   from './PayrollVariance';
+import LatePenaltyRules  from './LatePenaltyRules';
+import { useSettings } from '../../context/SettingsContext.js';
+
+const COLORS = ['#10b981', '#f59e0b', '#3b82f6', '#ef4444', '#8b5cf6', '#f97316', '#eab308', '#ec4899'];
 const PRIVILEGED_ROLES = ['admin', 'superadmin'];
 
 const formatDateToDisplay = (dateStr) => {
@@ -32,6 +39,7 @@ function getCurrentUserRole() {
 }
 
 export default function PayrollReports() {
+  const { formatMoney } = useSettings();
   const attFromRef = useRef(null);
   const attToRef   = useRef(null);
   const salFromRef = useRef(null);
@@ -90,7 +98,8 @@ export default function PayrollReports() {
   const [salaryToDate,   setSalaryToDate]   = useState(new Date().toISOString().split('T')[0]);
   const [salarySummary,  setSalarySummary]  = useState([]);
   const [salaryTotals,   setSalaryTotals]   = useState({
-    totalBaseSalary: 0, totalOT: 0, totalDeductions: 0, totalNetPayable: 0
+    totalBaseSalary: 0, totalAllowances: 0, totalOT: 0, totalNightDifferential: 0, totalDeductions: 0,
+    totalIncomeTax: 0, totalNetPayable: 0
   });
   const [salaryLoading, setSalaryLoading] = useState(false);
   const [salarySearch,  setSalarySearch]  = useState('');
@@ -182,7 +191,8 @@ export default function PayrollReports() {
       );
       setSalarySummary(res.data.report     || []);
       setSalaryTotals(res.data.grandTotals || {
-        totalBaseSalary: 0, totalOT: 0, totalDeductions: 0, totalNetPayable: 0
+        totalBaseSalary: 0, totalAllowances: 0, totalOT: 0, totalNightDifferential: 0, totalDeductions: 0,
+        totalIncomeTax: 0, totalNetPayable: 0
       });
     } catch {
       toast.error('Failed to load salary data');
@@ -375,6 +385,8 @@ export default function PayrollReports() {
                       <th className="px-4 py-2 text-center">Present</th>
                       <th className="px-4 py-2 text-center">Absent</th>
                       <th className="px-4 py-2 text-center">Late</th>
+                      <th className="px-4 py-2 text-center">Early Leave</th>
+                      <th className="px-4 py-2 text-center">Half Day</th>
                       <th className="px-4 py-2 text-center">Leave</th>
                       <th className="px-4 py-2 text-left">Rating</th>
                     </tr>
@@ -389,6 +401,8 @@ export default function PayrollReports() {
                         <td className="px-4 py-2 text-center text-green-600">{emp.presentDays}</td>
                         <td className="px-4 py-2 text-center text-red-600">{emp.absentDays}</td>
                         <td className="px-4 py-2 text-center text-yellow-600">{emp.lateDays}</td>
+                        <td className="px-4 py-2 text-center text-orange-600">{emp.earlyLeaveDays}</td>
+                        <td className="px-4 py-2 text-center text-amber-600">{emp.halfDays}</td>
                         <td className="px-4 py-2 text-center text-blue-600">{emp.leaveDays}</td>
                         <td className="px-4 py-2">
                           <span className={`px-2 py-1 rounded text-xs font-semibold ${ratingColor(emp.rating)}`}>
@@ -564,6 +578,8 @@ export default function PayrollReports() {
                       <th className="px-4 py-2 text-center">Present</th>
                       <th className="px-4 py-2 text-center">Absent</th>
                       <th className="px-4 py-2 text-center">Late</th>
+                      <th className="px-4 py-2 text-center">Early Leave</th>
+                      <th className="px-4 py-2 text-center">Half Day</th>
                       <th className="px-4 py-2 text-center">Leave</th>
                       <th className="px-4 py-2 text-left">Rating</th>
                     </tr>
@@ -583,6 +599,8 @@ export default function PayrollReports() {
                           <td className="px-4 py-2 text-center text-green-600">{emp.presentDays}</td>
                           <td className="px-4 py-2 text-center text-red-600">{emp.absentDays}</td>
                           <td className="px-4 py-2 text-center text-yellow-600">{emp.lateDays}</td>
+                          <td className="px-4 py-2 text-center text-orange-600">{emp.earlyLeaveDays}</td>
+                          <td className="px-4 py-2 text-center text-amber-600">{emp.halfDays}</td>
                           <td className="px-4 py-2 text-center text-blue-600">{emp.leaveDays}</td>
                           <td className="px-4 py-2">
                             <span className={`px-2 py-1 rounded text-xs font-semibold ${ratingColor(emp.rating)}`}>
@@ -626,17 +644,20 @@ export default function PayrollReports() {
           </div>
 
           {/* Totals */}
-          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+          <div className="grid grid-cols-2 md:grid-cols-7 gap-4 mb-6">
             {[
               { label: 'Total Base Salary', key: 'totalBaseSalary', color: 'blue'   },
+              { label: 'Total Allowances',  key: 'totalAllowances', color: 'indigo' },
               { label: 'Total OT',          key: 'totalOT',         color: 'green'  },
+              { label: 'Night Differential', key: 'totalNightDifferential', color: 'violet' },
               { label: 'Total Deductions',  key: 'totalDeductions', color: 'red'    },
+              { label: 'Total Income Tax',  key: 'totalIncomeTax',  color: 'amber'  },
               { label: 'Total Net Payable', key: 'totalNetPayable', color: 'purple' }
             ].map(({ label, key, color }) => (
               <div key={key} className={`bg-${color}-50 p-4 rounded-lg border border-${color}-200`}>
                 <p className="text-sm text-gray-600">{label}</p>
                 <p className={`text-2xl font-bold text-${color}-600 mt-2`}>
-                  PKR {(salaryTotals[key] || 0).toFixed(2)}
+                  {formatMoney(salaryTotals[key])}
                 </p>
               </div>
             ))}
@@ -661,8 +682,11 @@ export default function PayrollReports() {
                   <tr>
                     <th className="px-4 py-2 text-left">Employee</th>
                     <th className="px-4 py-2 text-right">Base Salary</th>
+                    <th className="px-4 py-2 text-right">Allowances</th>
                     <th className="px-4 py-2 text-right">Deductions</th>
                     <th className="px-4 py-2 text-right">OT</th>
+                    <th className="px-4 py-2 text-right">Income Tax</th>
+                    <th className="px-4 py-2 text-right">Loans</th>
                     <th className="px-4 py-2 text-right">Net Payable</th>
                     <th className="px-4 py-2 text-left">Details</th>
                   </tr>
@@ -674,10 +698,13 @@ export default function PayrollReports() {
                         <td className="px-4 py-2 font-medium">
                           {emp.name} <span className="text-xs text-gray-500">({emp.empNumber})</span>
                         </td>
-                        <td className="px-4 py-2 text-right">PKR {emp.baseSalary.toFixed(2)}</td>
-                        <td className="px-4 py-2 text-right text-red-600">PKR {emp.totalDeduction.toFixed(2)}</td>
-                        <td className="px-4 py-2 text-right text-green-600">PKR {emp.totalOt.toFixed(2)}</td>
-                        <td className="px-4 py-2 text-right font-semibold text-blue-600">PKR {emp.netPayable.toFixed(2)}</td>
+                        <td className="px-4 py-2 text-right">{formatMoney(emp.baseSalary)}</td>
+                        <td className="px-4 py-2 text-right text-indigo-600">{formatMoney(emp.totalAllowances)}</td>
+                        <td className="px-4 py-2 text-right text-red-600">{formatMoney(emp.totalDeduction)}</td>
+                        <td className="px-4 py-2 text-right text-green-600">{formatMoney(emp.totalOt)}</td>
+                        <td className="px-4 py-2 text-right text-amber-600">{formatMoney(emp.incomeTax)}</td>
+                        <td className="px-4 py-2 text-right text-red-600">{formatMoney(emp.totalLoanDeduction)}</td>
+                        <td className="px-4 py-2 text-right font-semibold text-blue-600">{formatMoney(emp.netPayable)}</td>
                         <td className="px-4 py-2">
                           <button onClick={() => toggleEmployeeExpansion(emp.empId)}
                             className="text-blue-600 hover:text-blue-800 text-sm font-medium">
@@ -688,7 +715,50 @@ export default function PayrollReports() {
 
                       {expandedEmployees[emp.empId] && (
                         <tr>
-                          <td colSpan={6} className="bg-blue-50 px-4 py-3">
+                          <td colSpan={9} className="bg-blue-50 px-4 py-3">
+                            {emp.earnings?.length > 0 && (
+                              <div className="flex flex-wrap gap-2 mb-3">
+                                {emp.earnings.map(e => (
+                                  <span key={e.code} className="px-2 py-1 bg-white border border-indigo-200 rounded text-xs text-indigo-700">
+                                    {e.name}: {formatMoney(e.amount)}{e.taxable ? '' : ' (non-taxable)'}
+                                  </span>
+                                ))}
+                              </div>
+                            )}
+                            {emp.totalNightDifferential > 0 && (
+                              <div className="flex flex-wrap gap-2 mb-3">
+                                <span className="px-2 py-1 bg-white border border-violet-200 rounded text-xs text-violet-700">
+                                  Night differential: {formatMoney(emp.totalNightDifferential)} ({emp.totalNightHours} night hrs)
+                                </span>
+                              </div>
+                            )}
+                            {emp.autoOvertime?.length > 0 && (
+                              <div className="flex flex-wrap gap-2 mb-3">
+                                {emp.autoOvertime.map(o => (
+                                  <span key={o.date} className="px-2 py-1 bg-white border border-green-200 rounded text-xs text-green-700">
+                                    Auto OT {o.date}: {o.hours}h × {o.premiumOnly ? `(${o.multiplier} − 1)` : o.multiplier} = {formatMoney(o.amount)}
+                                  </span>
+                                ))}
+                              </div>
+                            )}
+                            {emp.latePenalties?.length > 0 && (
+                              <div className="flex flex-wrap gap-2 mb-3">
+                                {emp.latePenalties.map(l => (
+                                  <span key={l.ruleId} className="px-2 py-1 bg-white border border-orange-200 rounded text-xs text-orange-700">
+                                    {l.name}: {formatMoney(l.amount)} ({l.label})
+                                  </span>
+                                ))}
+                              </div>
+                            )}
+                            {emp.loanDeductions?.length > 0 && (
+                              <div className="flex flex-wrap gap-2 mb-3">
+                                {emp.loanDeductions.map(l => (
+                                  <span key={l.loan} className="px-2 py-1 bg-white border border-red-200 rounded text-xs text-red-700">
+                                    {l.label}: {formatMoney(l.amount)} · balance after {formatMoney(l.balanceAfter)}
+                                  </span>
+                                ))}
+                              </div>
+                            )}
                             <div className="overflow-x-auto">
                               <table className="w-full text-xs">
                                 <thead>
@@ -706,10 +776,10 @@ export default function PayrollReports() {
                                       <td className="px-3 py-2 border">{day.inTime}</td>
                                       <td className="px-3 py-2 border">{day.outTime}</td>
                                       <td className="px-3 py-2 border text-right">{day.hoursWorked.toFixed(2)}</td>
-                                      <td className="px-3 py-2 border text-right">PKR {day.basePay.toFixed(2)}</td>
-                                      <td className="px-3 py-2 border text-right text-red-600">PKR {day.deduction.toFixed(2)}</td>
-                                      <td className="px-3 py-2 border text-right text-green-600">PKR {day.otAmount.toFixed(2)}</td>
-                                      <td className="px-3 py-2 border text-right font-semibold">PKR {day.finalDayEarning.toFixed(2)}</td>
+                                      <td className="px-3 py-2 border text-right">{formatMoney(day.basePay)}</td>
+                                      <td className="px-3 py-2 border text-right text-red-600">{formatMoney(day.deduction)}</td>
+                                      <td className="px-3 py-2 border text-right text-green-600">{formatMoney(day.otAmount)}</td>
+                                      <td className="px-3 py-2 border text-right font-semibold">{formatMoney(day.finalDayEarning)}</td>
                                     </tr>
                                   ))}
                                 </tbody>
@@ -728,6 +798,24 @@ export default function PayrollReports() {
           )}
         </section>
 
+        {/* ═══ Section 4: Payroll Runs (persisted records) ════════════════════ */}
+        <PayrollRuns />
+
+        {/* ═══ Section 5: Income Tax Slabs ═════════════════════════════════════ */}
+        <TaxSlabs />
+
+        {/* ═══ Section 6: Earnings Components ══════════════════════════════════ */}
+        <EarningComponents />
+
+        {/* ═══ Section 7: Loans & Advances ═════════════════════════════════════ */}
+        <Loans />
+
+        {/* ═══ Section 8: Period Variance ══════════════════════════════════════ */}
+        <PayrollVariance />
+
+        {/* ═══ Section 9: Late Penalty Rules ═════════════════════════════════════ */}
+        <LatePenaltyRules />
+
       </div>
     </div>
   );
@@ -0,0 +1,439 @@
+import React, { useState, useRef, useEffect } from 'react';
+import axios from 'axios';
+import { Calendar, CheckCircle, Banknote, RefreshCw, Lock, Unlock, Download } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useSettings } from '../../context/SettingsContext.js';
+
+// ── date helpers ──────────────────────────────────────────────────────────────
+
+/** "YYYY-MM-DD" → "dd/mm/yyyy" */
+const toBackendDate = (isoStr) => {
+  if (!isoStr) return '';
+  const [year, month, day] = isoStr.split('-');
+  return `${day}/${month}/${year}`;
+};
+
+const toISO = (d) =>
+  `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+
+function getCurrentUserRole() {
+  try {
+    const user = JSON.parse(localStorage.getItem('user') || '{}');
+    return user.role || localStorage.getItem('role') || '';
+  } catch {
+    return localStorage.getItem('role') || '';
+  }
+}
+
+const STATUS_BADGE = {
+  draft:    'bg-gray-100 text-gray-700',
+  approved: 'bg-blue-100 text-blue-700',
+  paid:     'bg-green-100 text-green-700'
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+
+export default function PayrollRuns() {
+  const fromRef = useRef(null);
+  const toRef   = useRef(null);
+
+  const { payPeriodFor, formatMoney: money } = useSettings();
+
+  // Default to the current company pay period
+  const [fromDate, setFromDate] = useState(() => toISO(payPeriodFor().start));
+  const [toDate,   setToDate]   = useState(() => toISO(payPeriodFor().end));
+
+  const [records,  setRecords]  = useState([]);
+  const [counts,   setCounts]   = useState({ draft: 0, approved: 0, paid: 0 });
+  const [totals,   setTotals]   = useState({ totalNetPayable: 0 });
+  const [selected, setSelected] = useState({});
+  const [expanded, setExpanded] = useState({});   // id → record with dailyBreakdown
+  const [locks,    setLocks]    = useState([]);
+  const [loading,  setLoading]  = useState(false);
+  const [busy,     setBusy]     = useState(false);
+
+  const [bankFormats, setBankFormats] = useState([]);
+  const [bankFormat,  setBankFormat]  = useState('generic-csv');
+
+  const isSuperAdmin = getCurrentUserRole() === 'superadmin';
+
+  const authHeader = () => ({ headers: { Authorization: `Bearer ${localStorage.getItem('token')}` } });
+  const period     = () => ({ fromDate: toBackendDate(fromDate), toDate: toBackendDate(toDate) });
+
+  useEffect(() => {
+    axios.get('/api/payroll/disbursement/formats', authHeader())
+      .then(res => setBankFormats(res.data.formats || []))
+      .catch(() => {});
+  }, []);
+
+  const fetchRecords = async () => {
+    setLoading(true);
+    try {
+      const [res, lockRes] = await Promise.all([
+        axios.get('/api/payroll/records', { params: period(), ...authHeader() }),
+        axios.get('/api/period-locks',    { params: period(), ...authHeader() })
+      ]);
+      setLocks(lockRes.data.locks || []);
+      setRecords(res.data.records || []);
+      setCounts(res.data.counts   || { draft: 0, approved: 0, paid: 0 });
+      setTotals(res.data.totals   || { totalNetPayable: 0 });
+      setSelected({});
+      setExpanded({});
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load payroll records');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const runAction = async (request, fallbackError) => {
+    setBusy(true);
+    try {
+      const res = await request();
+      toast.success(res.data.message || 'Done');
+      (res.data.skipped || []).slice(0, 3).forEach(s =>
+        toast(`${s.empNumber || s.id}: ${s.reason}`, { icon: '⚠️' })
+      );
+      await fetchRecords();
+    } catch (err) {
+      toast.error(err.response?.data?.message || fallbackError);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleGenerate = () =>
+    runAction(() => axios.post('/api/payroll/records/generate', period(), authHeader()),
+      'Failed to generate payroll');
+
+  const selectedIds = Object.keys(selected).filter(id => selected[id]);
+
+  const handleBulk = (action) => {
+    const body = selectedIds.length ? { ids: selectedIds } : period();
+    const verb = action === 'approve' ? 'approve' : 'mark as paid';
+    const scope = selectedIds.length ? `${selectedIds.length} selected record(s)` : 'every eligible record in this period';
+    if (!window.confirm(`Really ${verb} ${scope}?`)) return;
+    runAction(() => axios.post(`/api/payroll/records/${action}`, body, authHeader()),
+      `Bulk ${verb} failed`);
+  };
+
+  const handleSingle = (id, action) =>
+    runAction(() => axios.patch(`/api/payroll/records/${id}/${action}`, {}, authHeader()),
+      `Failed to ${action} record`);
+
+  const handleReopen = (lock) => {
+    const reason = window.prompt(
+      `Reopen ${lock.periodStartFormatted} – ${lock.periodEndFormatted}?\n` +
+      'Attendance becomes editable and approved records return to draft.\nReason (required):'
+    );
+    if (reason === null) return;
+    if (!reason.trim()) return toast.error('A reason is required to reopen a period');
+    runAction(() => axios.post(`/api/period-locks/${lock._id}/reopen`, { reason }, authHeader()),
+      'Failed to reopen period');
+  };
+
+  const handleBankExport = async () => {
+    setBusy(true);
+    try {
+      const res = await axios.post('/api/payroll/disbursement/export',
+        { ...period(), format: bankFormat },
+        { ...authHeader(), responseType: 'blob' });
+      const fmt = bankFormats.find(f => f.id === bankFormat);
+      const url = window.URL.createObjectURL(new Blob([res.data]));
+      const a   = document.createElement('a');
+      a.href = url;
+      a.download = `disbursement-${fromDate}-${toDate}.${fmt?.extension || 'csv'}`;
+      a.click();
+      window.URL.revokeObjectURL(url);
+      toast.success(`Bank file exported — ${res.headers['x-record-count']} payee(s), control total ${money(Number(res.headers['x-control-total']))}`);
+    } catch (err) {
+      // Blob responses carry the JSON error body as a Blob
+      let data = {};
+      try { data = JSON.parse(await err.response?.data?.text()); } catch { /* not JSON */ }
+      toast.error(data.message || 'Bank file export failed');
+      (data.invalid || []).slice(0, 5).forEach(i =>
+        toast(`${i.empNumber} ${i.name}: ${i.problems.join(', ')}`, { icon: '🏦' })
+      );
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handlePayslip = async (r) => {
+    try {
+      const res = await axios.get(`/api/payroll/records/${r._id}/payslip`, { ...authHeader(), responseType: 'blob' });
+      const url = window.URL.createObjectURL(new Blob([res.data], { type: 'application/pdf' }));
+      const a   = document.createElement('a');
+      a.href = url;
+      a.download = `payslip-${r.empNumber}-${r.periodStartFormatted.replace(/\//g, '-')}.pdf`;
+      a.click();
+      window.URL.revokeObjectURL(url);
+    } catch {
+      toast.error('Failed to download payslip');
+    }
+  };
+
+  const toggleDetails = async (id) => {
+    if (expanded[id]) {
+      setExpanded(prev => ({ ...prev, [id]: null }));
+      return;
+    }
+    try {
+      const res = await axios.get(`/api/payroll/records/${id}`, authHeader());
+      setExpanded(prev => ({ ...prev, [id]: res.data.record }));
+    } catch {
+      toast.error('Failed to load record details');
+    }
+  };
+
+  const DateField = ({ label, value, onChange, pickerRef, minDate }) => (
+    <div className="relative">
+      <label className="block text-sm font-medium text-gray-700 mb-2">{label}</label>
+      <div onClick={() => pickerRef.current?.showPicker()}
+        className="flex items-center justify-between w-full px-4 py-2 border border-gray-300 rounded-lg cursor-pointer bg-white hover:border-blue-400 transition">
+        <span>{toBackendDate(value) || 'Select date'}</span>
+        <Calendar size={16} className="text-gray-400" />
+      </div>
+      <input ref={pickerRef} type="date" value={value} min={minDate}
+        onChange={e => onChange(e.target.value)}
+        className="absolute opacity-0 pointer-events-none" />
+    </div>
+  );
+
+  return (
+    <section className="bg-white rounded-lg shadow p-6">
+      <h2 className="text-xl font-bold text-gray-800 mb-2">Section 4: Payroll Runs</h2>
+      <p className="text-sm text-gray-500 mb-6">
+        Freeze one payroll record per employee per period. Drafts can be regenerated; approved and paid records never change.
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-4">
+        <DateField label="Period From" value={fromDate} onChange={setFromDate} pickerRef={fromRef} />
+        <DateField label="Period To"   value={toDate}   onChange={setToDate}   pickerRef={toRef} minDate={fromDate} />
+        <div className="flex items-end">
+          <button onClick={fetchRecords} disabled={loading}
+            className="w-full px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition disabled:opacity-50">
+            {loading ? 'Loading...' : 'Load'}
+          </button>
+        </div>
+        <div className="flex items-end">
+          <button onClick={handleGenerate} disabled={busy}
+            className="w-full flex items-center justify-center gap-2 px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition disabled:opacity-50">
+            <RefreshCw size={16} /> Generate Drafts
+          </button>
+        </div>
+      </div>
+
+      {/* Status counts + bulk actions */}
+      <div className="flex flex-wrap items-center gap-3 mb-4">
+        {['draft', 'approved', 'paid'].map(s => (
+          <span key={s} className={`px-3 py-1 rounded-full text-xs font-semibold capitalize ${STATUS_BADGE[s]}`}>
+            {s}: {counts[s] || 0}
+          </span>
+        ))}
+        <span className="text-sm text-gray-600 ml-2">Net total: <b>{money(totals.totalNetPayable)}</b></span>
+
+        <div className="ml-auto flex gap-2">
+          <button onClick={() => handleBulk('approve')} disabled={busy || (!selectedIds.length && !counts.draft)}
+            className="flex items-center gap-1 px-3 py-1.5 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50">
+            <CheckCircle size={14} /> Approve {selectedIds.length ? 'Selected' : 'All Drafts'}
+          </button>
+          <button onClick={() => handleBulk('pay')} disabled={busy || (!selectedIds.length && !counts.approved)}
+            className="flex items-center gap-1 px-3 py-1.5 bg-green-600 text-white rounded-lg text-sm hover:bg-green-700 disabled:opacity-50">
+            <Banknote size={14} /> Mark {selectedIds.length ? 'Selected' : 'All Approved'} Paid
+          </button>
+          <select value={bankFormat} onChange={e => setBankFormat(e.target.value)}
+            className="px-2 py-1.5 border border-gray-300 rounded-lg text-sm bg-white">
+            {bankFormats.map(f => <option key={f.id} value={f.id}>{f.label}</option>)}
+          </select>
+          <button onClick={handleBankExport} disabled={busy || !counts.approved}
+            title="Bulk-transfer file for every approved record in this period"
+            className="flex items-center gap-1 px-3 py-1.5 bg-gray-700 text-white rounded-lg text-sm hover:bg-gray-800 disabled:opacity-50">
+            <Download size={14} /> Bank File
+          </button>
+        </div>
+      </div>
+
+      {/* Period locks overlapping the selected range */}
+      {locks.length > 0 && (
+        <div className="mb-4 space-y-2">
+          {locks.map(lock => (
+            <div key={lock._id}
+              className={`flex flex-wrap items-center gap-3 px-4 py-2 rounded-lg border text-sm ${
+                lock.status === 'locked' ? 'bg-amber-50 border-amber-200' : 'bg-gray-50 border-gray-200'
+              }`}>
+              {lock.status === 'locked'
+                ? <Lock size={16} className="text-amber-600" />
+                : <Unlock size={16} className="text-gray-500" />}
+              <span className="font-medium text-gray-800">
+                {lock.periodStartFormatted} – {lock.periodEndFormatted}
+              </span>
+              <span className="text-gray-600">
+                {lock.status === 'locked'
+                  ? `Attendance locked ${lock.lockedAtFormatted || ''}`
+                  : `Reopened ${lock.reopenedAtFormatted || ''} — ${lock.reopenReason}`}
+              </span>
+              {isSuperAdmin && lock.status === 'locked' && (
+                <button onClick={() => handleReopen(lock)} disabled={busy}
+                  className="ml-auto px-3 py-1 bg-amber-600 text-white rounded text-xs hover:bg-amber-700 disabled:opacity-50">
+                  Reopen Period
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {records.length > 0 ? (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-100">
+              <tr>
+                <th className="px-3 py-2">
+                  <input type="checkbox"
+                    checked={records.length > 0 && records.every(r => selected[r._id])}
+                    onChange={e => setSelected(
+                      e.target.checked ? Object.fromEntries(records.map(r => [r._id, true])) : {}
+                    )} />
+                </th>
+                <th className="px-4 py-2 text-left">Employee</th>
+                <th className="px-4 py-2 text-left">Period</th>
+                <th className="px-4 py-2 text-left">Status</th>
+                <th className="px-4 py-2 text-right">Base</th>
+                <th className="px-4 py-2 text-right">Deductions</th>
+                <th className="px-4 py-2 text-right">OT</th>
+                <th className="px-4 py-2 text-right">Tax</th>
+                <th className="px-4 py-2 text-right">Net</th>
+                <th className="px-4 py-2 text-left">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y">
+              {records.map(r => (
+                <React.Fragment key={r._id}>
+                  <tr className="hover:bg-gray-50">
+                    <td className="px-3 py-2 text-center">
+                      <input type="checkbox" checked={!!selected[r._id]}
+                        onChange={e => setSelected(prev => ({ ...prev, [r._id]: e.target.checked }))} />
+                    </td>
+                    <td className="px-4 py-2 font-medium">
+                      {r.empName} <span className="text-xs text-gray-500">({r.empNumber})</span>
+                    </td>
+                    <td className="px-4 py-2 text-gray-600">{r.periodStartFormatted} – {r.periodEndFormatted}</td>
+                    <td className="px-4 py-2">
+                      <span className={`px-2 py-0.5 rounded-full text-xs font-semibold capitalize ${STATUS_BADGE[r.status]}`}>
+                        {r.status}
+                      </span>
+                      {r.paidAtFormatted && <span className="block text-xs text-gray-400 mt-0.5">{r.paidAtFormatted}</span>}
+                    </td>
+                    <td className="px-4 py-2 text-right">{money(r.baseSalary)}</td>
+                    <td className="px-4 py-2 text-right text-red-600">{money(r.totalDeduction)}</td>
+                    <td className="px-4 py-2 text-right text-green-600">{money(r.totalOtAmount)}</td>
+                    <td className="px-4 py-2 text-right text-amber-600">{money(r.incomeTax)}</td>
+                    <td className="px-4 py-2 text-right font-semibold text-blue-600">{money(r.netSalary)}</td>
+                    <td className="px-4 py-2 whitespace-nowrap space-x-3">
+                      {r.status === 'draft' && (
+                        <button onClick={() => handleSingle(r._id, 'approve')} disabled={busy}
+                          className="text-blue-600 hover:text-blue-800 text-sm font-medium">Approve</button>
+                      )}
+                      {r.status === 'approved' && (
+                        <button onClick={() => handleSingle(r._id, 'pay')} disabled={busy}
+                          className="text-green-600 hover:text-green-800 text-sm font-medium">Mark Paid</button>
+                      )}
+                      {r.status !== 'draft' && (
+                        <button onClick={() => handlePayslip(r)}
+                          className="text-indigo-600 hover:text-indigo-800 text-sm font-medium"
+                          title={r.payslipNumber || 'Issues the next payslip number'}>Payslip</button>
+                      )}
+                      <button onClick={() => toggleDetails(r._id)}
+                        className="text-gray-600 hover:text-gray-800 text-sm font-medium">
+                        {expanded[r._id] ? 'Hide' : 'Details'}
+                      </button>
+                    </td>
+                  </tr>
+
+                  {expanded[r._id] && (
+                    <tr>
+                      <td colSpan={10} className="bg-blue-50 px-4 py-3">
+                        {r.earnings?.length > 0 && (
+                          <div className="flex flex-wrap gap-2 mb-3">
+                            {r.earnings.map(e => (
+                              <span key={e.code} className="px-2 py-1 bg-white border border-indigo-200 rounded text-xs text-indigo-700">
+                                {e.name}: {money(e.amount)}{e.taxable ? '' : ' (non-taxable)'}
+                              </span>
+                            ))}
+                          </div>
+                        )}
+                        {r.totalNightDifferential > 0 && (
+                          <div className="flex flex-wrap gap-2 mb-3">
+                            <span className="px-2 py-1 bg-white border border-violet-200 rounded text-xs text-violet-700">
+                              Night differential: {money(r.totalNightDifferential)} ({r.totalNightHours} night hrs)
+                            </span>
+                          </div>
+                        )}
+                        {r.autoOvertime?.length > 0 && (
+                          <div className="flex flex-wrap gap-2 mb-3">
+                            {r.autoOvertime.map(o => (
+                              <span key={o.date} className="px-2 py-1 bg-white border border-green-200 rounded text-xs text-green-700">
+                                Auto OT {o.date}: {o.hours}h × {o.premiumOnly ? `(${o.multiplier} − 1)` : o.multiplier} = {money(o.amount)}
+                              </span>
+                            ))}
+                          </div>
+                        )}
+                        {r.latePenalties?.length > 0 && (
+                          <div className="flex flex-wrap gap-2 mb-3">
+                            {r.latePenalties.map(l => (
+                              <span key={l.ruleId} className="px-2 py-1 bg-white border border-orange-200 rounded text-xs text-orange-700">
+                                {l.name}: {money(l.amount)} ({l.label})
+                              </span>
+                            ))}
+                          </div>
+                        )}
+                        {r.loanDeductions?.length > 0 && (
+                          <div className="flex flex-wrap gap-2 mb-3">
+                            {r.loanDeductions.map(l => (
+                              <span key={l.loan} className="px-2 py-1 bg-white border border-red-200 rounded text-xs text-red-700">
+                                {l.label}: {money(l.amount)} · balance {money(l.balanceAfter)}
+                              </span>
+                            ))}
+                          </div>
+                        )}
+                        <div className="overflow-x-auto">
+                          <table className="w-full text-xs">
+                            <thead>
+                              <tr className="bg-white">
+                                {['Date','Status','In','Out','Hours','Base','Deduction','OT','Final'].map(h => (
+                                  <th key={h} className="px-3 py-2 text-left border">{h}</th>
+                                ))}
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {expanded[r._id].dailyBreakdown.map((day, i) => (
+                                <tr key={i} className="bg-white">
+                                  <td className="px-3 py-2 border">{day.dateFormatted}</td>
+                                  <td className="px-3 py-2 border">{day.status}</td>
+                                  <td className="px-3 py-2 border">{day.inTime || '--'}</td>
+                                  <td className="px-3 py-2 border">{day.outTime || '--'}</td>
+                                  <td className="px-3 py-2 border text-right">{(day.hoursWorked ?? 0).toFixed(2)}</td>
+                                  <td className="px-3 py-2 border text-right">{money(day.basePay)}</td>
+                                  <td className="px-3 py-2 border text-right text-red-600">{money(day.deduction)}</td>
+                                  <td className="px-3 py-2 border text-right text-green-600">{money(day.otAmount)}</td>
+                                  <td className="px-3 py-2 border text-right font-semibold">{money(day.finalDayEarning)}</td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        </div>
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <div className="text-center py-8 text-gray-400">No payroll records — pick a period and click Load or Generate Drafts</div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,252 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import { TrendingUp, TrendingDown, UserPlus, UserMinus } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useSettings } from '../../context/SettingsContext.js';
+
+// ── helpers ───────────────────────────────────────────────────────────────────
+
+/** "YYYY-MM-DD" → "dd/mm/yyyy" */
+const toBackendDate = (isoStr) => {
+  if (!isoStr) return '';
+  const [year, month, day] = isoStr.split('-');
+  return `${day}/${month}/${year}`;
+};
+
+const METRICS = [
+  { key: 'baseSalary',     label: 'Base'       },
+  { key: 'totalOt',        label: 'OT'         },
+  { key: 'totalDeduction', label: 'Deductions' },
+  { key: 'netPayable',     label: 'Net'        }
+];
+
+const SOURCE_LABEL = { live: 'live', draft: 'draft', approved: 'approved', paid: 'paid' };
+
+/** "+12.5%" / "new" for a metric comparison */
+const pctText = (m) => {
+  if (m.change === 0) return '—';
+  if (m.changePct === null) return 'new';
+  return `${m.changePct > 0 ? '+' : ''}${m.changePct}%`;
+};
+
+function MetricCell({ metric }) {
+  const { formatAmount: money } = useSettings();
+  return (
+    <td className={`px-3 py-2 text-right ${metric.flagged ? 'bg-amber-50' : ''}`}>
+      <span className="block text-gray-400 text-xs">{money(metric.previous)}</span>
+      <span className="block font-medium">{money(metric.current)}</span>
+      <span className={`block text-xs ${
+        metric.change > 0 ? 'text-green-600' : metric.change < 0 ? 'text-red-600' : 'text-gray-400'
+      } ${metric.flagged ? 'font-semibold' : ''}`}>
+        {pctText(metric)}
+      </span>
+    </td>
+  );
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+
+export default function PayrollVariance() {
+  const { formatMoney, formatAmount: money } = useSettings();
+  const [date,        setDate]        = useState(() => new Date().toISOString().slice(0, 10));
+  const [threshold,   setThreshold]   = useState(10);
+  const [report,      setReport]      = useState(null);
+  const [loading,     setLoading]     = useState(false);
+  const [onlyFlagged, setOnlyFlagged] = useState(true);
+  const [drill,       setDrill]       = useState({});    // empId → drill-down payload
+  const [onlyChanged, setOnlyChanged] = useState(true);
+
+  const authHeader = () => ({ headers: { Authorization: `Bearer ${localStorage.getItem('token')}` } });
+  const params     = () => ({ date: toBackendDate(date), threshold });
+
+  const fetchVariance = async () => {
+    setLoading(true);
+    try {
+      const res = await axios.get('/api/payroll/variance', { params: params(), ...authHeader() });
+      setReport(res.data);
+      setDrill({});
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load variance report');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleDrill = async (empId) => {
+    if (drill[empId]) {
+      setDrill(prev => { const next = { ...prev }; delete next[empId]; return next; });
+      return;
+    }
+    try {
+      const res = await axios.get(`/api/payroll/variance/${empId}`, { params: params(), ...authHeader() });
+      setDrill(prev => ({ ...prev, [empId]: res.data }));
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load day breakdown');
+    }
+  };
+
+  const rows = (report?.rows || []).filter(r => !onlyFlagged || r.movement || r.flagged.length);
+
+  // ── render ─────────────────────────────────────────────────────────────────
+
+  return (
+    <section className="bg-white rounded-lg shadow p-6">
+      <h2 className="text-xl font-bold text-gray-800 mb-2">Section 8: Period Variance</h2>
+      <p className="text-sm text-gray-500 mb-6">
+        Compares each employee with the previous company pay period (as set in Company Settings). Approved or draft payroll
+        records are used where they exist, otherwise figures are calculated live from attendance.
+      </p>
+
+      <div className="flex flex-wrap items-end gap-3 mb-6">
+        <label className="text-sm text-gray-700">Any Day in Period
+          <input type="date" value={date} onChange={e => setDate(e.target.value)}
+            className="mt-1 block px-3 py-2 border border-gray-300 rounded-lg" />
+        </label>
+        <label className="text-sm text-gray-700">Flag Changes Above (%)
+          <input type="number" min="0" value={threshold} onChange={e => setThreshold(e.target.value)}
+            className="mt-1 block w-32 px-3 py-2 border border-gray-300 rounded-lg" />
+        </label>
+        <button onClick={fetchVariance} disabled={loading}
+          className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition disabled:opacity-50">
+          {loading ? 'Comparing...' : 'Compare'}
+        </button>
+        {report && (
+          <label className="flex items-center gap-2 text-sm text-gray-700 ml-auto">
+            <input type="checkbox" checked={onlyFlagged} onChange={e => setOnlyFlagged(e.target.checked)} />
+            Only flagged, joiners &amp; leavers
+          </label>
+        )}
+      </div>
+
+      {report && (
+        <>
+          <p className="text-sm text-gray-600 mb-4">
+            <b>{report.previous.start} – {report.previous.end}</b> → <b>{report.current.start} – {report.current.end}</b>
+          </p>
+
+          {/* Summary */}
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+            {[
+              { label: 'Employees',         value: report.summary.employees, color: 'blue'   },
+              { label: 'Flagged',           value: report.summary.flagged,   color: 'amber'  },
+              { label: 'New Joiners',       value: report.summary.joiners,   color: 'green'  },
+              { label: 'Leavers',           value: report.summary.leavers,   color: 'red'    }
+            ].map(({ label, value, color }) => (
+              <div key={label} className={`bg-${color}-50 p-4 rounded-lg border border-${color}-200`}>
+                <p className="text-sm text-gray-600">{label}</p>
+                <p className={`text-2xl font-bold text-${color}-600 mt-2`}>{value}</p>
+              </div>
+            ))}
+          </div>
+
+          {/* Company totals */}
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+            {METRICS.map(({ key, label }) => {
+              const m = report.totals[key];
+              return (
+                <div key={key} className={`p-4 rounded-lg border ${m.flagged ? 'border-amber-300 bg-amber-50' : 'border-gray-200'}`}>
+                  <p className="text-sm text-gray-600">Total {label}</p>
+                  <p className="text-lg font-bold text-gray-800 mt-1">{formatMoney(m.current)}</p>
+                  <p className={`text-xs flex items-center gap-1 ${m.change >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                    {m.change >= 0 ? <TrendingUp size={12} /> : <TrendingDown size={12} />}
+                    {pctText(m)} from {formatMoney(m.previous)}
+                  </p>
+                </div>
+              );
+            })}
+          </div>
+
+          {rows.length > 0 ? (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead className="bg-gray-100">
+                  <tr>
+                    <th className="px-3 py-2 text-left">Employee</th>
+                    {METRICS.map(({ key, label }) => (
+                      <th key={key} className="px-3 py-2 text-right">{label}</th>
+                    ))}
+                    <th className="px-3 py-2 text-left">Source</th>
+                    <th className="px-3 py-2" />
+                  </tr>
+                </thead>
+                <tbody className="divide-y">
+                  {rows.map(r => (
+                    <React.Fragment key={r.empId}>
+                      <tr className="hover:bg-gray-50">
+                        <td className="px-3 py-2 font-medium">
+                          {r.name} <span className="text-xs text-gray-500">({r.empNumber})</span>
+                          {r.movement === 'joiner' && (
+                            <span className="ml-2 inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs bg-green-100 text-green-700">
+                              <UserPlus size={12} /> New joiner
+                            </span>
+                          )}
+                          {r.movement === 'leaver' && (
+                            <span className="ml-2 inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs bg-red-100 text-red-700">
+                              <UserMinus size={12} /> Leaver
+                            </span>
+                          )}
+                        </td>
+                        {METRICS.map(({ key }) => <MetricCell key={key} metric={r.metrics[key]} />)}
+                        <td className="px-3 py-2 text-xs text-gray-500">
+                          {SOURCE_LABEL[r.previousSource] || '—'} → {SOURCE_LABEL[r.currentSource] || '—'}
+                        </td>
+                        <td className="px-3 py-2">
+                          <button onClick={() => toggleDrill(r.empId)}
+                            className="text-blue-600 hover:text-blue-800 text-sm font-medium">
+                            {drill[r.empId] ? 'Hide' : 'Days'}
+                          </button>
+                        </td>
+                      </tr>
+
+                      {drill[r.empId] && (
+                        <tr>
+                          <td colSpan={7} className="bg-blue-50 px-4 py-3">
+                            <label className="flex items-center gap-2 text-xs text-gray-700 mb-2">
+                              <input type="checkbox" checked={onlyChanged} onChange={e => setOnlyChanged(e.target.checked)} />
+                              Only days that differ
+                            </label>
+                            <div className="overflow-x-auto">
+                              <table className="w-full text-xs">
+                                <thead>
+                                  <tr className="bg-white">
+                                    {['Day', 'Previous', 'Status', 'Current', 'Status', 'Δ Base', 'Δ OT', 'Δ Deduction', 'Δ Day Total'].map((h, i) => (
+                                      <th key={i} className="px-3 py-2 text-left border">{h}</th>
+                                    ))}
+                                  </tr>
+                                </thead>
+                                <tbody>
+                                  {drill[r.empId].days.filter(d => !onlyChanged || d.changed).map(d => (
+                                    <tr key={d.day} className={d.changed ? 'bg-amber-50' : 'bg-white'}>
+                                      <td className="px-3 py-2 border">{d.day}</td>
+                                      <td className="px-3 py-2 border">{d.previous?.date || '—'}</td>
+                                      <td className="px-3 py-2 border">{d.previous?.status || '—'}</td>
+                                      <td className="px-3 py-2 border">{d.current?.date || '—'}</td>
+                                      <td className="px-3 py-2 border">{d.current?.status || '—'}</td>
+                                      {['basePay', 'otAmount', 'deduction', 'finalDayEarning'].map(f => (
+                                        <td key={f} className={`px-3 py-2 border text-right ${
+                                          d.delta[f] > 0 ? 'text-green-600' : d.delta[f] < 0 ? 'text-red-600' : 'text-gray-400'
+                                        }`}>
+                                          {d.delta[f] ? money(d.delta[f]) : '—'}
+                                        </td>
+                                      ))}
+                                    </tr>
+                                  ))}
+                                </tbody>
+                              </table>
+                            </div>
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <div className="text-center py-8 text-gray-400">No changes above {report.threshold}% between these periods</div>
+          )}
+        </>
+      )}
+    </section>
+  );
+}
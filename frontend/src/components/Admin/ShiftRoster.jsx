@@ -0,0 +1,375 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { Plus, Trash2, Edit2, ChevronLeft, ChevronRight, RefreshCw } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useSettings } from '../../context/SettingsContext.js';
+
+// ── helpers ───────────────────────────────────────────────────────────────────
+
+/** Local Date → "YYYY-MM-DD" */
+const isoOf = (d) =>
+  `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+
+/** "YYYY-MM-DD" → "dd/mm/yyyy" */
+const toBackendDate = (isoStr) => {
+  if (!isoStr) return '';
+  const [year, month, day] = isoStr.split('-');
+  return `${day}/${month}/${year}`;
+};
+
+/** "YYYY-MM-DD" + n days → "YYYY-MM-DD" */
+const addDays = (isoStr, n) => {
+  const [y, m, d] = isoStr.split('-').map(Number);
+  return isoOf(new Date(y, m - 1, d + n));
+};
+
+/** Monday of the current week */
+const thisMonday = () => {
+  const d = new Date();
+  d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  return isoOf(d);
+};
+
+const COLOR_CLASSES = {
+  amber:  'bg-amber-100 text-amber-800',
+  indigo: 'bg-indigo-100 text-indigo-800',
+  green:  'bg-green-100 text-green-800',
+  red:    'bg-red-100 text-red-800',
+  blue:   'bg-blue-100 text-blue-800',
+  purple: 'bg-purple-100 text-purple-800'
+};
+
+const EMPTY_TEMPLATE = { id: null, name: '', code: '', start: '09:00', end: '18:00', color: 'blue' };
+
+// ─────────────────────────────────────────────────────────────────────────────
+
+export default function ShiftRoster() {
+  const { settings } = useSettings();
+  const [from,      setFrom]      = useState(thisMonday);
+  const [span,      setSpan]      = useState(7);
+  const [templates, setTemplates] = useState([]);
+  const [roster,    setRoster]    = useState({ dates: [], employees: [] });
+  const [selected,  setSelected]  = useState([]);      // empIds for bulk actions
+  const [tplForm,   setTplForm]   = useState(null);    // null = form closed
+  const [bulk,      setBulk]      = useState({ shiftId: '', pattern: [], daysPerShift: 7, startAt: 0 });
+  const [busy,      setBusy]      = useState(false);
+
+  const to = addDays(from, span - 1);
+
+  const authHeader = () => ({ headers: { Authorization: `Bearer ${localStorage.getItem('token')}` } });
+
+  const fetchTemplates = useCallback(async () => {
+    try {
+      const res = await axios.get('/api/roster/templates', {
+        headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
+      });
+      setTemplates(res.data.templates || []);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load shift templates');
+    }
+  }, []);
+
+  const fetchRoster = useCallback(async () => {
+    try {
+      const res = await axios.get('/api/roster', {
+        params:  { fromDate: toBackendDate(from), toDate: toBackendDate(to) },
+        headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
+      });
+      setRoster({ dates: res.data.dates || [], employees: res.data.employees || [] });
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load roster');
+    }
+  }, [from, to]);
+
+  useEffect(() => { fetchTemplates(); }, [fetchTemplates]);
+  useEffect(() => { fetchRoster(); }, [fetchRoster]);
+
+  const activeTemplates = templates.filter(t => t.isActive);
+  const templateById    = Object.fromEntries(templates.map(t => [t._id, t]));
+
+  // ── templates ──────────────────────────────────────────────────────────────
+
+  const saveTemplate = async () => {
+    try {
+      const res = tplForm.id
+        ? await axios.put(`/api/roster/templates/${tplForm.id}`, tplForm, authHeader())
+        : await axios.post('/api/roster/templates', tplForm, authHeader());
+      toast.success(res.data.message);
+      setTplForm(null);
+      fetchTemplates();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to save shift template');
+    }
+  };
+
+  const toggleTemplate = async (t) => {
+    try {
+      await axios.put(`/api/roster/templates/${t._id}`, { isActive: !t.isActive }, authHeader());
+      fetchTemplates();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to update shift template');
+    }
+  };
+
+  const deleteTemplate = async (t) => {
+    if (!window.confirm(`Delete the ${t.name} shift?`)) return;
+    try {
+      const res = await axios.delete(`/api/roster/templates/${t._id}`, authHeader());
+      toast.success(res.data.message);
+      fetchTemplates();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to delete shift template');
+    }
+  };
+
+  // ── roster writes ──────────────────────────────────────────────────────────
+
+  const post = async (url, body) => {
+    setBusy(true);
+    try {
+      const res = await axios.post(url, body, authHeader());
+      toast.success(res.data.message);
+      fetchRoster();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to update roster');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const assignCell = (empId, date, shiftId) =>
+    post('/api/roster/assign', { empIds: [empId], fromDate: date, toDate: date, shiftId: shiftId || null });
+
+  const bulkRange = { empIds: selected, fromDate: toBackendDate(from), toDate: toBackendDate(to) };
+
+  const assignBulk = (shiftId) => {
+    if (!selected.length) return toast.error('Select at least one employee');
+    post('/api/roster/assign', { ...bulkRange, shiftId });
+  };
+
+  const rotateBulk = () => {
+    if (!selected.length)     return toast.error('Select at least one employee');
+    if (!bulk.pattern.length) return toast.error('Add at least one shift to the rotation');
+    post('/api/roster/rotate', {
+      ...bulkRange,
+      pattern:      bulk.pattern,
+      daysPerShift: Number(bulk.daysPerShift),
+      startAt:      Number(bulk.startAt)
+    });
+  };
+
+  const toggleEmp = (id) =>
+    setSelected(s => (s.includes(id) ? s.filter(x => x !== id) : [...s, id]));
+
+  const allSelected = roster.employees.length > 0 && selected.length === roster.employees.length;
+
+  // ── render ─────────────────────────────────────────────────────────────────
+
+  return (
+    <div className="p-4 md:p-6 bg-gray-50 min-h-screen">
+      <h1 className="text-2xl md:text-3xl font-bold text-gray-800 mb-6">Shift Roster</h1>
+
+      {/* Shift templates */}
+      <section className="bg-white rounded-lg shadow p-6 mb-6">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-bold text-gray-800">Shifts</h2>
+          {!tplForm && (
+            <button onClick={() => setTplForm({ ...EMPTY_TEMPLATE })}
+              className="flex items-center gap-1 px-3 py-1.5 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700">
+              <Plus size={14} /> Add Shift
+            </button>
+          )}
+        </div>
+
+        {tplForm && (
+          <div className="border border-blue-200 bg-blue-50 rounded-lg p-4 mb-4 flex flex-wrap items-end gap-3">
+            <label className="text-sm text-gray-700">Name
+              <input value={tplForm.name} onChange={e => setTplForm({ ...tplForm, name: e.target.value })}
+                className="mt-1 block px-3 py-1.5 border border-gray-300 rounded-lg" placeholder="Night" />
+            </label>
+            <label className="text-sm text-gray-700">Code
+              <input value={tplForm.code} maxLength={12}
+                onChange={e => setTplForm({ ...tplForm, code: e.target.value.toUpperCase() })}
+                className="mt-1 block w-24 px-3 py-1.5 border border-gray-300 rounded-lg" placeholder="N" />
+            </label>
+            <label className="text-sm text-gray-700">Start
+              <input type="time" value={tplForm.start} onChange={e => setTplForm({ ...tplForm, start: e.target.value })}
+                className="mt-1 block px-3 py-1.5 border border-gray-300 rounded-lg" />
+            </label>
+            <label className="text-sm text-gray-700">End
+              <input type="time" value={tplForm.end} onChange={e => setTplForm({ ...tplForm, end: e.target.value })}
+                className="mt-1 block px-3 py-1.5 border border-gray-300 rounded-lg" />
+            </label>
+            <label className="text-sm text-gray-700">Colour
+              <select value={tplForm.color} onChange={e => setTplForm({ ...tplForm, color: e.target.value })}
+                className="mt-1 block px-3 py-1.5 border border-gray-300 rounded-lg bg-white capitalize">
+                {Object.keys(COLOR_CLASSES).map(c => <option key={c} value={c}>{c}</option>)}
+              </select>
+            </label>
+            <button onClick={() => setTplForm(null)}
+              className="px-3 py-1.5 bg-gray-200 text-gray-700 rounded-lg text-sm hover:bg-gray-300">Cancel</button>
+            <button onClick={saveTemplate}
+              className="px-3 py-1.5 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700">Save</button>
+          </div>
+        )}
+
+        {templates.length > 0 ? (
+          <div className="flex flex-wrap gap-3">
+            {templates.map(t => (
+              <div key={t._id} className={`flex items-center gap-2 px-3 py-2 rounded-lg text-sm ${COLOR_CLASSES[t.color]} ${t.isActive ? '' : 'opacity-50'}`}>
+                <span className="font-semibold">{t.code}</span>
+                <span>{t.name} · {t.start}–{t.end}</span>
+                <button onClick={() => setTplForm({ id: t._id, name: t.name, code: t.code, start: t.start, end: t.end, color: t.color })}
+                  title="Edit"><Edit2 size={14} /></button>
+                <button onClick={() => toggleTemplate(t)} className="underline text-xs">
+                  {t.isActive ? 'Deactivate' : 'Activate'}
+                </button>
+                <button onClick={() => deleteTemplate(t)} title="Delete"><Trash2 size={14} /></button>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p className="text-sm text-gray-400">No shifts yet — add Morning, Evening, Night… to start rostering.</p>
+        )}
+      </section>
+
+      {/* Roster grid */}
+      <section className="bg-white rounded-lg shadow p-6 mb-6">
+        <div className="flex flex-wrap items-center justify-between gap-3 mb-2">
+          <h2 className="text-xl font-bold text-gray-800">Roster</h2>
+          <div className="flex items-center gap-2">
+            <button onClick={() => setFrom(addDays(from, -span))} className="p-1.5 border border-gray-300 rounded-lg hover:bg-gray-50">
+              <ChevronLeft size={16} />
+            </button>
+            <input type="date" value={from} onChange={e => e.target.value && setFrom(e.target.value)}
+              className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm" />
+            <button onClick={() => setFrom(addDays(from, span))} className="p-1.5 border border-gray-300 rounded-lg hover:bg-gray-50">
+              <ChevronRight size={16} />
+            </button>
+            <select value={span} onChange={e => setSpan(Number(e.target.value))}
+              className="px-3 py-1.5 border border-gray-300 rounded-lg bg-white text-sm">
+              <option value={7}>1 week</option>
+              <option value={14}>2 weeks</option>
+              <option value={28}>4 weeks</option>
+            </select>
+          </div>
+        </div>
+        <p className="text-sm text-gray-500 mb-4">
+          Blank days use the employee's default shift. CSV import, lateness and scheduled hours follow the
+          shift rostered for each day; days off are greyed out.
+        </p>
+
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-600 border-b">
+                <th className="py-2 pr-2">
+                  <input type="checkbox" checked={allSelected}
+                    onChange={() => setSelected(allSelected ? [] : roster.employees.map(e => e._id))} />
+                </th>
+                <th className="py-2 pr-2">Employee</th>
+                {roster.dates.map(d => (
+                  <th key={d.date} className="py-2 px-1 text-center whitespace-nowrap">
+                    <div>{d.weekday}</div>
+                    <div className="text-xs text-gray-400">{d.date.slice(0, 5)}</div>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y">
+              {roster.employees.map(emp => (
+                <tr key={emp._id}>
+                  <td className="py-2 pr-2">
+                    <input type="checkbox" checked={selected.includes(emp._id)} onChange={() => toggleEmp(emp._id)} />
+                  </td>
+                  <td className="py-2 pr-2 whitespace-nowrap">
+                    <div className="font-medium text-gray-800">{emp.name}</div>
+                    <div className="text-xs text-gray-400">
+                      #{emp.employeeNumber} · {emp.defaultShift?.start}–{emp.defaultShift?.end}
+                    </div>
+                  </td>
+                  {roster.dates.map(d => {
+                    const cell    = emp.days[d.date];
+                    const tpl     = cell && templateById[cell.shift];
+                    const isOff   = (emp.weeklyOff ?? settings.weekendDays).includes(d.dayOfWeek);
+                    return (
+                      <td key={d.date} className={`py-1 px-1 text-center ${isOff ? 'bg-gray-100' : ''}`}>
+                        <select value={cell?.shift || ''} disabled={busy}
+                          onChange={e => assignCell(emp._id, d.date, e.target.value)}
+                          className={`w-full px-1 py-1 rounded text-xs border border-gray-200 ${tpl ? COLOR_CLASSES[tpl.color] : 'bg-white text-gray-400'}`}>
+                          <option value="">{isOff ? 'Off' : 'Default'}</option>
+                          {activeTemplates.map(t => <option key={t._id} value={t._id}>{t.code}</option>)}
+                          {tpl && !tpl.isActive && <option value={tpl._id}>{tpl.code}</option>}
+                        </select>
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </section>
+
+      {/* Bulk assign / rotation */}
+      <section className="bg-white rounded-lg shadow p-6">
+        <h2 className="text-xl font-bold text-gray-800 mb-2">Bulk Assign & Rotation</h2>
+        <p className="text-sm text-gray-500 mb-4">
+          Applies to the {selected.length} selected employee(s) from {toBackendDate(from)} to {toBackendDate(to)}.
+          Weekly days off and public holidays are left as they are.
+        </p>
+
+        <div className="flex flex-wrap items-end gap-3 mb-6">
+          <label className="text-sm text-gray-700">Shift
+            <select value={bulk.shiftId} onChange={e => setBulk({ ...bulk, shiftId: e.target.value })}
+              className="mt-1 block px-3 py-1.5 border border-gray-300 rounded-lg bg-white">
+              <option value="">— choose —</option>
+              {activeTemplates.map(t => <option key={t._id} value={t._id}>{t.name} ({t.start}–{t.end})</option>)}
+            </select>
+          </label>
+          <button onClick={() => bulk.shiftId ? assignBulk(bulk.shiftId) : toast.error('Choose a shift')} disabled={busy}
+            className="px-3 py-1.5 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50">
+            Assign
+          </button>
+          <button onClick={() => assignBulk(null)} disabled={busy}
+            className="px-3 py-1.5 bg-gray-200 text-gray-700 rounded-lg text-sm hover:bg-gray-300 disabled:opacity-50">
+            Reset to default
+          </button>
+        </div>
+
+        <div className="flex flex-wrap items-end gap-3">
+          <div className="text-sm text-gray-700">Rotation
+            <div className="mt-1 flex flex-wrap items-center gap-1">
+              {bulk.pattern.map((id, i) => (
+                <button key={i} title="Remove"
+                  onClick={() => setBulk({ ...bulk, pattern: bulk.pattern.filter((_, j) => j !== i) })}
+                  className={`px-2 py-1 rounded text-xs font-semibold ${COLOR_CLASSES[templateById[id]?.color] || ''}`}>
+                  {templateById[id]?.code} ×
+                </button>
+              ))}
+              <select value="" onChange={e => e.target.value && setBulk({ ...bulk, pattern: [...bulk.pattern, e.target.value] })}
+                className="px-2 py-1 border border-gray-300 rounded-lg bg-white text-xs">
+                <option value="">+ add step</option>
+                {activeTemplates.map(t => <option key={t._id} value={t._id}>{t.name}</option>)}
+              </select>
+            </div>
+          </div>
+          <label className="text-sm text-gray-700">Days per step
+            <input type="number" min={1} value={bulk.daysPerShift}
+              onChange={e => setBulk({ ...bulk, daysPerShift: e.target.value })}
+              className="mt-1 block w-24 px-3 py-1.5 border border-gray-300 rounded-lg" />
+          </label>
+          <label className="text-sm text-gray-700">Start at step
+            <input type="number" min={1} max={Math.max(1, bulk.pattern.length)} value={Number(bulk.startAt) + 1}
+              onChange={e => setBulk({ ...bulk, startAt: Math.max(0, Number(e.target.value) - 1) })}
+              className="mt-1 block w-24 px-3 py-1.5 border border-gray-300 rounded-lg" />
+          </label>
+          <button onClick={rotateBulk} disabled={busy}
+            className="flex items-center gap-1 px-3 py-1.5 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50">
+            <RefreshCw size={14} /> Apply Rotation
+          </button>
+        </div>
+      </section>
+    </div>
+  );
+}
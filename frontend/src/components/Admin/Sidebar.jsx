@@ -4,8 +4,11 @@ import {
   LayoutDashboard,
   Users,
   Clock,
+  CalendarClock,
+  History,
   BarChart3,
   Bell,
+  Settings,
   LogOut
 } from 'lucide-react';
 import { logout } from '../../services/auth';
@@ -15,8 +18,11 @@ const menuItems = [
   { icon: LayoutDashboard, label: 'Dashboard',     path: '/admin/dashboard' },
   { icon: Users,           label: 'Employees',     path: '/admin/employees' },
   { icon: Clock,           label: 'Attendance',    path: '/admin/attendance' },
+  { icon: CalendarClock,   label: 'Roster',        path: '/admin/roster' },
+  { icon: History,         label: 'Imports',       path: '/admin/imports' },
   { icon: BarChart3,       label: 'Report',       path: '/admin/payroll' },
-  { icon: Bell,            label: 'Notifications', path: '/admin/notifications' }
+  { icon: Bell,            label: 'Notifications', path: '/admin/notifications' },
+  { icon: Settings,        label: 'Settings',      path: '/admin/settings' }
 ];
 
 export default function AdminSidebar({ isOpen, isMobile, onClose }) {
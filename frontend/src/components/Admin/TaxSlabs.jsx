@@ -0,0 +1,289 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { Plus, Trash2, Edit2, Calculator } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useSettings } from '../../context/SettingsContext.js';
+
+// ── helpers ───────────────────────────────────────────────────────────────────
+
+/** "YYYY-MM-DD" → "dd/mm/yyyy" */
+const toBackendDate = (isoStr) => {
+  if (!isoStr) return '';
+  const [year, month, day] = isoStr.split('-');
+  return `${day}/${month}/${year}`;
+};
+
+/** "dd/mm/yyyy" → "YYYY-MM-DD" */
+const toISO = (ddmmyyyy) => {
+  if (!ddmmyyyy) return '';
+  const [day, month, year] = ddmmyyyy.split('/');
+  return `${year}-${month}-${day}`;
+};
+
+const EMPTY_SLAB = { from: '', to: '', fixed: 0, rate: 0 };
+
+/** Pakistan fiscal year runs 1 July → 30 June */
+const emptyForm = () => {
+  const now   = new Date();
+  const start = now.getMonth() >= 6 ? now.getFullYear() : now.getFullYear() - 1;
+  return {
+    id:         null,
+    fiscalYear: `${start}-${String(start + 1).slice(2)}`,
+    startDate:  `${start}-07-01`,
+    endDate:    `${start + 1}-06-30`,
+    notes:      '',
+    slabs:      [{ ...EMPTY_SLAB, from: 0 }]
+  };
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+
+export default function TaxSlabs() {
+  const { settings, formatMoney, formatAmount: money } = useSettings();
+  const [taxYears, setTaxYears] = useState([]);
+  const [form,     setForm]     = useState(null);     // null = form closed
+  const [saving,   setSaving]   = useState(false);
+
+  const [calcYear,   setCalcYear]   = useState('');
+  const [calcIncome, setCalcIncome] = useState('');
+  const [calcResult, setCalcResult] = useState(null);
+
+  const authHeader = () => ({ headers: { Authorization: `Bearer ${localStorage.getItem('token')}` } });
+
+  const fetchTaxYears = useCallback(async () => {
+    try {
+      const res = await axios.get('/api/tax-years', {
+        headers: { Authorization: `Bearer ${localStorage.getItem('token')}` }
+      });
+      setTaxYears(res.data.taxYears || []);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load tax years');
+    }
+  }, []);
+
+  useEffect(() => { fetchTaxYears(); }, [fetchTaxYears]);
+
+  // ── form ───────────────────────────────────────────────────────────────────
+
+  const editTaxYear = (t) => setForm({
+    id:         t._id,
+    fiscalYear: t.fiscalYear,
+    startDate:  toISO(t.startDateFormatted),
+    endDate:    toISO(t.endDateFormatted),
+    notes:      t.notes || '',
+    slabs:      t.slabs.map(s => ({ ...s, to: s.to ?? '' }))
+  });
+
+  const updateSlab = (i, key, value) =>
+    setForm(f => ({ ...f, slabs: f.slabs.map((s, j) => (j === i ? { ...s, [key]: value } : s)) }));
+
+  /** New slab starts where the previous one ends */
+  const addSlab = () =>
+    setForm(f => ({ ...f, slabs: [...f.slabs, { ...EMPTY_SLAB, from: f.slabs[f.slabs.length - 1]?.to || '' }] }));
+
+  const removeSlab = (i) =>
+    setForm(f => ({ ...f, slabs: f.slabs.filter((_, j) => j !== i) }));
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const body = {
+        fiscalYear: form.fiscalYear,
+        startDate:  toBackendDate(form.startDate),
+        endDate:    toBackendDate(form.endDate),
+        notes:      form.notes,
+        slabs:      form.slabs.map(s => ({
+          from:  Number(s.from),
+          to:    s.to === '' ? null : Number(s.to),
+          fixed: Number(s.fixed || 0),
+          rate:  Number(s.rate  || 0)
+        }))
+      };
+      const res = form.id
+        ? await axios.put(`/api/tax-years/${form.id}`, body, authHeader())
+        : await axios.post('/api/tax-years', body, authHeader());
+      toast.success(res.data.message);
+      setForm(null);
+      fetchTaxYears();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to save tax year');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (t) => {
+    if (!window.confirm(`Delete fiscal year ${t.fiscalYear}? Payroll generated afterwards will withhold no tax for it.`)) return;
+    try {
+      const res = await axios.delete(`/api/tax-years/${t._id}`, authHeader());
+      toast.success(res.data.message);
+      fetchTaxYears();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to delete tax year');
+    }
+  };
+
+  const handleCalculate = async () => {
+    if (!calcYear || calcIncome === '') return toast.error('Pick a fiscal year and enter an annual income');
+    try {
+      const res = await axios.get(`/api/tax-years/${calcYear}/calculate`,
+        { params: { annualIncome: calcIncome }, ...authHeader() });
+      setCalcResult(res.data);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Calculation failed');
+    }
+  };
+
+  // ── render ─────────────────────────────────────────────────────────────────
+
+  return (
+    <section className="bg-white rounded-lg shadow p-6">
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="text-xl font-bold text-gray-800">Section 5: Income Tax Slabs</h2>
+        {!form && (
+          <button onClick={() => setForm(emptyForm())}
+            className="flex items-center gap-1 px-3 py-1.5 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700">
+            <Plus size={14} /> Add Fiscal Year
+          </button>
+        )}
+      </div>
+      <p className="text-sm text-gray-500 mb-6">
+        Each period's taxable income (base − deductions + OT) is projected to a full year, taxed on these
+        slabs, and the monthly share is withheld. Tax = fixed + rate % × (income − from).
+      </p>
+
+      {/* Create / edit form */}
+      {form && (
+        <div className="border border-blue-200 bg-blue-50 rounded-lg p-4 mb-6">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+            <label className="text-sm text-gray-700">Fiscal Year
+              <input value={form.fiscalYear} onChange={e => setForm({ ...form, fiscalYear: e.target.value })}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg" placeholder="2025-26" />
+            </label>
+            <label className="text-sm text-gray-700">Starts
+              <input type="date" value={form.startDate} onChange={e => setForm({ ...form, startDate: e.target.value })}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg" />
+            </label>
+            <label className="text-sm text-gray-700">Ends
+              <input type="date" value={form.endDate} min={form.startDate}
+                onChange={e => setForm({ ...form, endDate: e.target.value })}
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg" />
+            </label>
+          </div>
+
+          <table className="w-full text-sm mb-3">
+            <thead>
+              <tr className="text-left text-gray-600">
+                <th className="py-1 pr-2">From ({settings.currency} / year)</th>
+                <th className="py-1 pr-2">To (blank = no limit)</th>
+                <th className="py-1 pr-2">Fixed Tax</th>
+                <th className="py-1 pr-2">Rate %</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {form.slabs.map((slab, i) => (
+                <tr key={i}>
+                  {['from', 'to', 'fixed', 'rate'].map(key => (
+                    <td key={key} className="py-1 pr-2">
+                      <input type="number" min="0" value={slab[key]}
+                        onChange={e => updateSlab(i, key, e.target.value)}
+                        className="w-full px-2 py-1 border border-gray-300 rounded" />
+                    </td>
+                  ))}
+                  <td className="py-1 text-right">
+                    {form.slabs.length > 1 && (
+                      <button onClick={() => removeSlab(i)} className="text-red-500 hover:text-red-700">
+                        <Trash2 size={16} />
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className="flex flex-wrap items-center gap-2">
+            <button onClick={addSlab}
+              className="flex items-center gap-1 px-3 py-1.5 bg-white border border-gray-300 rounded-lg text-sm hover:bg-gray-50">
+              <Plus size={14} /> Add Slab
+            </button>
+            <input value={form.notes} onChange={e => setForm({ ...form, notes: e.target.value })}
+              placeholder="Notes (e.g. Finance Act reference)"
+              className="flex-1 min-w-[12rem] px-3 py-1.5 border border-gray-300 rounded-lg text-sm" />
+            <button onClick={() => setForm(null)}
+              className="px-3 py-1.5 bg-gray-200 text-gray-700 rounded-lg text-sm hover:bg-gray-300">Cancel</button>
+            <button onClick={handleSave} disabled={saving}
+              className="px-3 py-1.5 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 disabled:opacity-50">
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Fiscal years */}
+      {taxYears.length > 0 ? (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 mb-6">
+          {taxYears.map(t => (
+            <div key={t._id} className="border border-gray-200 rounded-lg p-4">
+              <div className="flex items-start justify-between mb-2">
+                <div>
+                  <p className="font-semibold text-gray-800">FY {t.fiscalYear}</p>
+                  <p className="text-xs text-gray-500">{t.startDateFormatted} – {t.endDateFormatted}</p>
+                </div>
+                <div className="flex gap-2">
+                  <button onClick={() => editTaxYear(t)} className="text-blue-600 hover:text-blue-800"><Edit2 size={16} /></button>
+                  <button onClick={() => handleDelete(t)} className="text-red-500 hover:text-red-700"><Trash2 size={16} /></button>
+                </div>
+              </div>
+              <table className="w-full text-xs">
+                <tbody className="divide-y">
+                  {t.slabs.map((s, i) => (
+                    <tr key={i}>
+                      <td className="py-1">
+                        {money(s.from)} – {s.to == null ? 'above' : money(s.to)}
+                      </td>
+                      <td className="py-1 text-right">
+                        {s.fixed ? `${money(s.fixed)} + ` : ''}{s.rate}%
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {t.notes && <p className="text-xs text-gray-400 mt-2">{t.notes}</p>}
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div className="text-center py-6 text-gray-400 mb-6">No fiscal years configured — payroll withholds no income tax</div>
+      )}
+
+      {/* Quick calculator */}
+      {taxYears.length > 0 && (
+        <div className="flex flex-wrap items-end gap-3 border-t pt-4">
+          <label className="text-sm text-gray-700">Fiscal Year
+            <select value={calcYear} onChange={e => setCalcYear(e.target.value)}
+              className="mt-1 block px-3 py-2 border border-gray-300 rounded-lg bg-white">
+              <option value="">Select…</option>
+              {taxYears.map(t => <option key={t._id} value={t._id}>{t.fiscalYear}</option>)}
+            </select>
+          </label>
+          <label className="text-sm text-gray-700">Annual Income ({settings.currency})
+            <input type="number" min="0" value={calcIncome} onChange={e => setCalcIncome(e.target.value)}
+              className="mt-1 block px-3 py-2 border border-gray-300 rounded-lg" />
+          </label>
+          <button onClick={handleCalculate}
+            className="flex items-center gap-1 px-4 py-2 bg-indigo-600 text-white rounded-lg text-sm hover:bg-indigo-700">
+            <Calculator size={14} /> Calculate
+          </button>
+          {calcResult && (
+            <p className="text-sm text-gray-700">
+              Annual tax <b>{formatMoney(calcResult.annualTax)}</b> · monthly <b>{formatMoney(calcResult.monthlyTax)}</b> ·
+              effective {calcResult.effectiveRate}%
+            </p>
+          )}
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,41 @@
+import React from 'react';
+import { useSettings } from '../../context/SettingsContext.js';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Weekly days off for one employee (Employee.weeklyOff).
+ * `value` null → the company weekend; an array of Date#getDay() numbers otherwise.
+ */
+export default function WeeklyOffPicker({ value, onChange, disabled }) {
+  const { settings } = useSettings();
+  const useCompany = !Array.isArray(value);
+  const days       = useCompany ? settings.weekendDays : value;
+
+  const toggleDay = (day) => onChange(
+    days.includes(day) ? days.filter(d => d !== day) : [...days, day].sort()
+  );
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-2">Weekly Off</label>
+      <label className="flex items-center gap-2 text-sm text-gray-700 mb-2">
+        <input type="checkbox" checked={useCompany} disabled={disabled}
+          onChange={e => onChange(e.target.checked ? null : [...settings.weekendDays])} />
+        Company weekend
+      </label>
+      <div className="flex flex-wrap gap-3">
+        {WEEKDAYS.map((name, day) => (
+          <label key={day} className={`flex items-center gap-1 text-sm ${useCompany ? 'text-gray-400' : 'text-gray-700'}`}>
+            <input type="checkbox" checked={days.includes(day)} disabled={disabled || useCompany}
+              onChange={() => toggleDay(day)} />
+            {name}
+          </label>
+        ))}
+      </div>
+      <p className="text-xs text-gray-500 mt-1">
+        Days off are not working days for this employee in the worksheet, payroll pro-rating and leave.
+      </p>
+    </div>
+  );
+}
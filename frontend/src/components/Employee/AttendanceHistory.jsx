@@ -3,6 +3,7 @@ import { useNavigate } from 'react-router-dom';
 import axios from 'axios';
 import { MoreVertical, Calendar, X } from 'lucide-react';
 import toast from 'react-hot-toast';
+import { useSettings } from '../../context/SettingsContext.js';
 
 // ── date helpers ──────────────────────────────────────────────────────────────
 
@@ -20,25 +21,21 @@ const isoToDisplay = (isoStr) => {
   return `${d}/${m}/${y}`;
 };
 
-/** Default pay-period start: 18th of current (or previous) month */
-const defaultFromDate = () => {
-  const now   = new Date();
-  const day   = now.getDate();
-  const year  = now.getFullYear();
-  const month = now.getMonth();
-  const start = day >= 18
-    ? new Date(year, month,     18)
-    : new Date(year, month - 1, 18);
-  return start.toISOString().split('T')[0];
-};
+/** Local Date → "YYYY-MM-DD" */
+const toISO = (d) =>
+  `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
 
 // ─────────────────────────────────────────────────────────────────────────────
 
 const STATUS_FILTERS = [
   { key: 'Present', label: 'Present', on: 'bg-green-100 text-green-700',  off: 'bg-gray-100 text-gray-500' },
   { key: 'Late',    label: 'Late',    on: 'bg-yellow-100 text-yellow-700', off: 'bg-gray-100 text-gray-500' },
+  { key: 'Early Leave', label: 'Early Leave', on: 'bg-orange-100 text-orange-700', off: 'bg-gray-100 text-gray-500' },
+  { key: 'Half Day',    label: 'Half Day',    on: 'bg-amber-100 text-amber-700',   off: 'bg-gray-100 text-gray-500' },
+  { key: 'Pending Regularization', label: 'Pending', on: 'bg-pink-100 text-pink-700', off: 'bg-gray-100 text-gray-500' },
   { key: 'Leave',   label: 'Leave',   on: 'bg-blue-100 text-blue-700',     off: 'bg-gray-100 text-gray-500' },
   { key: 'Absent',  label: 'Absent',  on: 'bg-red-100 text-red-700',       off: 'bg-gray-100 text-gray-500' },
+  { key: 'Holiday', label: 'Holiday', on: 'bg-purple-100 text-purple-700', off: 'bg-gray-100 text-gray-500' },
   { key: 'OT',      label: 'Has OT',  on: 'bg-purple-100 text-purple-700', off: 'bg-gray-100 text-gray-500' },
 ];
 
@@ -46,8 +43,12 @@ const statusBadge = (status) => {
   const map = {
     Present: 'bg-green-100 text-green-800',
     Late:    'bg-yellow-100 text-yellow-800',
+    'Early Leave': 'bg-orange-100 text-orange-800',
+    'Half Day':    'bg-amber-100 text-amber-800',
+    'Pending Regularization': 'bg-pink-100 text-pink-800',
     Leave:   'bg-blue-100 text-blue-800',
     Absent:  'bg-gray-100 text-gray-700',
+    Holiday: 'bg-purple-100 text-purple-800',
   };
   return map[status] ?? 'bg-gray-100 text-gray-700';
 };
@@ -60,7 +61,10 @@ export default function AttendanceHistory() {
   const toDateRef    = useRef(null);
   const menuRef      = useRef(null);
 
-  const [fromDate, setFromDate] = useState(defaultFromDate);
+  const { payPeriodFor, formatMoney } = useSettings();
+
+  // Default to the start of the current company pay period
+  const [fromDate, setFromDate] = useState(() => toISO(payPeriodFor().start));
   const [toDate,   setToDate]   = useState(() => new Date().toISOString().split('T')[0]);
 
   // Which status chips are active (all on by default)
@@ -269,7 +273,7 @@ export default function AttendanceHistory() {
                       </td>
                       <td className="px-5 py-3 font-semibold text-blue-600">
                         {/* FIX 3: finalDayEarning (not dailyEarning which doesn't exist) */}
-                        PKR {(record.finalDayEarning ?? 0).toLocaleString('en-PK', { minimumFractionDigits: 2 })}
+                        {formatMoney(record.finalDayEarning)}
                       </td>
                       <td className="px-5 py-3 relative">
                         <button
@@ -329,7 +333,7 @@ export default function AttendanceHistory() {
                       {record.status}
                     </span>
                     <span className="font-semibold text-blue-600 text-sm">
-                      PKR {(record.finalDayEarning ?? 0).toLocaleString('en-PK', { minimumFractionDigits: 2 })}
+                      {formatMoney(record.finalDayEarning)}
                     </span>
                   </div>
 
@@ -1,8 +1,9 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import axios from 'axios';
 import { Eye, EyeOff, CalendarDays, Clock, TrendingDown, ChevronRight, FileText, ClipboardEdit } from 'lucide-react';
 import toast from 'react-hot-toast';
+import { useSettings } from '../../context/SettingsContext.js';
 
 // ── date helpers ──────────────────────────────────────────────────────────────
 
@@ -15,35 +16,19 @@ const toApiDate = (date) => {
 };
 
 /**
- * Company pay period: 18th of previous month → 17th of current month.
- * If today is before the 18th we're still in the previous cycle.
+ * Current company pay period, from SettingsContext's payPeriodFor().
+ * The cycle start day comes from Company Settings; pay falls on the last day.
  */
-const getCurrentPayPeriod = () => {
+const getCurrentPayPeriod = ({ start, end }) => {
   const today = new Date();
-  const day   = today.getDate();
-  const year  = today.getFullYear();
-  const month = today.getMonth(); // 0-indexed
-
-  let periodStart, periodEnd;
-
-  if (day >= 18) {
-    // cycle started this month on the 18th, ends next month on the 17th
-    periodStart = new Date(year, month, 18);
-    periodEnd   = new Date(year, month + 1, 17);
-  } else {
-    // cycle started last month on the 18th, ends this month on the 17th
-    periodStart = new Date(year, month - 1, 18);
-    periodEnd   = new Date(year, month, 17);
-  }
 
   // Cap end to today so we only fetch data that exists
-  const effectiveEnd = periodEnd > today ? today : periodEnd;
+  const effectiveEnd = end > today ? today : end;
 
   return {
-    startDate:    toApiDate(periodStart),
+    startDate:    toApiDate(start),
     endDate:      toApiDate(effectiveEnd),
-    nextPayDate:  `17th ${new Date(year, day >= 18 ? month + 1 : month, 1)
-                    .toLocaleString('en-US', { month: 'long', year: 'numeric' })}`
+    nextPayDate:  end.toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' })
   };
 };
 
@@ -51,6 +36,7 @@ const getCurrentPayPeriod = () => {
 
 export default function EmployeeDashboard() {
   const navigate = useNavigate();
+  const { payPeriodFor, formatMoney } = useSettings();
 
   const [showEarnings, setShowEarnings]   = useState(true);
   const [currentEarnings, setCurrentEarnings] = useState(0);
@@ -63,19 +49,13 @@ export default function EmployeeDashboard() {
   const [loading, setLoading] = useState(true);
   const [user,    setUser]    = useState(null);
 
-  useEffect(() => {
-    const stored = localStorage.getItem('user');
-    if (stored) setUser(JSON.parse(stored));
-    fetchDashboardData();
-  }, []);
-
-  const fetchDashboardData = async () => {
+  const fetchDashboardData = useCallback(async () => {
     try {
       const token = localStorage.getItem('token');
 
       // FIX 1: correct route  → GET /api/payroll/my/summary  (employeeAuth, no :id)
       // FIX 2: correct params → startDate / endDate  (not fromDate / toDate)
-      const { startDate, endDate, nextPayDate } = getCurrentPayPeriod();
+      const { startDate, endDate, nextPayDate } = getCurrentPayPeriod(payPeriodFor());
 
       const response = await axios.get('/api/payroll/my/summary', {
         params:  { startDate, endDate },
@@ -101,7 +81,15 @@ export default function EmployeeDashboard() {
     } finally {
       setLoading(false);
     }
-  };
+  }, [payPeriodFor]);
+
+  useEffect(() => {
+    const stored = localStorage.getItem('user');
+    if (stored) setUser(JSON.parse(stored));
+  }, []);
+
+  // Refetch if the pay cycle in Company Settings changes
+  useEffect(() => { fetchDashboardData(); }, [fetchDashboardData]);
 
   // FIX 6: quick-action buttons now navigate
   const quickActions = [
@@ -158,7 +146,7 @@ export default function EmployeeDashboard() {
                   <p className="text-blue-200 text-sm mb-1">Current Earnings (This Period)</p>
                   <h2 className="text-4xl font-bold tracking-tight">
                     {showEarnings
-                      ? `PKR ${currentEarnings.toLocaleString('en-PK', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`
+                      ? formatMoney(currentEarnings)
                       : '••••••'}
                   </h2>
                 </div>
@@ -192,7 +180,7 @@ export default function EmployeeDashboard() {
               <StatCard
                 icon={<TrendingDown size={20} className="text-red-500" />}
                 label="Total Deductions"
-                value={`PKR ${stats.totalDeductions.toLocaleString('en-PK', { minimumFractionDigits: 2 })}`}
+                value={formatMoney(stats.totalDeductions)}
                 valueClass="text-red-600"
                 bg="bg-red-50"
               />
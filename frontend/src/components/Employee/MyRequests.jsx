@@ -4,6 +4,7 @@ import { AlertCircle, Calendar, ClipboardList, FileEdit } from 'lucide-react';
 import LeaveRequestModal from './LeaveRequestModal';
 import CorrectionRequestModal from './CorrectionRequestModal';
 import toast from 'react-hot-toast';
+import { useSettings } from '../../context/SettingsContext.js';
 
 // ── date helpers ──────────────────────────────────────────────────────────────
 
@@ -35,13 +36,14 @@ const fmt = (val) => {
 
 // ── leave eligibility (computed client-side from stored user) ─────────────────
 // FIX 1 & 5: removed the /api/employees/:id call (adminAuth → 403).
-// The backend already enforces the 90-day rule on submit (routes/requests.js).
+// The backend already enforces the service rule on submit (routes/requests.js);
+// the number of days comes from Company Settings.
 // We compute it locally from joiningDate stored in the JWT payload / localStorage.
 // validate-token is called once on app load and stores the user object.
-const computeEligibility = (user) => {
+const computeEligibility = (user, requiredDays) => {
   if (!user?.joiningDate) return { eligible: true, daysLeft: 0 }; // can't determine → allow UI, backend will gate
   const days = Math.floor((Date.now() - new Date(user.joiningDate)) / 86_400_000);
-  return { eligible: days >= 90, daysLeft: Math.max(0, 90 - days) };
+  return { eligible: days >= requiredDays, daysLeft: Math.max(0, requiredDays - days) };
 };
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -62,6 +64,7 @@ const typeBadge = (t) =>
 export default function MyRequests() {
   const fromDateRef = useRef(null);
   const toDateRef   = useRef(null);
+  const { settings } = useSettings();
 
   // ── stored user (joiningDate lives here after validate-token on app load) ──
   const [user] = useState(() => {
@@ -70,7 +73,7 @@ export default function MyRequests() {
   });
 
   const { eligible: leaveEligible, daysLeft: daysUntilEligible } =
-    computeEligibility(user);
+    computeEligibility(user, settings.leaveEligibilityDays);
 
   // ── filter state ──────────────────────────────────────────────────────────
   const [fromDate,     setFromDate]     = useState(
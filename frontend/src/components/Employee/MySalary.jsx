@@ -1,7 +1,8 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import axios from 'axios';
-import { Calendar, Download, TrendingUp, TrendingDown, DollarSign, Wallet } from 'lucide-react';
+import { Calendar, Download, TrendingUp, TrendingDown, DollarSign, Wallet, Receipt, Coins, Moon } from 'lucide-react';
 import toast from 'react-hot-toast';
+import { useSettings } from '../../context/SettingsContext.js';
 
 // ── date helpers ──────────────────────────────────────────────────────────────
 
@@ -19,21 +20,9 @@ const isoToDisplay = (isoStr) => {
   return `${d}/${m}/${y}`;
 };
 
-/** PKR number formatter */
-const pkr = (val) =>
-  (val ?? 0).toLocaleString('en-PK', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
-
-/** Default pay-period start: 18th of current (or prior) month */
-const defaultFromDate = () => {
-  const now   = new Date();
-  const day   = now.getDate();
-  const year  = now.getFullYear();
-  const month = now.getMonth();
-  const start = day >= 18
-    ? new Date(year, month,     18)
-    : new Date(year, month - 1, 18);
-  return start.toISOString().split('T')[0];
-};
+/** Local Date → "YYYY-MM-DD" */
+const toISO = (d) =>
+  `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
 
 // ─────────────────────────────────────────────────────────────────────────────
 
@@ -41,15 +30,68 @@ export default function MySalary() {
   const fromDateRef = useRef(null);
   const toDateRef   = useRef(null);
 
-  const [fromDate, setFromDate] = useState(defaultFromDate);
+  const { payPeriodFor, formatMoney, formatAmount } = useSettings();
+
+  // Default to the start of the current company pay period
+  const [fromDate, setFromDate] = useState(() => toISO(payPeriodFor().start));
   const [toDate,   setToDate]   = useState(() => new Date().toISOString().split('T')[0]);
 
   // FIX 6: separate loading state; don't gate the whole page on salaryData
   const [summary,        setSummary]        = useState(null);
   const [dailyBreakdown, setDailyBreakdown] = useState([]);
   const [loading,        setLoading]        = useState(false);
+  const [payslips,       setPayslips]       = useState([]);
+  const [loans,          setLoans]          = useState([]);
+
+  // Loans / advances with their outstanding balance (approved payroll only)
+  const fetchLoans = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/loans/my', {
+        headers: { Authorization: `Bearer ${localStorage.getItem('token')}` },
+      });
+      setLoans(response.data.loans ?? []);
+    } catch {
+      // non-critical
+    }
+  }, []);
+
+  // Approved / paid payroll records — each has an official server-rendered payslip
+  const fetchPayslips = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/payroll/my/payslips', {
+        headers: { Authorization: `Bearer ${localStorage.getItem('token')}` },
+      });
+      setPayslips(response.data.payslips ?? []);
+    } catch {
+      // non-critical — the live summary still works without the list
+    }
+  }, []);
+
+  useEffect(() => { fetchPayslips(); fetchLoans(); }, [fetchPayslips, fetchLoans]);
 
-  useEffect(() => { fetchSalaryData(); }, []);
+  // The summary loads once for the default range; after that only Refresh reloads it
+  useEffect(() => {
+    fetchSalaryData();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const downloadPayslip = async (slip) => {
+    try {
+      const response = await axios.get(`/api/payroll/my/payslips/${slip._id}/pdf`, {
+        headers: { Authorization: `Bearer ${localStorage.getItem('token')}` },
+        responseType: 'blob',
+      });
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: 'application/pdf' }));
+      const a   = document.createElement('a');
+      a.href = url;
+      a.download = `payslip-${slip.periodStartFormatted.replace(/\//g, '-')}.pdf`;
+      a.click();
+      window.URL.revokeObjectURL(url);
+      if (!slip.payslipNumber) fetchPayslips();
+    } catch {
+      toast.error('Failed to download payslip');
+    }
+  };
 
   // FIX 1: correct route  → GET /api/payroll/my/summary  (employeeAuth, no :id)
   // FIX 2: correct params → startDate / endDate
@@ -86,30 +128,56 @@ export default function MySalary() {
         {
           label:  'Total Basic Earned',
           // FIX 3: baseSalary (not basicEarned)
-          value:  `PKR ${pkr(summary.baseSalary)}`,
+          value:  formatMoney(summary.baseSalary),
           icon:   <DollarSign size={18} className="text-blue-600" />,
           bg:     'bg-blue-50',
           color:  'text-gray-800',
         },
+        {
+          label:  'Allowances',
+          value:  formatMoney(summary.totalAllowances),
+          sub:    (summary.earnings || []).map(e => `${e.name}: ${formatAmount(e.amount)}`).join(' · ') || undefined,
+          icon:   <Coins size={18} className="text-indigo-600" />,
+          bg:     'bg-indigo-50',
+          color:  'text-indigo-700',
+        },
         {
           label:  'Overtime Total',
           // FIX 3: totalOtAmount (not otTotal)
-          value:  `PKR ${pkr(summary.totalOtAmount)}`,
+          value:  formatMoney(summary.totalOtAmount),
+          sub:    summary.totalAutoOtAmount ? `Automatic: ${formatAmount(summary.totalAutoOtAmount)} (${summary.totalAutoOtHours} hrs)` : undefined,
           icon:   <TrendingUp size={18} className="text-green-600" />,
           bg:     'bg-green-50',
           color:  'text-green-700',
         },
+        ...(summary.totalNightDifferential > 0 ? [{
+          label:  'Night Differential',
+          value:  formatMoney(summary.totalNightDifferential),
+          sub:    `${summary.totalNightHours} hrs in the night window`,
+          icon:   <Moon size={18} className="text-violet-600" />,
+          bg:     'bg-violet-50',
+          color:  'text-violet-700',
+        }] : []),
         {
           label:  'Total Deductions',
           // FIX 3: totalDeduction (not deductionTotal)
-          value:  `PKR ${pkr(summary.totalDeduction)}`,
+          value:  formatMoney(summary.totalDeduction),
+          sub:    (summary.latePenalties || []).map(l => `${l.name}: ${formatAmount(l.amount)}`).join(' · ') || undefined,
           icon:   <TrendingDown size={18} className="text-red-500" />,
           bg:     'bg-red-50',
           color:  'text-red-600',
         },
+        {
+          label:  'Income Tax',
+          value:  formatMoney(summary.incomeTax),
+          sub:    `Year to date: ${formatMoney(summary.ytdTax)}`,
+          icon:   <Receipt size={18} className="text-amber-600" />,
+          bg:     'bg-amber-50',
+          color:  'text-amber-700',
+        },
         {
           label:  'Net Payable',
-          value:  `PKR ${pkr(summary.netSalary)}`,
+          value:  formatMoney(summary.netSalary),
           icon:   <Wallet size={18} className="text-white" />,
           bg:     '',
           color:  'text-white',
@@ -191,7 +259,7 @@ export default function MySalary() {
       ) : summary ? (
         <>
           {/* Summary cards */}
-          <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
+          <div className="grid grid-cols-1 md:grid-cols-3 xl:grid-cols-6 gap-4 mb-6">
             {summaryCards.map((card) => (
               <div
                 key={card.label}
@@ -208,6 +276,7 @@ export default function MySalary() {
                   {card.label}
                 </p>
                 <p className={`text-xl font-bold ${card.color}`}>{card.value}</p>
+                {card.sub && <p className="text-xs text-gray-400 mt-1">{card.sub}</p>}
               </div>
             ))}
           </div>
@@ -217,11 +286,13 @@ export default function MySalary() {
             <h2 className="text-sm font-semibold text-gray-600 uppercase tracking-wide mb-4">
               Period Summary
             </h2>
-            <div className="grid grid-cols-2 md:grid-cols-5 gap-4 text-center">
+            <div className="grid grid-cols-2 md:grid-cols-7 gap-4 text-center">
               {[
                 { label: 'Working Days', value: summary.totalWorkingDays ?? '—' },
                 { label: 'Present',      value: summary.presentDays      ?? '—', color: 'text-green-600' },
                 { label: 'Late',         value: summary.lateDays         ?? '—', color: 'text-yellow-600' },
+                { label: 'Early Leave',  value: summary.earlyLeaveDays   ?? '—', color: 'text-orange-600' },
+                { label: 'Half Day',     value: summary.halfDays         ?? '—', color: 'text-amber-600' },
                 { label: 'Absent',       value: summary.absentDays       ?? '—', color: 'text-red-500' },
                 { label: 'Leave',        value: summary.leaveDays        ?? '—', color: 'text-blue-600' },
               ].map((s) => (
@@ -265,7 +336,11 @@ export default function MySalary() {
                         <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${
                           day.status === 'Present' ? 'bg-green-100 text-green-700' :
                           day.status === 'Late'    ? 'bg-yellow-100 text-yellow-700' :
+                          day.status === 'Early Leave' ? 'bg-orange-100 text-orange-700' :
+                          day.status === 'Half Day'    ? 'bg-amber-100 text-amber-700' :
+                          day.status === 'Pending Regularization' ? 'bg-pink-100 text-pink-700' :
                           day.status === 'Leave'   ? 'bg-blue-100 text-blue-700' :
+                          day.status === 'Holiday' ? 'bg-purple-100 text-purple-700' :
                                                      'bg-gray-100 text-gray-600'
                         }`}>
                           {day.status ?? 'Absent'}
@@ -282,17 +357,17 @@ export default function MySalary() {
                         {(day.hoursWorked ?? 0).toFixed(2)}h
                       </td>
                       <td className="px-4 py-3 text-right text-gray-800">
-                        PKR {pkr(day.basePay)}
+                        {formatMoney(day.basePay)}
                       </td>
                       <td className="px-4 py-3 text-right text-green-600">
-                        {(day.otAmount ?? 0) > 0 ? `PKR ${pkr(day.otAmount)}` : '—'}
+                        {(day.otAmount ?? 0) > 0 ? formatMoney(day.otAmount) : '—'}
                       </td>
                       <td className="px-4 py-3 text-right text-red-500">
-                        {(day.deduction ?? 0) > 0 ? `PKR ${pkr(day.deduction)}` : '—'}
+                        {(day.deduction ?? 0) > 0 ? formatMoney(day.deduction) : '—'}
                       </td>
                       <td className="px-4 py-3 text-right font-semibold text-blue-600">
                         {/* FIX 4: finalDayEarning (not dailyEarning) */}
-                        PKR {pkr(day.finalDayEarning)}
+                        {formatMoney(day.finalDayEarning)}
                       </td>
                     </tr>
                   ))}
@@ -301,16 +376,16 @@ export default function MySalary() {
                   <tr>
                     <td colSpan="4" className="px-4 py-3 font-semibold text-gray-700">Total</td>
                     <td className="px-4 py-3 text-right font-semibold">
-                      PKR {pkr(summary.baseSalary)}
+                      {formatMoney(summary.baseSalary)}
                     </td>
                     <td className="px-4 py-3 text-right font-semibold text-green-600">
-                      PKR {pkr(summary.totalOtAmount)}
+                      {formatMoney(summary.totalOtAmount)}
                     </td>
                     <td className="px-4 py-3 text-right font-semibold text-red-500">
-                      PKR {pkr(summary.totalDeduction)}
+                      {formatMoney(summary.totalDeduction)}
                     </td>
                     <td className="px-4 py-3 text-right font-bold text-blue-700">
-                      PKR {pkr(summary.netSalary)}
+                      {formatMoney(summary.netSalary)}
                     </td>
                   </tr>
                 </tfoot>
@@ -323,6 +398,69 @@ export default function MySalary() {
           No salary data found for the selected period.
         </div>
       )}
+
+      {/* Loans & advances */}
+      {loans.length > 0 && (
+        <div className="bg-white rounded-xl shadow-sm border border-gray-100 mt-6 overflow-hidden">
+          <div className="px-4 md:px-6 py-4 border-b border-gray-100 flex items-center justify-between">
+            <h2 className="text-lg font-semibold text-gray-800">My Loans &amp; Advances</h2>
+            {summary?.totalLoanDeduction > 0 && (
+              <span className="text-sm text-gray-500">
+                This period: <b className="text-red-600">{formatMoney(summary.totalLoanDeduction)}</b>
+              </span>
+            )}
+          </div>
+          <ul className="divide-y divide-gray-100">
+            {loans.map(loan => (
+              <li key={loan._id} className="flex items-center justify-between px-4 md:px-6 py-3 text-sm">
+                <div>
+                  <p className="font-medium text-gray-800">
+                    {loan.type === 'advance' ? 'Salary advance' : 'Loan'}{loan.reason ? ` — ${loan.reason}` : ''}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {formatMoney(loan.principal)} from {loan.startDateFormatted} · {formatMoney(loan.installmentAmount)} per period ·{' '}
+                    <span className="capitalize">{loan.status}</span>
+                  </p>
+                </div>
+                <div className="text-right">
+                  <p className="font-semibold text-red-600">{formatMoney(loan.outstanding)}</p>
+                  <p className="text-xs text-gray-400">outstanding</p>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* Issued payslips */}
+      {payslips.length > 0 && (
+        <div className="bg-white rounded-xl shadow-sm border border-gray-100 mt-6 overflow-hidden">
+          <div className="px-4 md:px-6 py-4 border-b border-gray-100">
+            <h2 className="text-lg font-semibold text-gray-800">My Payslips</h2>
+          </div>
+          <ul className="divide-y divide-gray-100">
+            {payslips.map(slip => (
+              <li key={slip._id} className="flex items-center justify-between px-4 md:px-6 py-3 text-sm">
+                <div>
+                  <p className="font-medium text-gray-800">
+                    {slip.periodStartFormatted} – {slip.periodEndFormatted}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {slip.payslipNumber || 'Not yet issued'} · <span className="capitalize">{slip.status}</span>
+                  </p>
+                </div>
+                <div className="flex items-center gap-4">
+                  <span className="font-semibold text-blue-700">{formatMoney(slip.netSalary)}</span>
+                  <button onClick={() => downloadPayslip(slip)}
+                    className="flex items-center gap-1 text-blue-600 hover:text-blue-800 font-medium">
+                    <Download size={14} /> PDF
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
     </div>
   );
 }
\ No newline at end of file
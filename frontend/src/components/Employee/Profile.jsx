@@ -2,8 +2,10 @@ import React, { useState, useEffect } from 'react';
 import axios from 'axios';
 import { Eye, EyeOff, Save, Calendar, User, Lock, CreditCard } from 'lucide-react';
 import toast from 'react-hot-toast';
+import { useSettings } from '../../context/SettingsContext.js';
 
 export default function Profile() {
+  const { settings } = useSettings();
   const [employee, setEmployee] = useState(null);
   const [editMode, setEditMode] = useState(false);
   const [showPassword, setShowPassword] = useState({
@@ -191,7 +193,7 @@ export default function Profile() {
                   <span>{employee?.joiningDate ? formatDateToDisplay(employee.joiningDate) : '—'}</span>
                 </div>
               </div>
-              <InfoField label="Hourly Rate (PKR)" value={employee?.hourlyRate} type="number" />
+              <InfoField label={`Hourly Rate (${settings.currency})`} value={employee?.hourlyRate} type="number" />
             </div>
 
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
@@ -0,0 +1,124 @@
+/**
+ * context/SettingsContext.js
+ *
+ * Provides the company settings (pay cycle, currency, weekend days, leave
+ * rules) saved under Admin → Settings to the whole app.
+ *
+ * Usage:
+ *   const { settings, payPeriodFor, formatMoney } = useSettings();
+ *   const { start, end } = payPeriodFor(new Date());   // company pay period
+ *   settings.currency;                                 // 'PKR'
+ *   formatMoney(1234.5);                               // 'PKR 1,234.50'
+ */
+
+import React, { createContext, useState, useCallback, useEffect, useContext } from 'react';
+import apiClient from '../services/api.js';
+import { useAuth } from './AuthContext.js';
+import { formatCurrency, formatAmount as formatPlainAmount } from '../utils/formatters.js';
+
+export const SettingsContext = createContext(null);
+
+/** Same defaults as the backend (utils/companySettings.js) */
+export const DEFAULT_SETTINGS = {
+  payCycleStartDay:      18,
+  currency:              'PKR',
+  locale:                'en-PK',
+  weekendDays:           [0, 6],
+  workingDaysPerMonth:   26,
+  hoursPerDay:           8,
+  breakAllowanceMinutes: 0,
+  breakPaid:             false,
+  lateGraceMinutes:      0,
+  earlyLeaveMinutes:     0,
+  halfDayMinHours:       0,
+  missingPunchPolicy:    'half',
+  missingPunchDeduction: 0,
+  autoOtEnabled:         false,
+  otThresholdMinutes:    30,
+  otMultiplierWeekday:   1.5,
+  otMultiplierWeeklyOff: 2,
+  otMultiplierHoliday:   2,
+  otDailyCapHours:       0,
+  otMonthlyCapHours:     0,
+  nightDiffType:         'off',
+  nightDiffValue:        0,
+  nightWindowStart:      '22:00',
+  nightWindowEnd:        '06:00',
+  leaveEligibilityDays:  90,
+  annualLeaveDays:       14
+};
+
+const STORAGE_KEY = 'companySettings';
+
+/** Last settings seen, so the first render after a reload uses them */
+const storedSettings = () => {
+  try {
+    return { ...DEFAULT_SETTINGS, ...JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}') };
+  } catch {
+    return DEFAULT_SETTINGS;
+  }
+};
+
+// ─── convenience hook ─────────────────────────────────────────────────────────
+export function useSettings() {
+  const ctx = useContext(SettingsContext);
+  if (!ctx) throw new Error('useSettings must be used inside <SettingsProvider>');
+  return ctx;
+}
+
+// ─── provider ─────────────────────────────────────────────────────────────────
+export function SettingsProvider({ children }) {
+  const { user } = useAuth();
+  const [settings, setSettings] = useState(storedSettings);
+
+  const applySettings = useCallback((next) => {
+    const merged = { ...DEFAULT_SETTINGS, ...next };
+    setSettings(merged);
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(merged));
+  }, []);
+
+  // ── fetch whenever someone signs in ───────────────────────────────────────
+  const refreshSettings = useCallback(async () => {
+    try {
+      const { data } = await apiClient.get('/settings');
+      if (data.success) applySettings(data.settings);
+    } catch {
+      // keep the last known settings — pages still work on the defaults
+    }
+  }, [applySettings]);
+
+  useEffect(() => {
+    if (user) refreshSettings();
+  }, [user, refreshSettings]);
+
+  // ── pay period containing `date` ──────────────────────────────────────────
+  // Starts on payCycleStartDay and ends the day before it next month,
+  // mirroring getCompanyMonthDates on the backend.
+  const payPeriodFor = useCallback((date = new Date()) => {
+    const d        = new Date(date);
+    const startDay = settings.payCycleStartDay;
+    const first    = d.getDate() >= startDay ? d.getMonth() : d.getMonth() - 1;
+    return {
+      start: new Date(d.getFullYear(), first, startDay),
+      end:   new Date(d.getFullYear(), first + 1, startDay - 1, 23, 59, 59, 999)
+    };
+  }, [settings.payCycleStartDay]);
+
+  // ── money in the company currency and locale ──────────────────────────────
+  const formatMoney = useCallback(
+    (amount) => formatCurrency(amount, { currency: settings.currency, locale: settings.locale }),
+    [settings.currency, settings.locale]
+  );
+  const formatAmount = useCallback(
+    (amount) => formatPlainAmount(amount, { locale: settings.locale }),
+    [settings.locale]
+  );
+
+  return (
+    <SettingsContext.Provider
+      value={{ settings, payPeriodFor, formatMoney, formatAmount, refreshSettings, applySettings }}
+    >
+      {children}
+    </SettingsContext.Provider>
+  );
+}
@@ -62,6 +62,219 @@ const payrollAPI = {
       )
       .then(r => r.data),
 
+  // ── Payroll records (draft → approved → paid) ──────────────────────────
+
+  // POST /api/payroll/records/generate
+  generatePayrollRecords: (fromDate, toDate, periodLabel) =>
+    apiClient
+      .post('/payroll/records/generate', { fromDate, toDate, periodLabel })
+      .then(r => r.data),
+
+  // GET /api/payroll/records?fromDate=&toDate=&status=&search=
+  // Returns: { records[], counts, totals }
+  getPayrollRecords: (params = {}) =>
+    apiClient
+      .get('/payroll/records', { params })
+      .then(r => r.data),
+
+  // GET /api/payroll/records/:id  — includes dailyBreakdown[]
+  getPayrollRecord: (id) =>
+    apiClient
+      .get(`/payroll/records/${id}`)
+      .then(r => r.data),
+
+  // PATCH /api/payroll/records/:id/approve | /pay
+  approvePayrollRecord: (id) =>
+    apiClient.patch(`/payroll/records/${id}/approve`).then(r => r.data),
+  payPayrollRecord: (id) =>
+    apiClient.patch(`/payroll/records/${id}/pay`).then(r => r.data),
+
+  // POST /api/payroll/records/approve | /pay — body: { ids } or { fromDate, toDate }
+  bulkApprovePayrollRecords: (body) =>
+    apiClient.post('/payroll/records/approve', body).then(r => r.data),
+  bulkPayPayrollRecords: (body) =>
+    apiClient.post('/payroll/records/pay', body).then(r => r.data),
+
+  // GET /api/payroll/records/:id/payslip — PDF blob (approved / paid only)
+  downloadPayslip: (id) =>
+    apiClient.get(`/payroll/records/${id}/payslip`, { responseType: 'blob' }).then(r => r.data),
+
+  // GET /api/payroll/disbursement/formats — [{ id, label, extension }]
+  getDisbursementFormats: () =>
+    apiClient.get('/payroll/disbursement/formats').then(r => r.data),
+
+  // POST /api/payroll/disbursement/export — body: { fromDate, toDate, format, valueDate? }
+  // Returns the raw response so callers can read X-Record-Count / X-Control-Total
+  exportDisbursement: (body) =>
+    apiClient.post('/payroll/disbursement/export', body, { responseType: 'blob' }),
+
+  // ── Income tax slabs (/api/tax-years) ─────────────────────────────────────
+
+  getTaxYears: () =>
+    apiClient.get('/tax-years').then(r => r.data),
+  createTaxYear: (body) =>
+    apiClient.post('/tax-years', body).then(r => r.data),
+  updateTaxYear: (id, body) =>
+    apiClient.put(`/tax-years/${id}`, body).then(r => r.data),
+  deleteTaxYear: (id) =>
+    apiClient.delete(`/tax-years/${id}`).then(r => r.data),
+  calculateTax: (id, annualIncome) =>
+    apiClient.get(`/tax-years/${id}/calculate`, { params: { annualIncome } }).then(r => r.data),
+
+  // ── Earnings components (/api/earning-components) ─────────────────────────
+
+  getEarningComponents: () =>
+    apiClient.get('/earning-components').then(r => r.data),
+  createEarningComponent: (body) =>
+    apiClient.post('/earning-components', body).then(r => r.data),
+  updateEarningComponent: (id, body) =>
+    apiClient.put(`/earning-components/${id}`, body).then(r => r.data),
+  deleteEarningComponent: (id) =>
+    apiClient.delete(`/earning-components/${id}`).then(r => r.data),
+
+  // ── Late penalty rules (/api/late-penalty-rules) ──────────────────────────
+
+  getLatePenaltyRules: () =>
+    apiClient.get('/late-penalty-rules').then(r => r.data),
+  createLatePenaltyRule: (body) =>
+    apiClient.post('/late-penalty-rules', body).then(r => r.data),
+  updateLatePenaltyRule: (id, body) =>
+    apiClient.put(`/late-penalty-rules/${id}`, body).then(r => r.data),
+  deleteLatePenaltyRule: (id) =>
+    apiClient.delete(`/late-penalty-rules/${id}`).then(r => r.data),
+
+  // ── GET /api/payroll/variance ─────────────────────────────────────────────
+  // date: any dd/mm/yyyy inside the current period; threshold: percent
+
+  getVariance: (date, threshold) =>
+    apiClient.get('/payroll/variance', { params: { date, threshold } }).then(r => r.data),
+  getEmployeeVariance: (empId, date, threshold) =>
+    apiClient.get(`/payroll/variance/${empId}`, { params: { date, threshold } }).then(r => r.data),
+
+  // ── Loans & advances (/api/loans) ─────────────────────────────────────────
+
+  getLoans: (params = {}) =>
+    apiClient.get('/loans', { params }).then(r => r.data),
+  getLoan: (id) =>
+    apiClient.get(`/loans/${id}`).then(r => r.data),
+  createLoan: (body) =>
+    apiClient.post('/loans', body).then(r => r.data),
+  updateLoan: (id, body) =>
+    apiClient.put(`/loans/${id}`, body).then(r => r.data),
+  cancelLoan: (id, reason) =>
+    apiClient.post(`/loans/${id}/cancel`, { reason }).then(r => r.data),
+  getMyLoans: () =>
+    apiClient.get('/loans/my').then(r => r.data),
+
+  // ── Exit & final settlement (/api/settlements) ────────────────────────────
+
+  getSettlements: (params = {}) =>
+    apiClient.get('/settlements', { params }).then(r => r.data),
+  getSettlement: (id) =>
+    apiClient.get(`/settlements/${id}`).then(r => r.data),
+  previewSettlement: (body) =>
+    apiClient.post('/settlements/preview', body).then(r => r.data),
+  saveSettlement: (body) =>
+    apiClient.post('/settlements', body).then(r => r.data),
+  finalizeSettlement: (id) =>
+    apiClient.post(`/settlements/${id}/finalize`).then(r => r.data),
+  discardSettlement: (id) =>
+    apiClient.delete(`/settlements/${id}`).then(r => r.data),
+  // PDF blob — marked DRAFT until finalized
+  downloadSettlementPdf: (id) =>
+    apiClient.get(`/settlements/${id}/pdf`, { responseType: 'blob' }).then(r => r.data),
+
+  // ── Company settings (/api/settings) ──────────────────────────────────────
+
+  getSettings: () =>
+    apiClient.get('/settings').then(r => r.data),
+  // superadmin only — any subset of the settings fields
+  updateSettings: (body) =>
+    apiClient.put('/settings', body).then(r => r.data),
+
+  // ── Holiday calendar (/api/holidays) ──────────────────────────────────────
+
+  getHolidays: (year) =>
+    apiClient.get('/holidays', { params: { year } }).then(r => r.data),
+  createHoliday: (body) =>
+    apiClient.post('/holidays', body).then(r => r.data),
+  updateHoliday: (id, body) =>
+    apiClient.put(`/holidays/${id}`, body).then(r => r.data),
+  deleteHoliday: (id) =>
+    apiClient.delete(`/holidays/${id}`).then(r => r.data),
+  // copies holidays marked recurring into toYear
+  copyHolidayYear: (fromYear, toYear) =>
+    apiClient.post('/holidays/copy-year', { fromYear, toYear }).then(r => r.data),
+
+  // ── Shift roster (/api/roster) ────────────────────────────────────────────
+  getShiftTemplates: () =>
+    apiClient.get('/roster/templates').then(r => r.data),
+  createShiftTemplate: (body) =>
+    apiClient.post('/roster/templates', body).then(r => r.data),
+  updateShiftTemplate: (id, body) =>
+    apiClient.put(`/roster/templates/${id}`, body).then(r => r.data),
+  deleteShiftTemplate: (id) =>
+    apiClient.delete(`/roster/templates/${id}`).then(r => r.data),
+  // Returns: { dates[], employees[{ defaultShift, weeklyOff, days: { "dd/mm/yyyy": { shift } } }] }
+  getRoster: (fromDate, toDate) =>
+    apiClient.get('/roster', { params: { fromDate, toDate } }).then(r => r.data),
+  // shiftId null resets the days to each employee's default shift
+  assignShift: (body) =>
+    apiClient.post('/roster/assign', body).then(r => r.data),
+  // body: { empIds, fromDate, toDate, pattern: [shiftId], daysPerShift, startAt }
+  rotateShifts: (body) =>
+    apiClient.post('/roster/rotate', body).then(r => r.data),
+
+  // ── Attendance import history (/api/import-batches) ───────────────────────
+  getImportBatches: (page = 1, limit = 20) =>
+    apiClient.get('/import-batches', { params: { page, limit } }).then(r => r.data),
+  // Returns: { batch: { ..., changes[{ action, empNumber, date, before, current, editedSince }] } }
+  getImportBatch: (id) =>
+    apiClient.get(`/import-batches/${id}`).then(r => r.data),
+  // 409 EDITED_SINCE_IMPORT lists conflicts unless force is true
+  rollbackImportBatch: (id, force = false) =>
+    apiClient.post(`/import-batches/${id}/rollback`, { force }).then(r => r.data),
+
+  // ── Import profiles (/api/import-profiles) ────────────────────────────────
+  getImportProfiles: (activeOnly = false) =>
+    apiClient.get('/import-profiles', { params: activeOnly ? { active: true } : {} }).then(r => r.data),
+  // body: { name, delimiter, hasHeader, skipRows, columns: { empId, … }, dateFormat, timeFormat, statusMap }
+  createImportProfile: (body) =>
+    apiClient.post('/import-profiles', body).then(r => r.data),
+  updateImportProfile: (id, body) =>
+    apiClient.put(`/import-profiles/${id}`, body).then(r => r.data),
+  deleteImportProfile: (id) =>
+    apiClient.delete(`/import-profiles/${id}`).then(r => r.data),
+
+  // ── Device mappings (/api/device-mappings) ────────────────────────────────
+  getDeviceMappings: () =>
+    apiClient.get('/device-mappings').then(r => r.data),
+  // body: { deviceId, deviceSerial?, employeeId, notes? } — blank serial = any device
+  createDeviceMapping: (body) =>
+    apiClient.post('/device-mappings', body).then(r => r.data),
+  updateDeviceMapping: (id, body) =>
+    apiClient.put(`/device-mappings/${id}`, body).then(r => r.data),
+  deleteDeviceMapping: (id) =>
+    apiClient.delete(`/device-mappings/${id}`).then(r => r.data),
+  // status: pending (default) | processed | ignored
+  getPendingDeviceIds: (status = 'pending') =>
+    apiClient.get('/device-mappings/pending', { params: { status } }).then(r => r.data),
+  resolvePendingDeviceId: (id, employeeId) =>
+    apiClient.post(`/device-mappings/pending/${id}/resolve`, { employeeId }).then(r => r.data),
+  ignorePendingDeviceId: (id) =>
+    apiClient.post(`/device-mappings/pending/${id}/ignore`).then(r => r.data),
+  // Imports the queued punches of mapped IDs as a new import batch
+  reprocessPendingDeviceIds: (ids) =>
+    apiClient.post('/attendance/reprocess-pending', { ids }).then(r => r.data),
+
+  // ── Absence check (/api/attendance) ───────────────────────────────────────
+  // body: { fromDate?, toDate?, dryRun? } — dd/mm/yyyy, default the last week
+  runAbsenceSweep: (body = {}) =>
+    apiClient.post('/attendance/absence-sweep', body).then(r => r.data),
+  // Days with only a check-in or only a check-out
+  getMissingPunches: (fromDate, toDate) =>
+    apiClient.get('/attendance/missing-punches', { params: { fromDate, toDate } }).then(r => r.data),
+
   // ── Employee self-service ─────────────────────────────────────────────────
 
   // GET /api/payroll/my/periods
@@ -76,6 +289,18 @@ const payrollAPI = {
     apiClient
       .get('/payroll/my/summary', { params: { startDate, endDate } })
       .then(r => r.data),
+
+  // GET /api/payroll/my/payslips
+  getMyPayslips: () =>
+    apiClient
+      .get('/payroll/my/payslips')
+      .then(r => r.data),
+
+  // GET /api/payroll/my/payslips/:id/pdf — PDF blob
+  downloadMyPayslip: (id) =>
+    apiClient
+      .get(`/payroll/my/payslips/${id}/pdf`, { responseType: 'blob' })
+      .then(r => r.data),
 };
 
 export default payrollAPI;
\ No newline at end of file
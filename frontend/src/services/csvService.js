@@ -1,7 +1,7 @@
 /**
  * services/csvService.js
  *
- * CSV import + attendance range queries.
+ * Attendance file import (CSV, ZKTeco attlog.dat, XLSX) + attendance range queries.
  * Uses the central apiClient — no manual token handling or URL construction.
  */
 
@@ -13,14 +13,28 @@ import apiClient from './api.js';
  * POST /api/attendance/import-csv
  * Uploads a CSV file and returns the processing log + summary.
  *
- * @param   {File}   file — the .csv File object from an <input type="file">
+ * @param   {File}   file — the .csv / .dat / .xlsx File object from an <input type="file">
+ * @param   {Object} [options]
+ * @param   {string}  [options.format]    — csv | zkteco | xlsx; detected by the server when omitted
+ * @param   {string}  [options.profileId] — saved ImportProfile layout for a delimited file
+ * @param   {string}  [options.deviceSerial] — terminal the file came from, for device ID mappings
+ * @param   {boolean} [options.dryRun]   — preview only; the server saves nothing
+ * @param   {string}  [options.batchHash] — hash from the preview; the server refuses
+ *                                          the import if the file or attendance changed
  * @returns {Object} { success, data, processingLog } on success
- *                   { success: false, error, processingLog } on failure
+ *                   { success: false, error, stale, processingLog } on failure
  */
-export async function uploadCSVFile(file) {
+export async function uploadCSVFile(file, {
+  dryRun = false, batchHash = null, format = null, profileId = null, deviceSerial = null
+} = {}) {
   try {
     const formData = new FormData();
     formData.append('csvFile', file);
+    if (format)    formData.append('format', format);
+    if (profileId) formData.append('profileId', profileId);
+    if (deviceSerial) formData.append('deviceSerial', deviceSerial);
+    if (dryRun)    formData.append('dryRun', 'true');
+    if (batchHash) formData.append('batchHash', batchHash);
 
     const { data } = await apiClient.post('/attendance/import-csv', formData, {
       headers: { 'Content-Type': 'multipart/form-data' },
@@ -39,6 +53,7 @@ export async function uploadCSVFile(file) {
     return {
       success:       false,
       error:         errMsg,
+      stale:         error.response?.status === 409,
       processingLog: logData?.length
         ? logData
         : [{ type: 'ERROR', message: errMsg }]
@@ -46,6 +61,33 @@ export async function uploadCSVFile(file) {
   }
 }
 
+/**
+ * Dry run of uploadCSVFile — data.preview lists what would happen per
+ * employee-day (create / update / skip with before → after),
+ * data.unmapped the device IDs no employee is mapped to, and
+ * data.batchHash confirms that exact batch.
+ */
+export function previewCSVFile(file, { format = null, profileId = null, deviceSerial = null } = {}) {
+  return uploadCSVFile(file, { dryRun: true, format, profileId, deviceSerial });
+}
+
+/**
+ * GET /api/import-profiles?active=true
+ * Saved column layouts the import can be read with.
+ */
+export async function getImportProfiles() {
+  try {
+    const { data } = await apiClient.get('/import-profiles', { params: { active: true } });
+    return { success: true, profiles: data.profiles || [] };
+  } catch (error) {
+    return {
+      success:  false,
+      profiles: [],
+      error:    error.response?.data?.message || error.message
+    };
+  }
+}
+
 // ─── attendance range ─────────────────────────────────────────────────────────
 
 /**
@@ -70,6 +112,8 @@ export async function getAttendanceRange(fromDate, toDate) {
 
 const csvService ={
   uploadCSVFile,
+  previewCSVFile,
+  getImportProfiles,
   getAttendanceRange
 };
 export default csvService;
\ No newline at end of file
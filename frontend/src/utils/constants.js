@@ -33,7 +33,10 @@ export const LEAVE_TYPES = [
   'Casual Leave'
 ];
 
-export const ATTENDANCE_STATUSES = ['Present', 'Late', 'Leave', 'Absent'];
+export const ATTENDANCE_STATUSES = ['Present', 'Late', 'Early Leave', 'Half Day', 'Pending Regularization', 'Leave', 'Absent'];
+
+/** Statuses of a day the employee worked — times apply */
+export const WORKED_STATUSES = ['Present', 'Late', 'Early Leave', 'Half Day'];
 
 export const OT_MULTIPLIERS = [
   { value: 1,   label: '1×  (Regular)' },
@@ -66,6 +69,9 @@ export const STATUS_COLORS = {
   // Attendance
   Present: 'text-green-600  bg-green-50  border-green-200',
   Late:    'text-yellow-600 bg-yellow-50 border-yellow-200',
+  'Early Leave': 'text-orange-600 bg-orange-50 border-orange-200',
+  'Half Day':    'text-amber-600  bg-amber-50  border-amber-200',
+  'Pending Regularization': 'text-pink-600 bg-pink-50 border-pink-200',
   Leave:   'text-blue-600   bg-blue-50   border-blue-200',
   Absent:  'text-red-600    bg-red-50    border-red-200',
 
@@ -123,9 +129,12 @@ export const PAYROLL_CSV_COLUMNS = [
   { key: 'leaveDays',      label: 'Leave Days' },
   { key: 'absentDays',     label: 'Absent Days' },
   { key: 'lateDays',       label: 'Late Days' },
+  { key: 'earlyLeaveDays', label: 'Early Leave Days' },
+  { key: 'halfDays',       label: 'Half Days' },
   { key: 'baseSalary',     label: 'Base Salary' },
   { key: 'totalOtHours',   label: 'OT Hours' },
   { key: 'totalOt',        label: 'OT Amount' },
+  { key: 'totalNightDifferential', label: 'Night Differential' },
   { key: 'totalDeduction', label: 'Deductions' },
   { key: 'netPayable',     label: 'Net Payable' }
 ];
\ No newline at end of file
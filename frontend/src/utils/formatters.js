@@ -5,22 +5,21 @@
  */
 
 // ─── currency ─────────────────────────────────────────────────────────────────
+// Currency and locale are the company's (CompanySettings) — components get
+// bound versions from useSettings(): formatMoney / formatAmount.
 
 /**
- * Format a number as PKR currency.
- * e.g. formatCurrency(1234.5) → "PKR 1,234.50"
+ * Format a number as money in `currency`, grouped for `locale`.
+ * e.g. formatCurrency(1234.5, { currency: 'PKR', locale: 'en-PK' }) → "PKR 1,234.50"
  */
-export function formatCurrency(amount, currency = 'PKR') {
-  const n = parseFloat(amount) || 0;
-  return `${currency} ${n.toLocaleString('en-PK', {
-    minimumFractionDigits: 2,
-    maximumFractionDigits: 2
-  })}`;
+export function formatCurrency(amount, { currency, locale } = {}) {
+  const text = formatAmount(amount, { locale });
+  return currency ? `${currency} ${text}` : text;
 }
 
-/** Compact version — no currency symbol, 2dp */
-export function formatAmount(amount) {
-  return (parseFloat(amount) || 0).toLocaleString('en-PK', {
+/** Compact version — no currency code, 2dp */
+export function formatAmount(amount, { locale } = {}) {
+  return (parseFloat(amount) || 0).toLocaleString(locale, {
     minimumFractionDigits: 2,
     maximumFractionDigits: 2
   });
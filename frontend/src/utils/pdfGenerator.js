@@ -5,6 +5,8 @@
  * Optional: npm install html2canvas (only for generatePayrollPDF)
  */
 
+import { formatCurrency, formatAmount } from './formatters.js';
+
 // ─── helpers ──────────────────────────────────────────────────────────────────
 
 const fmt = (n) => (parseFloat(n) || 0).toFixed(2);
@@ -17,8 +19,10 @@ const fmt = (n) => (parseFloat(n) || 0).toFixed(2);
  * @param {string} employeeName
  * @param {Object} summary — { baseSalary, totalOt, totalDeduction, netPayable }
  *   NOTE: field names match backend — NOT basicEarned/otTotal
+ * @param {Object} [money]  — { currency, locale } from useSettings().settings
  */
-export async function generatePayrollPDF(employeeName, summary) {
+export async function generatePayrollPDF(employeeName, summary, { currency, locale } = {}) {
+  const amount = (n) => formatAmount(n, { locale });
   try {
     // Dynamic import — works in Vite/ESM (no require())
     const [{ jsPDF }, html2canvas] = await Promise.all([
@@ -49,24 +53,24 @@ export async function generatePayrollPDF(employeeName, summary) {
       <table style="width:100%;border-collapse:collapse;margin-top:20px;font-family:Arial,sans-serif">
         <tr style="background:#f0f0f0">
           <th style="border:1px solid #ddd;padding:10px;text-align:left">Description</th>
-          <th style="border:1px solid #ddd;padding:10px;text-align:right">Amount (PKR)</th>
+          <th style="border:1px solid #ddd;padding:10px;text-align:right">Amount${currency ? ` (${currency})` : ''}</th>
         </tr>
         <tr>
           <td style="border:1px solid #ddd;padding:10px">Basic Earned</td>
-          <td style="border:1px solid #ddd;padding:10px;text-align:right">${fmt(summary.baseSalary)}</td>
+          <td style="border:1px solid #ddd;padding:10px;text-align:right">${amount(summary.baseSalary)}</td>
         </tr>
         <tr style="background:#f9f9f9">
           <td style="border:1px solid #ddd;padding:10px">OT Amount</td>
-          <td style="border:1px solid #ddd;padding:10px;text-align:right">${fmt(summary.totalOt)}</td>
+          <td style="border:1px solid #ddd;padding:10px;text-align:right">${amount(summary.totalOt)}</td>
         </tr>
         <tr>
           <td style="border:1px solid #ddd;padding:10px">Deductions</td>
-          <td style="border:1px solid #ddd;padding:10px;text-align:right">${fmt(summary.totalDeduction)}</td>
+          <td style="border:1px solid #ddd;padding:10px;text-align:right">${amount(summary.totalDeduction)}</td>
         </tr>
         <tr style="background:#e8f4f8;font-weight:bold">
           <td style="border:1px solid #ddd;padding:10px">Net Payable</td>
           <td style="border:1px solid #ddd;padding:10px;text-align:right;color:#0066cc">
-            ${fmt(summary.netPayable)}
+            ${amount(summary.netPayable)}
           </td>
         </tr>
       </table>
@@ -105,8 +109,10 @@ export async function generatePayrollPDF(employeeName, summary) {
  * @param {Object[]} dailyBreakdown — from /api/payroll/my/summary or /employee-breakdown/:id
  * @param {Object}   totals         — { baseSalary, totalOt, totalDeduction, netPayable }
  *   NOTE: uses backend field names — NOT basicEarned / otTotal
+ * @param {Object}   [money]        — { currency, locale } from useSettings().settings
  */
-export async function generateSalarySlipPDF(employee, dailyBreakdown, totals) {
+export async function generateSalarySlipPDF(employee, dailyBreakdown, totals, { currency, locale } = {}) {
+  const money = (n) => formatCurrency(n, { currency, locale });
   try {
     const { jsPDF } = await import('jspdf');
 
@@ -143,8 +149,8 @@ export async function generateSalarySlipPDF(employee, dailyBreakdown, totals) {
       ['Name',         employee.name],
       ['Employee ID',  employee.employeeNumber],
       ['Salary Type',  employee.salaryType === 'monthly'
-                         ? `Monthly (PKR ${fmt(employee.monthlySalary)})`
-                         : `Hourly (PKR ${fmt(employee.hourlyRate)}/hr)`]
+                         ? `Monthly (${money(employee.monthlySalary)})`
+                         : `Hourly (${money(employee.hourlyRate)}/hr)`]
     ].forEach(([label, value]) => {
       pdf.text(`${label}:`, 25, y);
       pdf.text(String(value), 80, y);
@@ -160,15 +166,15 @@ export async function generateSalarySlipPDF(employee, dailyBreakdown, totals) {
     y += 6;
     pdf.setFontSize(10);
     [
-      ['Base Salary',   fmt(totals.baseSalary)],
-      ['OT Amount',     fmt(totals.totalOt)],           // correct field
-      ['Deductions',    fmt(totals.totalDeduction)],    // correct field
-      ['Net Payable',   fmt(totals.netPayable)]
+      ['Base Salary',   money(totals.baseSalary)],
+      ['OT Amount',     money(totals.totalOt)],           // correct field
+      ['Deductions',    money(totals.totalDeduction)],    // correct field
+      ['Net Payable',   money(totals.netPayable)]
     ].forEach(([label, value], idx) => {
       const isBold = idx === 3;
       pdf.setFont('helvetica', isBold ? 'bold' : 'normal');
       pdf.text(`${label}:`, 25, y);
-      pdf.text(`PKR ${value}`, 100, y);
+      pdf.text(value, 100, y);
       y += 5;
     });
 
@@ -203,7 +209,7 @@ export async function generateSalarySlipPDF(employee, dailyBreakdown, totals) {
         day.inTime  || '--',
         day.outTime || '--',
         fmt(day.hoursWorked),           // correct field name (not hoursPerDay)
-        fmt(day.finalDayEarning)        // correct field name (not dailyEarning)
+        formatAmount(day.finalDayEarning, { locale }) // correct field name (not dailyEarning)
       ].forEach((val, i) => {
         pdf.text(String(val), [20, 50, 75, 100, 125, 150][i], y);
       });